@@ -0,0 +1,214 @@
+/**
+ * API Authentication Utility
+ *
+ * The server only trusts requests signed by the Telegram bot (or another client that
+ * knows API_SECRET). Every request carries three headers:
+ *
+ *   X-Api-Timestamp       - Unix time in milliseconds when the request was signed
+ *   X-Api-Content-SHA256  - hex SHA-256 of the raw body, or "UNSIGNED-PAYLOAD" for multipart uploads
+ *   X-Api-Signature       - hex HMAC-SHA256 of "<timestamp>\n<METHOD>\n<path?query>\n<content hash>"
+ *
+ * Requests older than API_MAX_SKEW_SECONDS are rejected, and a signature is accepted only
+ * once, so captured requests can't be replayed. User ids are checked against a strict
+ * pattern before they are ever joined into a path.
+ *
+ * Bodies are JSON, except on upload routes, which take multipart forms (and only there
+ * may the body hash be skipped). Other bodies are rejected with 415 before any route runs;
+ * requests without a body pass whatever their Content-Type says.
+ */
+
+// Import required dependencies
+import { createHmac, createHash, timingSafeEqual } from "crypto"; // HMAC signatures
+
+// Allowed user ids: Telegram chat ids (possibly negative) and simple slugs, never "." or "/"
+export const USER_ID_PATTERN = /^-?[A-Za-z0-9_]{1,64}$/;
+
+// Content hash used for bodies that are not hashed (streamed multipart uploads)
+export const UNSIGNED_PAYLOAD = "UNSIGNED-PAYLOAD";
+
+// How far the timestamp of a request may be from the server clock (ms)
+const MAX_SKEW = Number(process.env.API_MAX_SKEW_SECONDS || 300) * 1000;
+
+// Signatures seen within the last MAX_SKEW: signature -> expiry time
+const seenSignatures = new Map();
+
+/**
+ * Error raised for rejected requests, with the HTTP status and a stable error code
+ */
+export class AuthError extends Error {
+  constructor(message, code, status = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Checks whether a user id is safe to use
+ *
+ * @param {*} userId - Value to check
+ * @returns {boolean} - True if it matches USER_ID_PATTERN
+ */
+export function isValidUserId(userId) {
+  return typeof userId === "string" && USER_ID_PATTERN.test(userId);
+}
+
+/**
+ * Throws unless a user id is safe to use
+ *
+ * @param {*} userId - Value to check
+ * @returns {string} - The user id
+ * @throws {AuthError} - 400 invalid_user_id
+ */
+export function assertValidUserId(userId) {
+  if (!isValidUserId(userId)) {
+    throw new AuthError("Invalid userId", "invalid_user_id", 400);
+  }
+  return userId;
+}
+
+/**
+ * Hashes a request body
+ *
+ * @param {Buffer|string} [body] - Raw body
+ * @returns {string} - Hex SHA-256
+ */
+export function hashBody(body) {
+  return createHash("sha256").update(body || "").digest("hex");
+}
+
+/**
+ * Computes the signature of a request
+ *
+ * @param {string} secret - Shared API secret
+ * @param {Object} request
+ * @param {string|number} request.timestamp - Unix time in milliseconds
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Path with query string, as sent
+ * @param {string} request.contentHash - hashBody() of the body or UNSIGNED_PAYLOAD
+ * @returns {string} - Hex HMAC-SHA256
+ */
+export function computeSignature(secret, { timestamp, method, path, contentHash }) {
+  return createHmac("sha256", secret)
+    .update(`${timestamp}\n${method.toUpperCase()}\n${path}\n${contentHash}`)
+    .digest("hex");
+}
+
+/**
+ * Removes expired entries from the replay cache
+ *
+ * @param {number} now - Current time (ms)
+ */
+function pruneSeenSignatures(now) {
+  for (const [signature, expiresAt] of seenSignatures) {
+    if (expiresAt <= now) seenSignatures.delete(signature);
+  }
+}
+
+/**
+ * Checks whether a request path matches one of a list of paths
+ *
+ * @param {string} requestPath - Request path
+ * @param {Array<string|RegExp>} paths - Exact paths or patterns
+ * @returns {boolean} - True if one of them matches
+ */
+function matchesPath(requestPath, paths) {
+  return paths.some((p) => (p instanceof RegExp ? p.test(requestPath) : p === requestPath));
+}
+
+/**
+ * Verifies the signature headers of a request
+ * The raw JSON body must be available as req.rawBody (see express.json's verify option).
+ *
+ * @param {Object} req - Express request
+ * @param {string} secret - Shared API secret
+ * @param {Object} [options]
+ * @param {boolean} [options.allowUnsignedPayload] - Accept UNSIGNED-PAYLOAD for a multipart body (upload routes)
+ * @throws {AuthError} - If the request is unsigned, expired, forged or replayed
+ */
+export function verifyRequest(req, secret, { allowUnsignedPayload = false } = {}) {
+  const timestamp = req.get("X-Api-Timestamp");
+  const signature = req.get("X-Api-Signature");
+  const contentHash = req.get("X-Api-Content-SHA256");
+
+  if (!timestamp || !signature || !contentHash) {
+    throw new AuthError("Missing request signature", "auth_missing");
+  }
+
+  const now = Date.now();
+  if (!/^\d+$/.test(timestamp) || Math.abs(now - Number(timestamp)) > MAX_SKEW) {
+    throw new AuthError("Request timestamp is missing or too old", "auth_expired");
+  }
+
+  // Only multipart uploads to upload routes may skip the body hash; any parsed body must match it
+  const multipart = req.is("multipart/form-data") === "multipart/form-data";
+  if (contentHash === UNSIGNED_PAYLOAD ? !(multipart && allowUnsignedPayload) : contentHash !== hashBody(req.rawBody)) {
+    throw new AuthError("Request body does not match its signature", "auth_invalid");
+  }
+
+  const expected = Buffer.from(computeSignature(secret, { timestamp, method: req.method, path: req.originalUrl, contentHash }), "hex");
+  const received = Buffer.from(/^[0-9a-f]{64}$/i.test(signature) ? signature : "", "hex");
+  if (received.length !== expected.length || !timingSafeEqual(received, expected)) {
+    throw new AuthError("Invalid request signature", "auth_invalid");
+  }
+
+  pruneSeenSignatures(now);
+  if (seenSignatures.has(signature)) {
+    throw new AuthError("Request was already used", "auth_replayed");
+  }
+  seenSignatures.set(signature, now + MAX_SKEW);
+}
+
+/**
+ * Creates the middleware that rejects unsigned requests and bodies a route doesn't take
+ *
+ * @param {Object} options
+ * @param {string} [options.secret] - Shared API secret
+ * @param {boolean} [options.disabled] - Accept every request (local development only)
+ * @param {Array<string|RegExp>} [options.publicPaths] - Paths reachable without a signature
+ * @param {Array<string|RegExp>} [options.uploadPaths] - Paths taking multipart uploads, whose body isn't hashed
+ * @returns {Function} - Express middleware
+ */
+export function requireSignedRequest({ secret, disabled = false, publicPaths = [], uploadPaths = [] }) {
+  return (req, res, next) => {
+    if (matchesPath(req.path, publicPaths)) return next();
+
+    try {
+      // Multipart only on upload routes, JSON everywhere else; requests without a body (e.g. an
+      // empty POST with Content-Length: 0, whatever its Content-Type) are fine anywhere
+      const upload = matchesPath(req.path, uploadPaths);
+      const empty = !req.get("Transfer-Encoding") && !(Number(req.get("Content-Length")) > 0);
+      if (!empty && !req.is(upload ? "multipart/form-data" : "application/json")) {
+        throw new AuthError(
+          `Unsupported Content-Type, expected ${upload ? "multipart/form-data" : "application/json"}`,
+          "unsupported_media_type",
+          415
+        );
+      }
+
+      if (!disabled) verifyRequest(req, secret, { allowUnsignedPayload: upload });
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Middleware that rejects user ids in the query string or JSON body that are not safe
+ * Path parameters are checked with app.param("userId").
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export function validateUserIdFields(req, res, next) {
+  try {
+    if (req.query?.userId !== undefined) assertValidUserId(req.query.userId);
+    if (req.body?.userId !== undefined) assertValidUserId(req.body.userId);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
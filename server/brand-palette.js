@@ -0,0 +1,533 @@
+/**
+ * Brand Palette Utility
+ *
+ * This module turns a logo into a brand proposal without asking the model:
+ *   - the dominant colours of the logo are counted locally (transparent pixels are ignored)
+ *   - a palette is built around them: primary, secondary and complementary accent colours,
+ *     a tinted background and surface, and text, link and "on colour" text colours that all
+ *     meet the WCAG AA contrast ratio of 4.5:1
+ *   - three heading/body font pairings are suggested to match the palette's mood
+ *
+ * A proposal waits in the project until the user accepts it with one of the font pairings
+ * or discards it:
+ *
+ *   brand-proposal - { imageId, image, colors, palette, mood, fonts: [...], createdAt }
+ *                    (a document of the project, see storage/index.js)
+ *
+ * Accepted values go to the profile's colorScheme and branding; brandStylesheet() then puts
+ * them at the top of the website's main stylesheet as CSS custom properties.
+ */
+
+// Import required dependencies
+import path from "path";                    // For handling file paths
+import sharp from "sharp";                  // Image decoding
+import postcss from "postcss";              // CSS parser
+import { getStorage } from "./storage/index.js"; // Proposal storage
+
+// Longest side of the copy the colours are counted on (px)
+const SAMPLE_SIZE = 96;
+
+// Number of dominant colours reported
+const MAX_COLORS = 6;
+
+// Colours closer than this (RGB distance) count as one
+const MERGE_DISTANCE = 48;
+
+// Contrast ratio every text colour of the palette meets (WCAG AA for normal text)
+export const MIN_CONTRAST = 4.5;
+
+// Heading/body font pairings (Google Fonts) by mood of the palette
+const FONT_PAIRINGS = {
+  modern: [
+    { heading: "Montserrat", body: "Open Sans", style: "Modern" },
+    { heading: "Poppins", body: "Inter", style: "Clean" },
+  ],
+  elegant: [
+    { heading: "Playfair Display", body: "Source Sans 3", style: "Elegant" },
+    { heading: "Cormorant Garamond", body: "Lato", style: "Refined" },
+  ],
+  playful: [
+    { heading: "Fredoka", body: "Nunito", style: "Playful" },
+    { heading: "Baloo 2", body: "Quicksand", style: "Friendly" },
+  ],
+  classic: [
+    { heading: "Merriweather", body: "Lato", style: "Classic" },
+    { heading: "Lora", body: "Roboto", style: "Editorial" },
+  ],
+};
+
+// Fonts of the pairings that fall back to a serif font stack
+const SERIF_FONTS = ["Playfair Display", "Cormorant Garamond", "Merriweather", "Lora"];
+
+// First and last line of the brand block in a stylesheet; everything in between is rewritten
+const CSS_BLOCK_START = "/* Brand palette from the logo */";
+const CSS_BLOCK_END = "/* End of brand palette */";
+
+/**
+ * Error raised when no proposal can be made or accepted, with the HTTP status to report
+ */
+export class BrandError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "BrandError";
+    this.status = status;
+  }
+}
+
+/**
+ * Converts RGB channels to a hex colour
+ *
+ * @param {number[]} rgb - [r, g, b], 0–255
+ * @returns {string} - e.g. "#1f5fa8"
+ */
+function hexOf([r, g, b]) {
+  return `#${[r, g, b].map((channel) => Math.round(channel).toString(16).padStart(2, "0")).join("")}`;
+}
+
+/**
+ * Converts a hex colour to RGB channels
+ *
+ * @param {string} hex - e.g. "#1f5fa8"
+ * @returns {number[]} - [r, g, b], 0–255
+ */
+function rgbOf(hex) {
+  return [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * Converts RGB channels to hue, saturation and lightness
+ *
+ * @param {number[]} rgb - [r, g, b], 0–255
+ * @returns {number[]} - [h (0–360), s (0–1), l (0–1)]
+ */
+function hslOf([r, g, b]) {
+  [r, g, b] = [r / 255, g / 255, b / 255];
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  if (max === min) return [0, 0, l];
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  const h = max === r ? (g - b) / d + (g < b ? 6 : 0) : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+  return [h * 60, s, l];
+}
+
+/**
+ * Builds a hex colour from hue, saturation and lightness
+ *
+ * @param {number} h - Hue in degrees (any value, wrapped to 0–360)
+ * @param {number} s - Saturation, 0–1
+ * @param {number} l - Lightness, 0–1
+ * @returns {string} - Hex colour
+ */
+function hslToHex(h, s, l) {
+  h = ((h % 360) + 360) % 360;
+  s = Math.min(1, Math.max(0, s));
+  l = Math.min(1, Math.max(0, l));
+
+  const a = s * Math.min(l, 1 - l);
+  const channel = (n) => {
+    const k = (n + h / 30) % 12;
+    return 255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+  };
+  return hexOf([channel(0), channel(8), channel(4)]);
+}
+
+/**
+ * Returns the relative luminance of a colour (WCAG 2)
+ *
+ * @param {string} hex - Hex colour
+ * @returns {number} - 0 (black) to 1 (white)
+ */
+function luminanceOf(hex) {
+  const [r, g, b] = rgbOf(hex).map((channel) => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Returns the contrast ratio of two colours (WCAG 2)
+ *
+ * @param {string} a - Hex colour
+ * @param {string} b - Hex colour
+ * @returns {number} - 1 to 21, rounded to two decimals
+ */
+export function contrastRatio(a, b) {
+  const [light, dark] = [luminanceOf(a), luminanceOf(b)].sort((x, y) => y - x);
+  return Math.round(((light + 0.05) / (dark + 0.05)) * 100) / 100;
+}
+
+/**
+ * Darkens (or lightens) a colour until it reaches a contrast ratio against a background
+ *
+ * @param {string} color - Hex colour
+ * @param {string} background - Hex colour it is shown on
+ * @param {number} [ratio] - Contrast ratio to reach
+ * @returns {string} - The colour, or the closest shade of it that meets the ratio
+ */
+function withContrast(color, background, ratio = MIN_CONTRAST) {
+  const [h, s, l] = hslOf(rgbOf(color));
+  const step = luminanceOf(background) > 0.5 ? -0.02 : 0.02;
+
+  let shade = color;
+  for (let lightness = l; contrastRatio(shade, background) < ratio && lightness >= 0 && lightness <= 1; lightness += step) {
+    shade = hslToHex(h, s, lightness);
+  }
+  return contrastRatio(shade, background) >= ratio ? shade : step < 0 ? "#000000" : "#ffffff";
+}
+
+/**
+ * Picks the text colour for a coloured area (buttons, banners)
+ *
+ * @param {string} color - Hex colour of the area
+ * @param {string} darkText - The palette's dark text colour
+ * @returns {string} - darkText or white, whichever reads better; black or white if neither reaches MIN_CONTRAST
+ */
+function textOn(color, darkText) {
+  const best = contrastRatio(darkText, color) >= contrastRatio("#ffffff", color) ? darkText : "#ffffff";
+  if (contrastRatio(best, color) >= MIN_CONTRAST) return best;
+  return contrastRatio("#000000", color) >= contrastRatio("#ffffff", color) ? "#000000" : "#ffffff";
+}
+
+/**
+ * Tells whether a colour is a neutral (white, black or grey) rather than a brand colour
+ *
+ * @param {string} hex - Hex colour
+ * @returns {boolean} - True for colours with little saturation or extreme lightness
+ */
+function isNeutral(hex) {
+  const [, s, l] = hslOf(rgbOf(hex));
+  return s < 0.15 || l > 0.93 || l < 0.07;
+}
+
+/**
+ * Returns the distance between two hues
+ *
+ * @param {number} a - Hue in degrees
+ * @param {number} b - Hue in degrees
+ * @returns {number} - 0–180
+ */
+function hueDistance(a, b) {
+  const d = Math.abs(a - b) % 360;
+  return d > 180 ? 360 - d : d;
+}
+
+/**
+ * Counts the dominant colours of an image
+ *
+ * @param {string} filePath - Image file
+ * @returns {Promise<Array<{hex: string, share: number}>>} - Up to MAX_COLORS colours, most common first;
+ *   share is the part of the visible pixels (0–1)
+ * @throws {BrandError} - If the image has no visible pixels
+ */
+export async function extractColors(filePath) {
+  const { data, info } = await sharp(filePath)
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: "inside" })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  // Count pixels in buckets of 16 levels per channel, keeping the sums for an average colour
+  const buckets = new Map();
+  let total = 0;
+  for (let i = 0; i < data.length; i += info.channels) {
+    if (data[i + 3] < 128) continue;
+    const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+    const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+    bucket.count++;
+    bucket.r += data[i];
+    bucket.g += data[i + 1];
+    bucket.b += data[i + 2];
+    buckets.set(key, bucket);
+    total++;
+  }
+  if (total === 0) throw new BrandError("The logo has no visible colours", 422);
+
+  // Merge similar buckets into the most common one near them
+  const colors = [];
+  for (const bucket of [...buckets.values()].sort((a, b) => b.count - a.count)) {
+    const rgb = [bucket.r / bucket.count, bucket.g / bucket.count, bucket.b / bucket.count];
+    const near = colors.find((color) => Math.hypot(...color.rgb.map((channel, i) => channel - rgb[i])) < MERGE_DISTANCE);
+    if (near) near.count += bucket.count;
+    else colors.push({ rgb, count: bucket.count });
+  }
+
+  return colors
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_COLORS)
+    .map((color) => ({ hex: hexOf(color.rgb), share: Math.round((color.count / total) * 1000) / 1000 }));
+}
+
+/**
+ * Builds a palette around the dominant colours of a logo
+ *
+ * @param {Array<{hex: string}>} colors - Dominant colours, most common first (see extractColors)
+ * @returns {{palette: Object, contrast: Object, mood: string}} - Hex colours by role, the contrast ratio
+ *   of every text colour against the colour it is shown on, and the palette's mood
+ */
+export function buildPalette(colors) {
+  const brand = colors.map((color) => color.hex).filter((hex) => !isNeutral(hex));
+
+  // A logo without brand colours (black on white) gets its darkest visible colour as primary
+  const primary =
+    brand[0] ||
+    colors.map((color) => color.hex).filter((hex) => hslOf(rgbOf(hex))[2] < 0.93).sort((a, b) => luminanceOf(a) - luminanceOf(b))[0] ||
+    "#333333";
+  const [h, s, l] = hslOf(rgbOf(primary));
+  const monochrome = s < 0.15;
+
+  const secondary = brand.slice(1).find((hex) => hueDistance(hslOf(rgbOf(hex))[0], h) > 25) || hslToHex(h + 30, s, Math.min(0.6, Math.max(0.3, l)));
+  const accent = monochrome ? hslToHex(210, 0.7, 0.5) : hslToHex(h + 180, Math.min(0.85, Math.max(0.45, s)), Math.min(0.6, Math.max(0.45, l)));
+
+  const background = hslToHex(h, Math.min(s, 0.3), 0.98);
+  const surface = hslToHex(h, Math.min(s, 0.25), 0.94);
+  const text = withContrast(hslToHex(h, Math.min(s, 0.25), 0.12), background, 7);
+  const mutedText = withContrast(hslToHex(h, Math.min(s, 0.15), 0.4), background);
+  const link = withContrast(primary, background);
+
+  const palette = {
+    primary,
+    secondary,
+    accent,
+    background,
+    surface,
+    text,
+    mutedText,
+    link,
+    onPrimary: textOn(primary, text),
+    onSecondary: textOn(secondary, text),
+    onAccent: textOn(accent, text),
+  };
+
+  const contrast = {
+    text: contrastRatio(palette.text, background),
+    mutedText: contrastRatio(palette.mutedText, background),
+    link: contrastRatio(palette.link, background),
+    onPrimary: contrastRatio(palette.onPrimary, primary),
+    onSecondary: contrastRatio(palette.onSecondary, secondary),
+    onAccent: contrastRatio(palette.onAccent, accent),
+  };
+
+  // Mood, used for the font pairings
+  let mood = "classic";
+  if (monochrome || l < 0.3) mood = "elegant";
+  else if (s > 0.6 && l > 0.45 && (h < 60 || h > 280)) mood = "playful";
+  else if (h >= 160 && h <= 280) mood = "modern";
+
+  return { palette, contrast, mood };
+}
+
+/**
+ * Suggests three font pairings for a mood: both of its own and one of another mood
+ *
+ * @param {string} mood - "modern", "elegant", "playful" or "classic"
+ * @returns {Array<{heading: string, body: string, style: string}>} - Pairings, best match first
+ */
+export function suggestFonts(mood) {
+  const other = mood === "modern" ? "classic" : "modern";
+  return [...(FONT_PAIRINGS[mood] || FONT_PAIRINGS.classic), FONT_PAIRINGS[other][0]];
+}
+
+/**
+ * Analyses a logo and saves the resulting proposal; a new proposal replaces a pending one
+ *
+ * @param {string} projectDir - Project directory
+ * @param {Object} image - Image entry of the profile
+ * @returns {Promise<Object>} - Stored proposal
+ * @throws {BrandError} - If the logo has no visible colours
+ */
+export async function proposeBrand(projectDir, image) {
+  const colors = await extractColors(path.join(projectDir, "webSite", image.url));
+  const { palette, contrast, mood } = buildPalette(colors);
+
+  const proposal = {
+    imageId: image.id,
+    image: image.url,
+    colors,
+    palette,
+    contrast,
+    mood,
+    fonts: suggestFonts(mood),
+    createdAt: new Date().toISOString(),
+  };
+  getStorage().writeDocument(projectDir, "brand-proposal", proposal);
+  return proposal;
+}
+
+/**
+ * Reads the pending brand proposal of a project
+ *
+ * @param {string} projectDir - Project directory
+ * @returns {Object|null} - Proposal, or null if there is none
+ */
+export function getBrandProposal(projectDir) {
+  return getStorage().readDocument(projectDir, "brand-proposal");
+}
+
+/**
+ * Removes the pending brand proposal of a project
+ *
+ * @param {string} projectDir - Project directory
+ */
+export function clearBrandProposal(projectDir) {
+  getStorage().writeDocument(projectDir, "brand-proposal", null);
+}
+
+/**
+ * Builds the profile patch that accepts a proposal with one of its font pairings
+ *
+ * @param {Object} proposal - Pending proposal
+ * @param {number} fontIndex - Index of the chosen pairing in proposal.fonts
+ * @returns {Object} - Patch for colorScheme and branding (see profile-schema.js)
+ * @throws {BrandError} - If the pairing doesn't exist
+ */
+export function brandPatch(proposal, fontIndex) {
+  const fonts = proposal.fonts[Number(fontIndex)];
+  if (!Number.isInteger(Number(fontIndex)) || !fonts) {
+    throw new BrandError(`Pick one of the ${proposal.fonts.length} font pairings`);
+  }
+
+  const { palette } = proposal;
+  return {
+    colorScheme:
+      `Brand colours from the logo: primary ${palette.primary}, secondary ${palette.secondary}, accent ${palette.accent}, ` +
+      `background ${palette.background}, text ${palette.text}`,
+    branding: {
+      palette,
+      fonts: { heading: fonts.heading, body: fonts.body },
+    },
+  };
+}
+
+/**
+ * Returns the CSS font stack of a font
+ *
+ * @param {string} font - Font family name
+ * @returns {string} - e.g. '"Lora", Georgia, serif'
+ */
+function fontStack(font) {
+  return SERIF_FONTS.includes(font) ? `"${font}", Georgia, serif` : `"${font}", system-ui, sans-serif`;
+}
+
+/**
+ * Builds the brand block of a stylesheet
+ *
+ * @param {Object} palette - Accepted palette (profile branding.palette)
+ * @param {Object} [fonts] - Accepted fonts { heading, body }
+ * @returns {string} - Font import and :root custom properties between the block markers
+ */
+function brandBlock(palette, fonts) {
+  const kebab = (name) => name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+  const lines = [CSS_BLOCK_START];
+
+  if (fonts?.heading && fonts?.body) {
+    const families = [...new Set([fonts.heading, fonts.body])]
+      .map((font) => `family=${encodeURIComponent(font).replace(/%20/g, "+")}:wght@400;600;700`)
+      .join("&");
+    lines.push(`@import url("https://fonts.googleapis.com/css2?${families}&display=swap");`);
+  }
+
+  lines.push(":root {");
+  for (const [name, value] of Object.entries(palette)) {
+    if (/^#[0-9a-f]{6}$/i.test(value)) lines.push(`  --brand-${kebab(name)}: ${value};`);
+  }
+  if (fonts?.heading && fonts?.body) {
+    lines.push(`  --font-heading: ${fontStack(fonts.heading)};`, `  --font-body: ${fontStack(fonts.body)};`);
+  }
+  lines.push("}", CSS_BLOCK_END);
+
+  return lines.join("\n");
+}
+
+/**
+ * Finds the main stylesheet of a website: the first local stylesheet index.html links to
+ *
+ * @param {Array<{path: string, content: string}>} files - Website files
+ * @returns {Object|null} - The stylesheet's file entry, or null if there is none
+ */
+function mainStylesheetOf(files) {
+  const byPath = new Map(files.map((file) => [file.path, file]));
+  const index = byPath.get("index.html");
+
+  for (const [tag] of (index?.content || "").matchAll(/<link\b[^>]*>/gi)) {
+    if (!/\brel\s*=\s*["']?stylesheet/i.test(tag)) continue;
+    const href = tag.match(/\bhref\s*=\s*["']([^"'#?]+)/i)?.[1];
+    if (!href || /^(?:[a-z]+:)?\/\//i.test(href)) continue;
+
+    const file = byPath.get(path.posix.normalize(href.replace(/^\.?\//, "")));
+    if (file) return file;
+  }
+  return byPath.get("css/styles.css") || byPath.get("styles.css") || null;
+}
+
+/**
+ * Finds where the leading @charset and @import rules of a stylesheet end
+ * Comments may sit between them; the first other node ends the leading rules.
+ *
+ * @param {string} css - Stylesheet
+ * @returns {number|null} - Offset after the last leading rule (0 if there is none), or null if the CSS doesn't parse
+ */
+function leadingRulesEnd(css) {
+  let root;
+  try {
+    root = postcss.parse(css);
+  } catch {
+    return null;
+  }
+
+  let end = 0;
+  for (const node of root.nodes) {
+    if (node.type === "comment") continue;
+    if (node.type !== "atrule" || !["charset", "import"].includes(node.name.toLowerCase())) break;
+    end = node.source.end.offset;
+  }
+  return end;
+}
+
+/**
+ * Puts the accepted brand palette and fonts at the top of the main stylesheet as CSS custom properties
+ * The block is rewritten on every call, so it always matches the profile.
+ *
+ * @param {Array<{path: string, content: string}>} files - Website files
+ * @param {Object} profile - Normalized user profile
+ * @returns {Array<{path: string, content: string}>} - The changed stylesheet, or nothing
+ */
+export function brandStylesheet(files, profile) {
+  const palette = profile.branding?.palette;
+  const stylesheet = mainStylesheetOf(files);
+  if (!stylesheet || !palette || typeof palette !== "object") return [];
+
+  // Remove the previous block, then insert the new one after leading @charset/@import rules,
+  // which have to stay in front of every other rule
+  const start = stylesheet.content.indexOf(CSS_BLOCK_START);
+  const end = stylesheet.content.indexOf(CSS_BLOCK_END);
+  const css =
+    start !== -1 && end > start
+      ? stylesheet.content.slice(0, start) + stylesheet.content.slice(end + CSS_BLOCK_END.length).replace(/^\n+/, "")
+      : stylesheet.content;
+  const leadingEnd = leadingRulesEnd(css);
+  if (leadingEnd === null) return [];
+
+  const leading = css.slice(0, leadingEnd).trimEnd();
+  const block = brandBlock(palette, profile.branding.fonts);
+
+  const content = `${leading}${leading ? "\n" : ""}${block}\n\n${css.slice(leadingEnd).replace(/^\s+/, "")}`;
+  return content === stylesheet.content ? [] : [{ path: stylesheet.path, content }];
+}
+
+/**
+ * Renders a swatch of a proposal's palette, shown next to the proposal in the bot
+ *
+ * @param {Object} palette - Palette of a proposal
+ * @returns {Promise<Buffer>} - PNG image
+ */
+export async function renderSwatch(palette) {
+  const roles = ["primary", "secondary", "accent", "background", "surface", "text"];
+  const width = 120;
+  const cells = roles.map((role, i) => `<rect x="${i * width}" y="0" width="${width}" height="160" fill="${palette[role]}"/>`).join("");
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${roles.length * width}" height="160">${cells}</svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
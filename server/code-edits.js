@@ -0,0 +1,161 @@
+/**
+ * Targeted Code Edits Utility
+ *
+ * This module applies structured edits returned by the model to the existing
+ * website files instead of regenerating the whole site. Two kinds of edits are
+ * supported:
+ *   - search/replace hunks:  { file, search, replace }
+ *   - section replacements:  { file, sectionId, replace } (replaces the element with that id)
+ * Whole new files can be added with { file, content }.
+ *
+ * Every edit is applied to an in-memory copy first, so a single bad hunk rejects
+ * the whole change set and nothing half-applied ever reaches the disk.
+ */
+
+// Import required dependencies
+import { sanitizeFilePath, validateFileMap, SiteFilesError } from "./site-files.js"; // Path and budget checks
+
+/**
+ * Error raised when an edit cannot be applied to the current files
+ */
+export class EditError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "EditError";
+  }
+}
+
+/**
+ * Counts how often a string occurs in a text
+ *
+ * @param {string} text - Text to search in
+ * @param {string} search - String to look for
+ * @returns {number} - Number of non-overlapping occurrences
+ */
+function countOccurrences(text, search) {
+  let count = 0;
+  let index = text.indexOf(search);
+  while (index !== -1) {
+    count++;
+    index = text.indexOf(search, index + search.length);
+  }
+  return count;
+}
+
+/**
+ * Finds the start and end offsets of the element with the given id
+ * Nested elements with the same tag name are taken into account.
+ *
+ * @param {string} html - HTML source
+ * @param {string} id - Value of the element's id attribute
+ * @returns {{start: number, end: number}|null} - Offsets of the whole element, or null if not found
+ */
+export function findElementById(html, id) {
+  const escapedId = id.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const openTag = new RegExp(`<([a-zA-Z][\\w-]*)\\b[^>]*\\bid\\s*=\\s*["']${escapedId}["'][^>]*>`, "i");
+  const match = openTag.exec(html);
+  if (!match) return null;
+
+  const tagName = match[1].toLowerCase();
+  const tagPattern = new RegExp(`<(/?)${tagName}\\b[^>]*>`, "gi");
+  tagPattern.lastIndex = match.index + match[0].length;
+
+  // Self-closing or void elements end with their opening tag
+  if (match[0].endsWith("/>")) {
+    return { start: match.index, end: match.index + match[0].length };
+  }
+
+  let depth = 1;
+  let tag;
+  while ((tag = tagPattern.exec(html))) {
+    if (tag[0].endsWith("/>")) continue;
+    depth += tag[1] ? -1 : 1;
+    if (depth === 0) {
+      return { start: match.index, end: tag.index + tag[0].length };
+    }
+  }
+  return null;
+}
+
+/**
+ * Applies a list of structured edits to a set of files
+ *
+ * @param {Array<{path: string, content: string}>} files - Current project files
+ * @param {Array<Object>} edits - Edits returned by the model
+ * @returns {{files: Array<{path: string, content: string}>, changed: string[]}} - Updated files and changed paths
+ * @throws {EditError} - If an edit is malformed or does not match the current code
+ */
+export function applyEdits(files, edits) {
+  if (!Array.isArray(edits) || edits.length === 0) {
+    throw new EditError("No edits returned");
+  }
+
+  const contents = new Map(files.map((file) => [file.path, file.content]));
+  const changed = new Set();
+
+  edits.forEach((edit, index) => {
+    const label = `Edit ${index + 1}`;
+    let filePath;
+    try {
+      filePath = sanitizeFilePath(edit?.file);
+    } catch (err) {
+      throw new EditError(`${label}: ${err.message}`);
+    }
+
+    // Whole new (or fully replaced) file
+    if (typeof edit.content === "string") {
+      contents.set(filePath, edit.content);
+      changed.add(filePath);
+      return;
+    }
+
+    if (!contents.has(filePath)) {
+      throw new EditError(`${label}: ${filePath} does not exist`);
+    }
+    if (typeof edit.replace !== "string") {
+      throw new EditError(`${label}: "replace" must be a string`);
+    }
+
+    const current = contents.get(filePath);
+    let updated;
+
+    if (typeof edit.sectionId === "string") {
+      // Section-scoped replacement of the element with the given id
+      const range = findElementById(current, edit.sectionId);
+      if (!range) {
+        throw new EditError(`${label}: no element with id "${edit.sectionId}" in ${filePath}`);
+      }
+      updated = current.slice(0, range.start) + edit.replace + current.slice(range.end);
+    } else if (typeof edit.search === "string" && edit.search) {
+      // Search/replace hunk, the search text has to match exactly once
+      const occurrences = countOccurrences(current, edit.search);
+      if (occurrences === 0) {
+        throw new EditError(`${label}: search text not found in ${filePath}`);
+      }
+      if (occurrences > 1) {
+        throw new EditError(`${label}: search text is ambiguous in ${filePath} (${occurrences} matches)`);
+      }
+      const index = current.indexOf(edit.search);
+      updated = current.slice(0, index) + edit.replace + current.slice(index + edit.search.length);
+    } else {
+      throw new EditError(`${label}: needs "search", "sectionId" or "content"`);
+    }
+
+    contents.set(filePath, updated);
+    changed.add(filePath);
+  });
+
+  // Re-check the whole project against the path rules and budget
+  let validated;
+  try {
+    validated = validateFileMap([...contents].map(([path, content]) => ({ path, content })));
+  } catch (err) {
+    if (err instanceof SiteFilesError) throw new EditError(err.message);
+    throw err;
+  }
+
+  return {
+    files: validated.filter((file) => changed.has(file.path)),
+    changed: [...changed],
+  };
+}
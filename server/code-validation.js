@@ -0,0 +1,299 @@
+/**
+ * Generated Code Validation Utility
+ *
+ * This module checks a generated website project before it is written to disk:
+ *   - HTML: unclosed, unexpected and mismatched tags
+ *   - JS:   syntax of script files and inline <script> blocks
+ *   - CSS:  syntax of stylesheets and inline <style> blocks
+ *   - Assets: src/href/url() references to project files or uploads that don't exist
+ *   - Navigation: "#id" and "page.html#id" links whose target element is missing
+ *
+ * The result is a list of human readable problems that can be fed back to the model.
+ */
+
+// Import required dependencies
+import path from "path";            // For handling file paths
+import fs from "fs-extra";          // Enhanced file system operations
+import * as acorn from "acorn";     // JavaScript parser
+import postcss from "postcss";      // CSS parser
+
+// Elements that never have a closing tag
+const VOID_ELEMENTS = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta",
+  "param", "source", "track", "wbr",
+]);
+
+// Elements whose closing tag may be omitted in valid HTML
+const OPTIONAL_CLOSE_ELEMENTS = new Set([
+  "html", "head", "body", "p", "li", "dt", "dd", "option", "optgroup", "tr", "td",
+  "th", "thead", "tbody", "tfoot", "colgroup", "caption", "rt", "rp",
+]);
+
+// Maximum number of problems reported, so a badly broken file doesn't flood the prompt
+const MAX_PROBLEMS = 30;
+
+/**
+ * Returns the line number of an offset in a text
+ *
+ * @param {string} text - Source text
+ * @param {number} offset - Character offset
+ * @returns {number} - 1-based line number
+ */
+function lineAt(text, offset) {
+  return text.slice(0, offset).split("\n").length;
+}
+
+/**
+ * Checks that the tags of an HTML document are balanced
+ * Comments, scripts and styles are skipped; optional closing tags are tolerated.
+ *
+ * @param {string} html - HTML source
+ * @returns {string[]} - Problems found
+ */
+export function checkHtmlTags(html) {
+  const problems = [];
+  const stack = [];
+  const tagPattern = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+
+  let match;
+  while ((match = tagPattern.exec(html))) {
+    if (!match[2]) continue; // Comment
+
+    const closing = match[1] === "/";
+    const name = match[2].toLowerCase();
+    const selfClosing = match[3].trim().endsWith("/");
+    const line = lineAt(html, match.index);
+
+    if (!closing) {
+      // Skip the contents of raw text elements
+      if (name === "script" || name === "style") {
+        const end = html.toLowerCase().indexOf(`</${name}`, tagPattern.lastIndex);
+        if (end === -1) {
+          problems.push(`line ${line}: <${name}> is never closed`);
+          break;
+        }
+        tagPattern.lastIndex = end;
+        stack.push({ name, line });
+        continue;
+      }
+      if (!VOID_ELEMENTS.has(name) && !selfClosing) stack.push({ name, line });
+      continue;
+    }
+
+    if (VOID_ELEMENTS.has(name)) continue;
+
+    const openIndex = stack.map((entry) => entry.name).lastIndexOf(name);
+    if (openIndex === -1) {
+      problems.push(`line ${line}: unexpected closing tag </${name}>`);
+      continue;
+    }
+
+    // Everything opened after the matching tag must have been closed already
+    for (const unclosed of stack.splice(openIndex + 1)) {
+      if (!OPTIONAL_CLOSE_ELEMENTS.has(unclosed.name)) {
+        problems.push(`line ${unclosed.line}: <${unclosed.name}> is not closed before </${name}> on line ${line}`);
+      }
+    }
+    stack.pop();
+  }
+
+  for (const unclosed of stack) {
+    if (!OPTIONAL_CLOSE_ELEMENTS.has(unclosed.name)) {
+      problems.push(`line ${unclosed.line}: <${unclosed.name}> is never closed`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Checks JavaScript syntax (as a classic script first, then as a module)
+ *
+ * @param {string} code - JavaScript source
+ * @returns {string|null} - Problem description, or null if the code parses
+ */
+export function checkJsSyntax(code) {
+  try {
+    acorn.parse(code, { ecmaVersion: "latest", sourceType: "script", allowHashBang: true });
+    return null;
+  } catch (scriptErr) {
+    try {
+      acorn.parse(code, { ecmaVersion: "latest", sourceType: "module", allowHashBang: true });
+      return null;
+    } catch {
+      return scriptErr.message;
+    }
+  }
+}
+
+/**
+ * Checks CSS syntax
+ *
+ * @param {string} css - CSS source
+ * @returns {string|null} - Problem description, or null if the stylesheet parses
+ */
+export function checkCssSyntax(css) {
+  try {
+    postcss.parse(css);
+    return null;
+  } catch (err) {
+    return err.line ? `line ${err.line}: ${err.reason}` : err.message;
+  }
+}
+
+/**
+ * Extracts the contents of inline <script> and <style> blocks
+ *
+ * @param {string} html - HTML source
+ * @param {string} tag - "script" or "style"
+ * @returns {Array<{code: string, line: number}>} - Inline blocks
+ */
+function inlineBlocks(html, tag) {
+  const blocks = [];
+  const pattern = new RegExp(`<${tag}\\b([^>]*)>([\\s\\S]*?)</${tag}>`, "gi");
+  let match;
+  while ((match = pattern.exec(html))) {
+    const attributes = match[1];
+    // External scripts and non-JS script types (JSON-LD, templates) are not parsed
+    if (tag === "script" && (/\bsrc\s*=/.test(attributes) || /type\s*=\s*["'](?!text\/javascript|module)/i.test(attributes))) {
+      continue;
+    }
+    blocks.push({ code: match[2], line: lineAt(html, match.index) });
+  }
+  return blocks;
+}
+
+/**
+ * Collects the ids defined in an HTML document
+ *
+ * @param {string} html - HTML source
+ * @returns {Set<string>} - Element ids
+ */
+function collectIds(html) {
+  return new Set([...html.matchAll(/\bid\s*=\s*["']([^"']+)["']/gi)].map((match) => match[1]));
+}
+
+/**
+ * Checks whether a reference points outside the project (or nowhere in particular)
+ *
+ * @param {string} ref - Value of src/href/url()
+ * @returns {boolean} - True for absolute URLs, protocols, data URIs and template placeholders
+ */
+function isExternal(ref) {
+  return /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(ref) || ref.includes("${") || ref.includes("{{");
+}
+
+/**
+ * Validates a complete website project
+ *
+ * @param {Array<{path: string, content: string}>} files - All text files of the project after the change
+ * @param {string} websiteDir - Website directory on disk, used to check uploads and other binary assets
+ * @returns {string[]} - Problems found, each prefixed with the file path
+ */
+export function validateProject(files, websiteDir) {
+  const problems = [];
+  const byPath = new Map(files.map((file) => [file.path, file.content]));
+  const idsByPage = new Map();
+
+  const assetExists = (ref) =>
+    byPath.has(ref) || (!ref.startsWith("../") && fs.existsSync(path.join(websiteDir, ref)));
+
+  /**
+   * Resolves a relative reference against the file that contains it
+   */
+  const resolveRef = (fromFile, ref) => {
+    let clean = ref.split("#")[0].split("?")[0];
+    try {
+      clean = decodeURI(clean);
+    } catch {
+      // Keep malformed escapes as they are
+    }
+    if (!clean) return "";
+    const resolved = clean.startsWith("/")
+      ? path.posix.normalize(clean.slice(1) || ".")
+      : path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), clean));
+    if (resolved === "." || resolved === "./") return "index.html";
+    return resolved.endsWith("/") ? `${resolved}index.html` : resolved;
+  };
+
+  for (const file of files) {
+    const ext = path.extname(file.path).toLowerCase();
+
+    if (ext === ".html") {
+      idsByPage.set(file.path, collectIds(file.content));
+
+      for (const problem of checkHtmlTags(file.content)) {
+        problems.push(`${file.path}: ${problem}`);
+      }
+      for (const block of inlineBlocks(file.content, "script")) {
+        const error = checkJsSyntax(block.code);
+        if (error) problems.push(`${file.path}: inline <script> on line ${block.line}: ${error}`);
+      }
+      for (const block of inlineBlocks(file.content, "style")) {
+        const error = checkCssSyntax(block.code);
+        if (error) problems.push(`${file.path}: inline <style> on line ${block.line}: ${error}`);
+      }
+    } else if (ext === ".js") {
+      const error = checkJsSyntax(file.content);
+      if (error) problems.push(`${file.path}: ${error}`);
+    } else if (ext === ".css") {
+      const error = checkCssSyntax(file.content);
+      if (error) problems.push(`${file.path}: ${error}`);
+    } else if (ext === ".json" || ext === ".webmanifest") {
+      try {
+        JSON.parse(file.content);
+      } catch (err) {
+        problems.push(`${file.path}: invalid JSON (${err.message})`);
+      }
+    }
+  }
+
+  // Asset references and navigation targets
+  for (const file of files) {
+    const ext = path.extname(file.path).toLowerCase();
+    const refs = [];
+
+    if (ext === ".html") {
+      for (const match of file.content.matchAll(/\b(src|href)\s*=\s*["']([^"']*)["']/gi)) {
+        refs.push({ attr: match[1].toLowerCase(), ref: match[2].trim() });
+      }
+    }
+    if (ext === ".css" || ext === ".html") {
+      for (const match of file.content.matchAll(/url\(\s*["']?([^"')]+)["']?\s*\)/gi)) {
+        refs.push({ attr: "url", ref: match[1].trim() });
+      }
+    }
+
+    for (const { attr, ref } of refs) {
+      if (!ref || isExternal(ref)) continue;
+
+      // In-page anchors ("#about") must point to an element of the same page
+      if (ref.startsWith("#")) {
+        const id = ref.slice(1);
+        if (id && ext === ".html" && !idsByPage.get(file.path).has(id)) {
+          problems.push(`${file.path}: link "${ref}" has no matching element with id="${id}"`);
+        }
+        continue;
+      }
+
+      const target = resolveRef(file.path, ref);
+      if (!target) continue;
+      if (target.startsWith("../")) {
+        problems.push(`${file.path}: ${attr} "${ref}" points outside the website`);
+        continue;
+      }
+      if (!assetExists(target)) {
+        problems.push(`${file.path}: ${attr} "${ref}" points to a missing file (${target})`);
+        continue;
+      }
+
+      // Links into another page ("about.html#team") must point to an existing element
+      const hash = ref.includes("#") ? ref.split("#")[1] : "";
+      if (hash && idsByPage.has(target) && !idsByPage.get(target).has(hash)) {
+        problems.push(`${file.path}: link "${ref}" has no matching element with id="${hash}" in ${target}`);
+      }
+    }
+  }
+
+  return problems.slice(0, MAX_PROBLEMS);
+}
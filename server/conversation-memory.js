@@ -0,0 +1,200 @@
+/**
+ * Conversation Memory Utility
+ *
+ * Long chats no longer go into prompts in full. The raw history stays untouched in
+ * the storage (for export), and prompts get:
+ *   - a rolling summary of older turns, kept in the project's "chat-memory" document
+ *   - the most recent turns verbatim, as many as fit the token budget
+ *
+ * Once at least MEMORY_SUMMARY_BATCH turns have left the window of the last
+ * MEMORY_RECENT_TURNS turns, they are folded into the summary by the model.
+ *
+ *   chat-memory - { summary, summarizedTurns, anchor, updatedAt } (see storage/index.js)
+ *
+ * "anchor" fingerprints the last summarized turn, so a history that was reset or replaced
+ * is detected and its stale summary dropped.
+ */
+
+// Import required dependencies
+import { createHash } from "crypto";        // Fingerprint of the last summarized turn
+import { getStorage } from "./storage/index.js"; // Chat history and memory storage
+
+// Number of most recent turns that are always kept verbatim (when they fit the budget)
+export const RECENT_TURNS = Number(process.env.MEMORY_RECENT_TURNS || 8);
+
+// Token budget for the conversation part of a prompt (summary + recent turns)
+export const PROMPT_TOKENS = Number(process.env.MEMORY_PROMPT_TOKENS || 2500);
+
+// Number of turns that have to leave the recent window before they are summarized
+const SUMMARY_BATCH = Number(process.env.MEMORY_SUMMARY_BATCH || 4);
+
+// Longest text of a single message in a prompt (characters)
+const MAX_MESSAGE_CHARS = 1500;
+
+// Length the model is asked to keep the summary under (words)
+const SUMMARY_WORDS = 250;
+
+// Projects whose summary is being updated right now
+const updating = new Set();
+
+/**
+ * Rough token estimate (about four characters per token)
+ *
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+/**
+ * Shortens a message for prompts
+ *
+ * @param {string} text - Message text
+ * @returns {string} - Text of at most MAX_MESSAGE_CHARS characters
+ */
+function clip(text) {
+  const value = String(text || "");
+  return value.length > MAX_MESSAGE_CHARS ? `${value.slice(0, MAX_MESSAGE_CHARS)}…` : value;
+}
+
+/**
+ * Formats one history entry for a prompt
+ *
+ * @param {{user: string, bot: string}} entry - History entry
+ * @returns {string} - "User: ...\nBot: ..."
+ */
+export function formatTurn(entry) {
+  return entry.bot ? `User: ${clip(entry.user)}\nBot: ${clip(entry.bot)}` : `User: ${clip(entry.user)}`;
+}
+
+/**
+ * Fingerprints a history entry
+ *
+ * @param {Object} entry - History entry
+ * @returns {string} - Short hash
+ */
+function fingerprint(entry) {
+  return createHash("sha256").update(JSON.stringify(entry || null)).digest("hex").slice(0, 16);
+}
+
+/**
+ * Reads the memory of a project, checked against its history
+ *
+ * @param {string} projectDir - Project directory
+ * @param {Array<Object>} history - Raw chat history
+ * @returns {{summary: string, summarizedTurns: number}} - Summary and how many turns it covers
+ */
+export function readMemory(projectDir, history) {
+  const memory = getStorage().readDocument(projectDir, "chat-memory");
+
+  if (
+    !memory?.summary ||
+    memory.summarizedTurns > history.length ||
+    memory.anchor !== fingerprint(history[memory.summarizedTurns - 1])
+  ) {
+    return { summary: "", summarizedTurns: 0 };
+  }
+  return { summary: memory.summary, summarizedTurns: memory.summarizedTurns };
+}
+
+/**
+ * Forgets the summary of a project (e.g. after its history was reset)
+ *
+ * @param {string} projectDir - Project directory
+ */
+export function clearMemory(projectDir) {
+  getStorage().writeDocument(projectDir, "chat-memory", null);
+}
+
+/**
+ * Builds the conversation part of a prompt within a token budget
+ * The summary comes first (using at most half the budget), followed by the newest
+ * turns that aren't summarized yet, as many as fit.
+ *
+ * @param {string} projectDir - Project directory
+ * @param {Array<Object>} history - Raw chat history
+ * @param {Object} [options]
+ * @param {number} [options.maxTokens] - Token budget
+ * @returns {string} - Text to paste into a prompt
+ */
+export function buildConversationContext(projectDir, history, { maxTokens = PROMPT_TOKENS } = {}) {
+  const { summary, summarizedTurns } = readMemory(projectDir, history);
+  const parts = [];
+  let budget = maxTokens;
+
+  if (summary) {
+    const maxSummaryChars = Math.floor(maxTokens / 2) * 4;
+    const text = summary.length > maxSummaryChars ? `${summary.slice(0, maxSummaryChars)}…` : summary;
+    parts.push(`Summary of the earlier conversation:\n${text}`);
+    budget -= estimateTokens(text);
+  }
+
+  // Newest turns first, until the budget is used up
+  const recent = [];
+  const unsummarized = history.slice(summarizedTurns);
+  for (let index = unsummarized.length - 1; index >= 0; index--) {
+    const turn = formatTurn(unsummarized[index]);
+    const cost = estimateTokens(turn);
+    if (cost > budget && recent.length > 0) break;
+    recent.unshift(turn);
+    budget -= cost;
+  }
+
+  const omitted = unsummarized.length - recent.length;
+  if (omitted > 0) parts.push(`(${omitted} earlier message(s) left out)`);
+  if (recent.length) parts.push(`${summary ? "Recent messages" : "Conversation"}:\n${recent.join("\n")}`);
+
+  return parts.join("\n\n") || "(no messages yet)";
+}
+
+/**
+ * Folds turns that left the recent window into the rolling summary
+ * Does nothing until at least MEMORY_SUMMARY_BATCH turns are waiting, and runs at most
+ * once at a time per project.
+ *
+ * @param {string} projectDir - Project directory
+ * @param {Object} options
+ * @param {Object} options.llm - LLM provider (see llm/index.js)
+ * @param {string} [options.userId] - User the tokens are accounted to
+ * @returns {Promise<boolean>} - True if the summary was updated
+ */
+export async function updateConversationMemory(projectDir, { llm, userId }) {
+  if (updating.has(projectDir)) return false;
+
+  updating.add(projectDir);
+  try {
+    const history = getStorage().readHistory(projectDir);
+    const { summary, summarizedTurns } = readMemory(projectDir, history);
+    const end = history.length - RECENT_TURNS;
+    if (end - summarizedTurns < SUMMARY_BATCH) return false;
+
+    const prompt = `You maintain the memory of a conversation between a user and a bot that builds the user's website.
+${summary ? `Summary so far:\n${summary}\n` : ""}
+New messages to add:
+${history.slice(summarizedTurns, end).map(formatTurn).join("\n")}
+
+Write the updated summary. Keep every concrete requirement, decision, name, text, colour, page, preference
+and open question. Later decisions replace earlier ones. Leave out greetings and small talk.
+Use short bullet points, at most ${SUMMARY_WORDS} words. Reply with the summary only.`;
+
+    const response = await llm.chat({
+      task: "summary",
+      userId,
+      messages: [{ role: "system", content: prompt }],
+    });
+
+    const updated = (response.content || "").trim();
+    if (!updated) return false;
+
+    getStorage().writeDocument(projectDir, "chat-memory", {
+      summary: updated,
+      summarizedTurns: end,
+      anchor: fingerprint(history[end - 1]),
+      updatedAt: new Date().toISOString(),
+    });
+    return true;
+  } finally {
+    updating.delete(projectDir);
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * Git Deploy Target
+ *
+ * This module handles deployment of published websites to a Git repository.
+ * It pushes the published snapshots to a remote repository, which triggers
+ * deployment to a hosting service like Vercel.
+ *
+ * The db folder is expected to be a Git repository. Every deployment is scoped to the
+ * published folder of a single project (drafts are never staged) and gets its own
+ * commit naming the user and the action that triggered it. Deployments are queued by
+ * deploy/index.js, so they never race each other inside the repository.
+ */
+
+// Import required dependencies
+import { execFile } from "child_process";  // For executing Git commands
+import path from "path";                   // For handling file paths
+import fs from "fs-extra";                 // Enhanced file system operations
+
+/**
+ * Error raised when a Git command fails
+ */
+export class GitCommandError extends Error {
+  constructor(command, stdout, stderr, message) {
+    super(`Error running command: ${command}\n${stderr || message}`);
+    this.name = "GitCommandError";
+    this.command = command;
+    this.stdout = stdout;
+    this.stderr = stderr;
+  }
+}
+
+/**
+ * Returns the path of a project's published website inside the db repository
+ * This is also the path under which the site is served after deployment.
+ *
+ * @param {string} userId - User identifier
+ * @param {string} projectId - Project identifier
+ * @returns {string} - Repository-relative path, e.g. "<userId>/projects/<projectId>/published"
+ */
+export function sitePathOf(userId, projectId) {
+  return path.posix.join(userId, "projects", projectId, "published");
+}
+
+/**
+ * Executes a git command in the specified directory
+ * Arguments are passed without a shell, so user ids can never be interpreted as shell syntax.
+ *
+ * @param {string[]} args - Arguments for git
+ * @param {string} cwd - Current working directory for the command
+ * @returns {Promise<Object>} - Promise resolving to command output or rejecting with GitCommandError
+ */
+function runGit(args, cwd) {
+  return new Promise((resolve, reject) => {
+    execFile("git", args, { cwd }, (error, stdout, stderr) => {
+      if (error) {
+        return reject(new GitCommandError(`git ${args.join(" ")}`, stdout.trim(), stderr.trim(), error.message));
+      }
+      resolve({ stdout: stdout.trim(), stderr: stderr.trim() });
+    });
+  });
+}
+
+/**
+ * Creates the Git deploy target
+ *
+ * @param {Object} options
+ * @param {string} options.repoDir - The db folder, a Git repository
+ * @param {string} options.baseUrl - URL the repository is served at (e.g. the Vercel deployment)
+ * @returns {Object} - Deploy target (see deploy/index.js)
+ */
+export function createGitTarget({ repoDir, baseUrl }) {
+  /**
+   * Commits and pushes the published folder of one project
+   *
+   * This function:
+   * 1. Checks if the db folder exists and is a Git repository
+   * 2. Checks the project's published folder for changes that need to be committed
+   * 3. Adds and commits only that folder, naming the user and action in the message
+   * 4. Rebases onto the remote and pushes
+   *
+   * @param {string} userId - User whose website is deployed
+   * @param {string} projectId - Project whose website is deployed
+   * @param {string} action - What triggered the deployment (e.g. "publish", "unpublish")
+   * @returns {Promise<{status: string, message: string}>} - "success" or "skipped" with details
+   * @throws {Error} - If the repository is missing or a Git command fails
+   */
+  async function deployToGit(userId, projectId, action) {
+    // Verify the db folder exists
+    if (!fs.existsSync(repoDir)) {
+      throw new Error(`db folder not found at ${repoDir}`);
+    }
+
+    // Check if the folder is a Git repository
+    const isRepo = fs.existsSync(path.join(repoDir, ".git"));
+    if (!isRepo) {
+      throw new Error("The db folder is not a git repository.");
+    }
+
+    // Only this project's published website is ever staged or committed
+    const scope = sitePathOf(userId, projectId);
+
+    // Check if there are any changes to commit
+    const status = await runGit(["status", "--porcelain", "--", scope], repoDir);
+    console.log(`📋 Git Status Output for ${scope}:\n`, status.stdout);
+
+    // If no changes detected, return early
+    if (!status.stdout) {
+      return { status: "skipped", message: "No changes detected. Nothing to commit." };
+    }
+
+    // Stage and commit the changes (including deleted files, which is how unpublishing works)
+    await runGit(["add", "--all", "--", scope], repoDir);
+    await runGit(
+      ["commit", "-m", `Deploy ${userId}/${projectId}: ${action} (${new Date().toISOString()})`, "--", scope],
+      repoDir
+    );
+
+    // Pull latest changes with rebase; drafts and other uncommitted files are stashed meanwhile
+    await runGit(["pull", "--rebase", "--autostash"], repoDir);
+
+    // Push changes to remote repository
+    const push = await runGit(["push"], repoDir);
+
+    return { status: "success", message: push.stderr || push.stdout || "Pushed." };
+  }
+
+  return {
+    name: "git",
+
+    /**
+     * Returns the public URL of a project's website
+     *
+     * @param {string} userId - User identifier
+     * @param {string} projectId - Project identifier
+     * @returns {string} - URL
+     */
+    urlOf(userId, projectId) {
+      return `${baseUrl}/${sitePathOf(userId, projectId)}/`;
+    },
+
+    /**
+     * Pushes the published snapshot (it already lives inside the repository)
+     *
+     * @param {Object} deployment - { userId, projectId, action }
+     * @returns {Promise<{status: string, message: string}>} - Outcome
+     */
+    publish({ userId, projectId, action }) {
+      return deployToGit(userId, projectId, action);
+    },
+
+    /**
+     * Pushes the removal of the published snapshot
+     *
+     * @param {Object} deployment - { userId, projectId, action }
+     * @returns {Promise<{status: string, message: string}>} - Outcome
+     */
+    unpublish({ userId, projectId, action }) {
+      return deployToGit(userId, projectId, action);
+    },
+  };
+}
@@ -0,0 +1,210 @@
+/**
+ * Deploy Target Layer
+ *
+ * Published websites (see publishing.js) reach their audience through the deploy target
+ * returned by getDeployTarget(). Drafts are never handed to a target. The target is
+ * selected by configuration:
+ *
+ *   DEPLOY_TARGET=git      Commit and push the db folder repository, e.g. for Vercel (default)
+ *   DEPLOY_TARGET=static   Copy to a local folder at STATIC_DEPLOY_DIR (served under /sites by default)
+ *   DEPLOY_TARGET=sftp     Upload to SFTP_HOST with the sftp client, or into SFTP_STUB_DIR locally
+ *
+ * All targets implement the same interface:
+ *   urlOf(userId, projectId)                                  -> public URL of the website
+ *   publish({ userId, projectId, action, siteDir, files, previousFiles })  -> { status, message }
+ *   unpublish({ userId, projectId, action, previousFiles })   -> { status, message }
+ *
+ * "files" lists the published snapshot, "previousFiles" what the target received last
+ * time (kept in the user's "deployed" document, so it outlives a deleted project).
+ *
+ * Deployments are queued and run one at a time; each one brings the target in line with
+ * whatever is published when it runs, and is tracked as a job with an id and a status.
+ */
+
+// Import required dependencies
+import path from "path";                    // For handling file paths
+import { randomUUID } from "crypto";        // Unique job identifiers
+import { createGitTarget } from "./git-target.js";       // Git repository (Vercel)
+import { createStaticTarget } from "./static-target.js"; // Local static folder
+import { createSftpTarget } from "./sftp-target.js";     // SFTP server or local stub
+import { DB_DIR, userDirOf, projectDirOf } from "../projects.js"; // User and project folders
+import { publishedDirOf, listFilesOf } from "../publishing.js"; // Published snapshots
+import { getStorage } from "../storage/index.js";                // Deployed file lists
+
+// How long a finished deployment job stays available for status requests (ms)
+const FINISHED_JOB_TTL = 60 * 60 * 1000;
+
+// Deploy target instance shared by all routes
+let target = null;
+
+// Deployment jobs by id
+const jobs = new Map();
+
+// Tail of the deployment queue; every new deployment waits for the previous one
+let queueTail = Promise.resolve();
+
+/**
+ * Creates a deploy target from configuration values
+ *
+ * @param {Object} [env] - Configuration source, defaults to process.env
+ * @returns {Object} - Deploy target
+ * @throws {Error} - If the configured target is unknown
+ */
+export function createDeployTarget(env = process.env) {
+  const targetName = (env.DEPLOY_TARGET || "git").toLowerCase();
+  const serverUrl = (env.PUBLIC_URL || `http://localhost:${env.PORT || 3001}`).replace(/\/$/, "");
+
+  switch (targetName) {
+    case "git":
+      return createGitTarget({
+        repoDir: DB_DIR,
+        baseUrl: (env.PUBLISH_BASE_URL || "https://db-bot-web-preview.vercel.app").replace(/\/$/, ""),
+      });
+
+    case "static":
+      return createStaticTarget({
+        dir: path.resolve(env.STATIC_DEPLOY_DIR || path.join(DB_DIR, "..", "sites")),
+        baseUrl: (env.STATIC_DEPLOY_BASE_URL || `${serverUrl}/sites`).replace(/\/$/, ""),
+      });
+
+    case "sftp":
+      return createSftpTarget({
+        host: env.SFTP_HOST,
+        port: Number(env.SFTP_PORT || 22),
+        user: env.SFTP_USER,
+        identityFile: env.SFTP_IDENTITY_FILE,
+        remoteDir: env.SFTP_REMOTE_DIR || "sites",
+        baseUrl: (env.SFTP_BASE_URL || "").replace(/\/$/, ""),
+        command: env.SFTP_COMMAND || "sftp",
+        stubDir: env.SFTP_STUB_DIR ? path.resolve(env.SFTP_STUB_DIR) : undefined,
+      });
+
+    default:
+      throw new Error(`Unknown DEPLOY_TARGET "${targetName}" (expected git, static or sftp)`);
+  }
+}
+
+/**
+ * Returns the configured deploy target, creating it on first use
+ *
+ * @returns {Object} - Deploy target
+ */
+export function getDeployTarget() {
+  if (!target) target = createDeployTarget();
+  return target;
+}
+
+/**
+ * Replaces the shared deploy target (used to inject a target in tests or scripts)
+ *
+ * @param {Object|null} instance - Deploy target, or null to fall back to configuration
+ */
+export function setDeployTarget(instance) {
+  target = instance;
+}
+
+/**
+ * Returns the public view of a deployment job
+ *
+ * @param {Object} job - Job record
+ * @returns {Object} - Serializable job status
+ */
+function serializeDeployment(job) {
+  const { id, userId, projectId, target, url, action, status, message, createdAt, startedAt, finishedAt } = job;
+  return { id, userId, projectId, target, url, action, status, message, createdAt, startedAt, finishedAt };
+}
+
+/**
+ * Brings the deploy target in line with a project's published snapshot
+ *
+ * @param {Object} deployTarget - Deploy target
+ * @param {string} userId - User whose website is deployed
+ * @param {string} projectId - Project whose website is deployed
+ * @param {string} action - What triggered the deployment (e.g. "publish", "unpublish")
+ * @returns {Promise<{status: string, message: string}>} - Outcome
+ */
+async function deployProject(deployTarget, userId, projectId, action) {
+  const previous = getStorage().readDocument(userDirOf(userId), "deployed")?.[projectId];
+  const previousFiles = previous?.target === deployTarget.name ? previous.files : [];
+
+  // A deleted project has no snapshot, which takes its website offline
+  const siteDir = publishedDirOf(projectDirOf(userId, projectId));
+  const files = listFilesOf(siteDir);
+  const result = files.length > 0
+    ? await deployTarget.publish({ userId, projectId, action, siteDir, files, previousFiles })
+    : await deployTarget.unpublish({ userId, projectId, action, previousFiles });
+
+  getStorage().updateDocument(userDirOf(userId), "deployed", (state) => {
+    const deployed = { ...state.value };
+    if (files.length > 0) deployed[projectId] = { target: deployTarget.name, files, deployedAt: new Date().toISOString() };
+    else delete deployed[projectId];
+    state.value = deployed;
+  });
+  return result;
+}
+
+/**
+ * Queues a deployment of one project's published website
+ * The returned job starts as "queued", becomes "running" and ends as
+ * "success", "skipped" (nothing changed) or "failed".
+ *
+ * @param {string} userId - User whose website is deployed
+ * @param {string} projectId - Project whose website is deployed
+ * @param {string} action - What triggered the deployment (e.g. "publish", "unpublish")
+ * @returns {Object} - Serialized job, including the website's public URL
+ */
+export function enqueueDeployment(userId, projectId, action) {
+  const deployTarget = getDeployTarget();
+  const job = {
+    id: randomUUID(),
+    userId,
+    projectId,
+    target: deployTarget.name,
+    url: deployTarget.urlOf(userId, projectId),
+    action,
+    status: "queued",
+    message: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+  };
+  jobs.set(job.id, job);
+
+  const run = async () => {
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+
+    try {
+      const result = await deployProject(deployTarget, userId, projectId, action);
+      job.status = result.status;
+      job.message = result.message;
+    } catch (err) {
+      // Handle and log errors
+      console.error(`❌ Deployment ${job.id} failed:\n`, err);
+      job.status = "failed";
+      job.message = err.message;
+    }
+
+    job.finishedAt = new Date().toISOString();
+    console.log(`🚀 Deployment ${job.id} (${userId}/${projectId}, ${action}, ${deployTarget.name}): ${job.status}`);
+
+    // Forget the job after a while
+    setTimeout(() => jobs.delete(job.id), FINISHED_JOB_TTL).unref();
+  };
+
+  // Chain onto the queue; run() never rejects, so one failure doesn't block the next job
+  queueTail = queueTail.then(run);
+
+  return serializeDeployment(job);
+}
+
+/**
+ * Looks up a deployment job
+ *
+ * @param {string} jobId - Job identifier
+ * @returns {Object|null} - Serialized job, or null if unknown
+ */
+export function getDeployment(jobId) {
+  const job = jobs.get(jobId);
+  return job ? serializeDeployment(job) : null;
+}
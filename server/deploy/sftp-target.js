@@ -0,0 +1,210 @@
+/**
+ * SFTP Deploy Target
+ *
+ * Uploads every published website to a remote server over SFTP, one folder per project:
+ *
+ *   <SFTP_REMOTE_DIR>/<userId>/<projectId>/index.html ...
+ *
+ * Each deployment is one batch of sftp commands (mkdir, put, rm, rmdir) run by the
+ * OpenSSH `sftp` client in batch mode, so key based authentication is required. Files of
+ * the previously deployed version that are gone from the new one are removed remotely.
+ *
+ * For local development the same batch can run against a folder instead of a server
+ * (SFTP_STUB_DIR): every command is carried out on the folder and logged, so deployments
+ * can be followed and inspected without an SFTP server.
+ */
+
+// Import required dependencies
+import { spawn } from "child_process";      // Runs the sftp client
+import path from "path";                    // For handling file paths
+import fs from "fs-extra";                  // Enhanced file system operations
+
+/**
+ * Error raised when an sftp batch fails
+ */
+export class SftpError extends Error {
+  constructor(message, output = "") {
+    super(output ? `${message}\n${output}` : message);
+    this.name = "SftpError";
+    this.output = output;
+  }
+}
+
+/**
+ * Quotes a path for an sftp batch file
+ *
+ * @param {string} value - Local or remote path
+ * @returns {string} - Quoted path
+ * @throws {SftpError} - If the path can't be quoted safely
+ */
+function quote(value) {
+  if (/["\r\n\0]/.test(value)) throw new SftpError(`Unsupported file name: ${JSON.stringify(value)}`);
+  return `"${value}"`;
+}
+
+/**
+ * Returns the folders of a file list, parents before children
+ *
+ * @param {string[]} files - Relative file paths using forward slashes
+ * @returns {string[]} - Relative folder paths
+ */
+function foldersOf(files) {
+  const folders = new Set();
+  for (const file of files) {
+    const parts = file.split("/").slice(0, -1);
+    for (let i = 1; i <= parts.length; i++) folders.add(parts.slice(0, i).join("/"));
+  }
+  return [...folders].sort((a, b) => a.split("/").length - b.split("/").length || a.localeCompare(b));
+}
+
+/**
+ * Runs a batch with the OpenSSH sftp client
+ *
+ * @param {Object} options - Connection options (see createSftpTarget)
+ * @param {string[]} commands - Batch commands; a leading "-" ignores the command's failure
+ * @returns {Promise<string>} - Client output
+ * @throws {SftpError} - If the client fails
+ */
+function runSftpClient({ command, host, port, user, identityFile }, commands) {
+  const args = ["-b", "-", "-o", "BatchMode=yes", "-P", String(port)];
+  if (identityFile) args.push("-i", identityFile);
+  args.push(user ? `${user}@${host}` : host);
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ["pipe", "pipe", "pipe"] });
+    let output = "";
+    child.stdout.on("data", (chunk) => (output += chunk));
+    child.stderr.on("data", (chunk) => (output += chunk));
+    child.on("error", (error) => reject(new SftpError(`Could not start ${command}: ${error.message}`)));
+    child.on("close", (code) =>
+      code === 0 ? resolve(output.trim()) : reject(new SftpError(`sftp exited with code ${code}`, output.trim()))
+    );
+    child.stdin.end(`${commands.join("\n")}\nbye\n`);
+  });
+}
+
+/**
+ * Runs a batch against a local folder that stands in for the server
+ *
+ * @param {string} stubDir - Folder used as the remote file system
+ * @param {string[]} commands - Batch commands (mkdir, put, rm, rmdir)
+ * @returns {Promise<string>} - Log of the commands carried out
+ * @throws {SftpError} - If a command without a leading "-" fails
+ */
+async function runStub(stubDir, commands) {
+  const root = path.resolve(stubDir);
+  const remote = (remotePath) => {
+    const resolved = path.resolve(root, `.${path.posix.resolve("/", remotePath)}`);
+    if (resolved !== root && !resolved.startsWith(root + path.sep)) throw new SftpError(`Path outside the stub: ${remotePath}`);
+    return resolved;
+  };
+
+  await fs.ensureDir(root);
+
+  const log = [];
+  for (const line of commands) {
+    const ignoreErrors = line.startsWith("-");
+    const [name] = line.replace(/^-/, "").split(" ");
+    const args = [...line.matchAll(/"([^"]*)"/g)].map((match) => match[1]);
+
+    try {
+      if (name === "mkdir") await fs.ensureDir(remote(args[0])); // Parents too, the stub starts out empty
+      else if (name === "put") await fs.copy(args[0], remote(args[1]));
+      else if (name === "rm") await fs.unlink(remote(args[0]));
+      else if (name === "rmdir") await fs.rmdir(remote(args[0]));
+      else throw new SftpError(`Unsupported command: ${name}`);
+      log.push(`sftp> ${line}`);
+    } catch (error) {
+      if (!ignoreErrors) throw new SftpError(`sftp> ${line} failed: ${error.message}`, log.join("\n"));
+      log.push(`sftp> ${line} (ignored: ${error.code || error.message})`);
+    }
+  }
+  return log.join("\n");
+}
+
+/**
+ * Creates the SFTP deploy target
+ *
+ * @param {Object} options
+ * @param {string} [options.host] - Server name (required unless stubDir is set)
+ * @param {number} [options.port] - SSH port
+ * @param {string} [options.user] - Login name
+ * @param {string} [options.identityFile] - Private key file
+ * @param {string} options.remoteDir - Folder on the server the websites go to
+ * @param {string} options.baseUrl - URL remoteDir is served at
+ * @param {string} [options.command] - sftp client binary
+ * @param {string} [options.stubDir] - Local folder to use instead of a server
+ * @returns {Object} - Deploy target (see deploy/index.js)
+ * @throws {Error} - If neither a host nor a stub folder is configured
+ */
+export function createSftpTarget({ host, port = 22, user, identityFile, remoteDir, baseUrl, command = "sftp", stubDir }) {
+  if (!host && !stubDir) throw new Error("DEPLOY_TARGET=sftp needs SFTP_HOST (or SFTP_STUB_DIR for local development)");
+
+  const run = (commands) => (stubDir ? runStub(stubDir, commands) : runSftpClient({ command, host, port, user, identityFile }, commands));
+  const remoteSiteDir = (userId, projectId) => path.posix.join(remoteDir, userId, projectId);
+
+  return {
+    name: stubDir ? "sftp (stub)" : "sftp",
+
+    /**
+     * Returns the public URL of a project's website
+     *
+     * @param {string} userId - User identifier
+     * @param {string} projectId - Project identifier
+     * @returns {string|null} - URL, or null if the server's address isn't configured
+     */
+    urlOf(userId, projectId) {
+      return baseUrl ? `${baseUrl}/${userId}/${projectId}/` : null;
+    },
+
+    /**
+     * Uploads the published snapshot and removes files the previous version had on its own
+     *
+     * @param {Object} deployment - { userId, projectId, siteDir, files, previousFiles }
+     * @returns {Promise<{status: string, message: string}>} - Outcome
+     */
+    async publish({ userId, projectId, siteDir, files, previousFiles = [] }) {
+      const target = remoteSiteDir(userId, projectId);
+      const removed = previousFiles.filter((file) => !files.includes(file));
+      const keptFolders = new Set(foldersOf(files));
+
+      const commands = [
+        `-mkdir ${quote(remoteDir)}`,
+        `-mkdir ${quote(path.posix.join(remoteDir, userId))}`,
+        `-mkdir ${quote(target)}`,
+        ...foldersOf(files).map((folder) => `-mkdir ${quote(`${target}/${folder}`)}`),
+        ...files.map((file) => `put ${quote(path.join(siteDir, file))} ${quote(`${target}/${file}`)}`),
+        ...removed.map((file) => `-rm ${quote(`${target}/${file}`)}`),
+        ...foldersOf(removed)
+          .filter((folder) => !keptFolders.has(folder))
+          .reverse()
+          .map((folder) => `-rmdir ${quote(`${target}/${folder}`)}`),
+      ];
+
+      const output = await run(commands);
+      if (output) console.log(`📤 SFTP publish of ${userId}/${projectId}:\n${output}`);
+      return { status: "success", message: `Uploaded ${files.length} file(s), removed ${removed.length}` };
+    },
+
+    /**
+     * Removes the files of the deployed version from the server
+     *
+     * @param {Object} deployment - { userId, projectId, previousFiles }
+     * @returns {Promise<{status: string, message: string}>} - Outcome
+     */
+    async unpublish({ userId, projectId, previousFiles = [] }) {
+      if (previousFiles.length === 0) return { status: "skipped", message: "Nothing to remove." };
+
+      const target = remoteSiteDir(userId, projectId);
+      const commands = [
+        ...previousFiles.map((file) => `-rm ${quote(`${target}/${file}`)}`),
+        ...foldersOf(previousFiles).reverse().map((folder) => `-rmdir ${quote(`${target}/${folder}`)}`),
+        `-rmdir ${quote(target)}`,
+      ];
+
+      const output = await run(commands);
+      if (output) console.log(`📤 SFTP unpublish of ${userId}/${projectId}:\n${output}`);
+      return { status: "success", message: `Removed ${previousFiles.length} file(s)` };
+    },
+  };
+}
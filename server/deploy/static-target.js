@@ -0,0 +1,77 @@
+/**
+ * Static Directory Deploy Target
+ *
+ * Copies every published website into a local folder, one subfolder per project:
+ *
+ *   <dir>/<userId>/<projectId>/index.html ...
+ *
+ * The folder can be served by any web server (nginx, Caddy, a CDN sync job ...). Without
+ * a base URL of its own, the server serves it under /sites (see index.js). A new version
+ * is copied next to the live one and swapped in, so visitors never see half a site.
+ */
+
+// Import required dependencies
+import path from "path";                    // For handling file paths
+import fs from "fs-extra";                  // Enhanced file system operations
+
+/**
+ * Creates the static directory deploy target
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Folder the websites are copied to
+ * @param {string} options.baseUrl - URL the folder is served at
+ * @returns {Object} - Deploy target (see deploy/index.js)
+ */
+export function createStaticTarget({ dir, baseUrl }) {
+  const siteDirOf = (userId, projectId) => path.join(dir, userId, projectId);
+
+  return {
+    name: "static",
+    dir,
+
+    /**
+     * Returns the public URL of a project's website
+     *
+     * @param {string} userId - User identifier
+     * @param {string} projectId - Project identifier
+     * @returns {string} - URL
+     */
+    urlOf(userId, projectId) {
+      return `${baseUrl}/${userId}/${projectId}/`;
+    },
+
+    /**
+     * Replaces the copy of a project's website with the published snapshot
+     *
+     * @param {Object} deployment - { userId, projectId, siteDir, files }
+     * @returns {Promise<{status: string, message: string}>} - Outcome
+     */
+    async publish({ userId, projectId, siteDir, files }) {
+      const targetDir = siteDirOf(userId, projectId);
+      const stagingDir = `${targetDir}.${process.pid}.tmp`;
+
+      await fs.remove(stagingDir);
+      await fs.copy(siteDir, stagingDir);
+      await fs.remove(targetDir);
+      await fs.move(stagingDir, targetDir);
+
+      return { status: "success", message: `Copied ${files.length} file(s) to ${targetDir}` };
+    },
+
+    /**
+     * Removes the copy of a project's website
+     *
+     * @param {Object} deployment - { userId, projectId }
+     * @returns {Promise<{status: string, message: string}>} - Outcome
+     */
+    async unpublish({ userId, projectId }) {
+      const targetDir = siteDirOf(userId, projectId);
+      if (!(await fs.pathExists(targetDir))) {
+        return { status: "skipped", message: "Nothing to remove." };
+      }
+
+      await fs.remove(targetDir);
+      return { status: "success", message: `Removed ${targetDir}` };
+    },
+  };
+}
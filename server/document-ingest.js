@@ -0,0 +1,242 @@
+/**
+ * Document Ingestion Utility
+ *
+ * This module reads documents clients already have (a menu, a CV, a brochure, a company
+ * profile) so their content can be turned into a website profile:
+ *   - PDF:      text of every page and embedded images
+ *   - DOCX:     text and embedded images
+ *   - Markdown / plain text: the text itself
+ *
+ * The extracted material is kept as a pending import inside the project until the user
+ * confirms it:
+ *
+ *   pending-document/document                  - { name, type, summary, profileUpdates, images: [...] }
+ *                                                (a document of the project, see storage/index.js)
+ *   <project>/pending-document/images/<n>.png  - extracted images, processed into uploads/ on confirm
+ */
+
+// Import required dependencies
+import path from "path";                    // For handling file paths
+import fs from "fs-extra";                  // Enhanced file system operations
+import sharp from "sharp";                  // Encoding extracted images
+import mammoth from "mammoth";              // DOCX text and image extraction
+import { getDocumentProxy, extractText, extractImages } from "unpdf"; // PDF text and image extraction
+import { getStorage } from "./storage/index.js"; // Pending import storage
+
+// Maximum size of an uploaded document (bytes), configurable with MAX_DOCUMENT_MB
+export const MAX_DOCUMENT_SIZE = Number(process.env.MAX_DOCUMENT_MB || 15) * 1024 * 1024;
+
+// Maximum number of characters of document text sent to the model
+export const MAX_DOCUMENT_TEXT = 20000;
+
+// Maximum number of images taken from one document
+const MAX_DOCUMENT_IMAGES = 10;
+
+// Images smaller than this (px, either side) are icons or decoration and are skipped
+const MIN_IMAGE_SIZE = 80;
+
+// Supported document types, by extension
+const TEXT_EXTENSIONS = [".md", ".markdown", ".txt"];
+
+// Storage document of a pending import
+const PENDING_DOCUMENT = "pending-document/document";
+
+/**
+ * Error raised for documents that cannot be read, with the HTTP status to report
+ */
+export class DocumentError extends Error {
+  constructor(message, status = 415) {
+    super(message);
+    this.name = "DocumentError";
+    this.status = status;
+  }
+}
+
+/**
+ * Detects the type of a document from its contents (and extension for text files)
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - File name sent by the client
+ * @returns {"pdf"|"docx"|"markdown"|"text"|null} - Document type, or null if unsupported
+ */
+export function detectDocumentType(buffer, fileName) {
+  const ext = path.extname(fileName || "").toLowerCase();
+
+  if (buffer.toString("ascii", 0, 5) === "%PDF-") return "pdf";
+  // DOCX files are ZIP archives containing word/document.xml
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b && buffer.includes("word/")) return "docx";
+  if (TEXT_EXTENSIONS.includes(ext) && !buffer.subarray(0, 8000).includes(0)) {
+    return ext === ".txt" ? "text" : "markdown";
+  }
+  return null;
+}
+
+/**
+ * Extracts text and images from a PDF
+ *
+ * @param {Buffer} buffer - PDF contents
+ * @returns {Promise<{text: string, images: Buffer[]}>} - Text of all pages and PNG images
+ */
+async function extractPdf(buffer) {
+  const pdf = await getDocumentProxy(new Uint8Array(buffer));
+  const { text } = await extractText(pdf, { mergePages: true });
+
+  const images = [];
+  for (let page = 1; page <= pdf.numPages && images.length < MAX_DOCUMENT_IMAGES; page++) {
+    let pageImages = [];
+    try {
+      pageImages = await extractImages(pdf, page);
+    } catch (err) {
+      console.warn(`⚠️ Could not extract images of PDF page ${page}:`, err.message);
+    }
+
+    for (const image of pageImages) {
+      if (image.width < MIN_IMAGE_SIZE || image.height < MIN_IMAGE_SIZE) continue;
+      const png = await sharp(Buffer.from(image.data), {
+        raw: { width: image.width, height: image.height, channels: image.channels },
+      })
+        .png()
+        .toBuffer();
+      images.push(png);
+      if (images.length >= MAX_DOCUMENT_IMAGES) break;
+    }
+  }
+
+  return { text, images };
+}
+
+/**
+ * Extracts text and images from a DOCX document
+ *
+ * @param {Buffer} buffer - DOCX contents
+ * @returns {Promise<{text: string, images: Buffer[]}>} - Text and PNG images
+ */
+async function extractDocx(buffer) {
+  const { value: text } = await mammoth.extractRawText({ buffer });
+
+  const rawImages = [];
+  await mammoth.convertToHtml(
+    { buffer },
+    {
+      convertImage: mammoth.images.imgElement(async (image) => {
+        if (rawImages.length < MAX_DOCUMENT_IMAGES) rawImages.push(await image.read());
+        return { src: "" };
+      }),
+    }
+  );
+
+  const images = [];
+  for (const raw of rawImages) {
+    try {
+      const image = sharp(raw);
+      const { width, height } = await image.metadata();
+      if (width < MIN_IMAGE_SIZE || height < MIN_IMAGE_SIZE) continue;
+      images.push(await image.png().toBuffer());
+    } catch {
+      // Formats sharp can't read (e.g. EMF/WMF drawings) are skipped
+    }
+  }
+
+  return { text, images };
+}
+
+/**
+ * Extracts the text and images of a document
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - File name sent by the client
+ * @returns {Promise<{type: string, text: string, truncated: boolean, images: Buffer[]}>} - Extracted material
+ * @throws {DocumentError} - If the file is too large, unsupported, unreadable or empty
+ */
+export async function extractDocument(buffer, fileName) {
+  if (buffer.length > MAX_DOCUMENT_SIZE) {
+    throw new DocumentError(`${fileName} is too large (limit ${Math.round(MAX_DOCUMENT_SIZE / 1024 / 1024)} MB)`, 413);
+  }
+
+  const type = detectDocumentType(buffer, fileName);
+  if (!type) {
+    throw new DocumentError(`${fileName} is not a PDF, DOCX, Markdown or text file`);
+  }
+
+  let extracted;
+  try {
+    if (type === "pdf") extracted = await extractPdf(buffer);
+    else if (type === "docx") extracted = await extractDocx(buffer);
+    else extracted = { text: buffer.toString("utf-8"), images: [] };
+  } catch (err) {
+    throw new DocumentError(`${fileName} could not be read (${err.message})`, 422);
+  }
+
+  const text = extracted.text.replace(/\r\n/g, "\n").replace(/[ \t]+\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+  if (!text && extracted.images.length === 0) {
+    throw new DocumentError(`${fileName} contains no text or images I can use (scanned documents are not supported)`, 422);
+  }
+
+  return {
+    type,
+    text: text.slice(0, MAX_DOCUMENT_TEXT),
+    truncated: text.length > MAX_DOCUMENT_TEXT,
+    images: extracted.images,
+  };
+}
+
+/**
+ * Returns the folder of the pending document import of a project
+ *
+ * @param {string} projectDir - Project directory
+ * @returns {string} - Path to <project>/pending-document
+ */
+function pendingDir(projectDir) {
+  return path.join(projectDir, "pending-document");
+}
+
+/**
+ * Stores a document import until the user confirms or discards it
+ * A new import replaces a pending one.
+ *
+ * @param {string} projectDir - Project directory
+ * @param {Object} pending - { name, type, summary, profileUpdates, warnings }
+ * @param {Buffer[]} images - Extracted PNG images
+ * @returns {Object} - The stored import, with image paths
+ */
+export function savePendingDocument(projectDir, pending, images) {
+  const dir = pendingDir(projectDir);
+  clearPendingDocument(projectDir);
+  fs.ensureDirSync(path.join(dir, "images"));
+
+  const imageFiles = images.map((image, index) => {
+    const fileName = `${index + 1}.png`;
+    fs.writeFileSync(path.join(dir, "images", fileName), image);
+    return fileName;
+  });
+
+  const stored = { ...pending, images: imageFiles, createdAt: new Date().toISOString() };
+  getStorage().writeDocument(projectDir, PENDING_DOCUMENT, stored);
+  return stored;
+}
+
+/**
+ * Reads the pending document import of a project
+ *
+ * @param {string} projectDir - Project directory
+ * @returns {Object|null} - Stored import with absolute image paths, or null if there is none
+ */
+export function getPendingDocument(projectDir) {
+  const pending = getStorage().readDocument(projectDir, PENDING_DOCUMENT);
+  if (!pending) return null;
+
+  return {
+    ...pending,
+    imagePaths: pending.images.map((fileName) => path.join(pendingDir(projectDir), "images", fileName)),
+  };
+}
+
+/**
+ * Removes the pending document import of a project
+ *
+ * @param {string} projectDir - Project directory
+ */
+export function clearPendingDocument(projectDir) {
+  getStorage().writeDocument(projectDir, PENDING_DOCUMENT, null);
+  fs.removeSync(pendingDir(projectDir));
+}
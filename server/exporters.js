@@ -0,0 +1,603 @@
+/**
+ * Website Export Utility
+ *
+ * This module turns a user's webSite folder into downloadable bundles for /code:
+ *   zip     - the webSite folder as-is
+ *   vite    - a Vite project scaffold (package.json, vite.config.js, pages + public/)
+ *   static  - a GitHub Pages / Netlify ready bundle with minified assets, 404.html and _redirects
+ *   single  - one self-contained HTML file with inlined CSS, JS, images and data files
+ *
+ * Every export except the raw zip comes with a README explaining how to use it.
+ * Exports are returned as a list of { path, content } entries that the caller archives.
+ */
+
+// Import required dependencies
+import path from "path";                           // For handling file paths
+import fs from "fs-extra";                         // Enhanced file system operations
+import { minify as minifyHtml } from "html-minifier-terser"; // HTML minification
+import { minify as minifyJs } from "terser";       // JavaScript minification
+import CleanCSS from "clean-css";                  // CSS minification
+import { ALLOWED_EXTENSIONS } from "./site-files.js"; // Text file types of a project
+
+// Available export formats
+export const EXPORT_FORMATS = {
+  zip: { label: "ZIP", description: "The website files as they are" },
+  vite: { label: "Vite project", description: "Vite scaffold with package.json, ready for npm run dev" },
+  static: { label: "GitHub Pages / Netlify", description: "Minified bundle with 404.html and _redirects" },
+  single: { label: "Single HTML file", description: "One self-contained HTML file with everything inlined" },
+};
+
+// MIME types used for data URIs in the single file export
+const MIME_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".mp3": "audio/mpeg",
+  ".json": "application/json",
+  ".css": "text/css",
+  ".js": "text/javascript",
+};
+
+/**
+ * Error raised for unknown export formats or websites that cannot be exported
+ */
+export class ExportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ExportError";
+    this.status = status;
+  }
+}
+
+/**
+ * Reads every file of a website directory, uploads included
+ *
+ * @param {string} websiteDir - Website directory
+ * @returns {Map<string, Buffer>} - Relative path (forward slashes) -> file contents
+ */
+function readAllFiles(websiteDir) {
+  const files = new Map();
+
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.name.startsWith(".")) continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else {
+        files.set(path.relative(websiteDir, fullPath).split(path.sep).join("/"), fs.readFileSync(fullPath));
+      }
+    }
+  };
+
+  if (fs.existsSync(websiteDir)) walk(websiteDir);
+  return files;
+}
+
+/**
+ * Checks whether a file is a text file of the project
+ *
+ * @param {string} filePath - Relative file path
+ * @returns {boolean} - True for HTML, CSS, JS, JSON and the other generated file types
+ */
+function isText(filePath) {
+  return ALLOWED_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Resolves a reference found in a file to a path inside the website
+ *
+ * @param {string} fromFile - File containing the reference
+ * @param {string} ref - Value of src/href/url()
+ * @returns {{target: string, suffix: string}|null} - Website path plus "?query#hash", or null for external refs
+ */
+function resolveLocalRef(fromFile, ref) {
+  if (!ref || ref.startsWith("#") || /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(ref) || ref.includes("${")) {
+    return null;
+  }
+
+  const cut = ref.search(/[?#]/);
+  const clean = cut === -1 ? ref : ref.slice(0, cut);
+  const suffix = cut === -1 ? "" : ref.slice(cut);
+  let decoded = clean;
+  try {
+    decoded = decodeURI(clean);
+  } catch {
+    // Keep malformed escapes as they are
+  }
+  if (!decoded) return null;
+
+  const target = decoded.startsWith("/")
+    ? path.posix.normalize(decoded.slice(1))
+    : path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), decoded));
+  if (target.startsWith("..")) return null;
+
+  return { target, suffix };
+}
+
+/**
+ * Replaces src/href attribute values of an HTML document
+ *
+ * @param {string} html - HTML source
+ * @param {Function} replacer - Called with (value, attribute), returns the new value or undefined to keep it
+ * @returns {string} - Updated HTML
+ */
+function rewriteAttributes(html, replacer) {
+  return html.replace(/\b(src|href)(\s*=\s*)(["'])([^"']*)\3/gi, (match, attr, eq, quote, value) => {
+    const next = replacer(value.trim(), attr.toLowerCase());
+    return next === undefined ? match : `${attr}${eq}${quote}${next}${quote}`;
+  });
+}
+
+/**
+ * Turns a project name into a package/file name
+ *
+ * @param {string} name - Project name
+ * @returns {string} - Lowercase slug
+ */
+function slugify(name) {
+  return (name || "website").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "website";
+}
+
+/**
+ * Builds the Vite project export
+ * HTML pages stay at the project root and become Vite entry points; every other file goes
+ * into public/ so classic scripts, data files and uploads are copied to dist/ unchanged.
+ * References from the pages to those files are made root-absolute, as Vite requires for public/.
+ *
+ * @param {Map<string, Buffer>} files - Website files
+ * @param {string} name - Project name
+ * @returns {Array<{path: string, content: string|Buffer}>} - Export entries
+ */
+function buildViteExport(files, name) {
+  const entries = [];
+  const pages = [...files.keys()].filter((filePath) => filePath.endsWith(".html"));
+
+  for (const [filePath, content] of files) {
+    if (!filePath.endsWith(".html")) {
+      entries.push({ path: `public/${filePath}`, content });
+      continue;
+    }
+
+    const html = rewriteAttributes(content.toString("utf-8"), (value) => {
+      const ref = resolveLocalRef(filePath, value);
+      if (!ref || ref.target.endsWith(".html") || !files.has(ref.target)) return undefined;
+      return `/${ref.target}${ref.suffix}`;
+    });
+    entries.push({ path: filePath, content: html });
+  }
+
+  const slug = slugify(name);
+  const packageJson = {
+    name: slug,
+    private: true,
+    version: "1.0.0",
+    type: "module",
+    scripts: { dev: "vite", build: "vite build", preview: "vite preview" },
+    devDependencies: { vite: "^5.4.0" },
+  };
+  entries.push({ path: "package.json", content: `${JSON.stringify(packageJson, null, 2)}\n` });
+
+  const inputs = pages
+    .map((page) => `        ${JSON.stringify(page.replace(/\.html$/, "").replace(/\//g, "-"))}: fileURLToPath(new URL(${JSON.stringify(`./${page}`)}, import.meta.url)),`)
+    .join("\n");
+  entries.push({
+    path: "vite.config.js",
+    content: `import { fileURLToPath } from "url";
+import { defineConfig } from "vite";
+
+// Every HTML page of the site is an entry point of the build
+export default defineConfig({
+  build: {
+    rollupOptions: {
+      input: {
+${inputs}
+      },
+    },
+  },
+});
+`,
+  });
+  entries.push({ path: ".gitignore", content: "node_modules\ndist\n" });
+
+  entries.push({
+    path: "README.md",
+    content: `# ${name}
+
+Vite project exported from DevBeaver Bot.
+
+## Getting started
+
+\`\`\`bash
+npm install
+npm run dev       # development server with hot reload
+npm run build     # production build in dist/
+npm run preview   # serve the production build locally
+\`\`\`
+
+## Layout
+
+- \`*.html\` – the pages of the site, each one an entry point in \`vite.config.js\`
+- \`public/\` – stylesheets, scripts, data files and images, copied to \`dist/\` as they are
+
+Pages reference files in \`public/\` with root-absolute paths (\`/css/styles.css\`).
+Add new pages to \`build.rollupOptions.input\` in \`vite.config.js\`.
+`,
+  });
+
+  return entries;
+}
+
+/**
+ * Minifies one text file of the static export, keeping the original if it can't be minified
+ *
+ * @param {string} filePath - Relative file path
+ * @param {string} content - File contents
+ * @returns {Promise<string>} - Minified contents
+ */
+async function minifyFile(filePath, content) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  try {
+    if (ext === ".html") {
+      return await minifyHtml(content, {
+        collapseWhitespace: true,
+        conservativeCollapse: true,
+        removeComments: true,
+        minifyCSS: true,
+        minifyJS: true,
+      });
+    }
+    if (ext === ".css") {
+      const result = new CleanCSS({ level: 1, rebase: false }).minify(content);
+      return result.errors.length ? content : result.styles;
+    }
+    if (ext === ".js") {
+      const result = await minifyJs(content);
+      return result.code ?? content;
+    }
+    if (ext === ".json" || ext === ".webmanifest") {
+      return JSON.stringify(JSON.parse(content));
+    }
+  } catch (err) {
+    console.warn(`⚠️ Could not minify ${filePath}, exporting it unminified:`, err.message);
+  }
+  return content;
+}
+
+/**
+ * Builds the GitHub Pages / Netlify export
+ * Text files are minified; a 404 page, Netlify redirects for extension-less URLs and a
+ * .nojekyll marker for GitHub Pages are added.
+ *
+ * @param {Map<string, Buffer>} files - Website files
+ * @param {string} name - Project name
+ * @returns {Promise<Array<{path: string, content: string|Buffer}>>} - Export entries
+ */
+async function buildStaticExport(files, name) {
+  const entries = [];
+
+  for (const [filePath, content] of files) {
+    entries.push({
+      path: filePath,
+      content: isText(filePath) ? await minifyFile(filePath, content.toString("utf-8")) : content,
+    });
+  }
+
+  if (!files.has("404.html")) {
+    const notFound = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Page not found – ${name}</title>
+  <style>body{font-family:system-ui,sans-serif;text-align:center;padding:4rem 1rem}a{color:inherit}</style>
+</head>
+<body>
+  <h1>Page not found</h1>
+  <p>The page you are looking for doesn't exist.</p>
+  <p><a href="/">Back to the home page</a></p>
+</body>
+</html>`;
+    entries.push({ path: "404.html", content: await minifyFile("404.html", notFound) });
+  }
+
+  // Netlify: serve "/about" from "/about.html" and everything unknown from the 404 page
+  const redirects = [...files.keys()]
+    .filter((filePath) => filePath.endsWith(".html") && !filePath.endsWith("index.html") && filePath !== "404.html")
+    .map((filePath) => `/${filePath.replace(/\.html$/, "")}  /${filePath}  200`);
+  redirects.push("/*  /404.html  404");
+  entries.push({ path: "_redirects", content: `${redirects.join("\n")}\n` });
+
+  // GitHub Pages: don't run Jekyll, so every file is published as it is
+  entries.push({ path: ".nojekyll", content: "" });
+
+  entries.push({
+    path: "README.md",
+    content: `# ${name}
+
+Static website exported from DevBeaver Bot, with minified HTML, CSS and JS.
+
+## Netlify
+
+Drag this folder onto https://app.netlify.com/drop, or connect a repository containing it.
+\`_redirects\` serves pages without the \`.html\` extension and shows \`404.html\` for unknown URLs.
+
+## GitHub Pages
+
+1. Push the contents of this folder to a repository (root or \`docs/\` folder).
+2. In *Settings → Pages*, choose the branch and folder to publish.
+
+\`.nojekyll\` makes GitHub publish every file as it is, and \`404.html\` is used for unknown URLs.
+`,
+  });
+
+  return entries;
+}
+
+/**
+ * Builds a data URI for a website file
+ *
+ * @param {string} filePath - Relative file path
+ * @param {Buffer} content - File contents
+ * @returns {string} - data: URI
+ */
+function toDataUri(filePath, content) {
+  const mime = MIME_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream";
+  return `data:${mime};base64,${content.toString("base64")}`;
+}
+
+/**
+ * Replaces url() references of a stylesheet with data URIs
+ *
+ * @param {string} css - CSS source
+ * @param {string} fromFile - File the CSS belongs to (for relative references)
+ * @param {Map<string, Buffer>} files - Website files
+ * @returns {string} - CSS with inlined assets
+ */
+function inlineCssUrls(css, fromFile, files) {
+  return css.replace(/url\(\s*(["']?)([^"')]+)\1\s*\)/gi, (match, quote, value) => {
+    const ref = resolveLocalRef(fromFile, value.trim());
+    if (!ref || !files.has(ref.target)) return match;
+    return `url("${toDataUri(ref.target, files.get(ref.target))}")`;
+  });
+}
+
+/**
+ * Keeps inlined code from closing the <script> element it is put in
+ *
+ * @param {string} code - JavaScript or JSON source
+ * @returns {string} - Code safe to put inside <script>
+ */
+function escapeScript(code) {
+  return code.replace(/<\/script/gi, "<\\/script");
+}
+
+/**
+ * Returns the id a page gets in the single file export, used in its "#/<id>" links
+ *
+ * @param {string} filePath - Relative path of the page
+ * @returns {string} - Page id, e.g. "about" or "blog-post"
+ */
+function pageIdOf(filePath) {
+  return filePath.replace(/\.html$/, "").replace(/[^\w-]+/g, "-");
+}
+
+/**
+ * Inlines the stylesheets, scripts and assets of one page and points its page links at "#/<id>"
+ * Stylesheets and scripts already inlined by another page are dropped, so they load and run once.
+ *
+ * @param {string} html - HTML of the page
+ * @param {string} page - Relative path of the page
+ * @param {Map<string, Buffer>} files - Website files
+ * @param {Set<string>} inlined - Stylesheets and scripts inlined so far (updated)
+ * @returns {string} - HTML with everything inlined
+ */
+function inlinePage(html, page, files, inlined) {
+  const once = (target, content) => {
+    if (inlined.has(target)) return "";
+    inlined.add(target);
+    return content();
+  };
+
+  // Stylesheets
+  html = html.replace(/<link\b[^>]*>/gi, (tag) => {
+    if (!/\brel\s*=\s*["']?stylesheet/i.test(tag)) return tag;
+    const href = tag.match(/\bhref\s*=\s*["']([^"']+)["']/i)?.[1];
+    const ref = href && resolveLocalRef(page, href);
+    if (!ref || !files.has(ref.target)) return tag;
+    return once(ref.target, () => `<style>\n${inlineCssUrls(files.get(ref.target).toString("utf-8"), ref.target, files)}\n</style>`);
+  });
+
+  // Scripts
+  html = html.replace(/<script\b([^>]*)\bsrc\s*=\s*["']([^"']+)["']([^>]*)>\s*<\/script>/gi, (tag, before, src, after) => {
+    const ref = resolveLocalRef(page, src);
+    if (!ref || !files.has(ref.target)) return tag;
+    const attributes = `${before}${after}`.replace(/\s+(?:defer|async)\b/gi, "").trimEnd();
+    return once(ref.target, () => `<script${attributes}>\n${escapeScript(files.get(ref.target).toString("utf-8"))}\n</script>`);
+  });
+
+  // Inline styles, links to other pages and remaining src/href references to images, icons and other assets
+  html = html.replace(/<style\b([^>]*)>([\s\S]*?)<\/style>/gi, (tag, attributes, css) =>
+    `<style${attributes}>${inlineCssUrls(css, page, files)}</style>`
+  );
+  html = html.replace(/\bstyle\s*=\s*"([^"]*)"/gi, (match, css) => `style="${inlineCssUrls(css, page, files).replace(/"/g, "'")}"`);
+  return rewriteAttributes(html, (value, attribute) => {
+    const ref = resolveLocalRef(page, value);
+    if (!ref || !files.has(ref.target)) return undefined;
+    if (attribute === "href" && ref.target.endsWith(".html")) return `#/${pageIdOf(ref.target)}`;
+    if (isText(ref.target) && !ref.target.endsWith(".svg")) return undefined;
+    return toDataUri(ref.target, files.get(ref.target));
+  });
+}
+
+/**
+ * Splits an HTML document around the content of its <body>
+ *
+ * @param {string} html - HTML document
+ * @returns {{before: string, body: string, after: string}} - Everything up to and including <body>, its content, the rest
+ */
+function splitBody(html) {
+  const match = html.match(/(<body\b[^>]*>)([\s\S]*?)(<\/body>)/i);
+  if (match) {
+    return {
+      before: html.slice(0, match.index) + match[1],
+      body: match[2],
+      after: match[3] + html.slice(match.index + match[0].length),
+    };
+  }
+
+  const headEnd = html.search(/<\/head>/i);
+  const bodyStart = headEnd === -1 ? 0 : headEnd + "</head>".length;
+  return { before: html.slice(0, bodyStart), body: html.slice(bodyStart), after: "" };
+}
+
+// Shows the page named by "#/<id>" (or holding the element of a "#<id>" anchor) in the single file export
+const PAGE_ROUTER = `<script>
+  (function () {
+    var pages = document.querySelectorAll("[data-page]");
+    function show() {
+      var hash = decodeURIComponent(location.hash.slice(1));
+      var target = null;
+      if (!hash || hash === "/") target = pages[0];
+      else if (hash.charAt(0) === "/") target = document.querySelector('[data-page="' + hash.slice(1).replace(/[^\\w-]/g, "") + '"]');
+      else if (document.getElementById(hash)) target = document.getElementById(hash).closest("[data-page]");
+      if (!target) return;
+      for (var i = 0; i < pages.length; i++) pages[i].hidden = pages[i] !== target;
+      if (target.getAttribute("data-title")) document.title = target.getAttribute("data-title");
+      if (hash.charAt(0) === "/") window.scrollTo(0, 0);
+    }
+    window.addEventListener("hashchange", show);
+    show();
+  })();
+</script>`;
+
+/**
+ * Builds the single file export
+ * Stylesheets, scripts, images and fonts are inlined. JSON data files are embedded too
+ * and served to fetch() from memory, so the page also works from file://.
+ * Every other page becomes a hidden part of the file, shown by "#/<id>" links that replace
+ * the links between the pages; scripts are moved behind all pages so they see every one.
+ *
+ * @param {Map<string, Buffer>} files - Website files
+ * @param {string} name - Project name
+ * @returns {Array<{path: string, content: string}>} - Export entries
+ * @throws {ExportError} - If the website has no index.html
+ */
+function buildSingleFileExport(files, name) {
+  if (!files.has("index.html")) {
+    throw new ExportError("The website has no index.html to export", 404);
+  }
+
+  const page = "index.html";
+  const inlined = new Set();
+  let html = inlinePage(files.get(page).toString("utf-8"), page, files, inlined);
+
+  const otherPages = [...files.keys()]
+    .filter((filePath) => filePath.endsWith(".html") && filePath !== page && filePath !== "404.html")
+    .sort();
+
+  if (otherPages.length > 0) {
+    const titleOf = (source) => source.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i)?.[1].trim().replace(/"/g, "&quot;") || "";
+    const scriptPattern = /<script\b[^>]*>[\s\S]*?<\/script>/gi;
+
+    const { before, body, after } = splitBody(html);
+    const sections = [`<div data-page="${pageIdOf(page)}" data-title="${titleOf(html)}">\n${body.replace(scriptPattern, "")}\n</div>`];
+    const scripts = body.match(scriptPattern) || [];
+    const headExtras = [];
+
+    for (const other of otherPages) {
+      const otherHtml = inlinePage(files.get(other).toString("utf-8"), other, files, inlined);
+      const split = splitBody(otherHtml);
+      const head = split.before.match(/<head\b[^>]*>([\s\S]*?)<\/head>/i)?.[1] || "";
+
+      headExtras.push(...(head.match(/<style\b[^>]*>[\s\S]*?<\/style>/gi) || []), ...(head.match(scriptPattern) || []));
+      sections.push(`<div data-page="${pageIdOf(other)}" data-title="${titleOf(otherHtml)}" hidden>\n${split.body.replace(scriptPattern, "")}\n</div>`);
+      scripts.push(...(split.body.match(scriptPattern) || []));
+    }
+
+    // Page wrappers don't take part in the layout
+    headExtras.push("<style>[data-page]{display:contents}[data-page][hidden]{display:none}</style>");
+
+    const head = before.replace(/<\/head>/i, (end) => `${headExtras.join("\n")}\n${end}`);
+    html = `${head}\n${sections.join("\n")}\n${PAGE_ROUTER}\n${scripts.join("\n")}\n${after}`;
+  }
+
+  // Data files, answered from memory when the page fetches them
+  const dataFiles = Object.fromEntries(
+    [...files].filter(([filePath]) => filePath.endsWith(".json")).map(([filePath, content]) => [filePath, content.toString("utf-8")])
+  );
+  if (Object.keys(dataFiles).length > 0) {
+    const shim = `<script>
+  (function () {
+    var files = ${escapeScript(JSON.stringify(dataFiles))};
+    var realFetch = window.fetch;
+    window.fetch = function (input, init) {
+      var url = typeof input === "string" ? input : input.url;
+      var key = url.replace(/^\\.?\\//, "").split(/[?#]/)[0];
+      if (Object.prototype.hasOwnProperty.call(files, key)) {
+        return Promise.resolve(new Response(files[key], { headers: { "Content-Type": "application/json" } }));
+      }
+      return realFetch.apply(this, arguments);
+    };
+  })();
+</script>`;
+    html = /<head\b[^>]*>/i.test(html) ? html.replace(/<head\b[^>]*>/i, (head) => `${head}\n${shim}`) : shim + html;
+  }
+
+  const pagesNote = otherPages.length
+    ? `\nThe other pages of the site (${otherPages.map((other) => `\`${other}\``).join(", ")}) are part of the file too:
+links between the pages open them as \`#/<page>\`, e.g. \`index.html#/${pageIdOf(otherPages[0])}\`.\n`
+    : "";
+
+  return [
+    { path: page, content: html },
+    {
+      path: "README.md",
+      content: `# ${name}
+
+Single file export from DevBeaver Bot.
+
+\`index.html\` contains the whole website: stylesheets, scripts and images are inlined
+(images as base64 data URIs) and JSON data files are embedded. Open it directly in a browser,
+send it by email or upload it anywhere – no other files are needed.
+${pagesNote}`,
+    },
+  ];
+}
+
+/**
+ * Builds an export of a website
+ *
+ * @param {string} websiteDir - Website directory
+ * @param {string} format - One of the EXPORT_FORMATS keys
+ * @param {Object} [options]
+ * @param {string} [options.name] - Project name, used in READMEs and package.json
+ * @returns {Promise<Array<{path: string, content: string|Buffer}>>} - Files of the export
+ * @throws {ExportError} - If the format is unknown or the website is empty
+ */
+export async function buildExport(websiteDir, format, { name = "Website" } = {}) {
+  if (!EXPORT_FORMATS[format]) {
+    throw new ExportError(`Unknown export format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`);
+  }
+
+  const files = readAllFiles(websiteDir);
+  if (files.size === 0) {
+    throw new ExportError("The website has no files yet", 404);
+  }
+
+  if (format === "vite") return buildViteExport(files, name);
+  if (format === "static") return buildStaticExport(files, name);
+  if (format === "single") return buildSingleFileExport(files, name);
+  return [...files].map(([filePath, content]) => ({ path: filePath, content }));
+}
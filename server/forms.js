@@ -0,0 +1,248 @@
+/**
+ * Contact Forms Utility
+ *
+ * Gives the contact forms of generated websites somewhere to go. Every project gets an
+ * unguessable form id, and its pages post their forms to the server:
+ *
+ *   POST /forms/<formId>   (URL encoded, multipart or JSON fields)
+ *
+ *   forms (a document of the data folder, see storage/index.js) - { <formId>: { userId, projectId } }
+ *   db/<userId>/projects/<projectId>/submissions.jsonl    - one submission per line, oldest first
+ *
+ * Spam protection: forms carry a hidden honeypot field (HONEYPOT_FIELD) that people leave
+ * empty and bots fill in; such submissions are accepted silently and dropped. The route
+ * also limits submissions per visitor and per form (see index.js). Fields whose names
+ * start with "_" are form settings and never stored.
+ */
+
+// Import required dependencies
+import path from "path";                    // For handling file paths
+import fs from "fs-extra";                  // Enhanced file system operations
+import { randomBytes } from "crypto";       // Unguessable form and submission ids
+import { DB_DIR, projectDirOf } from "./projects.js"; // Project folders
+import { getStorage } from "./storage/index.js"; // Form id storage
+
+// Name of the hidden field that only bots fill in
+export const HONEYPOT_FIELD = "_gotcha";
+
+// Limits of one submission
+export const MAX_FIELDS = 20;
+export const MAX_FIELD_NAME_LENGTH = 60;
+export const MAX_FIELD_LENGTH = 5000;
+
+// Most submissions kept per project; the oldest are dropped beyond this
+const MAX_SUBMISSIONS = 1000;
+
+/**
+ * Error raised for unknown forms and unusable submissions, carrying the HTTP status to report
+ */
+export class FormError extends Error {
+  constructor(message, status = 400, code = "invalid_submission") {
+    super(message);
+    this.name = "FormError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Reads the form id lookup
+ *
+ * @returns {Object} - formId -> { userId, projectId }
+ */
+function readForms() {
+  return getStorage().readDocument(DB_DIR, "forms") || {};
+}
+
+/**
+ * Returns the form id of a project, creating it on first use
+ *
+ * @param {string} userId - User identifier
+ * @param {string} projectId - Project identifier
+ * @returns {string} - Form id
+ */
+export function formIdOf(userId, projectId) {
+  return getStorage().updateDocument(DB_DIR, "forms", (state) => {
+    const forms = state.value || {};
+    const existing = Object.keys(forms).find((id) => forms[id].userId === userId && forms[id].projectId === projectId);
+    if (existing) return existing;
+
+    const formId = randomBytes(12).toString("base64url");
+    state.value = { ...forms, [formId]: { userId, projectId, createdAt: new Date().toISOString() } };
+    return formId;
+  });
+}
+
+/**
+ * Finds the project a form belongs to
+ *
+ * @param {string} formId - Form id from the URL
+ * @returns {{userId: string, projectId: string, projectDir: string}} - Owner and project
+ * @throws {FormError} - If the form is unknown or its project was deleted
+ */
+export function resolveForm(formId) {
+  const forms = readForms();
+  const form = Object.hasOwn(forms, formId) ? forms[formId] : null;
+  const projectDir = form ? projectDirOf(form.userId, form.projectId) : null;
+
+  if (!projectDir || !fs.existsSync(projectDir)) {
+    throw new FormError("This form is not connected to a website", 404, "form_not_found");
+  }
+  return { userId: form.userId, projectId: form.projectId, projectDir };
+}
+
+/**
+ * Cleans the fields of a submitted form
+ *
+ * @param {Object} body - Parsed request body
+ * @returns {{fields: Object, spam: boolean}} - Trimmed fields, and whether the honeypot was filled in
+ * @throws {FormError} - If the form is empty or too large
+ */
+export function cleanSubmission(body) {
+  const entries = Object.entries(body && typeof body === "object" ? body : {});
+  const honeypot = entries.find(([name]) => name === HONEYPOT_FIELD)?.[1];
+
+  const fields = {};
+  for (const [name, value] of entries) {
+    if (name.startsWith("_")) continue;
+
+    const cleanedName = name.replace(/\s+/g, " ").trim().slice(0, MAX_FIELD_NAME_LENGTH);
+    const text = (Array.isArray(value) ? value.join(", ") : String(value ?? "")).trim();
+    if (!cleanedName || !text) continue;
+
+    if (text.length > MAX_FIELD_LENGTH) {
+      throw new FormError(`"${cleanedName}" is too long (max ${MAX_FIELD_LENGTH} characters)`);
+    }
+    fields[cleanedName] = text;
+  }
+
+  if (Object.keys(fields).length === 0) throw new FormError("Please fill in the form before sending it");
+  if (Object.keys(fields).length > MAX_FIELDS) throw new FormError(`Too many fields (max ${MAX_FIELDS})`);
+
+  return { fields, spam: Boolean(String(honeypot ?? "").trim()) };
+}
+
+/**
+ * Returns the submissions file of a project
+ *
+ * @param {string} projectDir - Project directory
+ * @returns {string} - Path to submissions.jsonl
+ */
+function submissionsFileOf(projectDir) {
+  return path.join(projectDir, "submissions.jsonl");
+}
+
+/**
+ * Reads all submissions of a project
+ *
+ * @param {string} projectDir - Project directory
+ * @returns {Array<Object>} - Submissions, oldest first
+ */
+function readSubmissions(projectDir) {
+  const file = submissionsFileOf(projectDir);
+  if (!fs.existsSync(file)) return [];
+
+  return fs
+    .readFileSync(file, "utf-8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+/**
+ * Stores a submission
+ *
+ * @param {string} projectDir - Project directory
+ * @param {Object} fields - Cleaned fields (see cleanSubmission)
+ * @param {Object} [meta]
+ * @param {string} [meta.page] - Page the form was sent from
+ * @returns {Object} - The stored submission { id, createdAt, page, fields }
+ */
+export function saveSubmission(projectDir, fields, { page = null } = {}) {
+  const file = submissionsFileOf(projectDir);
+  const submission = {
+    id: randomBytes(6).toString("hex"),
+    createdAt: new Date().toISOString(),
+    page: page ? String(page).slice(0, 500) : null,
+    fields,
+  };
+
+  fs.appendFileSync(file, `${JSON.stringify(submission)}\n`);
+
+  // Keep the file bounded
+  const submissions = readSubmissions(projectDir);
+  if (submissions.length > MAX_SUBMISSIONS) {
+    const kept = submissions.slice(-MAX_SUBMISSIONS).map((entry) => JSON.stringify(entry)).join("\n");
+    fs.writeFileSync(file, `${kept}\n`);
+  }
+  return submission;
+}
+
+/**
+ * Lists the submissions of a project, newest first
+ *
+ * @param {string} projectDir - Project directory
+ * @param {Object} [options]
+ * @param {number} [options.offset] - Number of newer submissions to skip
+ * @param {number} [options.limit] - Page size (all when omitted)
+ * @returns {{total: number, submissions: Array<Object>}} - Total count and the requested page
+ */
+export function listSubmissions(projectDir, { offset = 0, limit } = {}) {
+  const submissions = readSubmissions(projectDir).reverse();
+  return {
+    total: submissions.length,
+    submissions: submissions.slice(offset, limit === undefined ? undefined : offset + limit),
+  };
+}
+
+/**
+ * Quotes one CSV cell
+ * Cells that spreadsheets would run as formulas are prefixed with an apostrophe.
+ *
+ * @param {*} value - Cell value
+ * @returns {string} - CSV cell
+ */
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds a CSV file of submissions with one column per field name
+ *
+ * @param {Array<Object>} submissions - Submissions (see listSubmissions)
+ * @returns {string} - CSV text
+ */
+export function submissionsToCsv(submissions) {
+  const fieldNames = [...new Set(submissions.flatMap((submission) => Object.keys(submission.fields)))];
+  const rows = [
+    ["id", "createdAt", "page", ...fieldNames],
+    ...submissions.map((submission) => [
+      submission.id,
+      submission.createdAt,
+      submission.page,
+      ...fieldNames.map((name) => submission.fields[name]),
+    ]),
+  ];
+  return `${rows.map((row) => row.map(csvCell).join(",")).join("\r\n")}\r\n`;
+}
+
+/**
+ * Builds the Telegram message announcing a submission to the site owner
+ *
+ * @param {string} projectName - Name of the website
+ * @param {Object} submission - Stored submission
+ * @returns {string} - Plain message text
+ */
+export function describeSubmission(projectName, submission) {
+  const lines = Object.entries(submission.fields).map(([name, value]) => `${name}: ${value}`);
+  return [
+    `📬 New message from your website "${projectName}"`,
+    "",
+    ...lines,
+    "",
+    ...(submission.page ? [`📄 Sent from ${submission.page}`] : []),
+    "Use /submissions to see all messages or export them.",
+  ].join("\n");
+}
@@ -0,0 +1,203 @@
+/**
+ * Generation Jobs Utility
+ *
+ * This module keeps track of running website generations so their progress can be
+ * reported while the model is still streaming. Each user has at most one running
+ * job, which belongs to the project it generates. Jobs live in memory only; finished
+ * jobs are forgotten after a while.
+ *
+ * A job moves through phases such as "analysing", "html", "css", "js", "validating",
+ * "repairing" and "saving" with an approximate percentage, and ends with the status
+ * "done", "failed" or "cancelled".
+ */
+
+// Import required dependencies
+import { randomUUID } from "crypto";   // Unique job identifiers
+
+// How long a finished job stays available for status requests (ms)
+const FINISHED_JOB_TTL = 10 * 60 * 1000;
+
+// Human readable labels for every phase
+export const PHASE_LABELS = {
+  queued: "Queued",
+  analysing: "Analysing your profile",
+  html: "Writing HTML",
+  css: "Writing CSS",
+  js: "Writing JS",
+  data: "Writing data files",
+  validating: "Checking the code",
+  repairing: "Fixing problems in the code",
+  saving: "Saving files",
+  done: "Done",
+  failed: "Failed",
+  cancelled: "Cancelled",
+};
+
+// Latest job of every user, keyed by userId
+const jobsByUser = new Map();
+
+/**
+ * Returns the public view of a job (without internal fields)
+ *
+ * @param {Object} job - Job record
+ * @returns {Object} - Serializable job status
+ */
+export function serializeJob(job) {
+  return {
+    id: job.id,
+    userId: job.userId,
+    projectId: job.projectId,
+    status: job.status,
+    phase: job.phase,
+    phaseLabel: PHASE_LABELS[job.phase] || job.phase,
+    percent: job.percent,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    result: job.result,
+    error: job.error,
+  };
+}
+
+/**
+ * Notifies every subscriber about the current state of a job
+ *
+ * @param {Object} job - Job record
+ */
+function notify(job) {
+  const status = serializeJob(job);
+  for (const listener of job.listeners) {
+    listener(status);
+  }
+}
+
+/**
+ * Returns the latest job of a user
+ *
+ * @param {string} userId - User identifier
+ * @returns {Object|undefined} - Job record, if the user started one
+ */
+export function getJob(userId) {
+  return jobsByUser.get(userId);
+}
+
+/**
+ * Checks whether a user already has a generation in progress
+ *
+ * @param {string} userId - User identifier
+ * @returns {boolean} - True if a job is running
+ */
+export function isRunning(userId) {
+  return getJob(userId)?.status === "running";
+}
+
+/**
+ * Checks whether a generation is in progress for one project of a user
+ *
+ * @param {string} userId - User identifier
+ * @param {string} projectId - Project identifier
+ * @returns {boolean} - True if the user's running job generates this project
+ */
+export function isGenerating(userId, projectId) {
+  return isRunning(userId) && getJob(userId).projectId === projectId;
+}
+
+/**
+ * Creates a new running job for a user
+ *
+ * @param {string} userId - User identifier
+ * @param {string} projectId - Project the job generates
+ * @returns {Object} - Job record with an AbortController used for cancellation
+ * @throws {Error} - If the user already has a running job
+ */
+export function createJob(userId, projectId) {
+  if (isRunning(userId)) {
+    throw new Error("A generation is already running for this user");
+  }
+
+  const job = {
+    id: randomUUID(),
+    userId,
+    projectId,
+    status: "running",
+    phase: "queued",
+    percent: 0,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    result: null,
+    error: null,
+    controller: new AbortController(),
+    listeners: new Set(),
+  };
+
+  jobsByUser.set(userId, job);
+  return job;
+}
+
+/**
+ * Updates the phase and percentage of a running job
+ * The percentage never goes backwards.
+ *
+ * @param {Object} job - Job record
+ * @param {string} phase - New phase
+ * @param {number} percent - Approximate completion (0-100)
+ */
+export function updateJob(job, phase, percent) {
+  if (job.status !== "running") return;
+  if (job.phase === phase && percent <= job.percent) return;
+
+  job.phase = phase;
+  job.percent = Math.max(job.percent, Math.min(100, Math.round(percent)));
+  notify(job);
+}
+
+/**
+ * Marks a job as finished and schedules it for removal
+ *
+ * @param {Object} job - Job record
+ * @param {"done"|"failed"|"cancelled"} status - Final status
+ * @param {Object} [details] - { result } for done jobs or { error } for failed ones
+ */
+export function finishJob(job, status, { result = null, error = null } = {}) {
+  if (job.status !== "running") return;
+
+  job.status = status;
+  job.phase = status;
+  job.percent = status === "done" ? 100 : job.percent;
+  job.finishedAt = new Date().toISOString();
+  job.result = result;
+  job.error = error;
+  notify(job);
+  job.listeners.clear();
+
+  // Forget the job after a while unless a newer one replaced it
+  setTimeout(() => {
+    if (jobsByUser.get(job.userId) === job) jobsByUser.delete(job.userId);
+  }, FINISHED_JOB_TTL).unref();
+}
+
+/**
+ * Cancels the running job of a user
+ *
+ * @param {string} userId - User identifier
+ * @returns {Object|null} - The cancelled job, or null if nothing was running
+ */
+export function cancelJob(userId) {
+  const job = getJob(userId);
+  if (!job || job.status !== "running") return null;
+
+  job.controller.abort();
+  finishJob(job, "cancelled", { error: "Cancelled by user" });
+  return job;
+}
+
+/**
+ * Subscribes to progress updates of a job
+ *
+ * @param {Object} job - Job record
+ * @param {Function} listener - Called with the serialized job on every change
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribe(job, listener) {
+  job.listeners.add(listener);
+  return () => job.listeners.delete(listener);
+}
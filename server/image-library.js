@@ -0,0 +1,179 @@
+/**
+ * Image Library Utility
+ *
+ * This module manages the uploaded images of a project, stored in the profile's
+ * "images" array. Every image can be given a role that tells the generator exactly
+ * where it belongs (logo, hero background, gallery, team member, product, favicon).
+ * The order of the array is the order images appear in (e.g. in a gallery).
+ *
+ * Functions here change a profile object in place; callers take care of locking and
+ * writing user-data.json.
+ */
+
+// Import required dependencies
+import path from "path";                // For handling file paths
+import fs from "fs-extra";              // Enhanced file system operations
+import { randomBytes } from "crypto";   // Short image identifiers
+import sharp from "sharp";              // Favicon rendering
+
+// Roles an image can have, with the label shown to users
+export const IMAGE_ROLES = {
+  logo: "Logo",
+  hero: "Hero background",
+  gallery: "Gallery",
+  team: "Team member",
+  product: "Product",
+  favicon: "Favicon",
+};
+
+// Roles that only one image of a project can have at a time
+const EXCLUSIVE_ROLES = ["logo", "hero", "favicon"];
+
+// Size of the generated favicon (px)
+const FAVICON_SIZE = 64;
+
+/**
+ * Error raised for invalid image operations, with the HTTP status to report
+ */
+export class ImageLibraryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ImageLibraryError";
+    this.status = status;
+  }
+}
+
+/**
+ * Creates a short identifier for an image
+ *
+ * @returns {string} - 8 hex characters
+ */
+export function newImageId() {
+  return randomBytes(4).toString("hex");
+}
+
+/**
+ * Gives every image of a profile an id (images uploaded before ids existed have none)
+ *
+ * @param {Object} profile - Profile to update
+ * @returns {Array<Object>} - The profile's images
+ */
+export function ensureImageIds(profile) {
+  if (!Array.isArray(profile.images)) profile.images = [];
+  for (const image of profile.images) {
+    if (!image.id) image.id = newImageId();
+  }
+  return profile.images;
+}
+
+/**
+ * Finds an image by id
+ *
+ * @param {Object} profile - Profile
+ * @param {string} imageId - Image identifier
+ * @returns {Object} - Image entry
+ * @throws {ImageLibraryError} - If there is no such image
+ */
+export function findImage(profile, imageId) {
+  const image = ensureImageIds(profile).find((entry) => entry.id === imageId);
+  if (!image) throw new ImageLibraryError(`Image "${imageId}" not found`, 404);
+  return image;
+}
+
+/**
+ * Assigns a role to an image, or clears it
+ * Exclusive roles (logo, hero, favicon) are taken away from the image that had them before.
+ * Tagging an image as favicon renders a small square PNG of it.
+ *
+ * @param {Object} profile - Profile to update
+ * @param {string} imageId - Image identifier
+ * @param {string|null} role - One of IMAGE_ROLES, or null to remove the role
+ * @param {string} uploadsDir - Website uploads directory
+ * @returns {Promise<Object>} - The updated image
+ * @throws {ImageLibraryError} - If the image or role is unknown
+ */
+export async function setImageRole(profile, imageId, role, uploadsDir) {
+  if (role !== null && !IMAGE_ROLES[role]) {
+    throw new ImageLibraryError(`Unknown role "${role}". Use one of: ${Object.keys(IMAGE_ROLES).join(", ")}`);
+  }
+
+  const image = findImage(profile, imageId);
+
+  if (EXCLUSIVE_ROLES.includes(role)) {
+    for (const other of profile.images) {
+      if (other !== image && other.role === role) other.role = null;
+    }
+  }
+
+  if (role === "favicon" && !image.favicon) {
+    const baseName = path.basename(image.filename, path.extname(image.filename));
+    const faviconName = `${baseName}-favicon.png`;
+    await sharp(path.join(uploadsDir, image.filename))
+      .resize(FAVICON_SIZE, FAVICON_SIZE, { fit: "contain", background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .png()
+      .toFile(path.join(uploadsDir, faviconName));
+    image.favicon = `uploads/${faviconName}`;
+  }
+
+  image.role = role;
+  return image;
+}
+
+/**
+ * Moves an image to another position in the list
+ *
+ * @param {Object} profile - Profile to update
+ * @param {string} imageId - Image identifier
+ * @param {number} position - New 1-based position (clamped to the list)
+ * @returns {Array<Object>} - The reordered images
+ */
+export function moveImage(profile, imageId, position) {
+  const image = findImage(profile, imageId);
+  const images = profile.images.filter((entry) => entry !== image);
+  const index = Math.min(Math.max(Math.round(Number(position) || 1) - 1, 0), images.length);
+
+  images.splice(index, 0, image);
+  profile.images = images;
+  return images;
+}
+
+/**
+ * Removes an image from the profile and moves its files out of uploads/
+ * The original, its responsive and WebP variants and its favicon are all moved to the
+ * project's deleted uploads folder, so restoring an earlier revision can bring them back.
+ *
+ * @param {Object} profile - Profile to update
+ * @param {string} imageId - Image identifier
+ * @param {string} uploadsDir - Website uploads directory
+ * @param {string} deletedDir - Folder the files are moved to (see revisions.js)
+ * @returns {Object} - The removed image entry
+ */
+export function deleteImage(profile, imageId, uploadsDir, deletedDir) {
+  const image = findImage(profile, imageId);
+  profile.images = profile.images.filter((entry) => entry !== image);
+
+  const urls = [image.url, image.favicon, ...(image.variants || []).map((variant) => variant.url)].filter(Boolean);
+  for (const url of urls) {
+    const name = url.replace(/^uploads\//, "");
+    const source = path.resolve(uploadsDir, name);
+    if (source.startsWith(path.resolve(uploadsDir) + path.sep) && fs.existsSync(source)) {
+      fs.moveSync(source, path.join(deletedDir, name), { overwrite: true });
+    }
+  }
+
+  return image;
+}
+
+/**
+ * Returns the smallest stored version of an image, for thumbnails
+ *
+ * @param {Object} image - Image entry
+ * @param {string} uploadsDir - Website uploads directory
+ * @returns {string} - Path of the file on disk
+ */
+export function thumbnailPath(image, uploadsDir) {
+  const smallest = (image.variants || [])
+    .filter((variant) => variant.format !== "webp")
+    .sort((a, b) => a.width - b.width)[0];
+  return path.join(uploadsDir, (smallest?.url || image.url).replace(/^uploads\//, ""));
+}
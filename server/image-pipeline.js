@@ -0,0 +1,191 @@
+/**
+ * Image Processing Pipeline
+ *
+ * This module prepares uploaded images before they become part of a website:
+ *   - the real file type is checked by its magic bytes, and size and pixel limits are enforced
+ *   - images are auto-rotated and re-encoded without EXIF/GPS or other metadata
+ *   - resized responsive variants and WebP versions are written next to the original
+ *   - dimensions and srcset strings are returned for the profile's "images" entries
+ *
+ * The vision model gets a downscaled copy instead of the full-size upload.
+ */
+
+// Import required dependencies
+import path from "path";              // For handling file paths
+import fs from "fs-extra";            // Enhanced file system operations
+import sharp from "sharp";            // Image decoding, resizing and encoding
+
+// Maximum size of one uploaded image (bytes), configurable with MAX_UPLOAD_MB
+export const MAX_UPLOAD_SIZE = Number(process.env.MAX_UPLOAD_MB || 10) * 1024 * 1024;
+
+// Maximum number of pixels of an uploaded image, protects against decompression bombs
+const MAX_PIXELS = 40 * 1000 * 1000;
+
+// Widths of the responsive variants; only widths smaller than the original are produced
+export const VARIANT_WIDTHS = [480, 960, 1600];
+
+// Longest side of the copy sent to the vision model
+const VISION_MAX_SIZE = 768;
+
+/**
+ * Error raised for uploads that are not acceptable images, with the HTTP status to report
+ */
+export class ImageError extends Error {
+  constructor(message, status = 415) {
+    super(message);
+    this.name = "ImageError";
+    this.status = status;
+  }
+}
+
+/**
+ * Detects the image type from the first bytes of a file
+ * The file name and the type claimed by the client are never trusted.
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {{format: string, ext: string, mime: string}|null} - Detected type, or null if it's not a supported image
+ */
+export function detectImageType(buffer) {
+  if (buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return { format: "jpeg", ext: ".jpg", mime: "image/jpeg" };
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return { format: "png", ext: ".png", mime: "image/png" };
+  }
+  if (["GIF87a", "GIF89a"].includes(buffer.toString("ascii", 0, 6))) {
+    return { format: "gif", ext: ".gif", mime: "image/gif" };
+  }
+  if (buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") {
+    return { format: "webp", ext: ".webp", mime: "image/webp" };
+  }
+  return null;
+}
+
+/**
+ * Builds a safe base file name for an upload
+ *
+ * @param {string} originalName - File name sent by the client
+ * @returns {string} - "<timestamp>-<slug>" without extension
+ */
+function baseNameFor(originalName) {
+  const slug = path
+    .basename(originalName || "image", path.extname(originalName || ""))
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+  return `${Date.now()}-${slug || "image"}`;
+}
+
+/**
+ * Encodes an image pipeline in the given format
+ *
+ * @param {sharp.Sharp} image - Sharp pipeline
+ * @param {string} format - "jpeg", "png", "webp" or "gif"
+ * @returns {sharp.Sharp} - Pipeline with output options
+ */
+function encode(image, format) {
+  if (format === "jpeg") return image.jpeg({ quality: 82, mozjpeg: true });
+  if (format === "png") return image.png({ compressionLevel: 9 });
+  if (format === "gif") return image.gif();
+  return image.webp({ quality: 80 });
+}
+
+/**
+ * Validates, cleans and optimises one uploaded image
+ *
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {string} originalName - File name sent by the client
+ * @param {string} uploadsDir - Website uploads directory to write into
+ * @returns {Promise<Object>} - { filename, url, mime, width, height, size, variants, srcset, webpSrcset }
+ * @throws {ImageError} - If the file is too large, not a supported image or can't be decoded
+ */
+export async function processImage(buffer, originalName, uploadsDir) {
+  if (buffer.length > MAX_UPLOAD_SIZE) {
+    throw new ImageError(`${originalName} is too large (limit ${Math.round(MAX_UPLOAD_SIZE / 1024 / 1024)} MB)`, 413);
+  }
+
+  const type = detectImageType(buffer);
+  if (!type) {
+    throw new ImageError(`${originalName} is not a JPEG, PNG, GIF or WebP image`);
+  }
+
+  const animated = type.format === "gif" || type.format === "webp";
+  const load = () => sharp(buffer, { limitInputPixels: MAX_PIXELS, animated });
+
+  let metadata;
+  try {
+    metadata = await load().metadata();
+  } catch (err) {
+    throw new ImageError(`${originalName} could not be read as an image (${err.message})`);
+  }
+
+  // Animated images keep their frames and are not resized
+  const isAnimation = (metadata.pages || 1) > 1;
+  const baseName = baseNameFor(originalName);
+  fs.ensureDirSync(uploadsDir);
+
+  // Re-encode the original: applies EXIF orientation, then drops all metadata (EXIF, GPS, ICC comments...)
+  const filename = `${baseName}${type.ext}`;
+  const original = await encode(load().rotate(), type.format).toFile(path.join(uploadsDir, filename));
+  const width = original.width;
+  const height = isAnimation ? metadata.pageHeight || original.height : original.height;
+
+  const variants = [];
+  const addVariant = async (variantWidth, format, ext) => {
+    const variantName = variantWidth === width ? `${baseName}${ext}` : `${baseName}-${variantWidth}${ext}`;
+    const pipeline = load().rotate();
+    if (variantWidth !== width) pipeline.resize({ width: variantWidth });
+    const info = await encode(pipeline, format).toFile(path.join(uploadsDir, variantName));
+    variants.push({ url: `uploads/${variantName}`, width: info.width, height: isAnimation ? height : info.height, format });
+  };
+
+  if (!isAnimation) {
+    for (const variantWidth of VARIANT_WIDTHS.filter((w) => w < width)) {
+      await addVariant(variantWidth, type.format, type.ext);
+    }
+  }
+
+  // WebP versions of every size (the original is already WebP for .webp uploads)
+  if (type.format !== "webp") {
+    const webpWidths = isAnimation ? [width] : [...VARIANT_WIDTHS.filter((w) => w < width), width];
+    for (const variantWidth of webpWidths) {
+      await addVariant(variantWidth, "webp", ".webp");
+    }
+  }
+
+  const srcsetOf = (format) =>
+    [...variants.filter((v) => v.format === format), ...(format === type.format ? [{ url: `uploads/${filename}`, width }] : [])]
+      .sort((a, b) => a.width - b.width)
+      .map((v) => `${v.url} ${v.width}w`)
+      .join(", ");
+
+  return {
+    filename,
+    url: `uploads/${filename}`,
+    mime: type.mime,
+    width,
+    height,
+    size: original.size,
+    variants,
+    srcset: srcsetOf(type.format),
+    webpSrcset: srcsetOf("webp"),
+  };
+}
+
+/**
+ * Returns a downscaled JPEG copy of an image as a data URL for the vision model
+ *
+ * @param {string} filePath - Processed image on disk
+ * @returns {Promise<string>} - data:image/jpeg;base64,... URL
+ */
+export async function visionDataUrl(filePath) {
+  const buffer = await sharp(filePath)
+    .resize({ width: VISION_MAX_SIZE, height: VISION_MAX_SIZE, fit: "inside", withoutEnlargement: true })
+    .flatten({ background: "#ffffff" })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+  return `data:image/jpeg;base64,${buffer.toString("base64")}`;
+}
@@ -9,14 +9,167 @@ import express from "express";              // Web server framework
 import dotenv from "dotenv";                // Environment variable management
 import fs from "fs-extra";                  // Enhanced file system operations
 import path from "path";                    // Path manipulation utilities
-import OpenAI from "openai";                // OpenAI API client
-import bodyParser from "body-parser";       // Request body parsing middleware
+import { getProvider, parseJsonReply } from "./llm/index.js"; // Configurable LLM provider (OpenAI, local or mock)
 import multer from "multer";                // File upload handling middleware
 import cors from "cors";                    // Cross-Origin Resource Sharing middleware
 import { fileURLToPath } from "url";        // Convert file URLs to paths (for ESM)
-import lockfile from "proper-lockfile";     // File locking to prevent race conditions
-import { deployToGit } from "./deploy-git.js"; // Custom Git deployment utility
+import { getDeployTarget, enqueueDeployment, getDeployment } from "./deploy/index.js"; // Queued deployments to git, static or SFTP targets
 import archiver from "archiver";            // ZIP file creation utility
+import {
+  listRevisions,
+  recordRevision,
+  ensureInitialRevision,
+  restoreRevision,
+  undoRevision,
+  diffRevisions,
+  deletedUploadsDirOf,
+} from "./revisions.js";                       // Revision history of website files
+import {
+  ALLOWED_EXTENSIONS,
+  MAX_FILES,
+  SiteFilesError,
+  validateDeletedFiles,
+  validateFileMap,
+  listSiteFiles,
+  readSiteFiles,
+  formatFilesForPrompt,
+  writeSiteFiles,
+  writeEmptySite,
+} from "./site-files.js";                     // Multi-file website project helpers
+import { applyEdits, EditError } from "./code-edits.js"; // Targeted search/replace edits
+import { validateProject } from "./code-validation.js"; // HTML/JS/CSS, asset and navigation checks
+import {
+  createJob,
+  getJob,
+  isGenerating,
+  updateJob,
+  finishJob,
+  cancelJob,
+  subscribe,
+  serializeJob,
+} from "./generation-jobs.js";              // Progress tracking for running generations
+import {
+  createDefaultProfile,
+  normalizeProfile,
+  validateProfilePatch,
+  mergeProfile,
+  recordProfileChanges,
+  profileForPrompt,
+} from "./profile-schema.js";               // User profile schema and patch merging
+import {
+  createPreviewToken,
+  createPreviewHandler,
+  notifyPreviewReload,
+} from "./preview.js";                         // Self-hosted, token protected previews
+import {
+  ProjectError,
+  listProjects,
+  getActiveProject,
+  activeProjectDir,
+  projectDirOf,
+  createProject,
+  switchProject,
+  renameProject,
+  deleteProject,
+} from "./projects.js";                        // Several websites per user
+import {
+  TemplateError,
+  listTemplates,
+  templateWebsiteDir,
+  applyTemplate,
+} from "./templates.js";                       // Starter template gallery
+import { EXPORT_FORMATS, ExportError, buildExport } from "./exporters.js"; // Vite, static and single file exports
+import {
+  MAX_UPLOAD_SIZE,
+  ImageError,
+  processImage,
+  visionDataUrl,
+} from "./image-pipeline.js";                  // Upload validation, metadata stripping and resizing
+import {
+  IMAGE_ROLES,
+  ImageLibraryError,
+  newImageId,
+  ensureImageIds,
+  findImage,
+  setImageRole,
+  moveImage,
+  deleteImage,
+  thumbnailPath,
+} from "./image-library.js";                   // Image roles, order and deletion
+import {
+  MAX_DOCUMENT_SIZE,
+  DocumentError,
+  extractDocument,
+  savePendingDocument,
+  getPendingDocument,
+  clearPendingDocument,
+} from "./document-ingest.js";                 // PDF, DOCX and Markdown content import
+import { getTranscriber } from "./stt/index.js";  // Configurable speech-to-text backend
+import {
+  AuthError,
+  assertValidUserId,
+  requireSignedRequest,
+  validateUserIdFields,
+} from "./auth.js";                            // Signed requests and user id validation
+import {
+  RATE_LIMIT_PER_MINUTE,
+  RATE_LIMIT_AI_PER_MINUTE,
+  UsageError,
+  withUsageTracking,
+  getUsage,
+  requireQuota,
+  rateLimit,
+} from "./usage.js";                           // Token accounting, daily quotas and rate limits
+import {
+  buildConversationContext,
+  updateConversationMemory,
+  readMemory,
+  clearMemory,
+} from "./conversation-memory.js";             // Rolling summary and token-budgeted chat history
+import {
+  WIZARD_STEPS,
+  WizardError,
+  readWizard,
+  startWizard,
+  clearWizard,
+  moveWizard,
+  toggleWizardOption,
+  answerWizardStep,
+  describeWizardStep,
+  summarizeWizard,
+} from "./wizard.js";                          // Guided questionnaire that fills the profile
+import { getStorage, StorageError } from "./storage/index.js"; // File or SQLite storage of profiles and chat histories
+import {
+  HONEYPOT_FIELD,
+  MAX_FIELDS,
+  FormError,
+  formIdOf,
+  resolveForm,
+  cleanSubmission,
+  saveSubmission,
+  listSubmissions,
+  submissionsToCsv,
+  describeSubmission,
+} from "./forms.js";                           // Contact form submissions of generated websites
+import { sendTelegramMessage } from "./telegram-notify.js"; // Messages to a user's Telegram chat
+import {
+  PublishError,
+  readPublication,
+  publishRevision,
+  previousPublishedRevision,
+  draftDiffersFromPublished,
+  unpublish,
+} from "./publishing.js";                      // Draft and published versions of a website
+import { SeoError, applySeo, checkSeo, seoSettingsPatch } from "./seo.js"; // Titles, social cards, structured data, sitemap and robots.txt
+import {
+  BrandError,
+  proposeBrand,
+  getBrandProposal,
+  clearBrandProposal,
+  brandPatch,
+  brandStylesheet,
+  renderSwatch,
+} from "./brand-palette.js";                   // Colours and fonts proposed from the logo
 
 // Load environment variables from .env file
 dotenv.config();
@@ -27,484 +180,2503 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 // Initialize Express application
 const app = express();
 
+// Shared secret the bot signs its requests with (see auth.js); API_AUTH=off disables checks for local development
+const API_SECRET = process.env.API_SECRET;
+const API_AUTH_DISABLED = process.env.API_AUTH === "off";
+if (!API_SECRET && !API_AUTH_DISABLED) {
+  console.error("❌ API_SECRET is not set. Set the same API_SECRET for the server and the bot (or API_AUTH=off for local development).");
+  process.exit(1);
+}
+if (API_AUTH_DISABLED) console.warn("⚠️ API_AUTH=off: requests are not authenticated. Never use this in production.");
+
+// Origins allowed to call the API from a browser, comma separated (none by default)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "").split(",").map((origin) => origin.trim()).filter(Boolean);
+
+// Largest accepted JSON body
+const API_BODY_LIMIT = process.env.API_BODY_LIMIT || "256kb";
+
+// Contact form submissions per minute from one visitor to one form, and to one form in total
+const FORM_RATE_LIMIT_PER_MINUTE = Number(process.env.FORM_RATE_LIMIT_PER_MINUTE || 5);
+const FORM_RATE_LIMIT_PER_FORM = Number(process.env.FORM_RATE_LIMIT_PER_FORM || 30);
+
 // Configure middleware
-app.use(express.json());                  // Parse JSON request bodies
-app.use(cors({origin: "*"}));            // Allow cross-origin requests from any domain
-app.use(express.json());                  // Parse JSON request bodies (duplicate, can be removed)
+app.disable("x-powered-by");
+app.use("/forms", cors());  // Generated websites post their forms from any origin
+app.use(cors({ origin: CORS_ORIGINS.length ? CORS_ORIGINS : false }));
+app.use(express.json({ limit: API_BODY_LIMIT, verify: (req, res, buf) => { req.rawBody = buf; } })); // Keep the raw body for signature checks
+app.use(
+  requireSignedRequest({
+    secret: API_SECRET,
+    disabled: API_AUTH_DISABLED,
+    // Previews are protected by their own tokens; template previews, contact forms and published sites are public
+    publicPaths: [/^\/preview\/[^/]+(\/|$)/, /^\/templates\/[^/]+\/preview(\/|$)/, /^\/forms\/[^/]+$/, /^\/sites(\/|$)/],
+    // Multipart uploads handled by multer; every other route takes JSON bodies only
+    uploadPaths: [/^\/upload-image\/[^/]+$/, /^\/upload-document\/[^/]+$/, /^\/transcribe\/[^/]+$/],
+  })
+);
+app.use(validateUserIdFields);
+
+// Validate every :userId path parameter before it reaches a route
+app.param("userId", (req, res, next, userId) => {
+  try {
+    assertValidUserId(userId);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Initialize the LLM provider selected by LLM_PROVIDER (see llm/index.js); the token usage
+// of every request made with a "userId" is recorded (see usage.js)
+const llm = withUsageTracking(getProvider());
+console.log(`🧠 Using LLM provider: ${llm.name} (${llm.model})`);
+
+// Initialize the storage selected by STORAGE_BACKEND (see storage/index.js); every route
+// reads and writes profiles and chat histories through it
+const storage = getStorage();
+console.log(`🗄 Using ${storage.name} storage${storage.file ? ` (${storage.file})` : ""}`);
+
+// Initialize the speech-to-text backend selected by STT_PROVIDER (see stt/index.js)
+const stt = getTranscriber();
+console.log(`🎙 Using STT provider: ${stt.name} (${stt.model})`);
+
+// Initialize the deploy target selected by DEPLOY_TARGET (see deploy/index.js); it only ever
+// receives published versions. A static folder is served by this server unless it has its own host.
+const deployTarget = getDeployTarget();
+console.log(`🌐 Using deploy target: ${deployTarget.name}`);
+// Visitors are limited per website: by their IP address and the <userId>/<projectId> they browse.
+if (deployTarget.name === "static" && !process.env.STATIC_DEPLOY_BASE_URL) {
+  const siteVisitorOf = (req) => `${req.ip}:${req.path.split("/").slice(1, 3).join("/")}`;
+  app.use("/sites", rateLimit("GET /sites", RATE_LIMIT_PER_MINUTE * 10, siteVisitorOf), express.static(deployTarget.dir, { dotfiles: "deny" }));
+}
+
+/**
+ * Returns the URL the server is reached at from outside (PUBLIC_URL, or the request's host)
+ *
+ * @param {Object} req - Express request
+ * @returns {string} - Base URL without a trailing slash
+ */
+function publicBaseUrl(req) {
+  return (process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`).replace(/\/$/, "");
+}
+
+/**
+ * Rejects a request with 409 while a generation is running for the user's active project
+ * Used on routes that change the website, which the generation would overwrite or mix
+ * into its revision. The userId is taken from the path, the query or the body.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function rejectWhileGenerating(req, res, next) {
+  const userId = req.params.userId || req.query.userId || req.body?.userId;
+  if (userId && isGenerating(userId, getActiveProject(userId).id)) {
+    return res.status(409).json({ error: "Wait for the running generation to finish first.", job: serializeJob(getJob(userId)) });
+  }
+  next();
+}
+
+/**
+ * Returns the URL the contact forms of a project post to
+ *
+ * @param {Object} req - Express request
+ * @param {string} userId - User identifier
+ * @param {string} projectId - Project identifier
+ * @returns {string} - Form endpoint URL
+ */
+function formUrlOf(req, userId, projectId) {
+  return `${publicBaseUrl(req)}/forms/${formIdOf(userId, projectId)}`;
+}
+
+/**
+ * Completes the SEO metadata of a project and adds sitemap.xml and robots.txt
+ * Canonical URLs and social cards point at the address the deploy target publishes the website at.
+ *
+ * @param {string} userId - User identifier
+ * @param {Object} project - Project entry (see projects.js), taken when the request started
+ * @param {Object} profile - User profile
+ * @returns {string[]} - Paths of the files that were added or changed
+ */
+function applySeoToProject(userId, project, profile) {
+  const websiteDir = path.join(projectDirOf(userId, project.id), "webSite");
+
+  const files = applySeo(readSiteFiles(websiteDir), normalizeProfile(profile), {
+    name: project.name,
+    siteUrl: getDeployTarget().urlOf(userId, project.id),
+  });
+  return writeSiteFiles(websiteDir, files).written;
+}
+
+/**
+ * Post-processes the files of a generated website of a project
+ * Completes titles, social cards and structured data, adds sitemap.xml and robots.txt
+ * and puts the accepted brand palette into the main stylesheet.
+ *
+ * @param {string} userId - User identifier
+ * @param {Object} project - Project entry (see projects.js), taken when the generation started
+ * @param {Object} profile - User profile
+ * @param {Array<{path: string, content: string}>} files - All project files of the website
+ * @returns {Array<{path: string, content: string}>} - The files that were added or changed
+ */
+function postProcessSite(userId, project, profile, files) {
+  const normalized = normalizeProfile(profile);
+
+  const seoFiles = applySeo(files, normalized, {
+    name: project.name,
+    siteUrl: getDeployTarget().urlOf(userId, project.id),
+  });
+
+  // The stylesheet is picked from index.html as it looks after SEO
+  const byPath = new Map(files.map((file) => [file.path, file]));
+  for (const file of seoFiles) byPath.set(file.path, file);
+  const brandFiles = brandStylesheet([...byPath.values()], normalized);
+
+  return [...new Map([...seoFiles, ...brandFiles].map((file) => [file.path, file])).values()];
+}
+
+// Maximum size of a voice message or audio file (bytes), configurable with MAX_AUDIO_MB
+const MAX_AUDIO_SIZE = Number(process.env.MAX_AUDIO_MB || 25) * 1024 * 1024;
+
+/**
+ * Reset API Endpoint
+ * Clears the data of the user's active project and resets it to the default state
+ * Other projects of the user are left untouched
+ * 
+ * @route GET /reset
+ * @param {string} userId - User identifier from query parameters
+ * @returns {object} JSON response indicating success or failure
+ */
+app.get("/reset", rateLimit("GET /reset"), rejectWhileGenerating, async(req, res) => {
+  const userId = req.query.userId;
+
+  // Validate required parameters
+  if (!userId) {
+    return res.status(400).json({ error: "Missing userId in query params." });
+  }
+
+  // Define file and directory paths for this user
+  const userDir = activeProjectDir(userId);
+  const websiteDir = path.join(userDir, "webSite");
+  const uploadsDir = path.join(websiteDir, "uploads");
+
+  // Default user profile structure (see profile-schema.js)
+  const defaultProfile = createDefaultProfile();
+
+
+  try {
+    // Keep the state before the reset recoverable
+    ensureInitialRevision(userDir);
+
+    // Ensure all required directories exist
+    fs.ensureDirSync(userDir);
+    fs.ensureDirSync(websiteDir);
+    fs.ensureDirSync(uploadsDir);
+
+    // Reset chat history to empty array and user profile to default state
+    await storage.update(userDir, (state) => {
+      state.history = [];
+      state.profile = defaultProfile;
+    });
+    clearMemory(userDir);
+    clearWizard(userDir);
+    clearBrandProposal(userDir);
+
+    // Replace every website file with the empty placeholders
+    writeEmptySite(websiteDir);
+
+    // Clear all uploaded files
+    fs.emptyDirSync(uploadsDir);
+
+    // Record the fresh state as a revision; the published website stays online until the next /publish
+    recordRevision(userDir, "reset");
+    notifyPreviewReload(userId);
+
+    // Send success response
+    res.status(200).json({ message: `Reset successful for user: ${userId}` });
+  } catch (error) {
+    // Log and handle errors
+    console.error("Reset Error:", error);
+    res.status(500).json({ error: "Failed to reset files" });
+  }
+});
+
+/**
+ * Sends the error of a project operation
+ *
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by projects.js
+ * @param {string} fallback - Message for unexpected errors
+ */
+function sendProjectError(res, error, fallback) {
+  if (error instanceof ProjectError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error("Project Error:", error);
+  res.status(500).json({ error: fallback });
+}
+
+/**
+ * Project List Endpoint
+ * Lists the projects (websites) of a user and which one is active
+ *
+ * @route GET /projects/:userId
+ * @param {string} userId - User identifier from URL parameters
+ * @returns {object} JSON response with activeProjectId and the project list
+ */
+app.get("/projects/:userId", rateLimit("GET /projects/:userId"), (req, res) => {
+  try {
+    res.status(200).json(listProjects(req.params.userId));
+  } catch (error) {
+    sendProjectError(res, error, "Failed to list projects");
+  }
+});
+
+/**
+ * Project Creation Endpoint
+ * Creates a new, empty project and makes it the active one
+ *
+ * @route POST /projects/:userId
+ * @param {string} userId - User identifier from URL parameters
+ * @param {string} name - Project name in request body
+ * @returns {object} JSON response with the new project (201)
+ */
+app.post("/projects/:userId", rateLimit("POST /projects/:userId"), (req, res) => {
+  try {
+    const project = createProject(req.params.userId, req.body.name);
+    notifyPreviewReload(req.params.userId);
+    res.status(201).json({ project });
+  } catch (error) {
+    sendProjectError(res, error, "Failed to create project");
+  }
+});
+
+/**
+ * Project Switch Endpoint
+ * Makes another project the active one; all other routes act on the active project
+ *
+ * @route POST /projects/:userId/:projectRef/activate
+ * @param {string} userId - User identifier from URL parameters
+ * @param {string} projectRef - Project id, name or list number from URL parameters
+ * @returns {object} JSON response with the now active project
+ */
+app.post("/projects/:userId/:projectRef/activate", rateLimit("POST /projects/:userId/:projectRef/activate"), (req, res) => {
+  try {
+    const project = switchProject(req.params.userId, req.params.projectRef);
+    notifyPreviewReload(req.params.userId);
+    res.status(200).json({ project });
+  } catch (error) {
+    sendProjectError(res, error, "Failed to switch project");
+  }
+});
+
+/**
+ * Project Rename Endpoint
+ * Renames a project
+ *
+ * @route PATCH /projects/:userId/:projectRef
+ * @param {string} userId - User identifier from URL parameters
+ * @param {string} projectRef - Project id, name or list number from URL parameters
+ * @param {string} name - New name in request body
+ * @returns {object} JSON response with the renamed project
+ */
+app.patch("/projects/:userId/:projectRef", rateLimit("PATCH /projects/:userId/:projectRef"), (req, res) => {
+  try {
+    const project = renameProject(req.params.userId, req.params.projectRef, req.body.name);
+    res.status(200).json({ project });
+  } catch (error) {
+    sendProjectError(res, error, "Failed to rename project");
+  }
+});
+
+/**
+ * Project Deletion Endpoint
+ * Deletes a project with its files and revisions
+ * Refused while a generation is running, since it may be writing to the project
+ *
+ * @route DELETE /projects/:userId/:projectRef
+ * @param {string} userId - User identifier from URL parameters
+ * @param {string} projectRef - Project id, name or list number from URL parameters
+ * @returns {object} JSON response with the deleted project and the new active project id
+ */
+app.delete("/projects/:userId/:projectRef", rateLimit("DELETE /projects/:userId/:projectRef"), (req, res) => {
+  if (getJob(req.params.userId)?.status === "running") {
+    return res.status(409).json({ error: "Wait for the running generation to finish first." });
+  }
+
+  try {
+    const result = deleteProject(req.params.userId, req.params.projectRef);
+    notifyPreviewReload(req.params.userId);
+
+    // Take the deleted project's website offline too
+    enqueueDeployment(req.params.userId, result.deleted.id, "delete");
+    res.status(200).json(result);
+  } catch (error) {
+    sendProjectError(res, error, "Failed to delete project");
+  }
+});
+
+/**
+ * Template List Endpoint
+ * Lists the starter templates with a link to preview each one
+ *
+ * @route GET /templates
+ * @returns {object} JSON response with the template list
+ */
+app.get("/templates", rateLimit("GET /templates", RATE_LIMIT_PER_MINUTE * 10), (req, res) => {
+  const baseUrl = publicBaseUrl(req);
+
+  try {
+    const templates = listTemplates().map((template) => ({
+      ...template,
+      previewUrl: `${baseUrl}/templates/${template.id}/preview/`,
+    }));
+    res.status(200).json({ templates });
+  } catch (error) {
+    console.error("Template List Error:", error);
+    res.status(500).json({ error: "Failed to list templates" });
+  }
+});
+
+/**
+ * Template Preview Endpoint
+ * Serves the files of a starter template so it can be looked at before picking it
+ *
+ * @route GET /templates/:templateId/preview/*path
+ * @param {string} templateId - Template identifier from URL parameters
+ * @returns {file} Template file
+ */
+app.get(["/templates/:templateId/preview", "/templates/:templateId/preview/*path"], rateLimit("GET /templates/:templateId/preview", RATE_LIMIT_PER_MINUTE * 10), (req, res) => {
+  // Without a trailing slash relative links in the page would resolve outside the preview
+  const segments = req.params.path || [];
+  if (segments.length === 0 && !req.path.endsWith("/")) {
+    return res.redirect(301, `${req.path}/`);
+  }
+
+  try {
+    const relPath = segments.filter(Boolean).join("/") || "index.html";
+    res.sendFile(relPath, { root: templateWebsiteDir(req.params.templateId), dotfiles: "deny" }, (err) => {
+      if (err && !res.headersSent) res.status(404).send("Not found");
+    });
+  } catch (error) {
+    if (error instanceof TemplateError) return res.status(404).send("Not found");
+    console.error("Template Preview Error:", error);
+    res.status(500).send("Failed to load template");
+  }
+});
+
+/**
+ * Template Apply Endpoint
+ * Seeds the user's active project with a starter template: its website files replace the
+ * current ones (uploads are kept) and its profile replaces the current profile.
+ * Later /chat and /generate turns customise the template.
+ *
+ * @route POST /templates/:templateId/apply
+ * @param {string} templateId - Template identifier from URL parameters
+ * @param {string} userId - User identifier in request body
+ * @returns {object} JSON response with the written files and the new revision
+ */
+app.post("/templates/:templateId/apply", rateLimit("POST /templates/:templateId/apply"), rejectWhileGenerating, async (req, res) => {
+  const userId = req.body.userId;
+  if (!userId) return res.status(400).json({ error: "Missing userId" });
+
+  const userDir = activeProjectDir(userId);
+
+  try {
+    // Keep the state before the template recoverable
+    ensureInitialRevision(userDir);
+
+    const { template, files, deletedFiles } = await applyTemplate(userDir, req.params.templateId);
+
+    // Let the model know where the site came from
+    await storage.update(userDir, (state) => {
+      state.history.push({
+        user: `Start from the "${template.name}" template`,
+        bot: `Your website now uses the ${template.name} template. Tell me what to change and use /generate to customise it.`,
+      });
+    });
+
+    // Record the seeded site as a revision and refresh open previews
+    const revision = recordRevision(userDir, "template", { template: template.id });
+    notifyPreviewReload(userId);
+
+    res.status(200).json({ message: "Template applied", template, revision: revision.id, files, deletedFiles });
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Template Error:", error);
+    res.status(500).json({ error: "Failed to apply template" });
+  }
+});
+
+/**
+ * Preview Link Endpoint
+ * Creates (or reuses) an expiring, unguessable link to the self-hosted preview of a user's website
+ *
+ * @route POST /preview-links/:userId
+ * @param {string} userId - User identifier from URL parameters
+ * @returns {object} JSON response with the preview URL and its expiry time
+ */
+app.post("/preview-links/:userId", rateLimit("POST /preview-links/:userId"), (req, res) => {
+  const userId = req.params.userId;
+  const websiteDir = path.join(activeProjectDir(userId), "webSite");
+
+  if (!fs.existsSync(path.join(websiteDir, "index.html"))) {
+    return res.status(404).json({ error: "No website to preview yet. Generate one first." });
+  }
+
+  const { token, expiresAt } = createPreviewToken(userId, getActiveProject(userId).id);
+
+  res.status(200).json({ url: `${publicBaseUrl(req)}/preview/${token}/`, expiresAt });
+});
+
+/**
+ * Preview Endpoint
+ * Serves the files of the website a preview token was created for, with live reload
+ *
+ * @route GET /preview/:token/*path
+ * @param {string} token - Preview token from URL parameters
+ * @returns {file} Website file
+ */
+app.get(
+  ["/preview/:token", "/preview/:token/*path"],
+  rateLimit("GET /preview/:token", RATE_LIMIT_PER_MINUTE * 10, (req) => req.params.token),
+  createPreviewHandler((userId, projectId) => path.join(projectDirOf(userId, projectId), "webSite"))
+);
+
+/**
+ * Sends the error of a publish operation
+ *
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by publishing.js
+ * @param {string} fallback - Message for unexpected errors
+ */
+function sendPublishError(res, error, fallback) {
+  if (error instanceof PublishError) {
+    return res.status(error.status).json({ error: error.message, problems: error.problems });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+/**
+ * Publishes a version of the user's active project and queues its deployment
+ *
+ * @param {object} res - Express response
+ * @param {string} userId - User identifier
+ * @param {number|string} [revision] - Revision number, "previous", or nothing for the draft
+ */
+function publishVersion(res, userId, revision) {
+  if (getJob(userId)?.status === "running") {
+    return res.status(409).json({ error: "Wait for the running generation to finish first." });
+  }
+
+  const project = getActiveProject(userId);
+  const projectDir = activeProjectDir(userId);
+
+  try {
+    let revisionId = revision;
+    if (revision === "previous") {
+      revisionId = previousPublishedRevision(projectDir);
+      if (revisionId === null) throw new PublishError("No earlier published version to go back to", 404);
+    }
+
+    const published = publishRevision(projectDir, revisionId);
+    const deployment = enqueueDeployment(userId, project.id, "publish");
+    res.status(202).json({ message: `Version #${published.revision} published`, published, deployment });
+  } catch (error) {
+    sendPublishError(res, error, "Failed to publish website");
+  }
+}
+
+/**
+ * Publish Status Endpoint
+ * Tells which version of the user's active project is live and whether the draft changed since
+ *
+ * @route GET /publish/:userId
+ * @param {string} userId - User identifier from URL parameters
+ * @returns {object} JSON response with { published, url, target, draftChanged, previousRevision, history }
+ */
+app.get("/publish/:userId", rateLimit("GET /publish/:userId"), (req, res) => {
+  const userId = req.params.userId;
+  const projectDir = activeProjectDir(userId);
+
+  try {
+    const { current, history } = readPublication(projectDir);
+    res.status(200).json({
+      published: current && { revision: current.revision, publishedAt: current.publishedAt, files: current.files.length },
+      url: deployTarget.urlOf(userId, getActiveProject(userId).id),
+      target: deployTarget.name,
+      draftChanged: draftDiffersFromPublished(projectDir),
+      previousRevision: previousPublishedRevision(projectDir),
+      history: history.slice(-10),
+    });
+  } catch (error) {
+    sendPublishError(res, error, "Failed to load publish status");
+  }
+});
+
+/**
+ * Publish Endpoint
+ * Validates the draft (or an earlier revision) of the user's active project, makes it the
+ * published version and queues its deployment. Follow the job with GET /deployments/:jobId.
+ *
+ * @route POST /publish/:userId
+ * @param {string} userId - User identifier from URL parameters
+ * @param {number|string} [revision] - Revision number or "previous" in the request body; the draft by default
+ * @returns {object} JSON response with the published version and the queued deployment (202),
+ *                   or 422 with the validation problems
+ */
+app.post("/publish/:userId", rateLimit("POST /publish/:userId"), (req, res) => {
+  const revision = req.body?.revision;
+  if (revision !== undefined && revision !== "previous" && !/^\d+$/.test(String(revision))) {
+    return res.status(400).json({ error: 'revision must be a version number or "previous"' });
+  }
+
+  publishVersion(res, req.params.userId, revision);
+});
+
+/**
+ * Unpublish Endpoint
+ * Takes the published version of the user's active project offline; the draft is kept
+ *
+ * @route POST /unpublish/:userId
+ * @param {string} userId - User identifier from URL parameters
+ * @returns {object} JSON response with the version that was live and the queued deployment (202)
+ */
+app.post("/unpublish/:userId", rateLimit("POST /unpublish/:userId"), (req, res) => {
+  const userId = req.params.userId;
+
+  try {
+    const unpublished = unpublish(activeProjectDir(userId));
+    const deployment = enqueueDeployment(userId, getActiveProject(userId).id, "unpublish");
+    res.status(202).json({ message: "Website taken offline", unpublished, deployment });
+  } catch (error) {
+    sendPublishError(res, error, "Failed to unpublish website");
+  }
+});
+
+/**
+ * Update Git Repository Endpoint
+ * Deprecated alias of POST /publish/:userId that publishes the draft
+ *
+ * @route GET /update-git
+ * @param {string} userId - User identifier from query parameters
+ * @returns {object} JSON response with the published version and the queued deployment (202)
+ */
+app.get('/update-git', rateLimit("GET /update-git"), (req, res) => {
+  const userId = req.query.userId;
+
+  // Validate required parameters
+  if (!userId) {
+    return res.status(400).json({ error: "Missing userId in query params." });
+  }
+
+  publishVersion(res, userId);
+});
+
+/**
+ * Deployment Status Endpoint
+ * Returns the status of a queued deployment
+ *
+ * @route GET /deployments/:jobId
+ * @param {string} jobId - Deployment job identifier from URL parameters
+ * @returns {object} JSON response with the job ("queued", "running", "success", "skipped" or "failed")
+ */
+app.get("/deployments/:jobId", rateLimit("GET /deployments/:jobId", RATE_LIMIT_PER_MINUTE, (req) => req.params.jobId), (req, res) => {
+  const deployment = getDeployment(req.params.jobId);
+  if (!deployment) return res.status(404).json({ error: "Deployment not found" });
+
+  res.status(200).json({ deployment });
+});
+
+/**
+ * Code Download Endpoint
+ * Creates and sends a ZIP file containing the user's website code in the requested export format
+ * 
+ * @route GET /code/:userId
+ * @param {string} userId - User identifier from URL parameters
+ * @param {string} [format] - Export format from query parameters: zip (default), vite, static or single
+ * @returns {file} ZIP file download response
+ */
+app.get("/code/:userId", rateLimit("GET /code/:userId"), async (req, res) => {
+  const userId = req.params.userId;
+  const format = req.query.format || "zip";
+  const projectDir = activeProjectDir(userId);
+  const folderPath = path.join(projectDir, "webSite");
+
+  let entries;
+  try {
+    entries = await buildExport(folderPath, format, { name: getActiveProject(userId).name });
+  } catch (error) {
+    if (error instanceof ExportError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Export Error:", error);
+    return res.status(500).json({ error: "Failed to export the website" });
+  }
+
+  // Define ZIP file path
+  const zipPath = path.join(projectDir, `webSite-${format}.zip`);
+  const output = fs.createWriteStream(zipPath);
+  const archive = archiver("zip", { zlib: { level: 9 } });  // Maximum compression
+
+  // When the archive is fully written, send it as a download
+  output.on("close", () => {
+    res.download(zipPath, `website-${format}.zip`, () => fs.remove(zipPath));
+  });
+
+  // Pipe archive data to the file
+  archive.pipe(output);
+  
+  // Add every file of the export (pages, stylesheets, scripts, uploads, README...) to the archive
+  for (const entry of entries) {
+    archive.append(entry.content, { name: entry.path });
+  }
+  await archive.finalize();
+});
+
+/**
+ * Export Formats Endpoint
+ * Lists the formats the website code can be downloaded in
+ *
+ * @route GET /export-formats
+ * @returns {object} JSON response with the formats
+ */
+app.get("/export-formats", rateLimit("GET /export-formats", RATE_LIMIT_PER_MINUTE * 10), (req, res) => {
+  const formats = Object.entries(EXPORT_FORMATS).map(([id, format]) => ({ id, ...format }));
+  res.status(200).json({ formats });
+});
+
+/**
+ * Website Files Endpoint
+ * Lists every project file of the user's website with its size
+ *
+ * @route GET /files/:userId
+ * @param {string} userId - User identifier from URL parameters
+ * @returns {object} JSON response with the file list
+ */
+app.get("/files/:userId", rateLimit("GET /files/:userId"), (req, res) => {
+  const websiteDir = path.join(activeProjectDir(req.params.userId), "webSite");
+
+  try {
+    const files = listSiteFiles(websiteDir).map((filePath) => ({
+      path: filePath,
+      size: fs.statSync(path.join(websiteDir, filePath)).size,
+    }));
+    res.status(200).json({ files });
+  } catch (error) {
+    console.error("File List Error:", error);
+    res.status(500).json({ error: "Failed to list website files" });
+  }
+});
+
+/**
+ * Revision List Endpoint
+ * Lists all recorded revisions of the user's website, oldest first
+ *
+ * @route GET /revisions/:userId
+ * @param {string} userId - User identifier from URL parameters
+ * @returns {object} JSON response with the revision list
+ */
+app.get("/revisions/:userId", rateLimit("GET /revisions/:userId"), (req, res) => {
+  const userDir = activeProjectDir(req.params.userId);
+
+  try {
+    res.status(200).json({
+      revisions: listRevisions(userDir),
+      publishedRevision: readPublication(userDir).current?.revision ?? null,
+    });
+  } catch (error) {
+    console.error("Revision List Error:", error);
+    res.status(500).json({ error: "Failed to list revisions" });
+  }
+});
+
+/**
+ * Revision Diff Endpoint
+ * Compares two revisions, or a revision with the current files
+ *
+ * @route GET /revisions/:userId/diff
+ * @param {string} userId - User identifier from URL parameters
+ * @param {string} from - Revision number of the old state (query)
+ * @param {string} [to] - Revision number of the new state, defaults to "current" (query)
+ * @returns {object} JSON response with one unified patch per changed file
+ */
+app.get("/revisions/:userId/diff", rateLimit("GET /revisions/:userId/diff"), (req, res) => {
+  const userDir = activeProjectDir(req.params.userId);
+  const { from, to = "current" } = req.query;
+
+  if (!from) {
+    return res.status(400).json({ error: "Missing from in query params." });
+  }
+
+  try {
+    res.status(200).json({ from, to, changes: diffRevisions(userDir, from, to) });
+  } catch (error) {
+    console.error("Revision Diff Error:", error.message);
+    res.status(404).json({ error: error.message });
+  }
+});
+
+/**
+ * Revision Restore Endpoint
+ * Restores the website files and profile of a revision
+ *
+ * @route POST /revisions/:userId/:revisionId/restore
+ * @param {string} userId - User identifier from URL parameters
+ * @param {string} revisionId - Revision number from URL parameters
+ * @returns {object} JSON response with the revision created by the restore
+ */
+app.post("/revisions/:userId/:revisionId/restore", rateLimit("POST /revisions/:userId/:revisionId/restore"), rejectWhileGenerating, async (req, res) => {
+  const userDir = activeProjectDir(req.params.userId);
+
+  try {
+    const revision = await restoreRevision(userDir, req.params.revisionId);
+    notifyPreviewReload(req.params.userId);
+    res.status(200).json({ message: `Restored revision #${revision.restoredFrom}`, revision });
+  } catch (error) {
+    console.error("Revision Restore Error:", error.message);
+    res.status(404).json({ error: error.message });
+  }
+});
+
+/**
+ * Undo Endpoint
+ * Restores the revision before the current one
+ *
+ * @route POST /revisions/:userId/undo
+ * @param {string} userId - User identifier from URL parameters
+ * @returns {object} JSON response with the revision created by the undo
+ */
+app.post("/revisions/:userId/undo", rateLimit("POST /revisions/:userId/undo"), rejectWhileGenerating, async (req, res) => {
+  const userDir = activeProjectDir(req.params.userId);
+
+  try {
+    const revision = await undoRevision(userDir);
+    notifyPreviewReload(req.params.userId);
+    res.status(200).json({ message: `Restored revision #${revision.restoredFrom}`, revision });
+  } catch (error) {
+    console.error("Undo Error:", error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Words in an upload's text, file name or analysis that mark it as a logo
+const LOGO_PATTERN = /\blogo(s|type)?\b|\bemblem\b|\bwordmark\b/i;
+
+/**
+ * Image Upload and Analysis Endpoint
+ * Handles file uploads, validates and optimises the images, and analyzes them with the vision model
+ * Uses a two-step middleware approach for file handling and processing
+ * Files that are not JPEG/PNG/GIF/WebP (checked by content) or exceed the size limit are rejected;
+ * accepted images are stripped of metadata and get responsive and WebP variants (see image-pipeline.js)
+ * An image that looks like a logo (by its text, file name or analysis) gets a brand palette proposal (see brand-palette.js)
+ * 
+ * @route POST /upload-image/:userId
+ * @param {string} userId - User identifier from URL parameters
+ * @returns {object} JSON response with analysis results and, for a logo, the brand proposal
+ */
+app.post("/upload-image/:userId", rateLimit("POST /upload-image/:userId", RATE_LIMIT_AI_PER_MINUTE), rejectWhileGenerating, requireQuota("uploads", "tokens"), (req, res, next) => {
+  // First middleware: Handle file upload with multer
+  const userId = req.params.userId;
+  req.userId = userId;  // Pass userId to the next middleware
+  req.projectDir = activeProjectDir(userId);  // Keep the project fixed even if the user switches meanwhile
+  
+  // Ensure uploads directory exists
+  const uploadsDir = path.join(req.projectDir, "webSite", "uploads");
+  fs.ensureDirSync(uploadsDir);
+
+  // Keep uploads in memory; nothing is written before the image pipeline has checked it
+  const memoryStorage = multer.memoryStorage();
+
+  // Set up multer with configured storage and limits
+  const upload = multer({ storage: memoryStorage, limits: { fileSize: MAX_UPLOAD_SIZE, files: 10 } }).array("images", 10);  // Allow up to 10 images
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ error: `Image too large (limit ${Math.round(MAX_UPLOAD_SIZE / 1024 / 1024)} MB)` });
+    }
+    if (err) return res.status(500).json({ error: "Upload failed" });
+    next();  // Proceed to next middleware
+  });
+}, async (req, res) => {
+  // Second middleware: Process and analyze uploaded images
+  const projectDir = req.projectDir;
+  const uploadsDir = path.join(projectDir, "webSite", "uploads");
+
+  try {
+    const files = req.files;
+    const userText = req.body.text || "";
+
+    // Validate that files were uploaded
+    if (!files || files.length === 0) {
+      return res.status(400).json({ error: "No files uploaded" });
+    }
+
+    const newImagesData = [];
+    const rejected = [];
+
+    // Process each uploaded image
+    for (const file of files) {
+      // Validate, strip metadata and write the optimised image with its variants
+      let processed;
+      try {
+        processed = await processImage(file.buffer, file.originalname, uploadsDir);
+      } catch (err) {
+        if (!(err instanceof ImageError)) throw err;
+        rejected.push({ originalname: file.originalname, error: err.message, status: err.status });
+        continue;
+      }
+
+      // Use the vision model to analyze a downscaled copy of the image
+      const analysis = await llm.vision({
+        task: "vision",
+        userId: req.userId,
+        system: "You are a helpful assistant that describes images.",
+        prompt: "What kind of image is this and what is its use?",
+        imageUrl: await visionDataUrl(path.join(uploadsDir, processed.filename)),
+        maxTokens: 200,
+      });
+
+      const aiDescription = analysis.content;
+
+      // Create metadata for the image
+      const imageData = {
+        id: newImageId(),
+        role: null,
+        filename: processed.filename,
+        originalname: file.originalname,
+        url: processed.url,
+        width: processed.width,
+        height: processed.height,
+        mime: processed.mime,
+        size: processed.size,
+        srcset: processed.srcset,
+        webpSrcset: processed.webpSrcset,
+        variants: processed.variants,
+        uploadedAt: new Date().toISOString(),
+        description: userText,
+        aiAnalysis: aiDescription,
+      };
+
+      newImagesData.push(imageData);
+    }
+
+    // Nothing usable was uploaded
+    if (newImagesData.length === 0) {
+      return res.status(rejected[0].status).json({ error: rejected.map((r) => r.error).join("; "), rejected });
+    }
+
+    // Keep the state before the upload recoverable
+    ensureInitialRevision(projectDir);
+
+    // Update profile and history in one step, so concurrent requests can't overwrite them
+    await storage.update(projectDir, (state) => {
+      // Initialize images array if it doesn't exist
+      if (!Array.isArray(state.profile.images)) {
+        state.profile.images = [];
+      }
+
+      // Add new images to user profile
+      state.profile.images.push(...newImagesData);
+
+      // Add upload event to chat history
+      state.history.push({
+        user: `Uploaded ${files.length} image(s) with text: "${userText}"`,
+        bot: newImagesData.map(img => `AI Analysis for ${img.originalname}: ${img.aiAnalysis}`).join("\n\n"),
+      });
+    });
+
+    // Record the profile with the new images as a revision
+    recordRevision(projectDir, "upload", {
+      images: newImagesData.map((img) => img.filename),
+    });
+
+    // Propose brand colours and fonts for an uploaded logo
+    const logo = newImagesData.find((img) => LOGO_PATTERN.test(`${userText} ${img.originalname} ${img.aiAnalysis}`));
+    const brandProposal = logo ? await proposeBrandSafely(projectDir, logo) : null;
+
+    // Send success response with image data
+    res.status(200).json({
+      success: true,
+      images: newImagesData,
+      brandProposal,
+      rejected,
+      message: rejected.length
+        ? `${newImagesData.length} image(s) uploaded and analyzed, ${rejected.length} rejected.`
+        : "Images uploaded and analyzed successfully.",
+    });
+  } catch (err) {
+    // Log and handle errors
+    console.error("Upload Error:", err);
+    res.status(500).json({ error: "Image upload or analysis failed." });
+  }
+});
+
+/**
+ * Proposes brand colours and fonts for a logo; a logo that can't be analysed just gets no proposal
+ *
+ * @param {string} projectDir - Project directory
+ * @param {Object} image - Image entry of the logo
+ * @returns {Promise<Object|null>} - The proposal, or null
+ */
+async function proposeBrandSafely(projectDir, image) {
+  try {
+    return await proposeBrand(projectDir, image);
+  } catch (error) {
+    if (!(error instanceof BrandError)) console.error("Brand Palette Error:", error);
+    return null;
+  }
+}
+
+/**
+ * Reads, updates and writes the profile of a project through the storage
+ *
+ * @param {string} projectDir - Project directory
+ * @param {Function} update - Called with the profile; may change it in place and return a result
+ * @returns {Promise<*>} - Result of update
+ */
+function updateProfile(projectDir, update) {
+  return storage.update(projectDir, (state) => update(state.profile));
+}
+
+/**
+ * Sends the error of an image library operation
+ *
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by image-library.js
+ * @param {string} fallback - Message for unexpected errors
+ */
+function sendImageError(res, error, fallback) {
+  if (error instanceof ImageLibraryError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error("Image Library Error:", error);
+  res.status(500).json({ error: fallback });
+}
+
+/**
+ * Image List Endpoint
+ * Lists the uploaded images of the user's active project in their display order
+ *
+ * @route GET /images/:userId
+ * @param {string} userId - User identifier from URL parameters
+ * @returns {object} JSON response with the images and the available roles
+ */
+app.get("/images/:userId", rateLimit("GET /images/:userId"), async (req, res) => {
+  const projectDir = activeProjectDir(req.params.userId);
+
+  try {
+    const images = await updateProfile(projectDir, (profile) => ensureImageIds(profile));
+    res.status(200).json({ images, roles: IMAGE_ROLES });
+  } catch (error) {
+    sendImageError(res, error, "Failed to list images");
+  }
+});
+
+/**
+ * Image Thumbnail Endpoint
+ * Sends the smallest stored version of an image
+ *
+ * @route GET /images/:userId/:imageId/thumbnail
+ * @param {string} userId - User identifier from URL parameters
+ * @param {string} imageId - Image identifier from URL parameters
+ * @returns {file} Image file
+ */
+app.get("/images/:userId/:imageId/thumbnail", rateLimit("GET /images/:userId/:imageId/thumbnail"), (req, res) => {
+  const projectDir = activeProjectDir(req.params.userId);
+  const uploadsDir = path.join(projectDir, "webSite", "uploads");
+
+  try {
+    const image = findImage(storage.readProfile(projectDir) || {}, req.params.imageId);
+    res.sendFile(thumbnailPath(image, uploadsDir), (err) => {
+      if (err && !res.headersSent) res.status(404).json({ error: "Image file not found" });
+    });
+  } catch (error) {
+    sendImageError(res, error, "Failed to load image");
+  }
+});
+
+/**
+ * Image Update Endpoint
+ * Assigns a role to an image and/or changes its description
+ *
+ * @route PATCH /images/:userId/:imageId
+ * @param {string} userId - User identifier from URL parameters
+ * @param {string} imageId - Image identifier from URL parameters
+ * @param {string|null} [role] - New role in request body (null removes it)
+ * @param {string} [description] - New description in request body
+ * @returns {object} JSON response with the updated image and, when it was made the logo, the brand proposal
+ */
+app.patch("/images/:userId/:imageId", rateLimit("PATCH /images/:userId/:imageId"), async (req, res) => {
+  const projectDir = activeProjectDir(req.params.userId);
+  const uploadsDir = path.join(projectDir, "webSite", "uploads");
+
+  try {
+    const image = await updateProfile(projectDir, async (profile) => {
+      let updated = findImage(profile, req.params.imageId);
+      if (req.body.role !== undefined) {
+        updated = await setImageRole(profile, req.params.imageId, req.body.role || null, uploadsDir);
+      }
+      if (typeof req.body.description === "string") {
+        updated.description = req.body.description.trim();
+      }
+      return updated;
+    });
+
+    const brandProposal = req.body.role === "logo" ? await proposeBrandSafely(projectDir, image) : null;
+    res.status(200).json({ image, brandProposal });
+  } catch (error) {
+    sendImageError(res, error, "Failed to update image");
+  }
+});
+
+/**
+ * Image Move Endpoint
+ * Changes the position of an image in the list (e.g. the gallery order)
+ *
+ * @route POST /images/:userId/:imageId/move
+ * @param {string} userId - User identifier from URL parameters
+ * @param {string} imageId - Image identifier from URL parameters
+ * @param {number} [position] - New 1-based position in request body
+ * @param {number} [offset] - Or a relative move in request body (-1 = up, 1 = down)
+ * @returns {object} JSON response with the reordered images
+ */
+app.post("/images/:userId/:imageId/move", rateLimit("POST /images/:userId/:imageId/move"), async (req, res) => {
+  const projectDir = activeProjectDir(req.params.userId);
+
+  try {
+    const images = await updateProfile(projectDir, (profile) => {
+      const current = ensureImageIds(profile).findIndex((image) => image.id === req.params.imageId) + 1;
+      const position = req.body.position ?? current + Number(req.body.offset || 0);
+      return moveImage(profile, req.params.imageId, position);
+    });
+    res.status(200).json({ images });
+  } catch (error) {
+    sendImageError(res, error, "Failed to move image");
+  }
+});
+
+/**
+ * Image Delete Endpoint
+ * Removes an image from the profile and moves its files (original and variants) out of uploads/
+ * The deletion is recorded as a revision; undoing it brings the files back.
+ *
+ * @route DELETE /images/:userId/:imageId
+ * @param {string} userId - User identifier from URL parameters
+ * @param {string} imageId - Image identifier from URL parameters
+ * @returns {object} JSON response with the deleted image and the revision
+ */
+app.delete("/images/:userId/:imageId", rateLimit("DELETE /images/:userId/:imageId"), rejectWhileGenerating, async (req, res) => {
+  const projectDir = activeProjectDir(req.params.userId);
+  const uploadsDir = path.join(projectDir, "webSite", "uploads");
+
+  try {
+    // Keep the state before the deletion recoverable
+    ensureInitialRevision(projectDir);
+
+    const image = await updateProfile(projectDir, (profile) =>
+      deleteImage(profile, req.params.imageId, uploadsDir, deletedUploadsDirOf(projectDir))
+    );
+    const revision = recordRevision(projectDir, "delete-image", { images: [image.filename] });
+    notifyPreviewReload(req.params.userId);
+    res.status(200).json({ deleted: image, revision: revision.id });
+  } catch (error) {
+    sendImageError(res, error, "Failed to delete image");
+  }
+});
+
+/**
+ * Sends the error of a document import
+ *
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown while importing
+ * @param {string} fallback - Message for unexpected errors
+ */
+function sendDocumentError(res, error, fallback) {
+  if (error instanceof DocumentError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error("Document Error:", error);
+  res.status(500).json({ error: fallback });
+}
+
+/**
+ * Document Upload Endpoint
+ * Reads a PDF, DOCX, Markdown or text document and lets the model turn its content into
+ * profile updates (content, pages, sections, contactInfo...). Nothing is changed yet: the
+ * result is kept as a pending import and a summary is returned for the user to confirm.
+ *
+ * @route POST /upload-document/:userId
+ * @param {string} userId - User identifier from URL parameters
+ * @param {file} document - Uploaded document (multipart field "document")
+ * @returns {object} JSON response with the summary and the proposed profile updates
+ */
+app.post("/upload-document/:userId", rateLimit("POST /upload-document/:userId", RATE_LIMIT_AI_PER_MINUTE), rejectWhileGenerating, requireQuota("uploads", "tokens"), (req, res, next) => {
+  req.projectDir = activeProjectDir(req.params.userId);  // Keep the project fixed even if the user switches meanwhile
+
+  const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_DOCUMENT_SIZE, files: 1 } }).single("document");
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ error: `Document too large (limit ${Math.round(MAX_DOCUMENT_SIZE / 1024 / 1024)} MB)` });
+    }
+    if (err) return res.status(500).json({ error: "Upload failed" });
+    next();
+  });
+}, async (req, res) => {
+  const projectDir = req.projectDir;
+
+  try {
+    if (!req.file) return res.status(400).json({ error: "No document uploaded" });
+
+    const name = req.file.originalname;
+    const document = await extractDocument(req.file.buffer, name);
+    const userProfile = normalizeProfile(storage.readProfile(projectDir));
+
+    // Create prompt for the model
+    const promptDocument = `You help users build their website from documents they already have (a brochure, menu, CV, company profile...).
+The user sent the ${document.type.toUpperCase()} document "${name}"${document.images.length ? ` with ${document.images.length} image(s)` : ""}.
+${document.truncated ? "The document is long; only its beginning is included.\n" : ""}
+Document text:
+"""
+${document.text}
+"""
+
+Here is the current user profile:
+${JSON.stringify(profileForPrompt(userProfile), null, 2)}
+
+Turn the document into profile updates:
+- "content": the actual texts to show, keyed by section (e.g. "about", "services", "menu", "team", "faq"), written for the website
+- "pages" and "sections": the pages and sections that content needs
+- "contactInfo": email, phone, address and opening hours found in the document
+- "socialLinks", "branding" (name, tagline), "websiteType", "targetAudience" when the document tells them
+Keep facts, prices and names exactly as written. Don't invent information that isn't in the document.
+Return only the fields that change. Lists replace the stored list, so return complete lists. Never include "images" or "changeLog".
+
+Also write "summary": a short, friendly overview for the user of what you found and what will be added, as a few bullet points.
+
+Respond ONLY in this JSON format:
+{ "summary": "string", "profileUpdates": { ... } }
+`.trim();
+
+    const reply = await llm.chat({
+      task: "document",
+      userId: req.params.userId,
+      messages: [{ role: "system", content: promptDocument }],
+    });
+
+    let parsed;
+    try {
+      parsed = parseJsonReply(reply.content);
+    } catch (jsonErr) {
+      console.error("❌ Failed to parse document response as JSON. Content was:", reply.content);
+      return res.status(502).json({ error: "Model response is not valid JSON" });
+    }
+
+    const { patch, warnings } = validateProfilePatch(parsed.profileUpdates);
+    if (warnings.length) console.warn("⚠️ Document profile warnings:", warnings);
+
+    const summary = typeof parsed.summary === "string" && parsed.summary.trim()
+      ? parsed.summary.trim()
+      : `I read ${name} and prepared updates for ${Object.keys(patch).join(", ") || "nothing"}.`;
+
+    const pending = savePendingDocument(
+      projectDir,
+      { name, type: document.type, truncated: document.truncated, summary, profileUpdates: patch, warnings },
+      document.images
+    );
+
+    res.status(200).json({
+      summary,
+      profileUpdates: patch,
+      profileWarnings: warnings,
+      images: pending.images.length,
+      truncated: document.truncated,
+    });
+  } catch (error) {
+    sendDocumentError(res, error, "Failed to read document");
+  }
+});
+
+/**
+ * Document Confirm Endpoint
+ * Applies the pending document import: merges its profile updates and adds its images
+ * (validated and optimised like uploads) to the image library
+ *
+ * @route POST /documents/:userId/confirm
+ * @param {string} userId - User identifier from URL parameters
+ * @returns {object} JSON response with the profile changes and the added images
+ */
+app.post("/documents/:userId/confirm", rateLimit("POST /documents/:userId/confirm"), rejectWhileGenerating, async (req, res) => {
+  const projectDir = activeProjectDir(req.params.userId);
+  const uploadsDir = path.join(projectDir, "webSite", "uploads");
+
+  try {
+    const pending = getPendingDocument(projectDir);
+    if (!pending) return res.status(404).json({ error: "There is no document waiting for confirmation" });
+
+    // Keep the state before the import recoverable
+    ensureInitialRevision(projectDir);
+
+    // Add the document's images like uploaded images
+    const baseName = path.basename(pending.name, path.extname(pending.name));
+    const newImagesData = [];
+    for (const [index, imagePath] of pending.imagePaths.entries()) {
+      try {
+        const processed = await processImage(fs.readFileSync(imagePath), `${baseName}-${index + 1}.png`, uploadsDir);
+        newImagesData.push({
+          id: newImageId(),
+          role: null,
+          filename: processed.filename,
+          originalname: `${pending.name} (image ${index + 1})`,
+          url: processed.url,
+          width: processed.width,
+          height: processed.height,
+          mime: processed.mime,
+          size: processed.size,
+          srcset: processed.srcset,
+          webpSrcset: processed.webpSrcset,
+          variants: processed.variants,
+          uploadedAt: new Date().toISOString(),
+          description: `Image from ${pending.name}`,
+          aiAnalysis: "",
+        });
+      } catch (err) {
+        if (!(err instanceof ImageError)) throw err;
+        console.warn(`⚠️ Skipped image ${index + 1} of ${pending.name}:`, err.message);
+      }
+    }
+
+    const changes = await storage.update(projectDir, (state) => {
+      const merged = mergeProfile(state.profile, pending.profileUpdates);
+      ensureImageIds(merged.profile).push(...newImagesData);
+      recordProfileChanges(merged.profile, merged.changes, "document", `Imported ${pending.name}`);
+
+      state.profile = merged.profile;
+      state.history.push({ user: `Imported the document "${pending.name}"`, bot: pending.summary });
+      return merged.changes;
+    });
+
+    recordRevision(projectDir, "document", {
+      document: pending.name,
+      images: newImagesData.map((img) => img.filename),
+    });
+
+    clearPendingDocument(projectDir);
+    res.status(200).json({ success: true, document: pending.name, profileChanges: changes, images: newImagesData });
+  } catch (error) {
+    sendDocumentError(res, error, "Failed to import document");
+  }
+});
+
+/**
+ * Document Discard Endpoint
+ * Drops the pending document import without changing anything
+ *
+ * @route POST /documents/:userId/discard
+ * @param {string} userId - User identifier from URL parameters
+ * @returns {object} JSON response with the discarded document name
+ */
+app.post("/documents/:userId/discard", rateLimit("POST /documents/:userId/discard"), (req, res) => {
+  const projectDir = activeProjectDir(req.params.userId);
+
+  try {
+    const pending = getPendingDocument(projectDir);
+    if (!pending) return res.status(404).json({ error: "There is no document waiting for confirmation" });
+
+    clearPendingDocument(projectDir);
+    res.status(200).json({ discarded: pending.name });
+  } catch (error) {
+    sendDocumentError(res, error, "Failed to discard document");
+  }
+});
+
+/**
+ * Sends the error of a brand proposal operation
+ *
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by brand-palette.js or the storage
+ * @param {string} fallback - Message for unexpected errors
+ */
+function sendBrandError(res, error, fallback) {
+  if (error instanceof BrandError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error("Brand Palette Error:", error);
+  res.status(500).json({ error: fallback });
+}
+
+/**
+ * Brand Proposal Endpoint
+ * Returns the colours and fonts proposed from the logo, waiting to be accepted
+ *
+ * @route GET /brand/:userId
+ * @param {string} userId - User identifier from URL parameters
+ * @returns {object} JSON response with the proposal
+ */
+app.get("/brand/:userId", rateLimit("GET /brand/:userId"), (req, res) => {
+  try {
+    const proposal = getBrandProposal(activeProjectDir(req.params.userId));
+    if (!proposal) return res.status(404).json({ error: "There is no brand proposal. Upload or tag a logo first." });
+
+    res.status(200).json(proposal);
+  } catch (error) {
+    sendBrandError(res, error, "Failed to load the brand proposal");
+  }
+});
+
+/**
+ * Brand Swatch Endpoint
+ * Renders the proposed palette as an image: primary, secondary, accent, background, surface and text
+ *
+ * @route GET /brand/:userId/swatch
+ * @param {string} userId - User identifier from URL parameters
+ * @returns {file} PNG image
+ */
+app.get("/brand/:userId/swatch", rateLimit("GET /brand/:userId/swatch"), async (req, res) => {
+  try {
+    const proposal = getBrandProposal(activeProjectDir(req.params.userId));
+    if (!proposal) return res.status(404).json({ error: "There is no brand proposal. Upload or tag a logo first." });
+
+    res.type("png").send(await renderSwatch(proposal.palette));
+  } catch (error) {
+    sendBrandError(res, error, "Failed to render the palette");
+  }
+});
+
+/**
+ * Brand Accept Endpoint
+ * Writes the proposed palette and the chosen font pairing into the profile's colorScheme and
+ * branding. The next generation puts them into the main stylesheet as CSS custom properties.
+ *
+ * @route POST /brand/:userId/accept
+ * @param {string} userId - User identifier from URL parameters
+ * @param {number} [fonts] - Index of the chosen font pairing in request body (default 0)
+ * @returns {object} JSON response with the accepted palette and fonts and the profile changes
+ */
+app.post("/brand/:userId/accept", rateLimit("POST /brand/:userId/accept"), async (req, res) => {
+  const projectDir = activeProjectDir(req.params.userId);
+
+  try {
+    const proposal = getBrandProposal(projectDir);
+    if (!proposal) return res.status(404).json({ error: "There is no brand proposal. Upload or tag a logo first." });
+
+    const { patch } = validateProfilePatch(brandPatch(proposal, req.body?.fonts ?? 0));
+    const changes = await storage.update(projectDir, (data) => {
+      const merged = mergeProfile(data.profile, patch);
+      recordProfileChanges(merged.profile, merged.changes, "brand", `Brand palette from ${proposal.image}`);
+      data.profile = merged.profile;
+      return merged.changes;
+    });
+
+    clearBrandProposal(projectDir);
+    res.status(200).json({ palette: patch.branding.palette, fonts: patch.branding.fonts, profileChanges: changes });
+  } catch (error) {
+    sendBrandError(res, error, "Failed to accept the brand proposal");
+  }
+});
+
+/**
+ * Brand Discard Endpoint
+ * Drops the proposal; the profile stays as it is
+ *
+ * @route POST /brand/:userId/discard
+ * @param {string} userId - User identifier from URL parameters
+ * @returns {object} JSON response confirming the discard
+ */
+app.post("/brand/:userId/discard", rateLimit("POST /brand/:userId/discard"), (req, res) => {
+  const projectDir = activeProjectDir(req.params.userId);
+
+  try {
+    if (!getBrandProposal(projectDir)) return res.status(404).json({ error: "There is no brand proposal" });
+
+    clearBrandProposal(projectDir);
+    res.status(200).json({ discarded: true });
+  } catch (error) {
+    sendBrandError(res, error, "Failed to discard the brand proposal");
+  }
+});
+
+/**
+ * Sends the error of a wizard operation
+ *
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by wizard.js
+ * @param {string} fallback - Message for unexpected errors
+ */
+function sendWizardError(res, error, fallback) {
+  if (error instanceof WizardError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error("Wizard Error:", error);
+  res.status(500).json({ error: fallback });
+}
+
+/**
+ * Builds the response for a wizard state
+ *
+ * @param {Object|null} state - Wizard state, null once the wizard is finished
+ * @param {Object} profile - User profile
+ * @returns {object} - { done: false, step } or { done: true, summary }
+ */
+function wizardResponse(state, profile) {
+  return state
+    ? { done: false, step: describeWizardStep(state, profile) }
+    : { done: true, summary: summarizeWizard(profile) };
+}
+
+/**
+ * Wizard Status Endpoint
+ * Returns the current question of the running wizard
+ *
+ * @route GET /wizard/:userId
+ * @param {string} userId - User identifier from URL parameters
+ * @returns {object} JSON response with { done, step }
+ */
+app.get("/wizard/:userId", rateLimit("GET /wizard/:userId"), (req, res) => {
+  const projectDir = activeProjectDir(req.params.userId);
+
+  try {
+    const state = readWizard(projectDir);
+    if (!state) return res.status(404).json({ error: "The wizard isn't running" });
+
+    res.status(200).json(wizardResponse(state, normalizeProfile(storage.readProfile(projectDir))));
+  } catch (error) {
+    sendWizardError(res, error, "Failed to load the wizard");
+  }
+});
+
+/**
+ * Wizard Action Endpoint
+ * Drives the guided questionnaire. Answers are validated and merged straight into the profile
+ * of the active project, without asking the model.
+ *   start  - starts (or restarts) the wizard at the first question
+ *   answer - answers the current question with { option } or { value }; "multi" questions
+ *            without a body confirm the ticked options
+ *   toggle - ticks or unticks { option } of a "multi" question
+ *   skip   - leaves the current question unanswered
+ *   back   - goes back to the previous question
+ *
+ * @route POST /wizard/:userId/:action
+ * @param {string} userId - User identifier from URL parameters
+ * @param {string} action - "start", "answer", "toggle", "skip" or "back"
+ * @param {number} [option] - Option index in request body
+ * @param {string} [value] - Typed answer in request body
+ * @returns {object} JSON response with { done, step } or { done, summary }, plus the profile changes of an answer
+ */
+app.post("/wizard/:userId/:action", rateLimit("POST /wizard/:userId/:action"), async (req, res) => {
+  const { action } = req.params;
+  const { option, value } = req.body || {};
+  const projectDir = activeProjectDir(req.params.userId);
+
+  try {
+    if (!["start", "answer", "toggle", "skip", "back"].includes(action)) {
+      return res.status(404).json({ error: `Unknown wizard action "${action}"` });
+    }
+
+    if (action === "start") {
+      const profile = normalizeProfile(storage.readProfile(projectDir));
+      return res.status(200).json(wizardResponse(startWizard(projectDir, profile), profile));
+    }
+
+    const state = readWizard(projectDir);
+    if (!state) return res.status(404).json({ error: "The wizard isn't running. Start it first." });
+
+    if (action === "toggle") {
+      const profile = normalizeProfile(storage.readProfile(projectDir));
+      return res.status(200).json(wizardResponse(toggleWizardOption(projectDir, state, option), profile));
+    }
+    if (action === "skip" || action === "back") {
+      const profile = normalizeProfile(storage.readProfile(projectDir));
+      return res.status(200).json(wizardResponse(moveWizard(projectDir, state, action === "skip" ? 1 : -1, profile), profile));
+    }
+
+    // Answer: validate it, merge it into the profile and move on
+    const answer = answerWizardStep(state, { option, value });
+    const { patch, warnings } = validateProfilePatch(answer.patch);
+    if (warnings.length) throw new WizardError(warnings.join("; "));
+
+    let profile;
+    const changes = await storage.update(projectDir, (data) => {
+      const merged = mergeProfile(data.profile, patch);
+      recordProfileChanges(merged.profile, merged.changes, "wizard", WIZARD_STEPS[state.step].question);
+      data.profile = profile = merged.profile;
+      return merged.changes;
+    });
+
+    res.status(200).json({ ...wizardResponse(moveWizard(projectDir, state, 1, profile), profile), profileChanges: changes });
+  } catch (error) {
+    sendWizardError(res, error, "Wizard step failed");
+  }
+});
+
+/**
+ * Wizard Stop Endpoint
+ * Stops the running wizard; answers given so far stay in the profile
+ *
+ * @route DELETE /wizard/:userId
+ * @param {string} userId - User identifier from URL parameters
+ * @returns {object} JSON response with the answered fields
+ */
+app.delete("/wizard/:userId", rateLimit("DELETE /wizard/:userId"), (req, res) => {
+  const projectDir = activeProjectDir(req.params.userId);
+
+  try {
+    clearWizard(projectDir);
+    res.status(200).json({ stopped: true, summary: summarizeWizard(normalizeProfile(storage.readProfile(projectDir))) });
+  } catch (error) {
+    sendWizardError(res, error, "Failed to stop the wizard");
+  }
+});
+
+/**
+ * Sends the response to a contact form: JSON for scripts, a small page for plain HTML forms
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body ({ ok: true } or { error, code })
+ */
+function sendFormResponse(req, res, status, body) {
+  if (req.accepts(["json", "html"]) !== "html") return res.status(status).json(body);
+
+  const back = /^https?:\/\//.test(req.get("Referer") || "") ? req.get("Referer") : null;
+  const message = body.ok ? "Thank you! Your message has been sent." : body.error;
+  const escape = (text) => text.replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+  res
+    .status(status)
+    .type("html")
+    .send(
+      `<!doctype html><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">` +
+        `<title>${body.ok ? "Message sent" : "Message not sent"}</title>` +
+        `<p style="font-family:sans-serif;text-align:center;margin-top:3em">${escape(message)}</p>` +
+        (back ? `<p style="font-family:sans-serif;text-align:center"><a href="${escape(back)}">← Back to the website</a></p>` : "")
+    );
+}
+
+/**
+ * Contact Form Endpoint
+ * Receives the contact forms of generated websites (public, no signature), stores each
+ * submission in the form's project and forwards it to the owner's Telegram chat.
+ * Submissions with a filled honeypot field are answered like real ones but dropped.
+ *
+ * @route POST /forms/:formId
+ * @param {string} formId - Form identifier from URL parameters (see forms.js)
+ * @returns {object|html} { ok: true }, or a thank-you page for plain HTML forms
+ */
+app.post(
+  "/forms/:formId",
+  rateLimit("POST /forms/:formId", FORM_RATE_LIMIT_PER_MINUTE, (req) => `${req.params.formId}:${req.ip}`),
+  rateLimit("POST /forms/:formId (all visitors)", FORM_RATE_LIMIT_PER_FORM, (req) => req.params.formId),
+  express.urlencoded({ extended: false, limit: "64kb", parameterLimit: MAX_FIELDS * 2 }),
+  (req, res, next) => {
+    // FormData bodies from scripts; files are not accepted
+    multer({ limits: { files: 0, fields: MAX_FIELDS * 2, fieldSize: 64 * 1024 } }).none()(req, res, (err) => {
+      if (err) return sendFormResponse(req, res, 400, { error: "This form could not be read", code: "invalid_submission" });
+      next();
+    });
+  },
+  async (req, res) => {
+    try {
+      const { userId, projectId, projectDir } = resolveForm(req.params.formId);
+      const { fields, spam } = cleanSubmission(req.body);
+
+      if (spam) {
+        console.warn(`🪤 Dropped spam submission to form ${req.params.formId}`);
+        return sendFormResponse(req, res, 200, { ok: true });
+      }
+
+      const submission = saveSubmission(projectDir, fields, { page: req.get("Referer") });
+      const project = listProjects(userId).projects.find((p) => p.id === projectId);
+      sendTelegramMessage(userId, describeSubmission(project?.name || projectId, submission));
+
+      sendFormResponse(req, res, 200, { ok: true });
+    } catch (error) {
+      if (error instanceof FormError) {
+        return sendFormResponse(req, res, error.status, { error: error.message, code: error.code });
+      }
+      console.error("Form Error:", error);
+      sendFormResponse(req, res, 500, { error: "Your message could not be sent, please try again later", code: "internal_error" });
+    }
+  }
+);
+
+/**
+ * Submissions Endpoint
+ * Lists the contact form submissions of the user's active project, newest first
+ *
+ * @route GET /submissions/:userId
+ * @param {string} userId - User identifier from URL parameters
+ * @param {number} [offset] - Number of newer submissions to skip, in query parameters
+ * @param {number} [limit] - Page size (default 5, max 50), in query parameters
+ * @returns {object} JSON response with { total, offset, submissions, formUrl }
+ */
+app.get("/submissions/:userId", rateLimit("GET /submissions/:userId"), (req, res) => {
+  const userId = req.params.userId;
+  const offset = Math.max(0, Number.parseInt(req.query.offset, 10) || 0);
+  const limit = Math.min(50, Math.max(1, Number.parseInt(req.query.limit, 10) || 5));
+
+  try {
+    const { total, submissions } = listSubmissions(activeProjectDir(userId), { offset, limit });
+    res.status(200).json({ total, offset, submissions, formUrl: formUrlOf(req, userId, getActiveProject(userId).id) });
+  } catch (error) {
+    console.error("Submissions Error:", error);
+    res.status(500).json({ error: "Failed to load submissions" });
+  }
+});
+
+/**
+ * Submissions Export Endpoint
+ * Sends all contact form submissions of the user's active project as a CSV file
+ *
+ * @route GET /submissions/:userId/export
+ * @param {string} userId - User identifier from URL parameters
+ * @returns {file} submissions.csv
+ */
+app.get("/submissions/:userId/export", rateLimit("GET /submissions/:userId/export"), (req, res) => {
+  try {
+    const { total, submissions } = listSubmissions(activeProjectDir(req.params.userId));
+    if (total === 0) return res.status(404).json({ error: "No submissions yet" });
+
+    // The byte order mark makes spreadsheet apps read the file as UTF-8
+    res.attachment("submissions.csv").type("text/csv").send(`\uFEFF${submissionsToCsv(submissions)}`);
+  } catch (error) {
+    console.error("Submissions Export Error:", error);
+    res.status(500).json({ error: "Failed to export submissions" });
+  }
+});
+
+/**
+ * Sends the error of an SEO operation
+ *
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by seo.js or the storage
+ * @param {string} fallback - Message for unexpected errors
+ */
+function sendSeoError(res, error, fallback) {
+  if (error instanceof SeoError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error("SEO Error:", error);
+  res.status(500).json({ error: fallback });
+}
+
+/**
+ * Builds the SEO report of the user's active project
+ *
+ * @param {string} userId - User identifier
+ * @param {Object} profile - User profile
+ * @returns {Object|null} - { score, title, description, checks, custom, url }, or null if there is no website yet
+ */
+function seoReport(userId, profile) {
+  const files = readSiteFiles(path.join(activeProjectDir(userId), "webSite"));
+  const index = files.find((file) => file.path === "index.html");
+  if (!index || index.content.trim() === "<!-- empty -->") return null;
+
+  const { seo } = normalizeProfile(profile);
+  return {
+    ...checkSeo(files),
+    custom: { title: seo.title || null, description: seo.description || null },
+    url: getDeployTarget().urlOf(userId, getActiveProject(userId).id),
+  };
+}
+
+/**
+ * SEO Report Endpoint
+ * Scores the titles, descriptions, social cards, structured data, favicon, sitemap and robots.txt
+ * of the draft of the user's active project
+ *
+ * @route GET /seo/:userId
+ * @param {string} userId - User identifier from URL parameters
+ * @returns {object} JSON response with { score, title, description, checks, custom, url }
+ */
+app.get("/seo/:userId", rateLimit("GET /seo/:userId"), (req, res) => {
+  try {
+    const report = seoReport(req.params.userId, storage.readProfile(activeProjectDir(req.params.userId)));
+    if (!report) return res.status(404).json({ error: "There is no website yet. Generate one first." });
+
+    res.status(200).json(report);
+  } catch (error) {
+    sendSeoError(res, error, "Failed to check the website");
+  }
+});
+
+/**
+ * SEO Settings Endpoint
+ * Sets the title and description of the website's home page. They are saved in the profile
+ * (so later generations keep them) and written into the draft straight away.
+ *
+ * @route POST /seo/:userId
+ * @param {string} userId - User identifier from URL parameters
+ * @param {string|null} [title] - Home page title in request body; null or "" drops the user's title
+ * @param {string|null} [description] - Meta description in request body; null or "" drops the user's description
+ * @returns {object} JSON response with the new SEO report and the revision the change was saved as
+ */
+app.post("/seo/:userId", rateLimit("POST /seo/:userId"), rejectWhileGenerating, async (req, res) => {
+  const userId = req.params.userId;
+  const project = getActiveProject(userId);
+  const projectDir = projectDirOf(userId, project.id);
+
+  try {
+    const { patch } = validateProfilePatch(seoSettingsPatch(req.body));
+
+    const profile = await storage.update(projectDir, (data) => {
+      const merged = mergeProfile(data.profile, patch);
+      recordProfileChanges(merged.profile, merged.changes, "seo");
+      return (data.profile = merged.profile);
+    });
+
+    // Write the new metadata into the draft right away, unless there is no website yet
+    let revision = null;
+    if (seoReport(userId, profile)) {
+      ensureInitialRevision(projectDir);
+      if (applySeoToProject(userId, project, profile).length > 0) {
+        revision = recordRevision(projectDir, "seo").id;
+        notifyPreviewReload(userId);
+      }
+    }
+
+    const custom = { title: profile.seo.title || null, description: profile.seo.description || null };
+    res.status(200).json({ ...seoReport(userId, profile), custom, revision });
+  } catch (error) {
+    sendSeoError(res, error, "Failed to save the SEO settings");
+  }
+});
+
+// How often the model may try to fix generated code that fails validation
+const MAX_REPAIR_ATTEMPTS = Number(process.env.MAX_REPAIR_ATTEMPTS ?? 2);
+
+/**
+ * Error raised by generateWebsite() with the HTTP status it should be reported with
+ */
+class GenerationError extends Error {
+  constructor(message, status = 500, details) {
+    super(message);
+    this.name = "GenerationError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Builds the prompt rules that make generated contact forms deliver their submissions
+ *
+ * @param {string} formUrl - Endpoint the forms post to
+ * @returns {string} - Prompt lines
+ */
+function formInstructions(formUrl) {
+  return `
+- Contact, booking and newsletter forms must really send: use <form action="${formUrl}" method="POST">,
+  give every input a "name", and add the hidden spam trap <input type="text" name="${HONEYPOT_FIELD}" tabindex="-1" autocomplete="off" style="display:none">.
+  Submit with JavaScript: fetch(form.action, { method: "POST", body: new URLSearchParams(new FormData(form)) }),
+  then show a thank-you message on success or the "error" of the JSON reply otherwise. At most ${MAX_FIELDS} fields.
+  `.trim();
+}
+
+/**
+ * Builds the prompt rule that makes generated styles use the accepted brand palette (see brand-palette.js)
+ *
+ * @param {Object} profile - User profile
+ * @returns {string} - Prompt line ending in a newline, or "" if no palette was accepted
+ */
+function brandInstructions(profile) {
+  if (!profile.branding?.palette) return "";
+  return `- The main stylesheet starts with the brand palette as CSS custom properties (--brand-primary, --brand-secondary, --brand-accent,
+  --brand-background, --brand-surface, --brand-text, --brand-muted-text, --brand-link, --brand-on-primary ...) and --font-heading/--font-body.
+  Use var(...) of these for every colour and font instead of fixed values, and text colours only on the backgrounds they are named for.
+`;
+}
+
+/**
+ * Maps the file the model is currently writing to a progress phase
+ *
+ * @param {string} filePath - Path of the file being streamed
+ * @returns {string} - Phase name ("html", "css", "js" or "data")
+ */
+function phaseForFile(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === ".html") return "html";
+  if (ext === ".css") return "css";
+  if (ext === ".js") return "js";
+  return "data";
+}
+
+/**
+ * Generates or updates the user's website with a streamed model completion
+ * Progress is reported while the response streams in, based on the file currently being written
+ * and the amount of text received compared to the size of the existing site.
+ * The result is validated before anything is saved; problems are sent back to the model for
+ * up to MAX_REPAIR_ATTEMPTS repairs, after which the previous version is kept.
+ *
+ * @param {string} userId - User identifier
+ * @param {Object} [options]
+ * @param {Object} [options.project] - Project to generate (see projects.js), defaults to the active one;
+ *                                     used throughout, even if the user switches projects meanwhile
+ * @param {AbortSignal} [options.signal] - Aborts the model request; nothing is written when aborted
+ * @param {Function} [options.onProgress] - Called with (phase, percent)
+ * @param {string} [options.formUrl] - Endpoint the site's contact forms post to (see forms.js)
+ * @returns {Promise<Object>} - { revision, files, deletedFiles }
+ * @throws {GenerationError} - If the generated files still fail validation after all repairs
+ */
+async function generateWebsite(userId, { project = getActiveProject(userId), signal, onProgress = () => {}, formUrl } = {}) {
+  // Define file and directory paths for this project
+  const userDir = projectDirOf(userId, project.id);
+  const websiteDir = path.join(userDir, "webSite");
+
+  onProgress("analysing", 2);
+
+  // Ensure the website directory exists
+  fs.ensureDirSync(websiteDir);
+
+  // Load user data
+  const userProfile = storage.readProfile(userDir) || {};
+  const chatHistory = storage.readHistory(userDir);
+
+  // Load current website code by walking the website directory
+  const websiteFiles = readSiteFiles(websiteDir);
+
+  // Create system prompt for the model
+  const systemPromptBackground = `
+You are a full-stack AI developer. Create or update a **multi-page static website** made of HTML, CSS, JS and data files. Split the site into as many files as it needs: separate pages such as about.html and contact.html, several stylesheets, scripts and JSON data files are all welcome.
+
+Here is the user's desired website information:
+${JSON.stringify(profileForPrompt(userProfile), null, 2)}
+
+Here is the chat history so far:
+${buildConversationContext(userDir, chatHistory)}
+
+Here are the current website files:
+${formatFilesForPrompt(websiteFiles)}
+
+✅ Your task:
+- Update and improve the website files to reflect the user's requirements.
+- "index.html" is the entry point and must always exist.
+- Every page must share the same navbar, and navbar links must point to the real page files (e.g. "about.html").
+- Reference stylesheets, scripts and data files with relative paths.
+- you can add dummy data to show the design of website.
+- Uploaded images live in "uploads/" and must be referenced with their "url". Place them strictly by their "role":
+  - "logo": the brand logo in the navbar of every page (and the footer if it has branding). Never anywhere else.
+  - "hero": the background image of the hero section of index.html. Never anywhere else.
+  - "gallery": the gallery section, in the order they are listed.
+  - "team": one card per image in the team/about section; use the image "description" for the person's name and role.
+  - "product": product/menu/service cards, in the order they are listed, using the image "description".
+  - "favicon": <link rel="icon" href="..."> with its "favicon" url in the <head> of every page. Never shown on the page.
+  - No role: only use it where its aiAnalysis clearly fits, never as logo, hero or favicon.
+- Give every uploaded image its "width" and "height" attributes. When an image has a "srcset", use it with a "sizes" attribute,
+  and wrap it in <picture> with a <source type="image/webp" srcset="..."> built from its "webpSrcset".
+- Keep the design responsive and visually appealing using CSS.
+- Include dummy content using the user's profile data where appropriate.
+- Give every page its own <title> and <meta name="description">; on index.html use the profile's "seo" title and description when they are set.
+${formUrl ? `${formInstructions(formUrl)}\n` : ""}${brandInstructions(userProfile)}- Allowed file types: ${ALLOWED_EXTENSIONS.join(", ")}. Use at most ${MAX_FILES} files.
+- Paths are relative to the website root, without ".." and never inside "uploads/".
+- Return every file you create or change with its full content. Files you leave out stay as they are.
+- List files that should be removed from the project in "deletedFiles".
+
+Respond ONLY with JSON in the following structure:
+{
+  "files": [
+    { "path": "index.html", "content": "FILE_CONTENT_STRING" },
+    { "path": "css/styles.css", "content": "FILE_CONTENT_STRING" }
+  ],
+  "deletedFiles": []
+}
+Do not return markdown formatting, comments, or explanation.
+  `.trim();
+
+  onProgress("analysing", 8);
+
+  // Expected response size, used for an approximate percentage
+  const expectedLength = Math.max(
+    8000,
+    websiteFiles.reduce((total, file) => total + file.content.length, 0) * 1.2
+  );
+
+  const messages = [{ role: "system", content: systemPromptBackground }];
+
+  // Files of this generation; repair replies are layered on top of the first reply
+  const changedFiles = new Map();
+  const deletedSet = new Set();
+  let postProcessed = [];
+  let problems = [];
+
+  for (let attempt = 0; ; attempt++) {
+    const repairing = attempt > 0;
+
+    // Stream the website code from the model
+    let phase = repairing ? "repairing" : "analysing";
+    const { content } = await llm.generate({
+      task: repairing ? "repair" : "generate",
+      userId,
+      messages,
+      signal,
+      onToken: (_, received) => {
+        if (repairing) return onProgress("repairing", 90);
+
+        // The last "path" seen in the streamed JSON is the file currently being written
+        const paths = [...received.matchAll(/"path"\s*:\s*"([^"]+)"/g)];
+        if (paths.length) phase = phaseForFile(paths[paths.length - 1][1]);
+
+        onProgress(phase, 10 + Math.min(75, (received.length / expectedLength) * 75));
+      },
+    });
 
-// Initialize OpenAI client with API key from environment variables
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    if (signal?.aborted) {
+      throw new GenerationError("Generation cancelled", 499);
+    }
 
-// Additional body parser middleware (redundant with express.json(), can be removed)
-app.use(bodyParser.json());
+    onProgress("validating", 88);
 
-/**
- * Reset API Endpoint
- * Clears all user data and resets to default state
- * 
- * @route GET /reset
- * @param {string} userId - User identifier from query parameters
- * @returns {object} JSON response indicating success or failure
- */
-app.get("/reset", async(req, res) => {
-  const userId = req.query.userId;
+    // Parse the reply and check paths and budget, then validate the resulting project
+    try {
+      const parsed = parseJsonReply(content);
+      const files = validateFileMap(parsed.files);
+      const deletedFiles = validateDeletedFiles(parsed.deletedFiles);
 
-  // Validate required parameters
-  if (!userId) {
-    return res.status(400).json({ error: "Missing userId in query params." });
-  }
+      for (const file of files) {
+        changedFiles.set(file.path, file.content);
+        deletedSet.delete(file.path);
+      }
+      for (const filePath of deletedFiles) {
+        if (!files.some((file) => file.path === filePath)) {
+          changedFiles.delete(filePath);
+          deletedSet.add(filePath);
+        }
+      }
 
-  // Define file and directory paths for this user
-  const userDir = path.join("db", userId);
-  const historyFile = path.join(userDir, "chat-history.json");
-  const profileFile = path.join(userDir, "user-data.json");
-  const websiteDir = path.join(userDir, "webSite");
-  const uploadsDir = path.join(websiteDir, "uploads");
+      // The website as it would look on disk after writing this generation
+      const site = new Map(websiteFiles.map((file) => [file.path, file.content]));
+      for (const [filePath, fileContent] of changedFiles) site.set(filePath, fileContent);
+      for (const filePath of deletedSet) site.delete(filePath);
 
-  // Define default user profile structure
-  const defaultProfile = {
-    websiteType: "",
-    targetAudience: "",
-    mainGoal: "",
-    colorScheme: "",
-    theme: "",
-    pages: [],
-    sections: [],
-    features: [],
-    content: {},
-    designPreferences: {},
-    images: [],
-    fonts: "",
-    contactInfo: {},
-    socialLinks: {},
-    customScripts: "",
-    branding: {},
-    updateRequests: [],
-    additionalNotes: "",
-  };
+      if (!site.has("index.html")) {
+        throw new SiteFilesError("The project has no index.html");
+      }
 
-  try {
-    // Ensure all required directories exist
-    fs.ensureDirSync(userDir);
-    fs.ensureDirSync(websiteDir);
-    fs.ensureDirSync(uploadsDir);
+      // Validate the website as it will be written, after SEO and brand post-processing
+      postProcessed = postProcessSite(
+        userId,
+        project,
+        userProfile,
+        [...site].map(([filePath, fileContent]) => ({ path: filePath, content: fileContent }))
+      );
+      for (const file of postProcessed) site.set(file.path, file.content);
+
+      validateFileMap([...site].map(([filePath, fileContent]) => ({ path: filePath, content: fileContent })));
+      problems = validateProject(
+        [...site].map(([filePath, fileContent]) => ({ path: filePath, content: fileContent })),
+        websiteDir
+      );
+    } catch (err) {
+      if (!(err instanceof SiteFilesError) && !(err instanceof SyntaxError)) throw err;
+      problems = [err instanceof SyntaxError ? `The reply is not valid JSON: ${err.message}` : err.message];
+    }
 
-    // Reset chat history to empty array and user profile to default state
-    fs.writeFileSync(historyFile, `[]`);
-    fs.writeFileSync(profileFile, JSON.stringify(defaultProfile, null, 2));
+    if (problems.length === 0) break;
 
-    // Create empty website files
-    fs.writeFileSync(path.join(websiteDir, "index.html"), "<!-- empty -->");
-    fs.writeFileSync(path.join(websiteDir, "styles.css"), "/* empty */");
-    fs.writeFileSync(path.join(websiteDir, "script.js"), "// empty");
+    console.warn(`⚠️ Generated code for ${userId} failed validation (attempt ${attempt + 1}):`, problems);
+    if (attempt >= MAX_REPAIR_ATTEMPTS) {
+      // Nothing is written, so the previous good version stays in place
+      throw new GenerationError("Generated code failed validation", 422, problems.slice(0, 5).join("; "));
+    }
 
-    // Clear all uploaded files
-    fs.emptyDirSync(uploadsDir);
+    // Feed the problems back to the model and ask for corrected files
+    onProgress("repairing", 90);
+    messages.push(
+      { role: "assistant", content },
+      {
+        role: "user",
+        content: `The website you returned has these problems:
+${problems.map((problem) => `- ${problem}`).join("\n")}
+
+Fix every problem. Return ONLY the files you need to change, each with its full corrected content,
+in the same JSON structure ({ "files": [...], "deletedFiles": [...] }). Do not return markdown or explanation.`,
+      }
+    );
+  }
 
-    // Deploy changes to Git repository
-    const values = await deployToGit();
-    console.log("In Reset api Return value:", values);
+  onProgress("saving", 94);
 
-    // Send success response
-    res.status(200).json({ message: `Reset successful for user: ${userId}` });
-  } catch (error) {
-    // Log and handle errors
-    console.error("Reset Error:", error);
-    res.status(500).json({ error: "Failed to reset files" });
-  }
-});
+  // Generated files with the post-processed versions on top
+  for (const file of postProcessed) changedFiles.set(file.path, file.content);
+  const files = [...changedFiles].map(([filePath, fileContent]) => ({ path: filePath, content: fileContent }));
+  const deletedFiles = [...deletedSet];
+
+  // Keep the state before the generation recoverable
+  ensureInitialRevision(userDir);
+
+  // Write generated code to files
+  const { written, deleted } = writeSiteFiles(websiteDir, files, deletedFiles);
+
+  // Record the generated code as a revision and refresh open previews
+  const revision = recordRevision(userDir, "generate");
+  notifyPreviewReload(userId);
+
+  return { revision: revision.id, files: written, deletedFiles: deleted };
+}
 
 /**
- * Update Git Repository Endpoint
- * Triggers deployment to Git/Vercel for website preview
+ * Website Generation Endpoint
+ * Creates or updates website files based on user profile and chat history
+ * Uses the LLM provider to generate a file map of HTML, CSS, JavaScript and data files
+ * Waits for the whole generation; use /generation/:userId for progress reporting
  * 
- * @route GET /update-git
+ * @route POST /promptBackground
+ * @param {string} userId - User identifier in request body
  * @returns {object} JSON response indicating success or failure
  */
-app.get('/update-git', async (req, res) => {
+app.post("/promptBackground", rateLimit("POST /promptBackground", RATE_LIMIT_AI_PER_MINUTE), requireQuota("generations", "tokens"), async (req, res) => {
+  const userId = req.body.userId;
+  if (!userId) return res.status(400).json({ error: "Missing userId" });
+
+  const project = getActiveProject(userId);
+  let job;
   try {
-    // Call the Git deployment utility
-    const values = await deployToGit();
-    console.log("Return value:", values);
-    
-    // Send success response
-    res.status(200).json({ message: '✅ Vercel deployment triggered successfully.' });
+    job = createJob(userId, project.id);
   } catch (error) {
+    return res.status(409).json({ error: error.message });
+  }
+
+  try {
+    const result = await generateWebsite(userId, {
+      project,
+      signal: job.controller.signal,
+      onProgress: (phase, percent) => updateJob(job, phase, percent),
+      formUrl: formUrlOf(req, userId, project.id),
+    });
+    finishJob(job, "done", { result });
+
+    // Send success response
+    res.status(200).json({ message: "WebSite updated successfully", ...result });
+  } catch (err) {
+    if (err instanceof GenerationError) {
+      finishJob(job, "failed", { error: err.details || err.message });
+      return res.status(err.status).json({ error: err.message, details: err.details });
+    }
+    if (job.controller.signal.aborted) {
+      return res.status(499).json({ error: "Generation cancelled" });
+    }
+
     // Log and handle errors
-    console.error("❌ Error updating Vercel:", error);
-    res.status(500).json({ error: 'Vercel deployment failed.', details: error.message });
+    console.error("Background update error:", err);
+    finishJob(job, "failed", { error: "Failed to update webSite" });
+    res.status(500).json({ error: "Failed to update webSite" });
   }
 });
 
 /**
- * Code Download Endpoint
- * Creates and sends a ZIP file containing the user's website code
- * 
- * @route GET /code/:userId
+ * Start Generation Endpoint
+ * Starts a website generation in the background and returns immediately
+ * Progress can be followed with GET /generation/:userId or the SSE stream
+ *
+ * @route POST /generation/:userId
  * @param {string} userId - User identifier from URL parameters
- * @returns {file} ZIP file download response
+ * @returns {object} JSON response with the job status (202)
  */
-app.get("/code/:userId", async (req, res) => {
+app.post("/generation/:userId", rateLimit("POST /generation/:userId", RATE_LIMIT_AI_PER_MINUTE), requireQuota("generations", "tokens"), (req, res) => {
   const userId = req.params.userId;
-  const folderPath = path.join(__dirname, "db", userId, "webSite");
 
-  // Define ZIP file path
-  const zipPath = path.join(__dirname, "db", userId, "webSite.zip");
-  const output = fs.createWriteStream(zipPath);
-  const archive = archiver("zip", { zlib: { level: 9 } });  // Maximum compression
+  const project = getActiveProject(userId);
+  let job;
+  try {
+    job = createJob(userId, project.id);
+  } catch (error) {
+    return res.status(409).json({ error: error.message, job: serializeJob(getJob(userId)) });
+  }
 
-  // Pipe archive data to the file
-  archive.pipe(output);
-  
-  // Add the entire website directory to the archive
-  archive.directory(folderPath, false);
-  await archive.finalize();
+  generateWebsite(userId, {
+    project,
+    signal: job.controller.signal,
+    onProgress: (phase, percent) => updateJob(job, phase, percent),
+    formUrl: formUrlOf(req, userId, project.id),
+  })
+    .then((result) => finishJob(job, "done", { result }))
+    .catch((err) => {
+      if (job.controller.signal.aborted) return; // Already marked as cancelled
+      console.error("Background generation error:", err);
+      finishJob(job, "failed", {
+        error: err instanceof GenerationError ? err.details || err.message : "Failed to update webSite",
+      });
+    });
 
-  // When the archive is fully written, send it as a download
-  output.on("close", () => {
-    res.download(zipPath);
-  });
+  res.status(202).json({ message: "Generation started", job: serializeJob(job) });
 });
 
 /**
- * Image Upload and Analysis Endpoint
- * Handles file uploads, saves images, and analyzes them with OpenAI
- * Uses a two-step middleware approach for file handling and processing
- * 
- * @route POST /upload-image/:userId
+ * Generation Status Endpoint
+ * Returns the status of the user's latest generation job
+ *
+ * @route GET /generation/:userId
  * @param {string} userId - User identifier from URL parameters
- * @returns {object} JSON response with analysis results
+ * @returns {object} JSON response with the job status
  */
-app.post("/upload-image/:userId", (req, res, next) => {
-  // First middleware: Handle file upload with multer
-  const userId = req.params.userId;
-  req.userId = userId;  // Pass userId to the next middleware
-  
-  // Ensure uploads directory exists
-  const uploadsDir = path.join(__dirname, "db", userId, "webSite", "uploads");
-  fs.ensureDirSync(uploadsDir);
+app.get("/generation/:userId", rateLimit("GET /generation/:userId"), (req, res) => {
+  const job = getJob(req.params.userId);
+  if (!job) return res.status(404).json({ error: "No generation found for this user" });
 
-  // Configure storage for uploaded files
-  const storage = multer.diskStorage({
-    destination: (_, __, cb) => cb(null, uploadsDir),
-    filename: (_, file, cb) => cb(null, Date.now() + "-" + file.originalname),
-  });
+  res.status(200).json({ job: serializeJob(job) });
+});
 
-  // Set up multer with configured storage
-  const upload = multer({ storage }).array("images", 10);  // Allow up to 10 images
-  upload(req, res, (err) => {
-    if (err) return res.status(500).json({ error: "Upload failed" });
-    next();  // Proceed to next middleware
+/**
+ * Generation Progress Stream Endpoint
+ * Streams the status of the user's latest generation job as Server-Sent Events
+ * The stream closes when the job finishes
+ *
+ * @route GET /generation/:userId/events
+ * @param {string} userId - User identifier from URL parameters
+ * @returns {stream} text/event-stream of "progress" events
+ */
+app.get("/generation/:userId/events", rateLimit("GET /generation/:userId/events"), (req, res) => {
+  const job = getJob(req.params.userId);
+  if (!job) return res.status(404).json({ error: "No generation found for this user" });
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
   });
-}, async (req, res) => {
-  // Second middleware: Process and analyze uploaded images
-  const userId = req.userId;
-  const uploadsDir = path.join(__dirname, "db", userId, "webSite", "uploads");
-  const profileFile = path.join(__dirname, "db", userId, "user-data.json");
-  const historyFile = path.join(__dirname, "db", userId, "chat-history.json");
 
-  try {
-    const files = req.files;
-    const userText = req.body.text || "";
+  const send = (status) => {
+    res.write(`event: progress\ndata: ${JSON.stringify(status)}\n\n`);
+    if (status.status !== "running") res.end();
+  };
 
-    // Validate that files were uploaded
-    if (!files || files.length === 0) {
-      return res.status(400).json({ error: "No files uploaded" });
-    }
+  send(serializeJob(job));
+  if (job.status !== "running") return;
 
-    // Ensure user data files exist
-    fs.ensureFileSync(profileFile);
-    fs.ensureFileSync(historyFile);
+  const unsubscribe = subscribe(job, send);
+  req.on("close", unsubscribe);
+});
 
-    const newImagesData = [];
+/**
+ * Cancel Generation Endpoint
+ * Aborts the user's running generation; no files are written
+ *
+ * @route POST /generation/:userId/cancel
+ * @param {string} userId - User identifier from URL parameters
+ * @returns {object} JSON response with the cancelled job
+ */
+app.post("/generation/:userId/cancel", rateLimit("POST /generation/:userId/cancel"), (req, res) => {
+  const job = cancelJob(req.params.userId);
+  if (!job) return res.status(404).json({ error: "No generation is running" });
 
-    // Process each uploaded image
-    for (const file of files) {
-      const imagePath = path.join(uploadsDir, file.filename);
-      const ext = path.extname(file.originalname).slice(1);
-
-      // Use OpenAI to analyze the image
-      const analysis = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: [
-          {
-            role: "system",
-            content: "You are a helpful assistant that describes images.",
-          },
-          {
-            role: "user",
-            content: [
-              { type: "text", text: "What kind of image is this and what is its use?" },
-              {
-                type: "image_url",
-                image_url: {
-                  url: `data:image/${ext};base64,${fs.readFileSync(imagePath, "base64")}`,
-                },
-              },
-            ],
-          },
-        ],
-        max_tokens: 200,
-      });
+  res.status(200).json({ message: "Generation cancelled", job: serializeJob(job) });
+});
+
+/**
+ * Targeted Edit Endpoint
+ * Patches the existing website files for a single instruction instead of regenerating everything
+ * Only the current files and the instruction are sent to the model, which returns structured edits.
+ * The edited website gets the same SEO and brand post-processing as a generated one.
+ *
+ * @route POST /edit
+ * @param {string} userId - User identifier in request body
+ * @param {string} instruction - What the user wants changed
+ * @returns {object} JSON response with a summary and the changed files
+ */
+app.post("/edit", rateLimit("POST /edit", RATE_LIMIT_AI_PER_MINUTE), rejectWhileGenerating, requireQuota("messages", "tokens"), async (req, res) => {
+  const { userId, instruction } = req.body;
 
-      const aiDescription = analysis.choices[0].message.content;
+  // Validate required parameters
+  if (!userId) return res.status(400).json({ error: "Missing userId" });
+  if (typeof instruction !== "string" || !instruction.trim()) {
+    return res.status(400).json({ error: "Missing instruction" });
+  }
 
-      // Create metadata for the image
-      const imageData = {
-        filename: file.filename,
-        originalname: file.originalname,
-        url: `uploads/${file.filename}`,
-        uploadedAt: new Date().toISOString(),
-        description: userText,
-        aiAnalysis: aiDescription,
-      };
+  // Define file and directory paths for this project, kept even if the user switches meanwhile
+  const project = getActiveProject(userId);
+  const userDir = projectDirOf(userId, project.id);
+  const websiteDir = path.join(userDir, "webSite");
 
-      newImagesData.push(imageData);
+  try {
+    const websiteFiles = readSiteFiles(websiteDir);
+    if (websiteFiles.length === 0) {
+      return res.status(400).json({ error: "No website to edit yet. Generate one first." });
     }
 
-    // Lock files to prevent concurrent modifications
-    await lockfile.lock(profileFile);
-    await lockfile.lock(historyFile);
+    // The profile drives the post-processing; its image list goes into the prompt, so uploads can be referenced
+    const userProfile = storage.readProfile(userDir) || {};
+    const images = (userProfile.images || []).map((img) => ({ url: img.url, description: img.description }));
 
-    try {
-      // Re-read files after locking to avoid stale writes
-      const latestUserProfile = JSON.parse(fs.readFileSync(profileFile, "utf-8") || "{}");
-      const latestChatHistory = JSON.parse(fs.readFileSync(historyFile, "utf-8") || "[]");
+    // Create edit prompt for the model
+    const promptEdit = `
+You are a careful front-end developer making a small, targeted change to an existing website.
+Change ONLY what the instruction asks for and leave everything else exactly as it is.
 
-      // Initialize images array if it doesn't exist
-      if (!Array.isArray(latestUserProfile.images)) {
-        latestUserProfile.images = [];
-      }
+Instruction:
+${instruction}
 
-      // Add new images to user profile
-      latestUserProfile.images.push(...newImagesData);
+Uploaded images:
+${JSON.stringify(images, null, 2)}
 
-      // Add upload event to chat history
-      latestChatHistory.push({
-        user: `Uploaded ${files.length} image(s) with text: "${userText}"`,
-        bot: newImagesData.map(img => `AI Analysis for ${img.originalname}: ${img.aiAnalysis}`).join("\n\n"),
-      });
+If the change adds or touches a contact form:
+${formInstructions(formUrlOf(req, userId, project.id))}
+
+Current website files:
+${formatFilesForPrompt(websiteFiles)}
+
+Describe your change as a list of edits. Each edit is one of:
+- { "file": "index.html", "search": "EXACT_EXISTING_TEXT", "replace": "NEW_TEXT" }
+  "search" must be copied exactly from the file and must match only once; include enough surrounding lines to be unique.
+- { "file": "index.html", "sectionId": "about-section", "replace": "FULL_NEW_ELEMENT_HTML" }
+  Replaces the whole element with that id (including its opening and closing tags).
+- { "file": "new-page.html", "content": "FULL_FILE_CONTENT" }
+  Only for files that do not exist yet.
+
+Respond ONLY with JSON in the following structure:
+{
+  "summary": "One or two sentences describing what you changed",
+  "edits": [ ... ]
+}
+Do not return markdown formatting, comments, or explanation.
+    `.trim();
+
+    const response = await llm.chat({
+      task: "edit",
+      userId,
+      messages: [{ role: "system", content: promptEdit }],
+    });
 
-      // Write updated data back to files
-      fs.writeFileSync(profileFile, JSON.stringify(latestUserProfile, null, 2));
-      fs.writeFileSync(historyFile, JSON.stringify(latestChatHistory, null, 2));
-    } finally {
-      // Always unlock files, even if an error occurs
-      await lockfile.unlock(profileFile);
-      await lockfile.unlock(historyFile);
+    // Parse the model response
+    let parsed;
+    try {
+      parsed = parseJsonReply(response.content);
+    } catch (jsonErr) {
+      console.error("❌ Failed to parse edit response as JSON. Content was:", response.content);
+      return res.status(500).json({ error: "Model response is not valid JSON", details: jsonErr.message });
     }
 
-    // Send success response with image data
+    // Apply the edits in memory and validate the result before touching the disk
+    let result;
+    try {
+      result = applyEdits(websiteFiles, parsed.edits);
+    } catch (editErr) {
+      if (!(editErr instanceof EditError)) throw editErr;
+      console.error("❌ Edit rejected:", editErr.message);
+      return res.status(422).json({ error: "The edit could not be applied", details: editErr.message });
+    }
+
+    // The website as it would look on disk after the edit, after SEO and brand post-processing
+    const site = new Map(websiteFiles.map((file) => [file.path, file.content]));
+    for (const file of result.files) site.set(file.path, file.content);
+    const toEntries = (map) => [...map].map(([filePath, content]) => ({ path: filePath, content }));
+    const postProcessed = postProcessSite(userId, project, userProfile, toEntries(site));
+    for (const file of postProcessed) site.set(file.path, file.content);
+
+    // Reject edits that introduce new problems (existing ones don't block a small change)
+    const existingProblems = new Set(validateProject(websiteFiles, websiteDir));
+    const newProblems = validateProject(toEntries(site), websiteDir).filter((problem) => !existingProblems.has(problem));
+    if (newProblems.length) {
+      console.error("❌ Edit failed validation:", newProblems);
+      return res.status(422).json({ error: "The edit would break the website", details: newProblems.slice(0, 5).join("; ") });
+    }
+
+    // Keep the state before the edit recoverable, then write the edited and post-processed files
+    ensureInitialRevision(userDir);
+    const changedPaths = new Set([...result.files, ...postProcessed].map((file) => file.path));
+    writeSiteFiles(websiteDir, toEntries(site).filter((file) => changedPaths.has(file.path)));
+
+    const summary = parsed.summary || `Updated ${result.changed.join(", ")}`;
+    const revision = recordRevision(userDir, "edit", { summary });
+    notifyPreviewReload(userId);
+
+    // Keep the edit in the conversation so later generations know about it
+    await storage.update(userDir, (state) => {
+      state.history.push({ user: `Edit request: ${instruction}`, bot: summary });
+    });
+
     res.status(200).json({
-      success: true,
-      images: newImagesData,
-      message: "Images uploaded and analyzed successfully.",
+      message: "WebSite edited successfully",
+      summary,
+      files: result.changed,
+      revision: revision.id,
     });
   } catch (err) {
     // Log and handle errors
-    console.error("Upload Error:", err);
-    res.status(500).json({ error: "Image upload or analysis failed." });
+    console.error("Edit error:", err);
+    res.status(500).json({ error: "Failed to edit webSite" });
   }
 });
 
 /**
- * Website Generation Endpoint
- * Creates or updates website files based on user profile and chat history
- * Uses OpenAI to generate HTML, CSS, and JavaScript code
- * 
- * @route POST /promptBackground
- * @param {string} userId - User identifier in request body
- * @returns {object} JSON response indicating success or failure
+ * Transcription Endpoint
+ * Turns a voice message or audio file into text with the configured speech-to-text backend
+ * The transcript is returned only; clients send it to /chat like a typed message.
+ *
+ * @route POST /transcribe/:userId
+ * @param {string} userId - User identifier from URL parameters
+ * @param {file} audio - Audio file (multipart field "audio"), e.g. a Telegram OGG/Opus voice note
+ * @param {string} [language] - ISO-639-1 language hint in request body
+ * @returns {object} JSON response with the transcript
  */
-app.post("/promptBackground", async (req, res) => {
+app.post("/transcribe/:userId", rateLimit("POST /transcribe/:userId", RATE_LIMIT_AI_PER_MINUTE), requireQuota("uploads"), (req, res, next) => {
+  const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_AUDIO_SIZE, files: 1 } }).single("audio");
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ error: `Audio too large (limit ${Math.round(MAX_AUDIO_SIZE / 1024 / 1024)} MB)` });
+    }
+    if (err) return res.status(500).json({ error: "Upload failed" });
+    next();
+  });
+}, async (req, res) => {
   try {
-    const userId = req.body.userId;
-    if (!userId) return res.status(400).json({ error: "Missing userId" });
-
-    // Define file and directory paths for this user
-    const userDir = path.join(__dirname, "db", userId);
-    const profileFile = path.join(userDir, "user-data.json");
-    const historyFile = path.join(userDir, "chat-history.json");
-    const websiteDir = path.join(userDir, "webSite");
-
-    // Ensure directories and files exist
-    fs.ensureDirSync(websiteDir);
-    fs.ensureFileSync(profileFile);
-    fs.ensureFileSync(historyFile);
-
-    // Load user data
-    const userProfile = JSON.parse(fs.readFileSync(profileFile, "utf-8"));
-    const chatHistory = JSON.parse(fs.readFileSync(historyFile, "utf-8"));
-
-    // Load current website code (if exists)
-    const websiteCode = {
-      html: fs.existsSync(path.join(websiteDir, "index.html"))
-        ? fs.readFileSync(path.join(websiteDir, "index.html"), "utf-8")
-        : "<!-- empty -->",
-      css: fs.existsSync(path.join(websiteDir, "styles.css"))
-        ? fs.readFileSync(path.join(websiteDir, "styles.css"), "utf-8")
-        : "/* empty */",
-      js: fs.existsSync(path.join(websiteDir, "script.js"))
-        ? fs.readFileSync(path.join(websiteDir, "script.js"), "utf-8")
-        : "// empty",
-    };
-
-    // Create system prompt for OpenAI
-    const systemPromptBackground = `
-You are a full-stack AI developer. Create a **dynamic, multi-page-like website** using **a single HTML file**, **one CSS file**, and **one JS file**. Do not split into separate HTML pages. Instead, use JavaScript to simulate multi-page behavior by hiding and showing sections on navbar link click.
+    if (!req.file || req.file.size === 0) return res.status(400).json({ error: "No audio uploaded" });
 
-Here is the user's desired website information:
-${JSON.stringify(userProfile, null, 2)}
-
-Here is the chat history so far:
-${JSON.stringify(chatHistory, null, 2)}
-
-Here is the current website code:
-HTML:
-${websiteCode.html}
-
-CSS:
-${websiteCode.css}
+    const transcript = await stt.transcribe({
+      audio: req.file.buffer,
+      fileName: req.file.originalname || "voice.ogg",
+      mimeType: req.file.mimetype,
+      language: req.body.language,
+    });
 
-JS:
-${websiteCode.js}
+    if (!transcript.text) {
+      return res.status(422).json({ error: "I couldn't make out any words in this recording" });
+    }
 
-✅ Your task:
-- Update and improve the HTML, CSS, and JS files to reflect the user's requirements.
-- The site should simulate **multi-page navigation** using one file only.
-- When the user clicks "About" in the navbar, it should show the About section and hide others. Same for "Home", "Contact", etc.
-- JavaScript should handle this navigation dynamically.
-- you can add dummy data to show the design of website.
-- Use image according to aiAnalysis.
-- Create placeholder sections like <section id="about-section"> for different pages.
-- Make sure the default visible section is "Home" (or first in navbar).
-- Keep the design responsive and visually appealing using CSS.
-- Include dummy content using the user's profile data where appropriate.
+    res.status(200).json(transcript);
+  } catch (error) {
+    console.error("Transcription Error:", error.message);
+    res.status(502).json({ error: "Speech-to-text failed" });
+  }
+});
 
-Respond ONLY with JSON in the following structure:
-{
-  "updatedCode": {
-    "html": "HTML_CODE_STRING",
-    "css": "CSS_CODE_STRING",
-    "js": "JS_CODE_STRING"
+/**
+ * Usage Endpoint
+ * Returns today's consumption of a user, the daily limits and what is left
+ *
+ * @route GET /usage/:userId
+ * @param {string} userId - User identifier from URL parameters
+ * @returns {object} JSON response with { date, usage, limits, remaining, resetsAt, history }
+ */
+app.get("/usage/:userId", rateLimit("GET /usage/:userId"), (req, res) => {
+  try {
+    res.status(200).json(getUsage(req.params.userId));
+  } catch (error) {
+    console.error("Usage Error:", error.message);
+    res.status(500).json({ error: "Failed to load usage" });
   }
-}
-Do not return markdown formatting, comments, or explanation.
-    `.trim();
+});
 
-    // Generate website code using OpenAI
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini", // or "gpt-4o" 
-      messages: [
-        {
-          role: "system",
-          content: systemPromptBackground,
-        }
-      ]
-    });
+/**
+ * Chat History Export Endpoint
+ * Returns the complete, unabridged chat history of the user's active project together with
+ * the rolling summary used in prompts
+ *
+ * @route GET /chat-history/:userId
+ * @param {string} userId - User identifier from URL parameters
+ * @param {string} [format] - "json" (default) or "txt" in query parameters
+ * @returns {object|file} JSON response with { history, summary, summarizedTurns }, or a text file
+ */
+app.get("/chat-history/:userId", rateLimit("GET /chat-history/:userId"), (req, res) => {
+  const userDir = activeProjectDir(req.params.userId);
 
-    // Parse OpenAI response
-    let parsed;
-    try {
-      parsed = JSON.parse(response.choices[0].message.content);
-    } catch (jsonErr) {
-      console.error("❌ Failed to parse OpenAI response as JSON. Content was:", response.choices[0].message.content);
-      return res.status(500).json({ error: "OpenAI response is not valid JSON", details: jsonErr.message });
-    }
+  try {
+    const history = storage.readHistory(userDir);
 
-    // Write generated code to files
-    fs.writeFileSync(path.join(websiteDir, "index.html"), parsed.updatedCode.html);
-    fs.writeFileSync(path.join(websiteDir, "styles.css"), parsed.updatedCode.css);
-    fs.writeFileSync(path.join(websiteDir, "script.js"), parsed.updatedCode.js);
+    if (req.query.format === "txt") {
+      const text = history.map((entry) => `User: ${entry.user}\nBot: ${entry.bot}`).join("\n\n");
+      return res.attachment("chat-history.txt").type("text/plain").send(text);
+    }
 
-    // Send success response
-    res.status(200).json({ message: "WebSite updated successfully" });
-  } catch (err) {
-    // Log and handle errors
-    console.error("Background update error:", err);
-    res.status(500).json({ error: "Failed to update webSite" });
+    const { summary, summarizedTurns } = readMemory(userDir, history);
+    res.status(200).json({ history, summary, summarizedTurns });
+  } catch (error) {
+    console.error("Chat History Error:", error.message);
+    res.status(500).json({ error: "Failed to load chat history" });
   }
 });
 
 /**
  * Chat API Endpoint
  * Handles user messages, updates chat history, and generates responses
- * Uses OpenAI to understand user requirements and update user profile
+ * Uses the LLM provider to understand user requirements and update user profile
  * 
  * @route POST /chat
  * @param {string} message - User's message text
  * @param {string} userId - User identifier
  * @returns {object} JSON response with bot reply and updated chat history
  */
-app.post("/chat", async (req, res) => {
+app.post("/chat", rateLimit("POST /chat", RATE_LIMIT_AI_PER_MINUTE), requireQuota("messages", "tokens"), async (req, res) => {
   const { message, userId } = req.body;
 
   // Validate required parameters
   if (!userId) return res.status(400).json({ error: "Missing userId" });
 
   // Define file paths for this user
-  const userDir = path.join("db", userId);
-  const historyFile = path.join(userDir, "chat-history.json");
-  const profileFile = path.join(userDir, "user-data.json");
+  const userDir = activeProjectDir(userId);
 
   try {
-    // Ensure directories and files exist
-    if (!fs.existsSync(userDir)) fs.mkdirSync(userDir, { recursive: true });
-    if (!fs.existsSync(historyFile)) fs.writeFileSync(historyFile, "[]");
-    if (!fs.existsSync(profileFile)) fs.writeFileSync(profileFile, "{}");
-
     // Load existing data
-    const chatHistory = JSON.parse(fs.readFileSync(historyFile));
-    const userProfile = JSON.parse(fs.readFileSync(profileFile));
-    
-    // Add user message to history (bot response will be added later)
-    const updatedHistory = [...chatHistory, { user: message, bot: "" }];
-
-    // Format conversation for OpenAI prompt
-    const formattedConversation = updatedHistory
-      .map((entry) =>
-        entry.bot
-          ? `User: ${entry.user}\nBot: ${entry.bot}`
-          : `User: ${entry.user}`
-      )
-      .join("\n");
-
-    // Create prompt for OpenAI
+    const chatHistory = storage.readHistory(userDir);
+    const userProfile = normalizeProfile(storage.readProfile(userDir));
+
+    // Summary of older turns plus the most recent ones, within the token budget
+    const conversation = buildConversationContext(userDir, chatHistory);
+
+    // Create prompt for the model
     const promptQuick = `You are a helpful assistant that talks in friendly way with users to understand and build their ideal website.
 Here is the existing chat history:
-${formattedConversation}
+${conversation}
+
+The user's new message:
+${message}
 
 Here is the current user profile:
-${JSON.stringify(userProfile, null, 2)}
+${JSON.stringify(profileForPrompt(userProfile), null, 2)}
+
+Return only the profile fields that changed in "profileUpdates". Fields you leave out are kept as they are.
+Nested objects (content, designPreferences, contactInfo, socialLinks, branding) are merged key by key.
+Lists (pages, sections, features, updateRequests) replace the stored list, so return the complete list.
+Use null to clear a field. Never include "images" or "changeLog".
 
 Respond ONLY in this JSON format:
-{ "nextQuestion": "string", "updatedUserProfile": { ... } }
+{ "nextQuestion": "string", "profileUpdates": { ... } }
 `.trim();
 
-    // Generate response using OpenAI
-    const quickResponse = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    // Generate response using the LLM provider
+    const quickResponse = await llm.chat({
+      task: "chat",
+      userId,
       messages: [{ role: "system", content: promptQuick }],
     });
 
-    // Process OpenAI response
-    let responseText = quickResponse.choices[0].message.content;
-    responseText = responseText.replace(/```json|```/g, "").trim();
+    // Process the model response; an unreadable reply leaves the profile untouched
+    let parsed;
+    try {
+      parsed = parseJsonReply(quickResponse.content);
+    } catch (jsonErr) {
+      console.error("❌ Failed to parse chat response as JSON. Content was:", quickResponse.content);
+      return res.status(502).json({
+        error: "Model response is not valid JSON",
+        reply: "Sorry, I got a bit confused there 😅 Could you say that again?",
+      });
+    }
 
-    const parsed = JSON.parse(responseText);
-    
-    // Update chat history with bot response
-    updatedHistory[updatedHistory.length - 1].bot = parsed.nextQuestion;
+    const nextQuestion = typeof parsed.nextQuestion === "string" && parsed.nextQuestion.trim()
+      ? parsed.nextQuestion
+      : "Got it! What else would you like on your website?";
+
+    // Validate the patch against the schema and merge it into the stored profile
+    const { patch, warnings } = validateProfilePatch(parsed.profileUpdates ?? parsed.updatedUserProfile);
+    if (warnings.length) console.warn("⚠️ Profile update warnings:", warnings);
+
+    // Save the turn and the profile changes; both are re-read under the storage lock, so
+    // uploads and messages that arrived meanwhile are kept
+    const { changes, updatedHistory } = await storage.update(userDir, (state) => {
+      const merged = mergeProfile(state.profile, patch);
+      recordProfileChanges(merged.profile, merged.changes, "chat", message);
+      state.profile = merged.profile;
+      state.history.push({ user: message, bot: nextQuestion });
+      return { changes: merged.changes, updatedHistory: state.history };
+    });
 
-    // Save updated data
-    fs.writeFileSync(historyFile, JSON.stringify(updatedHistory, null, 2));
-    fs.writeFileSync(
-      profileFile,
-      JSON.stringify(parsed.updatedUserProfile, null, 2)
+    // Fold older turns into the rolling summary in the background
+    updateConversationMemory(userDir, { llm, userId }).catch((err) =>
+      console.error("Memory Error:", err.message)
     );
 
     // Send response to client
-    res.json({ reply: parsed.nextQuestion, chatHistory: updatedHistory });
+    res.json({ reply: nextQuestion, chatHistory: updatedHistory, profileChanges: changes, profileWarnings: warnings });
   } catch (error) {
     // Log and handle errors
     console.error("Chat Error:", error.message);
@@ -512,6 +2684,37 @@ Respond ONLY in this JSON format:
   }
 });
 
+/**
+ * Error Handler
+ * Turns authentication, validation, storage and body parsing errors into consistent JSON responses:
+ * { error: "<message>", code: "<stable error code>" }
+ */
+app.use((err, req, res, next) => {
+  if (err instanceof AuthError) {
+    if (err.status === 401) console.warn(`🔒 Rejected ${req.method} ${req.path}: ${err.code}`);
+    return res.status(err.status).json({ error: err.message, code: err.code });
+  }
+  if (err instanceof StorageError) {
+    return res.status(err.status).json({ error: err.message, code: err.code });
+  }
+  if (err instanceof UsageError) {
+    res.set("Retry-After", String(err.details.retryAfter));
+    return res.status(err.status).json({ error: err.message, code: err.code, ...err.details });
+  }
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({ error: `Request body too large (limit ${API_BODY_LIMIT})`, code: "body_too_large" });
+  }
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "Request body is not valid JSON", code: "invalid_json" });
+  }
+  if (err instanceof ProjectError) {
+    return res.status(err.status).json({ error: err.message, code: "invalid_request" });
+  }
+
+  console.error("Server Error:", err);
+  res.status(500).json({ error: "Something went wrong", code: "internal_error" });
+});
+
 // Start the server
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () =>
@@ -0,0 +1,106 @@
+/**
+ * LLM Provider Layer
+ *
+ * Every route talks to the language model through the provider returned by
+ * getProvider(), never through an SDK directly. The provider is selected by
+ * configuration:
+ *
+ *   LLM_PROVIDER=openai   OpenAI API (default), needs OPENAI_API_KEY
+ *   LLM_PROVIDER=local    OpenAI-compatible local endpoint at LOCAL_LLM_BASE_URL
+ *   LLM_PROVIDER=mock     Deterministic fixtures, no network or API key needed
+ *
+ * All providers implement the same interface:
+ *   chat({ task, messages, maxTokens, signal })              -> { content, usage }
+ *   generate({ task, messages, signal, onToken })            -> { content, usage } (streamed)
+ *   vision({ task, system, prompt, imageUrl, maxTokens, signal }) -> { content, usage }
+ *
+ * "task" names the purpose of a request ("chat", "generate", "edit", "vision", ...)
+ * and is what the mock provider uses to pick its fixture.
+ */
+
+// Import required dependencies
+import { createOpenAIProvider } from "./openai-provider.js";   // OpenAI and OpenAI-compatible servers
+import { createMockProvider } from "./mock-provider.js";       // Offline fixture-backed provider
+
+// Provider instance shared by all routes
+let provider = null;
+
+/**
+ * Creates a provider from configuration values
+ *
+ * @param {Object} [env] - Configuration source, defaults to process.env
+ * @returns {Object} - Provider instance
+ * @throws {Error} - If the configured provider is unknown
+ */
+export function createProvider(env = process.env) {
+  const providerName = (env.LLM_PROVIDER || "openai").toLowerCase();
+
+  switch (providerName) {
+    case "openai":
+      return createOpenAIProvider({
+        name: "openai",
+        apiKey: env.OPENAI_API_KEY,
+        model: env.LLM_MODEL || "gpt-4o-mini",
+        visionModel: env.LLM_VISION_MODEL || env.LLM_MODEL || "gpt-4o-mini",
+      });
+
+    case "local":
+      return createOpenAIProvider({
+        name: "local",
+        apiKey: env.LOCAL_LLM_API_KEY || "local",
+        baseURL: env.LOCAL_LLM_BASE_URL || "http://localhost:11434/v1",
+        model: env.LOCAL_LLM_MODEL || env.LLM_MODEL || "llama3.1",
+        visionModel: env.LOCAL_LLM_VISION_MODEL || env.LOCAL_LLM_MODEL || "llava",
+        streamUsage: env.LOCAL_LLM_STREAM_USAGE !== "false",
+      });
+
+    case "mock":
+      return createMockProvider({
+        fixturesDir: env.MOCK_LLM_FIXTURES_DIR || undefined,
+        delayMs: Number(env.MOCK_LLM_DELAY_MS || 0),
+      });
+
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${providerName}" (expected openai, local or mock)`);
+  }
+}
+
+/**
+ * Returns the configured provider, creating it on first use
+ *
+ * @returns {Object} - Provider instance
+ */
+export function getProvider() {
+  if (!provider) provider = createProvider();
+  return provider;
+}
+
+/**
+ * Replaces the shared provider (used to inject a provider in tests or scripts)
+ *
+ * @param {Object|null} instance - Provider instance, or null to fall back to configuration
+ */
+export function setProvider(instance) {
+  provider = instance;
+}
+
+/**
+ * Parses a JSON reply from a model
+ * Tolerates markdown code fences and text around the JSON object.
+ *
+ * @param {string} text - Raw reply text
+ * @returns {Object} - Parsed JSON
+ * @throws {SyntaxError} - If no JSON object can be found in the reply
+ */
+export function parseJsonReply(text) {
+  const cleaned = (text || "").replace(/```json|```/g, "").trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch (err) {
+    // Fall back to the outermost {...} block
+    const start = cleaned.indexOf("{");
+    const end = cleaned.lastIndexOf("}");
+    if (start === -1 || end <= start) throw err;
+    return JSON.parse(cleaned.slice(start, end + 1));
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Mock Provider
+ *
+ * Deterministic, offline LLM provider for development and tests. Instead of
+ * calling a model it answers every request with a fixture file picked by the
+ * request's task ("chat", "generate", "edit", "vision", ...):
+ *   fixtures/<task>.json  - sent back as JSON text
+ *   fixtures/<task>.txt   - sent back as-is
+ * The same request always produces the same reply, and token usage is estimated
+ * from the text length so quota accounting can be exercised without an API key.
+ * Streamed replies can be held back for a while (delayMs) to keep a generation running.
+ */
+
+// Import required dependencies
+import path from "path";                   // For handling file paths
+import fs from "fs-extra";                 // Enhanced file system operations
+import { fileURLToPath } from "url";       // Convert file URLs to paths (for ESM)
+
+// Create ESM-friendly __dirname equivalent
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Fixtures shipped with the server
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "fixtures");
+
+// Size of the chunks a streamed reply is split into
+const STREAM_CHUNK_SIZE = 256;
+
+/**
+ * Rough token estimate (about four characters per token)
+ *
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+/**
+ * Creates the fixture-backed mock provider
+ *
+ * @param {Object} [options]
+ * @param {string} [options.fixturesDir] - Directory holding the fixture files
+ * @param {number} [options.delayMs] - How long a streamed reply waits before its first chunk (ms)
+ * @returns {Object} - Provider with chat(), generate() and vision()
+ */
+export function createMockProvider({ fixturesDir = DEFAULT_FIXTURES_DIR, delayMs = 0 } = {}) {
+  /**
+   * Loads the reply for a task
+   *
+   * @param {string} task - Task name of the request
+   * @returns {string} - Reply text
+   * @throws {Error} - If there is no fixture for the task
+   */
+  const loadFixture = (task) => {
+    const jsonFile = path.join(fixturesDir, `${task}.json`);
+    const textFile = path.join(fixturesDir, `${task}.txt`);
+
+    if (fs.existsSync(jsonFile)) return JSON.stringify(fs.readJsonSync(jsonFile));
+    if (fs.existsSync(textFile)) return fs.readFileSync(textFile, "utf-8").trim();
+    throw new Error(`Mock provider has no fixture for task "${task}" in ${fixturesDir}`);
+  };
+
+  /**
+   * Builds the reply object including estimated usage
+   *
+   * @param {string} task - Task name of the request
+   * @param {Array<Object>} messages - Prompt messages, used for the usage estimate
+   * @returns {{content: string, usage: Object}} - Reply text and usage
+   */
+  const reply = (task, messages = []) => {
+    const content = loadFixture(task);
+    const promptTokens = estimateTokens(JSON.stringify(messages));
+    const completionTokens = estimateTokens(content);
+    return {
+      content,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+    };
+  };
+
+  return {
+    name: "mock",
+    model: "mock",
+
+    async chat({ task = "chat", messages }) {
+      return reply(task, messages);
+    },
+
+    async generate({ task = "generate", messages, signal, onToken = () => {} }) {
+      const result = reply(task, messages);
+      if (delayMs > 0) await new Promise((resolve) => setTimeout(resolve, delayMs));
+
+      // Stream the fixture in chunks so progress reporting behaves like a real stream
+      let content = "";
+      for (let i = 0; i < result.content.length; i += STREAM_CHUNK_SIZE) {
+        if (signal?.aborted) {
+          const error = new Error("Request was aborted.");
+          error.name = "AbortError";
+          throw error;
+        }
+        const delta = result.content.slice(i, i + STREAM_CHUNK_SIZE);
+        content += delta;
+        onToken(delta, content);
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+      return result;
+    },
+
+    async vision({ task = "vision", system, prompt }) {
+      return reply(task, [system, prompt]);
+    },
+  };
+}
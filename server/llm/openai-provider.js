@@ -0,0 +1,117 @@
+/**
+ * OpenAI Provider
+ *
+ * LLM provider backed by the official OpenAI SDK. The same implementation also
+ * serves OpenAI-compatible local endpoints (Ollama, LM Studio, vLLM, llama.cpp
+ * server, ...) by pointing the client at a different base URL.
+ */
+
+// Import required dependencies
+import OpenAI from "openai";   // OpenAI API client
+
+/**
+ * Converts the usage block of an OpenAI response to the provider format
+ *
+ * @param {Object} [usage] - OpenAI usage object
+ * @returns {{promptTokens: number, completionTokens: number, totalTokens: number}|null} - Token usage
+ */
+function toUsage(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || 0,
+  };
+}
+
+/**
+ * Creates a provider that talks to OpenAI or an OpenAI-compatible server
+ *
+ * @param {Object} options
+ * @param {string} options.name - Provider name reported to callers ("openai" or "local")
+ * @param {string} [options.apiKey] - API key (local servers usually accept any value)
+ * @param {string} [options.baseURL] - Base URL of an OpenAI-compatible server
+ * @param {string} options.model - Model used for chat and generation
+ * @param {string} options.visionModel - Model used for image analysis
+ * @param {boolean} [options.streamUsage] - Ask for token usage at the end of a stream
+ * @returns {Object} - Provider with chat(), generate() and vision()
+ */
+export function createOpenAIProvider({ name, apiKey, baseURL, model, visionModel, streamUsage = true }) {
+  const client = new OpenAI({ apiKey, baseURL });
+
+  return {
+    name,
+    model,
+
+    /**
+     * Single chat completion
+     *
+     * @param {Object} request - { messages, maxTokens, signal }
+     * @returns {Promise<{content: string, usage: Object|null}>} - Reply text and token usage
+     */
+    async chat({ messages, maxTokens, signal }) {
+      const response = await client.chat.completions.create(
+        { model, messages, max_tokens: maxTokens },
+        { signal }
+      );
+      return { content: response.choices[0].message.content, usage: toUsage(response.usage) };
+    },
+
+    /**
+     * Streamed completion for long outputs such as website generation
+     *
+     * @param {Object} request - { messages, signal, onToken }
+     * @returns {Promise<{content: string, usage: Object|null}>} - Full text and token usage
+     */
+    async generate({ messages, signal, onToken = () => {} }) {
+      const stream = await client.chat.completions.create(
+        {
+          model,
+          messages,
+          stream: true,
+          ...(streamUsage ? { stream_options: { include_usage: true } } : {}),
+        },
+        { signal }
+      );
+
+      let content = "";
+      let usage = null;
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content || "";
+        if (delta) {
+          content += delta;
+          onToken(delta, content);
+        }
+        if (chunk.usage) usage = toUsage(chunk.usage);
+      }
+      return { content, usage };
+    },
+
+    /**
+     * Describes an image
+     *
+     * @param {Object} request - { system, prompt, imageUrl, maxTokens, signal }
+     * @returns {Promise<{content: string, usage: Object|null}>} - Description and token usage
+     */
+    async vision({ system, prompt, imageUrl, maxTokens, signal }) {
+      const response = await client.chat.completions.create(
+        {
+          model: visionModel,
+          messages: [
+            { role: "system", content: system },
+            {
+              role: "user",
+              content: [
+                { type: "text", text: prompt },
+                { type: "image_url", image_url: { url: imageUrl } },
+              ],
+            },
+          ],
+          max_tokens: maxTokens,
+        },
+        { signal }
+      );
+      return { content: response.choices[0].message.content, usage: toUsage(response.usage) };
+    },
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * Storage Migration Tool
+ *
+ * Imports the profiles, chat histories and other JSON state (see DOCUMENTS) of an existing
+ * db/ folder into the SQLite storage (see storage/index.js). Run it once before starting the server with
+ * STORAGE_BACKEND=sqlite:
+ *
+ *   npm run migrate-storage [-- --overwrite]
+ *
+ *   --overwrite   replace projects that are already in the database (default: keep them)
+ *
+ * The database is SQLITE_FILE (default db/storage.sqlite). Users whose data predates
+ * projects are moved into a first project on the way (see projects.js). The JSON files
+ * are left in place as a backup; the server doesn't read them while using SQLite.
+ * Running the tool again is safe.
+ */
+
+// Import required dependencies
+import path from "path";                    // For handling file paths
+import fs from "fs-extra";                  // Enhanced file system operations
+import dotenv from "dotenv";                // Environment variable management
+import { createStorage, setStorage, importProjectFiles, importDocumentFiles, DOCUMENTS } from "./storage/index.js"; // Storage backends
+import { DB_DIR, listProjects, projectDirOf, userDirOf } from "./projects.js";       // Users and their projects
+import { isValidUserId } from "./auth.js";  // Data folders that belong to users
+
+// Load environment variables from .env file
+dotenv.config();
+
+/**
+ * Imports every project of every user into the SQLite storage
+ *
+ * @param {Object} options
+ * @param {boolean} [options.overwrite] - Replace projects that are already in the database
+ * @returns {{users: number, imported: number, exists: number, empty: number, failed: number, documents: number}} - Counts
+ */
+function migrate({ overwrite = false }) {
+  const target = createStorage({ ...process.env, STORAGE_BACKEND: "sqlite" });
+  setStorage(createStorage({ STORAGE_BACKEND: "file" }));  // Old layouts are moved into projects as files first
+
+  const totals = { users: 0, imported: 0, exists: 0, empty: 0, failed: 0, documents: 0 };
+  const userIds = fs.existsSync(DB_DIR)
+    ? fs.readdirSync(DB_DIR).filter((name) => isValidUserId(name) && fs.statSync(path.join(DB_DIR, name)).isDirectory())
+    : [];
+
+  try {
+    totals.documents += importDocumentFiles(DB_DIR, DOCUMENTS.data, target, { overwrite });
+    for (const userId of userIds) {
+      totals.users += 1;
+      for (const project of listProjects(userId).projects) {
+        try {
+          const result = importProjectFiles(projectDirOf(userId, project.id), target, { overwrite });
+          totals[result] += 1;
+          if (result === "imported") console.log(`✅ ${userId}/${project.id}`);
+        } catch (error) {
+          totals.failed += 1;
+          console.error(`❌ ${userId}/${project.id}:`, error.message);
+        }
+      }
+      totals.documents += importDocumentFiles(userDirOf(userId), DOCUMENTS.user, target, { overwrite });
+    }
+  } finally {
+    target.close();
+  }
+
+  console.log(`🗄 Database: ${target.file}`);
+  return totals;
+}
+
+const totals = migrate({ overwrite: process.argv.includes("--overwrite") });
+console.log(
+  `📦 ${totals.users} user(s): ${totals.imported} project(s) imported, ${totals.exists} already in the database, ` +
+    `${totals.empty} without data, ${totals.failed} failed; ${totals.documents} user and form document(s) copied`
+);
+if (totals.exists > 0) console.log("ℹ️ Use --overwrite to replace projects that are already in the database.");
+process.exitCode = totals.failed > 0 ? 1 : 0;
@@ -0,0 +1,200 @@
+/**
+ * Self-Hosted Preview Utility
+ *
+ * This module lets the Express server show a user's website directly, without
+ * pushing it to git first. Each preview is reached through an unguessable token
+ * that expires after a while:
+ *
+ *   GET /preview/<token>/              -> webSite/index.html of the token's user and project
+ *   GET /preview/<token>/about.html    -> webSite/about.html
+ *   GET /preview/<token>/__livereload  -> Server-Sent Events, "reload" after every change
+ *
+ * HTML pages get a tiny script injected that listens for reload events, so an open
+ * preview refreshes by itself after each generation or edit. A token always shows the
+ * project it was created for, even after the user switches to another one. Tokens are
+ * kept in memory; after a server restart users simply ask for a new preview link.
+ */
+
+// Import required dependencies
+import path from "path";                    // For handling file paths
+import fs from "fs-extra";                  // Enhanced file system operations
+import { randomBytes } from "crypto";       // Unguessable preview tokens
+
+// How long a preview link stays valid (ms), configurable with PREVIEW_TOKEN_TTL_HOURS
+const TOKEN_TTL = Number(process.env.PREVIEW_TOKEN_TTL_HOURS || 24) * 60 * 60 * 1000;
+
+// An existing token is handed out again while it has at least this much time left (ms)
+const TOKEN_REUSE_MARGIN = 60 * 60 * 1000;
+
+// Active tokens: token -> { userId, projectId, expiresAt }
+const tokens = new Map();
+
+// Open live reload connections: userId -> Set of responses
+const reloadClients = new Map();
+
+/**
+ * Builds the script injected into every previewed HTML page
+ *
+ * @param {string} previewRoot - Root URL path of the preview ("/preview/<token>")
+ * @returns {string} - Script tag that reloads the page on "reload" events
+ */
+function liveReloadScript(previewRoot) {
+  return `
+<script>
+  (function () {
+    var source = new EventSource(${JSON.stringify(`${previewRoot}/__livereload`)});
+    source.addEventListener("reload", function () { location.reload(); });
+  })();
+</script>`;
+}
+
+/**
+ * Removes expired tokens
+ */
+function pruneTokens() {
+  const now = Date.now();
+  for (const [token, entry] of tokens) {
+    if (entry.expiresAt <= now) tokens.delete(token);
+  }
+}
+
+/**
+ * Returns a preview token for a user's project, reusing a recent one when possible
+ *
+ * @param {string} userId - User identifier
+ * @param {string} projectId - Project the preview shows
+ * @returns {{token: string, expiresAt: string}} - Token and its expiry time
+ */
+export function createPreviewToken(userId, projectId) {
+  pruneTokens();
+
+  for (const [token, entry] of tokens) {
+    if (entry.userId === userId && entry.projectId === projectId && entry.expiresAt - Date.now() > TOKEN_REUSE_MARGIN) {
+      return { token, expiresAt: new Date(entry.expiresAt).toISOString() };
+    }
+  }
+
+  const token = randomBytes(24).toString("base64url");
+  const expiresAt = Date.now() + TOKEN_TTL;
+  tokens.set(token, { userId, projectId, expiresAt });
+
+  return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Resolves a preview token to its user and project
+ *
+ * @param {string} token - Token from the URL
+ * @returns {{userId: string, projectId: string}|null} - User and project, or null if the token is unknown or expired
+ */
+export function resolvePreviewToken(token) {
+  const entry = tokens.get(token);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    tokens.delete(token);
+    return null;
+  }
+  return { userId: entry.userId, projectId: entry.projectId };
+}
+
+/**
+ * Revokes every preview token of a user
+ *
+ * @param {string} userId - User identifier
+ */
+export function revokePreviewTokens(userId) {
+  for (const [token, entry] of tokens) {
+    if (entry.userId === userId) tokens.delete(token);
+  }
+}
+
+/**
+ * Tells every open preview of a user to reload
+ * Called after each change to the user's website files.
+ *
+ * @param {string} userId - User identifier
+ */
+export function notifyPreviewReload(userId) {
+  for (const res of reloadClients.get(userId) || []) {
+    res.write(`event: reload\ndata: ${Date.now()}\n\n`);
+  }
+}
+
+/**
+ * Express handler for the live reload event stream
+ *
+ * @param {string} userId - User whose changes are watched
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ */
+function serveLiveReload(userId, req, res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write(": connected\n\n");
+
+  if (!reloadClients.has(userId)) reloadClients.set(userId, new Set());
+  reloadClients.get(userId).add(res);
+
+  req.on("close", () => {
+    reloadClients.get(userId)?.delete(res);
+  });
+}
+
+/**
+ * Creates the Express handler that serves previews
+ * Mount it on "/preview/:token" and "/preview/:token/*path".
+ *
+ * @param {Function} websiteDirFor - Returns the website directory of a (userId, projectId)
+ * @returns {Function} - Express request handler
+ */
+export function createPreviewHandler(websiteDirFor) {
+  return (req, res) => {
+    const preview = resolvePreviewToken(req.params.token);
+    const websiteDir = preview && websiteDirFor(preview.userId, preview.projectId);
+    if (!preview || !fs.existsSync(websiteDir)) {
+      return res.status(404).send("This preview link is invalid or has expired. Ask the bot for a new one with /preview.");
+    }
+
+    // Without a trailing slash relative links in the page would resolve outside the preview
+    const segments = req.params.path || [];
+    if (segments.length === 0 && !req.path.endsWith("/")) {
+      return res.redirect(301, `${req.baseUrl}${req.path}/`);
+    }
+
+    const relPath = segments.filter(Boolean).join("/") || "index.html";
+    if (relPath === "__livereload") {
+      return serveLiveReload(preview.userId, req, res);
+    }
+
+    const filePath = path.resolve(websiteDir, relPath);
+    if (!filePath.startsWith(path.resolve(websiteDir) + path.sep)) {
+      return res.status(404).send("Not found");
+    }
+
+    let target = filePath;
+    if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+      target = path.join(target, "index.html");
+    }
+    if (!fs.existsSync(target)) {
+      return res.status(404).send("Not found");
+    }
+
+    res.set("Cache-Control", "no-store");
+    res.set("X-Robots-Tag", "noindex");
+
+    // HTML pages get the live reload script
+    if (path.extname(target).toLowerCase() === ".html") {
+      const script = liveReloadScript(`/preview/${encodeURIComponent(req.params.token)}`);
+      const html = fs.readFileSync(target, "utf-8");
+      const withReload = html.includes("</body>")
+        ? html.replace(/<\/body>(?![\s\S]*<\/body>)/i, `${script}\n</body>`)
+        : html + script;
+      return res.type("html").send(withReload);
+    }
+
+    res.sendFile(target, { dotfiles: "deny" });
+  };
+}
@@ -0,0 +1,251 @@
+/**
+ * User Profile Schema
+ *
+ * This module defines the shape of user-data.json and how model output is applied
+ * to it. The /chat model returns a patch of changed fields; the patch is validated
+ * against the schema and deep-merged into the stored profile instead of replacing it,
+ * so fields the model forgets to repeat are never lost. Uploaded image metadata and
+ * the change log are protected and can only be changed by the server itself.
+ */
+
+/**
+ * Profile schema: field name -> { type, items?, protected? }
+ *   type      "string" | "array" | "object"
+ *   items     element type for arrays ("string" or "any")
+ *   protected true if the model is not allowed to change the field
+ */
+export const PROFILE_SCHEMA = {
+  websiteType: { type: "string" },
+  targetAudience: { type: "string" },
+  mainGoal: { type: "string" },
+  colorScheme: { type: "string" },
+  theme: { type: "string" },
+  pages: { type: "array", items: "string" },
+  sections: { type: "array", items: "string" },
+  features: { type: "array", items: "any" },
+  content: { type: "object" },
+  designPreferences: { type: "object" },
+  images: { type: "array", items: "any", protected: true },
+  fonts: { type: "string" },
+  contactInfo: { type: "object" },
+  socialLinks: { type: "object" },
+  customScripts: { type: "string" },
+  branding: { type: "object" },
+  seo: { type: "object" },
+  updateRequests: { type: "array", items: "any" },
+  additionalNotes: { type: "string" },
+  changeLog: { type: "array", items: "any", protected: true },
+};
+
+// Maximum number of change log entries kept in the profile
+const MAX_CHANGE_LOG = 100;
+
+/**
+ * Returns an empty value for a schema type
+ *
+ * @param {string} type - Schema type
+ * @returns {string|Array|Object} - Empty value
+ */
+function emptyValue(type) {
+  if (type === "array") return [];
+  if (type === "object") return {};
+  return "";
+}
+
+/**
+ * Checks whether a value is a plain object
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for non-null, non-array objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Checks whether a value carries no information ("", [], {})
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if the value is blank
+ */
+function isBlank(value) {
+  if (typeof value === "string") return value.trim() === "";
+  if (Array.isArray(value)) return value.length === 0;
+  if (isPlainObject(value)) return Object.keys(value).length === 0;
+  return value === undefined;
+}
+
+/**
+ * Creates the default profile written by /reset
+ *
+ * @returns {Object} - Profile with every schema field set to its empty value
+ */
+export function createDefaultProfile() {
+  return Object.fromEntries(
+    Object.entries(PROFILE_SCHEMA).map(([field, rule]) => [field, emptyValue(rule.type)])
+  );
+}
+
+/**
+ * Fills in missing schema fields of a stored profile and fixes fields with the wrong type
+ *
+ * @param {Object} profile - Profile as read from disk
+ * @returns {Object} - Profile that satisfies the schema
+ */
+export function normalizeProfile(profile) {
+  const normalized = { ...(isPlainObject(profile) ? profile : {}) };
+
+  for (const [field, rule] of Object.entries(PROFILE_SCHEMA)) {
+    const value = normalized[field];
+    const valid =
+      (rule.type === "string" && typeof value === "string") ||
+      (rule.type === "array" && Array.isArray(value)) ||
+      (rule.type === "object" && isPlainObject(value));
+    if (!valid) normalized[field] = emptyValue(rule.type);
+  }
+
+  return normalized;
+}
+
+/**
+ * Validates a profile patch returned by the model
+ * Unknown and protected fields are dropped, values are coerced where the intent is clear
+ * (a number for a string field, a single string for a list), everything else is rejected.
+ *
+ * @param {Object} patch - Patch from the model
+ * @returns {{patch: Object, warnings: string[]}} - Accepted fields and a note for every rejected one
+ */
+export function validateProfilePatch(patch) {
+  const accepted = {};
+  const warnings = [];
+
+  if (!isPlainObject(patch)) {
+    return { patch: accepted, warnings: patch === undefined ? [] : ["Profile update is not an object"] };
+  }
+
+  for (const [field, value] of Object.entries(patch)) {
+    const rule = PROFILE_SCHEMA[field];
+
+    if (!rule) {
+      warnings.push(`Unknown field "${field}" ignored`);
+      continue;
+    }
+    if (rule.protected) {
+      warnings.push(`Protected field "${field}" ignored`);
+      continue;
+    }
+
+    // null explicitly clears a field
+    if (value === null) {
+      accepted[field] = null;
+      continue;
+    }
+
+    if (rule.type === "string") {
+      if (typeof value === "string") accepted[field] = value;
+      else if (typeof value === "number" || typeof value === "boolean") accepted[field] = String(value);
+      else warnings.push(`Field "${field}" must be a string`);
+    } else if (rule.type === "array") {
+      const list = Array.isArray(value) ? value : typeof value === "string" ? [value] : null;
+      if (!list) {
+        warnings.push(`Field "${field}" must be a list`);
+      } else if (rule.items === "string" && list.some((item) => typeof item !== "string")) {
+        warnings.push(`Field "${field}" must be a list of strings`);
+      } else {
+        accepted[field] = list;
+      }
+    } else if (rule.type === "object") {
+      if (isPlainObject(value)) accepted[field] = value;
+      else warnings.push(`Field "${field}" must be an object`);
+    }
+  }
+
+  return { patch: accepted, warnings };
+}
+
+/**
+ * Deep-merges a value into an existing one and collects the changed paths
+ * Objects are merged key by key, blank values never overwrite existing data and
+ * null clears a value. Arrays and scalars are replaced as a whole.
+ *
+ * @param {*} current - Existing value
+ * @param {*} update - Value from the patch
+ * @param {string} fieldPath - Dotted path of the value, used in the change list
+ * @param {Array<Object>} changes - Collects { field, from, to } entries
+ * @returns {*} - Merged value
+ */
+function mergeValue(current, update, fieldPath, changes) {
+  if (update === null) {
+    if (current !== undefined && !isBlank(current)) {
+      changes.push({ field: fieldPath, from: current, to: null });
+    }
+    return undefined;
+  }
+  if (isBlank(update)) return current;
+
+  if (isPlainObject(current) && isPlainObject(update)) {
+    const merged = { ...current };
+    for (const [key, value] of Object.entries(update)) {
+      const next = mergeValue(current[key], value, `${fieldPath}.${key}`, changes);
+      if (next === undefined) delete merged[key];
+      else merged[key] = next;
+    }
+    return merged;
+  }
+
+  if (JSON.stringify(current) !== JSON.stringify(update)) {
+    changes.push({ field: fieldPath, from: current === undefined ? null : current, to: update });
+  }
+  return update;
+}
+
+/**
+ * Applies a validated patch to a profile
+ *
+ * @param {Object} profile - Stored profile
+ * @param {Object} patch - Validated patch (see validateProfilePatch)
+ * @returns {{profile: Object, changes: Array<Object>}} - Merged profile and per-field changes
+ */
+export function mergeProfile(profile, patch) {
+  const merged = normalizeProfile(profile);
+  const changes = [];
+
+  for (const [field, value] of Object.entries(patch)) {
+    const next = mergeValue(merged[field], value, field, changes);
+    merged[field] = next === undefined ? emptyValue(PROFILE_SCHEMA[field].type) : next;
+  }
+
+  return { profile: merged, changes };
+}
+
+/**
+ * Appends a change log entry to the profile
+ *
+ * @param {Object} profile - Profile to update (modified in place)
+ * @param {Array<Object>} changes - Per-field changes of this turn
+ * @param {string} source - What caused the changes (e.g. "chat")
+ * @param {string} [message] - User message that led to the changes
+ * @returns {Object} - The updated profile
+ */
+export function recordProfileChanges(profile, changes, source, message) {
+  if (changes.length === 0) return profile;
+
+  profile.changeLog = [
+    ...(profile.changeLog || []),
+    { at: new Date().toISOString(), source, message, changes },
+  ].slice(-MAX_CHANGE_LOG);
+
+  return profile;
+}
+
+/**
+ * Returns the profile as it should be shown to the model
+ * The change log is server bookkeeping and would only waste prompt tokens.
+ *
+ * @param {Object} profile - Stored profile
+ * @returns {Object} - Profile without internal fields
+ */
+export function profileForPrompt(profile) {
+  const { changeLog, ...rest } = profile || {};
+  return rest;
+}
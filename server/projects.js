@@ -0,0 +1,335 @@
+/**
+ * Projects Utility
+ *
+ * This module lets a Telegram user own several websites ("projects"). Every project
+ * keeps its own profile, chat history, website files and revisions:
+ *
+ *   db/<userId>/projects.json                      - { activeProjectId, projects: [...] }
+ *                                                    (the user's "projects" document, see storage/index.js)
+ *   db/<userId>/projects/<projectId>/user-data.json      (file storage only, see storage/index.js)
+ *   db/<userId>/projects/<projectId>/chat-history.json   (file storage only)
+ *   db/<userId>/projects/<projectId>/webSite/...         (the draft)
+ *   db/<userId>/projects/<projectId>/published/...       (the published version, see publishing.js)
+ *   db/<userId>/projects/<projectId>/revisions/...
+ *   db/<userId>/projects/<projectId>/submissions.jsonl   (contact form messages, see forms.js)
+ *
+ * The index is only changed within a locked storage update (changeIndex), so concurrent
+ * requests never overwrite each other's project changes. All user routes act on the active project. Data from before projects existed
+ * (db/<userId>/webSite, user-data.json, ...) is moved into a first project automatically.
+ */
+
+// Import required dependencies
+import path from "path";                   // For handling file paths
+import fs from "fs-extra";                 // Enhanced file system operations
+import { randomBytes } from "crypto";      // Random project id suffixes
+import { fileURLToPath } from "url";       // Convert file URLs to paths (for ESM)
+import { createDefaultProfile } from "./profile-schema.js"; // Default profile of a new project
+import { listRevisions } from "./revisions.js";              // Last change of a project
+import { isValidUserId } from "./auth.js";                   // User id validation
+import { getStorage, importProjectFiles } from "./storage/index.js"; // Profile, history and project index storage
+import { writeEmptySite } from "./site-files.js";                   // Placeholder files of a new project
+
+// Create ESM-friendly __dirname equivalent
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Folder that holds the data of all users, configurable with DB_DIR (e.g. a temporary folder in tests)
+export const DB_DIR = process.env.DB_DIR ? path.resolve(process.env.DB_DIR) : path.join(__dirname, "db");
+
+// Name given to the project created automatically for a user
+const DEFAULT_PROJECT_NAME = "My Website";
+
+// Maximum number of projects per user
+export const MAX_PROJECTS = 10;
+
+// Files and folders that make up a project (also used to migrate old data)
+const PROJECT_ENTRIES = ["user-data.json", "chat-history.json", "webSite", "revisions"];
+
+/**
+ * Error raised for invalid project operations, carrying the HTTP status to report
+ */
+export class ProjectError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ProjectError";
+    this.status = status;
+  }
+}
+
+/**
+ * Returns the data directory of a user
+ *
+ * @param {string} userId - User identifier
+ * @returns {string} - Path to db/<userId>
+ * @throws {ProjectError} - If the user id could escape the data folder
+ */
+export function userDirOf(userId) {
+  if (!isValidUserId(userId)) throw new ProjectError("Invalid userId");
+  return path.join(DB_DIR, userId);
+}
+
+/**
+ * Returns the directory of one project
+ *
+ * @param {string} userId - User identifier
+ * @param {string} projectId - Project identifier
+ * @returns {string} - Path to db/<userId>/projects/<projectId>
+ */
+export function projectDirOf(userId, projectId) {
+  return path.join(userDirOf(userId), "projects", projectId);
+}
+
+/**
+ * Writes the empty profile, history and files of a fresh project
+ * The same starting point /reset produces.
+ *
+ * @param {string} projectDir - Project directory
+ */
+export function initProjectFiles(projectDir) {
+  writeEmptySite(path.join(projectDir, "webSite"));
+  getStorage().init(projectDir, { profile: createDefaultProfile(), history: [] });
+}
+
+/**
+ * Builds a readable, unique project id from a name
+ *
+ * @param {string} name - Project name
+ * @returns {string} - Id such as "bakery-3f9a"
+ */
+function newProjectId(name) {
+  const slug = name
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 24);
+  return `${slug || "project"}-${randomBytes(2).toString("hex")}`;
+}
+
+/**
+ * Validates and trims a project name
+ *
+ * @param {string} name - Name given by the user
+ * @returns {string} - Cleaned name
+ * @throws {ProjectError} - If the name is empty or too long
+ */
+function cleanName(name) {
+  const cleaned = (name || "").replace(/\s+/g, " ").trim();
+  if (!cleaned) throw new ProjectError("Project name is required");
+  if (cleaned.length > 60) throw new ProjectError("Project name is too long (max 60 characters)");
+  return cleaned;
+}
+
+/**
+ * Creates the first project of a user, moving data from before projects existed or starting empty
+ *
+ * @param {string} userId - User identifier
+ * @returns {{activeProjectId: string, projects: Array<Object>}} - Project index with the new project
+ */
+function createFirstProject(userId) {
+  const userDir = userDirOf(userId);
+  const now = new Date().toISOString();
+  const project = { id: newProjectId(DEFAULT_PROJECT_NAME), name: DEFAULT_PROJECT_NAME, createdAt: now };
+  const projectDir = projectDirOf(userId, project.id);
+  fs.ensureDirSync(projectDir);
+
+  const legacyEntries = PROJECT_ENTRIES.filter((entry) => fs.existsSync(path.join(userDir, entry)));
+  if (legacyEntries.length > 0) {
+    for (const entry of legacyEntries) {
+      fs.moveSync(path.join(userDir, entry), path.join(projectDir, entry));
+    }
+    importProjectFiles(projectDir);
+    console.log(`📦 Migrated existing data of ${userId} into project ${project.id}`);
+  } else {
+    initProjectFiles(projectDir);
+  }
+
+  return { activeProjectId: project.id, projects: [project] };
+}
+
+/**
+ * Reads, changes and writes the project index of a user within a locked storage update
+ * A user without projects gets a first one.
+ *
+ * @param {string} userId - User identifier
+ * @param {Function} change - Called with the index; may change it in place
+ * @returns {*} - Result of change
+ */
+function changeIndex(userId, change) {
+  return getStorage().updateDocument(userDirOf(userId), "projects", (state) => {
+    if (!(state.value?.projects?.length > 0)) state.value = createFirstProject(userId);
+    return change(state.value);
+  });
+}
+
+/**
+ * Reads the project index of a user, creating a first project when needed
+ *
+ * @param {string} userId - User identifier
+ * @returns {{activeProjectId: string, projects: Array<Object>}} - Project index
+ */
+function loadIndex(userId) {
+  const index = getStorage().readDocument(userDirOf(userId), "projects");
+  return index?.projects?.length > 0 ? index : changeIndex(userId, (current) => current);
+}
+
+/**
+ * Finds a project by id, exact name or 1-based position in the list
+ *
+ * @param {Object} index - Project index
+ * @param {string} ref - Project id, name or number
+ * @returns {Object} - Project entry
+ * @throws {ProjectError} - If no project matches
+ */
+function findProject(index, ref) {
+  const value = String(ref || "").trim();
+  const byNumber = /^\d+$/.test(value) ? index.projects[Number(value) - 1] : null;
+  const project =
+    index.projects.find((p) => p.id === value) ||
+    byNumber ||
+    index.projects.find((p) => p.name.toLowerCase() === value.toLowerCase());
+
+  if (!project) throw new ProjectError(`Project "${value}" not found`, 404);
+  return project;
+}
+
+/**
+ * Returns when a project last changed, based on its newest revision
+ *
+ * @param {string} userId - User identifier
+ * @param {Object} project - Project entry
+ * @returns {string} - ISO timestamp
+ */
+function lastChangeOf(userId, project) {
+  const revisions = listRevisions(projectDirOf(userId, project.id));
+  return revisions.length > 0 ? revisions[revisions.length - 1].createdAt : project.createdAt;
+}
+
+/**
+ * Lists the projects of a user
+ *
+ * @param {string} userId - User identifier
+ * @returns {{activeProjectId: string, projects: Array<Object>}} - Project index, each project with its last change
+ */
+export function listProjects(userId) {
+  const index = loadIndex(userId);
+  return {
+    activeProjectId: index.activeProjectId,
+    projects: index.projects.map((project) => ({ ...project, updatedAt: lastChangeOf(userId, project) })),
+  };
+}
+
+/**
+ * Returns the active project of a user
+ *
+ * @param {string} userId - User identifier
+ * @returns {Object} - Project entry
+ */
+export function getActiveProject(userId) {
+  const index = loadIndex(userId);
+  return index.projects.find((p) => p.id === index.activeProjectId) || index.projects[0];
+}
+
+/**
+ * Returns the directory of the user's active project
+ * This is the directory every user route reads and writes.
+ *
+ * @param {string} userId - User identifier
+ * @returns {string} - Path to the active project's directory
+ */
+export function activeProjectDir(userId) {
+  return projectDirOf(userId, getActiveProject(userId).id);
+}
+
+/**
+ * Creates a new, empty project and makes it the active one
+ *
+ * @param {string} userId - User identifier
+ * @param {string} name - Project name
+ * @returns {Object} - The new project entry
+ * @throws {ProjectError} - If the name is invalid, taken or the user has too many projects
+ */
+export function createProject(userId, name) {
+  const projectName = cleanName(name);
+
+  return changeIndex(userId, (index) => {
+    if (index.projects.length >= MAX_PROJECTS) {
+      throw new ProjectError(`You can have at most ${MAX_PROJECTS} projects`, 409);
+    }
+    if (index.projects.some((p) => p.name.toLowerCase() === projectName.toLowerCase())) {
+      throw new ProjectError(`A project called "${projectName}" already exists`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const project = { id: newProjectId(projectName), name: projectName, createdAt: now };
+    initProjectFiles(projectDirOf(userId, project.id));
+
+    index.projects.push(project);
+    index.activeProjectId = project.id;
+    return project;
+  });
+}
+
+/**
+ * Makes another project the active one
+ *
+ * @param {string} userId - User identifier
+ * @param {string} ref - Project id, name or number
+ * @returns {Object} - The now active project
+ */
+export function switchProject(userId, ref) {
+  return changeIndex(userId, (index) => {
+    const project = findProject(index, ref);
+    index.activeProjectId = project.id;
+    return project;
+  });
+}
+
+/**
+ * Renames a project
+ *
+ * @param {string} userId - User identifier
+ * @param {string} ref - Project id, name or number
+ * @param {string} name - New name
+ * @returns {Object} - The renamed project
+ */
+export function renameProject(userId, ref, name) {
+  const projectName = cleanName(name);
+
+  return changeIndex(userId, (index) => {
+    const project = findProject(index, ref);
+    if (index.projects.some((p) => p !== project && p.name.toLowerCase() === projectName.toLowerCase())) {
+      throw new ProjectError(`A project called "${projectName}" already exists`, 409);
+    }
+
+    project.name = projectName;
+    return project;
+  });
+}
+
+/**
+ * Deletes a project with all its files
+ * If the active project is deleted, the most recently changed remaining project becomes active;
+ * deleting the last project leaves the user with a fresh empty one on next use.
+ *
+ * @param {string} userId - User identifier
+ * @param {string} ref - Project id, name or number
+ * @returns {{deleted: Object, activeProjectId: string|null}} - Deleted project and the new active id
+ */
+export function deleteProject(userId, ref) {
+  return changeIndex(userId, (index) => {
+    const project = findProject(index, ref);
+
+    getStorage().remove(projectDirOf(userId, project.id));
+    fs.removeSync(projectDirOf(userId, project.id));
+    index.projects = index.projects.filter((p) => p !== project);
+
+    if (index.activeProjectId === project.id) {
+      const [latest] = index.projects
+        .map((p) => ({ id: p.id, updatedAt: lastChangeOf(userId, p) }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+      index.activeProjectId = latest ? latest.id : null;
+    }
+
+    return { deleted: project, activeProjectId: index.activeProjectId };
+  });
+}
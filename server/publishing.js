@@ -0,0 +1,216 @@
+/**
+ * Publishing Utility
+ *
+ * Keeps the public version of every project apart from the one being worked on:
+ *
+ *   <project>/webSite/       - draft: what chats, generations, edits and previews change
+ *   <project>/published/     - published snapshot: the only files deploy targets ever see
+ *   publish                  - { current: { revision, publishedAt, files } | null, history: [...] }
+ *                              (a document of the project, see storage/index.js)
+ *
+ * Publishing validates a state of the site (the draft, or any earlier revision), copies
+ * it together with the uploads into the published snapshot and notes which revision went
+ * live, so an earlier version can be published again. Unpublishing removes the snapshot.
+ * Getting the snapshot to its audience is up to the deploy target (see deploy/index.js).
+ */
+
+// Import required dependencies
+import path from "path";                                 // For handling file paths
+import fs from "fs-extra";                               // Enhanced file system operations
+import { listRevisions, getRevision, recordRevision, diffRevisions } from "./revisions.js"; // Revision history
+import { readSiteFiles } from "./site-files.js";         // Project files of a website folder
+import { validateProject } from "./code-validation.js";  // HTML/JS/CSS, asset and navigation checks
+import { getStorage } from "./storage/index.js";         // Publishing state storage
+
+// index.html of a new or reset project (see projects.js), which is never published
+const EMPTY_INDEX = "<!-- empty -->";
+
+// Number of publish and unpublish events kept per project
+const MAX_HISTORY = 30;
+
+/**
+ * Error raised when a version can't be published, carrying the HTTP status to report
+ */
+export class PublishError extends Error {
+  constructor(message, status = 400, problems = []) {
+    super(message);
+    this.name = "PublishError";
+    this.status = status;
+    this.problems = problems;
+  }
+}
+
+/**
+ * Returns the folder of a project's published snapshot
+ *
+ * @param {string} projectDir - Project directory
+ * @returns {string} - Path to <project>/published
+ */
+export function publishedDirOf(projectDir) {
+  return path.join(projectDir, "published");
+}
+
+/**
+ * Recursively lists the files of a directory
+ *
+ * @param {string} dir - Directory to walk
+ * @param {string} [base] - Base directory the returned paths are relative to
+ * @returns {string[]} - Relative file paths using forward slashes, sorted
+ */
+export function listFilesOf(dir, base = dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...listFilesOf(fullPath, base));
+    else files.push(path.relative(base, fullPath).split(path.sep).join("/"));
+  }
+  return files.sort();
+}
+
+/**
+ * Reads the publishing state of a project
+ *
+ * @param {string} projectDir - Project directory
+ * @returns {{current: Object|null, history: Array<Object>}} - Live version and past events, oldest first
+ */
+export function readPublication(projectDir) {
+  const state = getStorage().readDocument(projectDir, "publish") || {};
+
+  // Without a snapshot on disk nothing is live, whatever the file says
+  const current = state.current && fs.existsSync(publishedDirOf(projectDir)) ? state.current : null;
+  return { current, history: state.history || [] };
+}
+
+/**
+ * Writes the publishing state of a project and adds an event to its history
+ *
+ * @param {string} projectDir - Project directory
+ * @param {Object|null} current - Live version, or null when unpublished
+ * @param {Object} event - { action, revision }
+ */
+function savePublication(projectDir, current, event) {
+  getStorage().updateDocument(projectDir, "publish", (state) => {
+    const history = [...(state.value?.history || []), { ...event, at: new Date().toISOString() }];
+    state.value = { current, history: history.slice(-MAX_HISTORY) };
+  });
+}
+
+/**
+ * Returns the revision that holds the draft, recording one if the draft changed since the last
+ *
+ * @param {string} projectDir - Project directory
+ * @returns {Object} - Revision metadata
+ */
+function draftRevision(projectDir) {
+  const revisions = listRevisions(projectDir);
+  const latest = revisions[revisions.length - 1];
+
+  const changed = !latest || diffRevisions(projectDir, latest.id).some((entry) => entry.file.startsWith("webSite/"));
+  return changed ? recordRevision(projectDir, "publish") : latest;
+}
+
+/**
+ * Finds the revision that was live before the current one
+ *
+ * @param {string} projectDir - Project directory
+ * @returns {number|null} - Revision number, or null if there is none
+ */
+export function previousPublishedRevision(projectDir) {
+  const { current, history } = readPublication(projectDir);
+  const published = history.filter((event) => event.action === "publish").map((event) => event.revision);
+
+  // Skip the live version (and repeated publishes of it)
+  while (current && published.length && published[published.length - 1] === current.revision) published.pop();
+  return published.length ? published[published.length - 1] : null;
+}
+
+/**
+ * Tells whether the draft differs from the published snapshot
+ *
+ * @param {string} projectDir - Project directory
+ * @returns {boolean} - True if there is nothing published or the site files differ
+ */
+export function draftDiffersFromPublished(projectDir) {
+  if (!readPublication(projectDir).current) return true;
+
+  const draft = readSiteFiles(path.join(projectDir, "webSite"));
+  const published = readSiteFiles(publishedDirOf(projectDir));
+  return (
+    draft.length !== published.length ||
+    draft.some((file, i) => file.path !== published[i].path || file.content !== published[i].content)
+  );
+}
+
+/**
+ * Publishes the draft or an earlier revision
+ * The version is validated first; its uploads come from the draft, where uploads are never removed by a restore.
+ *
+ * @param {string} projectDir - Project directory
+ * @param {number|string} [revisionId] - Revision to publish, defaults to the draft
+ * @returns {Object} - The live version { revision, publishedAt, files }
+ * @throws {PublishError} - If the revision doesn't exist or the version fails validation
+ */
+export function publishRevision(projectDir, revisionId) {
+  const websiteDir = path.join(projectDir, "webSite");
+
+  let revision;
+  if (revisionId === undefined || revisionId === null) {
+    const indexFile = path.join(websiteDir, "index.html");
+    if (!fs.existsSync(indexFile) || fs.readFileSync(indexFile, "utf-8").trim() === EMPTY_INDEX) {
+      throw new PublishError("There is no website to publish yet. Generate one first.", 404);
+    }
+    revision = draftRevision(projectDir);
+  } else {
+    revision = getRevision(projectDir, revisionId);
+    if (!revision) throw new PublishError(`Version #${revisionId} not found`, 404);
+  }
+
+  // Publish from the revision's snapshot, so the live version is exactly that revision
+  const sourceDir = path.join(projectDir, "revisions", String(revision.id), "webSite");
+  const files = readSiteFiles(sourceDir);
+  const index = files.find((file) => file.path === "index.html");
+  if (!index) {
+    throw new PublishError(`Version #${revision.id} has no index.html`, 422);
+  }
+  if (index.content.trim() === EMPTY_INDEX) {
+    throw new PublishError(`Version #${revision.id} is an empty website. Generate one first.`, 422);
+  }
+
+  const problems = validateProject(files, websiteDir);
+  if (problems.length > 0) {
+    throw new PublishError(`Version #${revision.id} has problems and was not published`, 422, problems);
+  }
+
+  // Build the snapshot next to the live one, then swap them
+  const publishedDir = publishedDirOf(projectDir);
+  const stagingDir = `${publishedDir}.tmp`;
+  fs.removeSync(stagingDir);
+  fs.copySync(sourceDir, stagingDir);
+  if (fs.existsSync(path.join(websiteDir, "uploads"))) {
+    fs.copySync(path.join(websiteDir, "uploads"), path.join(stagingDir, "uploads"));
+  }
+  fs.removeSync(publishedDir);
+  fs.moveSync(stagingDir, publishedDir);
+
+  const current = { revision: revision.id, publishedAt: new Date().toISOString(), files: listFilesOf(publishedDir) };
+  savePublication(projectDir, current, { action: "publish", revision: revision.id });
+  return current;
+}
+
+/**
+ * Takes the published snapshot offline
+ *
+ * @param {string} projectDir - Project directory
+ * @returns {Object} - The version that was live
+ * @throws {PublishError} - If nothing is published
+ */
+export function unpublish(projectDir) {
+  const { current } = readPublication(projectDir);
+  if (!current) throw new PublishError("The website is not published", 409);
+
+  fs.removeSync(publishedDirOf(projectDir));
+  savePublication(projectDir, null, { action: "unpublish", revision: current.revision });
+  return current;
+}
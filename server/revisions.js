@@ -0,0 +1,351 @@
+/**
+ * Revision History Utility
+ *
+ * This module keeps numbered snapshots of a user's website files and profile.
+ * A revision is recorded after every generation, reset and upload so that a bad
+ * generation never wipes out a version the user liked. Revisions can be listed,
+ * compared with each other and restored.
+ *
+ * Layout on disk, inside each project directory (see projects.js):
+ *   <project>/revisions/<id>/meta.json       - revision metadata
+ *   <project>/revisions/<id>/user-data.json  - copy of the user profile (read from the storage)
+ *   <project>/revisions/<id>/webSite/...     - copy of the site files (without uploads)
+ *   <project>/deleted-uploads/...            - uploads removed from the website, kept for restores
+ *
+ * Uploads are not part of the snapshots. Deleted uploads are moved aside instead of removed,
+ * and a restore moves back every one its profile or site files refer to.
+ */
+
+// Import required dependencies
+import path from "path";                        // For handling file paths
+import fs from "fs-extra";                      // Enhanced file system operations
+import { createTwoFilesPatch } from "diff";     // Unified diff generation
+import { getStorage } from "./storage/index.js"; // Profile storage
+
+// Maximum number of revisions kept per user, older ones are pruned
+const MAX_REVISIONS = 50;
+
+/**
+ * Returns the directory that holds all revisions of a user
+ *
+ * @param {string} userDir - The project directory (db/<userId>/projects/<projectId>)
+ * @returns {string} - Path to the revisions directory
+ */
+function revisionsDir(userDir) {
+  return path.join(userDir, "revisions");
+}
+
+/**
+ * Returns the folder deleted uploads of a project are kept in
+ *
+ * @param {string} userDir - The project directory (db/<userId>/projects/<projectId>)
+ * @returns {string} - Path to <project>/deleted-uploads
+ */
+export function deletedUploadsDirOf(userDir) {
+  return path.join(userDir, "deleted-uploads");
+}
+
+/**
+ * Copy filter that skips the uploads folder of a website directory
+ * Uploads are never deleted by a restore and deleted ones are kept aside, so there is no need to snapshot them
+ *
+ * @param {string} websiteDir - The website directory being copied
+ * @returns {Function} - Filter function for fs.copySync
+ */
+function skipUploads(websiteDir) {
+  const uploadsDir = path.join(websiteDir, "uploads");
+  return (src) => src !== uploadsDir && !src.startsWith(uploadsDir + path.sep);
+}
+
+/**
+ * Recursively collects all files of a directory as relative paths
+ *
+ * @param {string} dir - Directory to walk
+ * @param {string} [base] - Base directory the returned paths are relative to
+ * @returns {string[]} - Relative file paths using forward slashes
+ */
+function listFiles(dir, base = dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listFiles(fullPath, base));
+    } else {
+      files.push(path.relative(base, fullPath).split(path.sep).join("/"));
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Serializes a profile the way it is stored in revisions
+ *
+ * @param {Object} profile - User profile
+ * @returns {string} - Pretty-printed JSON
+ */
+function profileText(profile) {
+  return JSON.stringify(profile, null, 2);
+}
+
+/**
+ * Reads the text files that make up one state of a site
+ * The profile is included as "user-data.json", site files are prefixed with "webSite/"
+ *
+ * @param {string} websiteDir - Website directory of the state
+ * @param {string|null} profile - Profile of the state as JSON text, or null if there is none
+ * @returns {Object<string, string>} - Map of relative path to file contents
+ */
+function readState(websiteDir, profile) {
+  const state = {};
+
+  if (profile !== null) {
+    state["user-data.json"] = profile;
+  }
+
+  for (const file of listFiles(websiteDir)) {
+    if (file === "uploads" || file.startsWith("uploads/")) continue;
+    state[`webSite/${file}`] = fs.readFileSync(path.join(websiteDir, file), "utf-8");
+  }
+
+  return state;
+}
+
+/**
+ * Lists all revisions of a user, oldest first
+ *
+ * @param {string} userDir - The project directory (db/<userId>/projects/<projectId>)
+ * @returns {Array<Object>} - Revision metadata objects
+ */
+export function listRevisions(userDir) {
+  const dir = revisionsDir(userDir);
+  if (!fs.existsSync(dir)) return [];
+
+  return fs
+    .readdirSync(dir)
+    .filter((name) => /^\d+$/.test(name) && fs.existsSync(path.join(dir, name, "meta.json")))
+    .map((name) => fs.readJsonSync(path.join(dir, name, "meta.json")))
+    .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Looks up a single revision by id
+ *
+ * @param {string} userDir - The project directory (db/<userId>/projects/<projectId>)
+ * @param {number|string} revisionId - Revision number
+ * @returns {Object|null} - Revision metadata, or null if it does not exist
+ */
+export function getRevision(userDir, revisionId) {
+  const metaFile = path.join(revisionsDir(userDir), String(Number(revisionId)), "meta.json");
+  return fs.existsSync(metaFile) ? fs.readJsonSync(metaFile) : null;
+}
+
+/**
+ * Records the current website files and profile as a new revision
+ *
+ * @param {string} userDir - The project directory (db/<userId>/projects/<projectId>)
+ * @param {string} action - What produced this state (e.g. "generate", "reset", "upload")
+ * @param {Object} [extra] - Additional metadata stored with the revision
+ * @returns {Object} - Metadata of the recorded revision
+ */
+export function recordRevision(userDir, action, extra = {}) {
+  const dir = revisionsDir(userDir);
+  const websiteDir = path.join(userDir, "webSite");
+  const profile = getStorage().readProfile(userDir);
+
+  const existing = listRevisions(userDir);
+  const id = existing.length ? existing[existing.length - 1].id + 1 : 1;
+  const revisionDir = path.join(dir, String(id));
+
+  fs.ensureDirSync(revisionDir);
+
+  // Snapshot the site files (uploads are skipped) and the profile
+  if (fs.existsSync(websiteDir)) {
+    fs.copySync(websiteDir, path.join(revisionDir, "webSite"), { filter: skipUploads(websiteDir) });
+  }
+  if (profile !== null) {
+    fs.writeFileSync(path.join(revisionDir, "user-data.json"), profileText(profile));
+  }
+
+  const meta = {
+    id,
+    action,
+    createdAt: new Date().toISOString(),
+    files: listFiles(path.join(revisionDir, "webSite")),
+    ...extra,
+  };
+  fs.writeJsonSync(path.join(revisionDir, "meta.json"), meta, { spaces: 2 });
+
+  // Prune the oldest revisions beyond the retention limit, then the deleted uploads no revision refers to anymore
+  const all = [...existing, meta];
+  const pruned = all.slice(0, Math.max(0, all.length - MAX_REVISIONS));
+  for (const old of pruned) {
+    fs.removeSync(path.join(dir, String(old.id)));
+  }
+  if (pruned.length > 0) pruneDeletedUploads(userDir, all.slice(pruned.length));
+
+  return meta;
+}
+
+/**
+ * Lists the deleted uploads one state of a site refers to
+ *
+ * @param {string} userDir - The project directory (db/<userId>/projects/<projectId>)
+ * @param {Object<string, string>} state - State as returned by readState()
+ * @returns {string[]} - Paths inside the deleted uploads folder
+ */
+function referencedDeletedUploads(userDir, state) {
+  const texts = Object.values(state);
+  return listFiles(deletedUploadsDirOf(userDir)).filter((file) => texts.some((text) => text.includes(`uploads/${file}`)));
+}
+
+/**
+ * Removes the deleted uploads none of the kept revisions refers to
+ *
+ * @param {string} userDir - The project directory (db/<userId>/projects/<projectId>)
+ * @param {Array<Object>} revisions - Metadata of the kept revisions
+ */
+function pruneDeletedUploads(userDir, revisions) {
+  const deletedDir = deletedUploadsDirOf(userDir);
+  if (listFiles(deletedDir).length === 0) return;
+
+  const kept = new Set(revisions.flatMap((revision) => referencedDeletedUploads(userDir, revisionState(userDir, revision.id))));
+  for (const file of listFiles(deletedDir)) {
+    if (!kept.has(file)) fs.removeSync(path.join(deletedDir, file));
+  }
+}
+
+/**
+ * Reads the state stored in a revision
+ *
+ * @param {string} userDir - The project directory (db/<userId>/projects/<projectId>)
+ * @param {number} revisionId - Revision number
+ * @returns {Object<string, string>} - Map of relative path to file contents
+ */
+function revisionState(userDir, revisionId) {
+  const revisionDir = path.join(revisionsDir(userDir), String(revisionId));
+  const profileFile = path.join(revisionDir, "user-data.json");
+  return readState(path.join(revisionDir, "webSite"), fs.existsSync(profileFile) ? fs.readFileSync(profileFile, "utf-8") : null);
+}
+
+/**
+ * Records the current state as an "initial" revision if the user has none yet
+ * Called before a change so that data created before revisions existed is not lost
+ *
+ * @param {string} userDir - The project directory (db/<userId>/projects/<projectId>)
+ * @returns {Object|null} - Metadata of the recorded revision, or null if one already existed
+ */
+export function ensureInitialRevision(userDir) {
+  if (listRevisions(userDir).length > 0) return null;
+  if (!fs.existsSync(path.join(userDir, "webSite")) && getStorage().readProfile(userDir) === null) {
+    return null;
+  }
+  return recordRevision(userDir, "initial");
+}
+
+/**
+ * Restores the website files and profile of a revision
+ * The restored state is recorded as a new revision so the restore itself can be undone
+ *
+ * @param {string} userDir - The project directory (db/<userId>/projects/<projectId>)
+ * @param {number|string} revisionId - Revision number to restore
+ * @returns {Promise<Object>} - Metadata of the new revision created by the restore
+ * @throws {Error} - If the revision does not exist
+ */
+export async function restoreRevision(userDir, revisionId) {
+  const revision = getRevision(userDir, revisionId);
+  if (!revision) {
+    throw new Error(`Revision ${revisionId} not found`);
+  }
+
+  const revisionDir = path.join(revisionsDir(userDir), String(revision.id));
+  const websiteDir = path.join(userDir, "webSite");
+
+  // Replace every site file except uploads with the snapshot
+  fs.ensureDirSync(websiteDir);
+  for (const entry of fs.readdirSync(websiteDir)) {
+    if (entry !== "uploads") fs.removeSync(path.join(websiteDir, entry));
+  }
+  if (fs.existsSync(path.join(revisionDir, "webSite"))) {
+    fs.copySync(path.join(revisionDir, "webSite"), websiteDir);
+  }
+  if (fs.existsSync(path.join(revisionDir, "user-data.json"))) {
+    const profile = fs.readJsonSync(path.join(revisionDir, "user-data.json"));
+    await getStorage().update(userDir, (state) => {
+      state.profile = profile;
+    });
+  }
+
+  // Bring back the deleted uploads the restored state refers to
+  for (const file of referencedDeletedUploads(userDir, revisionState(userDir, revision.id))) {
+    fs.moveSync(path.join(deletedUploadsDirOf(userDir), file), path.join(websiteDir, "uploads", file), { overwrite: true });
+  }
+
+  return recordRevision(userDir, "restore", { restoredFrom: revision.id });
+}
+
+/**
+ * Steps back to the revision before the current one
+ * Consecutive undos keep walking back instead of toggling between two states
+ *
+ * @param {string} userDir - The project directory (db/<userId>/projects/<projectId>)
+ * @returns {Promise<Object>} - Metadata of the new revision created by the undo
+ * @throws {Error} - If there is nothing to undo
+ */
+export async function undoRevision(userDir) {
+  const revisions = listRevisions(userDir);
+  const current = revisions[revisions.length - 1];
+  if (!current) {
+    throw new Error("No revisions recorded yet");
+  }
+
+  // If the current state is itself a restore, step back from the restored revision
+  const base = current.restoredFrom ?? current.id;
+  const target = revisions.filter((rev) => rev.id < base).pop();
+  if (!target) {
+    throw new Error("Nothing to undo");
+  }
+
+  return restoreRevision(userDir, target.id);
+}
+
+/**
+ * Builds a unified diff between two revisions
+ *
+ * @param {string} userDir - The project directory (db/<userId>/projects/<projectId>)
+ * @param {number|string} fromId - Revision number of the old state
+ * @param {number|string} [toId] - Revision number of the new state, or "current" for the files on disk
+ * @returns {Array<Object>} - One entry per changed file: { file, status, patch }
+ * @throws {Error} - If one of the revisions does not exist
+ */
+export function diffRevisions(userDir, fromId, toId = "current") {
+  const stateOf = (id) => {
+    if (id === "current") {
+      const profile = getStorage().readProfile(userDir);
+      return readState(path.join(userDir, "webSite"), profile === null ? null : profileText(profile));
+    }
+    const revision = getRevision(userDir, id);
+    if (!revision) {
+      throw new Error(`Revision ${id} not found`);
+    }
+    return revisionState(userDir, revision.id);
+  };
+
+  const from = stateOf(fromId);
+  const to = stateOf(toId);
+  const files = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+
+  return files
+    .filter((file) => from[file] !== to[file])
+    .map((file) => ({
+      file,
+      status: !(file in from) ? "added" : !(file in to) ? "removed" : "modified",
+      patch: createTwoFilesPatch(
+        `#${fromId}/${file}`,
+        `#${toId}/${file}`,
+        from[file] ?? "",
+        to[file] ?? ""
+      ),
+    }));
+}
@@ -0,0 +1,550 @@
+/**
+ * SEO Utility
+ *
+ * This module completes the metadata of a website after every generation:
+ *   - <title> and meta description of every page
+ *   - Open Graph and Twitter card tags, with the logo as preview image
+ *   - canonical URLs and og:url pointing at the public address (see deploy/index.js)
+ *   - schema.org structured data (JSON-LD) on index.html, built from branding, contact info and social links
+ *   - a favicon link from the image tagged as favicon (or the logo)
+ *   - sitemap.xml and robots.txt
+ *
+ * Titles, descriptions and JSON-LD the model wrote itself are kept, except where the user set
+ * a title or description of their own (the profile's "seo" field). Tags that have to match
+ * the server's data (canonical, og:url, og:image ...) are always rewritten. checkSeo() scores
+ * the result for /seo.
+ */
+
+// Import required dependencies
+import path from "path";                    // For handling file paths
+
+// Ideal lengths (characters) of the home page title and meta description
+export const TITLE_RANGE = [10, 60];
+export const DESCRIPTION_RANGE = [50, 160];
+
+// Longest title and description a user can set
+export const MAX_TITLE_LENGTH = 70;
+export const MAX_DESCRIPTION_LENGTH = 200;
+
+// First line of the sitemap.xml and robots.txt files written here; files without it are the model's and are kept
+const GENERATED_MARKER = "Generated by DevBeaver Bot";
+
+// schema.org type of the structured data, by website type; the first match wins
+const SCHEMA_TYPES = [
+  [/bakery|patisserie/i, "Bakery"],
+  [/caf[eé]|coffee/i, "CafeOrCoffeeShop"],
+  [/restaurant|bistro|pizzeria|food|catering/i, "Restaurant"],
+  [/hotel|hostel|guest ?house|b&b|lodging/i, "LodgingBusiness"],
+  [/shop|store|boutique|e-?commerce/i, "Store"],
+  [/salon|spa\b|barber|beauty/i, "HealthAndBeautyBusiness"],
+  [/gym|fitness|yoga|pilates/i, "ExerciseGym"],
+  [/portfolio|personal|resume|\bcv\b|freelanc/i, "Person"],
+];
+
+/**
+ * Error raised for invalid SEO settings, with the HTTP status to report
+ */
+export class SeoError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "SeoError";
+    this.status = status;
+  }
+}
+
+/**
+ * Escapes text for use in HTML content and attribute values
+ *
+ * @param {string} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Escapes text for use in a regular expression
+ *
+ * @param {string} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Turns an HTML fragment into plain text
+ *
+ * @param {string} html - HTML fragment
+ * @returns {string} - Text with tags removed, common entities decoded and whitespace collapsed
+ */
+function textOf(html) {
+  return html
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Shortens text to a maximum length at a word boundary
+ *
+ * @param {string} text - Text to shorten
+ * @param {number} max - Maximum length
+ * @returns {string} - The text, or its beginning followed by "…"
+ */
+function clip(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max - 1);
+  return `${cut.slice(0, cut.lastIndexOf(" ") > max / 2 ? cut.lastIndexOf(" ") : cut.length).replace(/[\s,.;:–-]+$/, "")}…`;
+}
+
+/**
+ * Returns the first argument that is a non-empty string
+ *
+ * @param {...*} values - Candidates, e.g. profile fields of unknown shape
+ * @returns {string} - Trimmed text, or "" if there is none
+ */
+function firstText(...values) {
+  const found = values.find((value) => typeof value === "string" && value.trim() !== "");
+  return found ? found.trim().replace(/\s+/g, " ") : "";
+}
+
+/**
+ * Builds a pattern matching a <meta> tag by its name or property
+ *
+ * @param {string} key - e.g. "description" or "og:title"
+ * @returns {RegExp} - Pattern
+ */
+function metaPattern(key) {
+  return new RegExp(`<meta\\b[^>]*\\b(?:name|property)\\s*=\\s*["']${escapeRegExp(key)}["'][^>]*>`, "i");
+}
+
+/**
+ * Builds a pattern matching a <link> tag by one of its rel values
+ *
+ * @param {string} rel - e.g. "canonical" or "icon"
+ * @returns {RegExp} - Pattern
+ */
+function linkPattern(rel) {
+  return new RegExp(`<link\\b[^>]*\\brel\\s*=\\s*["'](?:[^"']*\\s)?${escapeRegExp(rel)}(?:\\s[^"']*)?["'][^>]*>`, "i");
+}
+
+/**
+ * Reads an attribute of a tag
+ *
+ * @param {string} tag - Tag source
+ * @param {string} attribute - Attribute name
+ * @returns {string} - Attribute value as text, or "" if it is missing
+ */
+function attributeOf(tag, attribute) {
+  const match = tag.match(new RegExp(`\\b${attribute}\\s*=\\s*(["'])([\\s\\S]*?)\\1`, "i"));
+  return match ? textOf(match[2]) : "";
+}
+
+/**
+ * Reads the content of a <meta> tag
+ *
+ * @param {string} html - Page source
+ * @param {string} key - Meta name or property
+ * @returns {string} - Content, or "" if the tag is missing
+ */
+function metaContent(html, key) {
+  const tag = html.match(metaPattern(key));
+  return tag ? attributeOf(tag[0], "content") : "";
+}
+
+/**
+ * Reads the <title> of a page
+ *
+ * @param {string} html - Page source
+ * @returns {string} - Title text, or "" if there is none
+ */
+function titleOf(html) {
+  const match = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  return match ? textOf(match[1]) : "";
+}
+
+/**
+ * Adds tags at the end of a page's <head>, creating the <head> if the page has none
+ *
+ * @param {string} html - Page source
+ * @param {string[]} tags - Tags to add
+ * @returns {string} - Updated page source
+ */
+function insertIntoHead(html, tags) {
+  if (tags.length === 0) return html;
+
+  const block = tags.map((tag) => `  ${tag}\n`).join("");
+  if (/<\/head>/i.test(html)) return html.replace(/<\/head>/i, `${block}</head>`);
+  if (/<html\b[^>]*>/i.test(html)) return html.replace(/<html\b[^>]*>/i, (open) => `${open}\n<head>\n${block}</head>`);
+  return `<head>\n${block}</head>\n${html}`;
+}
+
+/**
+ * Adds or replaces a tag in a page's <head>
+ *
+ * @param {string} html - Page source
+ * @param {RegExp} pattern - Pattern of the existing tag
+ * @param {string} tag - New tag
+ * @param {boolean} [replace] - Replace an existing tag (otherwise it is kept)
+ * @returns {string} - Updated page source
+ */
+function setHeadTag(html, pattern, tag, replace = true) {
+  if (pattern.test(html)) return replace ? html.replace(pattern, () => tag) : html;
+  return insertIntoHead(html, [tag]);
+}
+
+/**
+ * Returns the URL a page is served at
+ *
+ * @param {string} page - Page path, e.g. "about.html"
+ * @param {string} siteUrl - Public URL of the website root, ending in "/"
+ * @returns {string} - Absolute URL; index pages are addressed by their folder
+ */
+function pageUrl(page, siteUrl) {
+  return new URL(page.replace(/(^|\/)index\.html$/, "$1"), siteUrl).href;
+}
+
+/**
+ * Turns a page file name into a readable name
+ *
+ * @param {string} page - Page path, e.g. "our-team.html"
+ * @returns {string} - e.g. "Our Team"
+ */
+function pageLabel(page) {
+  return path.posix
+    .basename(page, ".html")
+    .replace(/[-_]+/g, " ")
+    .replace(/\b\w/g, (letter) => letter.toUpperCase());
+}
+
+/**
+ * Chooses the schema.org type of the website's owner
+ *
+ * @param {string} websiteType - Profile websiteType
+ * @param {boolean} hasAddress - Whether the profile has a postal address
+ * @returns {string} - schema.org type
+ */
+function schemaTypeOf(websiteType, hasAddress) {
+  const match = SCHEMA_TYPES.find(([pattern]) => pattern.test(websiteType));
+  if (match) return match[1];
+  return hasAddress ? "LocalBusiness" : "Organization";
+}
+
+/**
+ * Collects what the metadata of a website is built from
+ *
+ * @param {Object} profile - Normalized user profile
+ * @param {Object} options - { name, siteUrl } (see applySeo)
+ * @returns {Object} - Site name, custom and fallback title/description, image URLs and structured data
+ */
+function siteInfoOf(profile, { name, siteUrl }) {
+  const branding = profile.branding || {};
+  const contact = profile.contactInfo || {};
+  const seo = profile.seo || {};
+  const images = profile.images || [];
+
+  const siteName = firstText(branding.name, branding.businessName, branding.companyName, name) || "Website";
+  const tagline = firstText(branding.tagline, branding.slogan);
+  const websiteType = firstText(profile.websiteType);
+  const logo = images.find((image) => image.role === "logo");
+  const favicon = images.find((image) => image.role === "favicon");
+
+  // "Luigi's – Italian restaurant. Fresh pasta every day. Book a table online."
+  const sentence = (text) => (text ? `${text.charAt(0).toUpperCase()}${text.slice(1)}${/[.!?]$/.test(text) ? "" : "."}` : "");
+  const fallbackDescription = clip(
+    [
+      websiteType ? `${siteName} – ${websiteType}.` : sentence(siteName),
+      sentence(tagline),
+      sentence(firstText(profile.mainGoal)),
+    ].filter(Boolean).join(" "),
+    DESCRIPTION_RANGE[1]
+  );
+  const taglineTitle = tagline ? `${siteName} – ${tagline}` : "";
+
+  const info = {
+    siteName,
+    siteUrl,
+    customTitle: firstText(seo.title),
+    customDescription: firstText(seo.description),
+    fallbackTitle: taglineTitle && taglineTitle.length <= TITLE_RANGE[1] ? taglineTitle : siteName,
+    fallbackDescription,
+    logo: logo?.url || null,
+    favicon: favicon?.favicon || favicon?.url || logo?.url || null,
+  };
+
+  // Structured data describing the business or person behind the website
+  const type = schemaTypeOf(websiteType, Boolean(firstText(contact.address)));
+  const data = { "@context": "https://schema.org", "@type": type, name: siteName };
+  if (siteUrl) data.url = siteUrl;
+  if (info.logo && siteUrl) data[type === "Person" ? "image" : "logo"] = new URL(info.logo, siteUrl).href;
+  const email = firstText(contact.email);
+  const telephone = firstText(contact.phone, contact.telephone);
+  const address = firstText(contact.address);
+  if (email) data.email = email;
+  if (telephone) data.telephone = telephone;
+  if (address) data.address = address;
+  const sameAs = Object.values(profile.socialLinks || {}).filter(
+    (link) => typeof link === "string" && /^https?:\/\//i.test(link.trim())
+  );
+  if (sameAs.length) data.sameAs = sameAs.map((link) => link.trim());
+  info.structuredData = data;
+
+  return info;
+}
+
+/**
+ * Completes the metadata of one page
+ *
+ * @param {string} page - Page path
+ * @param {string} html - Page source
+ * @param {Object} site - See siteInfoOf
+ * @returns {string} - Updated page source
+ */
+function seoPage(page, html, site) {
+  const isHome = page === "index.html";
+
+  // Title: the user's own on the home page, otherwise the model's, otherwise derived
+  const existingTitle = titleOf(html);
+  const heading = html.match(/<h1\b[^>]*>([\s\S]*?)<\/h1>/i);
+  const title =
+    (isHome && site.customTitle) ||
+    existingTitle ||
+    (isHome ? site.fallbackTitle : `${(heading && textOf(heading[1])) || pageLabel(page)} | ${site.siteName}`);
+  if (title !== existingTitle) {
+    const tag = `<title>${escapeHtml(title)}</title>`;
+    html = /<title\b[^>]*>[\s\S]*?<\/title>/i.test(html)
+      ? html.replace(/<title\b[^>]*>[\s\S]*?<\/title>/i, () => tag)
+      : insertIntoHead(html, [tag]);
+  }
+
+  // Description: the same order, with the page's first proper paragraph before the profile's summary
+  const existingDescription = metaContent(html, "description");
+  const paragraph = [...html.matchAll(/<p\b[^>]*>([\s\S]*?)<\/p>/gi)]
+    .map((match) => textOf(match[1]))
+    .find((text) => text.length >= DESCRIPTION_RANGE[0]);
+  const description =
+    (isHome && site.customDescription) ||
+    existingDescription ||
+    (paragraph ? clip(paragraph, DESCRIPTION_RANGE[1]) : "") ||
+    site.customDescription ||
+    site.fallbackDescription;
+  if (description !== existingDescription) {
+    html = setHeadTag(html, metaPattern("description"), `<meta name="description" content="${escapeHtml(description)}">`);
+  }
+
+  const url = site.siteUrl ? pageUrl(page, site.siteUrl) : null;
+  const image = site.logo && site.siteUrl ? new URL(site.logo, site.siteUrl).href : null;
+
+  // Canonical URL
+  if (url) html = setHeadTag(html, linkPattern("canonical"), `<link rel="canonical" href="${escapeHtml(url)}">`);
+
+  // Open Graph and Twitter cards follow the page's title and description
+  const meta = (attribute, key, content, replace = true) =>
+    (html = setHeadTag(html, metaPattern(key), `<meta ${attribute}="${key}" content="${escapeHtml(content)}">`, replace));
+  meta("property", "og:type", "website", false);
+  meta("property", "og:site_name", site.siteName);
+  meta("property", "og:title", title);
+  meta("property", "og:description", description);
+  if (url) meta("property", "og:url", url);
+  if (image) meta("property", "og:image", image);
+  meta("name", "twitter:card", "summary", false);
+  meta("name", "twitter:title", title);
+  meta("name", "twitter:description", description);
+  if (image) meta("name", "twitter:image", image);
+
+  // Favicon, relative to the page
+  if (site.favicon) {
+    const href = path.posix.relative(path.posix.dirname(page), site.favicon);
+    html = setHeadTag(html, linkPattern("icon"), `<link rel="icon" href="${escapeHtml(href)}">`, false);
+  }
+
+  // Structured data on the home page; JSON-LD written by the model is kept
+  if (isHome) {
+    const json = JSON.stringify({ ...site.structuredData, description }, null, 2).replace(/</g, "\\u003c").replace(/\n/g, "\n  ");
+    const tag = `<script type="application/ld+json" data-seo>\n  ${json}\n  </script>`;
+    const ours = /<script\b[^>]*\bdata-seo\b[^>]*>[\s\S]*?<\/script>/i;
+    if (ours.test(html)) html = html.replace(ours, () => tag);
+    else if (!/<script\b[^>]*type\s*=\s*["']application\/ld\+json["']/i.test(html)) html = insertIntoHead(html, [tag]);
+  }
+
+  return html;
+}
+
+/**
+ * Tells whether a page should be listed in the sitemap
+ *
+ * @param {Object} file - { path, content }
+ * @returns {boolean} - False for error pages and pages marked noindex
+ */
+function isIndexable(file) {
+  return !/(^|\/)404\.html$/.test(file.path) && !/noindex/i.test(metaContent(file.content, "robots"));
+}
+
+/**
+ * Builds sitemap.xml
+ *
+ * @param {Array<Object>} pages - Indexable pages
+ * @param {string} siteUrl - Public URL of the website root
+ * @returns {string} - Sitemap
+ */
+function buildSitemap(pages, siteUrl) {
+  const urls = pages
+    .map((page) => page.path)
+    .sort((a, b) => (a === "index.html" ? -1 : b === "index.html" ? 1 : a.localeCompare(b)))
+    .map((page) => `  <url><loc>${escapeHtml(pageUrl(page, siteUrl))}</loc></url>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!-- ${GENERATED_MARKER} -->
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join("\n")}
+</urlset>
+`;
+}
+
+/**
+ * Builds robots.txt
+ *
+ * @param {string|null} siteUrl - Public URL of the website root
+ * @returns {string} - robots.txt allowing everything and naming the sitemap
+ */
+function buildRobots(siteUrl) {
+  const lines = [`# ${GENERATED_MARKER}`, "User-agent: *", "Allow: /"];
+  if (siteUrl) lines.push("", `Sitemap: ${new URL("sitemap.xml", siteUrl).href}`);
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Completes the metadata of a website and generates sitemap.xml and robots.txt
+ *
+ * @param {Array<{path: string, content: string}>} files - Website files (see site-files.js)
+ * @param {Object} profile - Normalized user profile
+ * @param {Object} [options]
+ * @param {string} [options.name] - Project name, used when the profile has no brand name
+ * @param {string|null} [options.siteUrl] - Public URL of the website, null if it isn't known
+ * @returns {Array<{path: string, content: string}>} - Files that were added or changed
+ */
+export function applySeo(files, profile, { name = "", siteUrl = null } = {}) {
+  const site = siteInfoOf(profile, { name, siteUrl });
+  const existing = new Map(files.map((file) => [file.path, file.content]));
+  const changed = [];
+
+  const pages = [];
+  for (const file of files) {
+    if (!file.path.endsWith(".html")) continue;
+    const content = seoPage(file.path, file.content, site);
+    if (content !== file.content) changed.push({ path: file.path, content });
+    pages.push({ path: file.path, content });
+  }
+
+  // Files written by the model are left alone, ours are refreshed
+  const generate = (filePath, content) => {
+    const current = existing.get(filePath);
+    if (current !== undefined && (!current.includes(GENERATED_MARKER) || current === content)) return;
+    changed.push({ path: filePath, content });
+  };
+  if (siteUrl) generate("sitemap.xml", buildSitemap(pages.filter(isIndexable), siteUrl));
+  generate("robots.txt", buildRobots(siteUrl));
+
+  return changed;
+}
+
+/**
+ * Scores the SEO of a website
+ *
+ * @param {Array<{path: string, content: string}>} files - Website files
+ * @returns {{score: number, title: string, description: string, checks: Array<Object>}} - Score out of 100,
+ *   the home page's title and description and one { id, label, points, max, ok, tip } entry per check
+ */
+export function checkSeo(files) {
+  const byPath = new Map(files.map((file) => [file.path, file.content]));
+  const home = byPath.get("index.html") || "";
+  const pages = files.filter((file) => file.path.endsWith(".html"));
+  const checks = [];
+
+  const add = (id, label, points, max, tip) => checks.push({ id, label, points, max, ok: points === max, tip: points === max ? null : tip });
+  const lengthPoints = (text, [min, max], points) => (!text ? 0 : text.length >= min && text.length <= max ? points : Math.round(points / 2));
+
+  const title = titleOf(home);
+  add("title", title ? `Title (${title.length} characters)` : "Title", lengthPoints(title, TITLE_RANGE, 15), 15,
+    `Use a title of ${TITLE_RANGE[0]}–${TITLE_RANGE[1]} characters.`);
+
+  const description = metaContent(home, "description");
+  add("description", description ? `Description (${description.length} characters)` : "Description",
+    lengthPoints(description, DESCRIPTION_RANGE, 15), 15,
+    `Use a description of ${DESCRIPTION_RANGE[0]}–${DESCRIPTION_RANGE[1]} characters.`);
+
+  const titles = pages.map((page) => titleOf(page.content));
+  add("page-titles", "Every page has its own title",
+    titles.every(Boolean) && new Set(titles).size === titles.length ? 5 : 0, 5,
+    "Some pages have no title or share the same one.");
+
+  const openGraph = ["og:title", "og:description"].every((key) => metaContent(home, key));
+  const ogImage = Boolean(metaContent(home, "og:image"));
+  add("open-graph", "Open Graph preview", openGraph ? (ogImage ? 10 : 6) : 0, 10,
+    openGraph ? "No preview image: upload a logo with /images." : "Open Graph tags are missing.");
+
+  add("twitter", "Twitter card", metaContent(home, "twitter:card") ? 5 : 0, 5, "The twitter:card tag is missing.");
+
+  add("canonical", "Canonical URL", linkPattern("canonical").test(home) ? 10 : 0, 10,
+    "No canonical URL: the public address of the website is not configured.");
+
+  add("structured-data", "Structured data", /<script\b[^>]*type\s*=\s*["']application\/ld\+json["']/i.test(home) ? 10 : 0, 10,
+    "No structured data (JSON-LD) on the home page.");
+
+  add("favicon", "Favicon", linkPattern("icon").test(home) ? 10 : 0, 10,
+    "No favicon: tag an image as favicon or logo with /images.");
+
+  add("sitemap", "sitemap.xml", byPath.has("sitemap.xml") ? 5 : 0, 5,
+    "No sitemap.xml: the public address of the website is not configured.");
+
+  add("robots", "robots.txt", byPath.has("robots.txt") ? 5 : 0, 5, "No robots.txt.");
+
+  const headings = (home.match(/<h1\b/gi) || []).length;
+  add("h1", "One main heading (h1)", headings === 1 ? 5 : headings > 1 ? 2 : 0, 5,
+    headings > 1 ? `The home page has ${headings} h1 headings; use one.` : "The home page has no h1 heading.");
+
+  const images = pages.flatMap((page) => page.content.match(/<img\b[^>]*>/gi) || []);
+  const missingAlt = images.filter((tag) => !attributeOf(tag, "alt")).length;
+  add("alt", "Image descriptions (alt)", missingAlt === 0 ? 5 : 0, 5, `${missingAlt} image(s) have no alt text.`);
+
+  return { score: checks.reduce((total, check) => total + check.points, 0), title, description, checks };
+}
+
+/**
+ * Validates the title and description a user wants to set
+ * A string sets the value, undefined leaves it as it is, and null or "" drops the user's value: pages
+ * keep their current text until the next generation writes a new one.
+ *
+ * @param {Object} body - { title?, description? }
+ * @returns {Object} - Profile patch, e.g. { seo: { title: "..." } }
+ * @throws {SeoError} - If nothing is given or a value is not text or too long
+ */
+export function seoSettingsPatch(body) {
+  const seo = {};
+
+  for (const [field, max] of [["title", MAX_TITLE_LENGTH], ["description", MAX_DESCRIPTION_LENGTH]]) {
+    const value = body?.[field];
+    if (value === undefined) continue;
+    if (value !== null && typeof value !== "string") throw new SeoError(`The ${field} must be text`);
+
+    const text = (value || "").replace(/\s+/g, " ").trim();
+    if (text.length > max) throw new SeoError(`The ${field} is ${text.length} characters long; use at most ${max}.`);
+    seo[field] = text || null;
+  }
+
+  if (Object.keys(seo).length === 0) throw new SeoError("Send a title or a description");
+  return { seo };
+}
@@ -0,0 +1,240 @@
+/**
+ * Website Files Utility
+ *
+ * This module reads and writes the files of a generated website project.
+ * The generator returns a file map ({ path, content } entries) instead of a fixed
+ * HTML/CSS/JS triple, so every path coming from the model is sanitised and the
+ * project is kept within a file-count and size budget before anything is written.
+ */
+
+// Import required dependencies
+import path from "path";      // For handling file paths
+import fs from "fs-extra";    // Enhanced file system operations
+
+// Budget for a single generated project
+export const MAX_FILES = 25;                      // Maximum number of files in a project
+export const MAX_FILE_SIZE = 200 * 1024;          // Maximum size of a single file (bytes)
+export const MAX_TOTAL_SIZE = 1024 * 1024;        // Maximum size of all files together (bytes)
+
+// File types the generator is allowed to create (all of them are text files)
+export const ALLOWED_EXTENSIONS = [
+  ".html", ".css", ".js", ".json", ".svg", ".txt", ".xml", ".md", ".webmanifest",
+];
+
+/**
+ * Error raised when a generated file map breaks the path rules or the budget
+ */
+export class SiteFilesError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SiteFilesError";
+  }
+}
+
+/**
+ * Normalises a path returned by the model and rejects unsafe ones
+ * Paths must be relative, stay inside the website folder, use an allowed
+ * extension and must not touch the uploads folder.
+ *
+ * @param {string} filePath - Path as returned by the model
+ * @returns {string} - Normalised relative path using forward slashes
+ * @throws {SiteFilesError} - If the path is not allowed
+ */
+export function sanitizeFilePath(filePath) {
+  if (typeof filePath !== "string" || !filePath.trim()) {
+    throw new SiteFilesError("File path must be a non-empty string");
+  }
+
+  const cleaned = filePath.trim().replace(/\\/g, "/").replace(/^\.\//, "");
+  const normalised = path.posix.normalize(cleaned);
+
+  if (
+    path.posix.isAbsolute(normalised) ||
+    /^[a-zA-Z]:/.test(normalised) ||
+    normalised === ".." ||
+    normalised.startsWith("../")
+  ) {
+    throw new SiteFilesError(`File path escapes the website folder: ${filePath}`);
+  }
+  if (!/^[\w\-./]+$/.test(normalised) || normalised.split("/").some((part) => part.startsWith("."))) {
+    throw new SiteFilesError(`File path contains invalid characters: ${filePath}`);
+  }
+  if (normalised === "uploads" || normalised.startsWith("uploads/")) {
+    throw new SiteFilesError(`File path points into the uploads folder: ${filePath}`);
+  }
+  if (!ALLOWED_EXTENSIONS.includes(path.posix.extname(normalised).toLowerCase())) {
+    throw new SiteFilesError(`File type not allowed: ${filePath}`);
+  }
+
+  return normalised;
+}
+
+/**
+ * Validates a file map returned by the model
+ * Accepts either an array of { path, content } entries or an object of path -> content.
+ *
+ * @param {Array<Object>|Object<string, string>} files - File map from the model
+ * @returns {Array<{path: string, content: string}>} - Sanitised file entries
+ * @throws {SiteFilesError} - If a path is unsafe or the budget is exceeded
+ */
+export function validateFileMap(files) {
+  const entries = Array.isArray(files)
+    ? files
+    : Object.entries(files || {}).map(([filePath, content]) => ({ path: filePath, content }));
+
+  if (entries.length === 0) {
+    throw new SiteFilesError("No files returned");
+  }
+  if (entries.length > MAX_FILES) {
+    throw new SiteFilesError(`Too many files: ${entries.length} (limit ${MAX_FILES})`);
+  }
+
+  const seen = new Set();
+  let totalSize = 0;
+
+  const sanitised = entries.map((entry) => {
+    const filePath = sanitizeFilePath(entry?.path);
+    if (typeof entry.content !== "string") {
+      throw new SiteFilesError(`Content of ${filePath} must be a string`);
+    }
+    if (seen.has(filePath)) {
+      throw new SiteFilesError(`Duplicate file path: ${filePath}`);
+    }
+    seen.add(filePath);
+
+    const size = Buffer.byteLength(entry.content, "utf-8");
+    if (size > MAX_FILE_SIZE) {
+      throw new SiteFilesError(`File too large: ${filePath} (${size} bytes, limit ${MAX_FILE_SIZE})`);
+    }
+    totalSize += size;
+
+    return { path: filePath, content: entry.content };
+  });
+
+  if (totalSize > MAX_TOTAL_SIZE) {
+    throw new SiteFilesError(`Project too large: ${totalSize} bytes (limit ${MAX_TOTAL_SIZE})`);
+  }
+
+  return sanitised;
+}
+
+/**
+ * Validates the list of files the model wants removed from the project
+ *
+ * @param {*} deletedFiles - "deletedFiles" of the model's reply
+ * @returns {string[]} - Sanitised paths (empty if the reply has none)
+ * @throws {SiteFilesError} - If it is not a list of safe paths
+ */
+export function validateDeletedFiles(deletedFiles) {
+  if (deletedFiles === undefined || deletedFiles === null) return [];
+  if (!Array.isArray(deletedFiles)) {
+    throw new SiteFilesError("deletedFiles must be an array of file paths");
+  }
+  return deletedFiles.map(sanitizeFilePath);
+}
+
+/**
+ * Recursively lists the project files of a website directory
+ * The uploads folder and file types the generator cannot produce are skipped.
+ *
+ * @param {string} websiteDir - Website directory to walk
+ * @returns {string[]} - Relative file paths using forward slashes, sorted
+ */
+export function listSiteFiles(websiteDir) {
+  const walk = (dir) => {
+    if (!fs.existsSync(dir)) return [];
+
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      const relPath = path.relative(websiteDir, fullPath).split(path.sep).join("/");
+
+      if (entry.isDirectory()) {
+        if (relPath !== "uploads") files.push(...walk(fullPath));
+      } else if (ALLOWED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(relPath);
+      }
+    }
+    return files;
+  };
+
+  return walk(websiteDir).sort();
+}
+
+/**
+ * Reads all project files of a website directory
+ *
+ * @param {string} websiteDir - Website directory to read
+ * @returns {Array<{path: string, content: string}>} - File entries
+ */
+export function readSiteFiles(websiteDir) {
+  return listSiteFiles(websiteDir).map((filePath) => ({
+    path: filePath,
+    content: fs.readFileSync(path.join(websiteDir, filePath), "utf-8"),
+  }));
+}
+
+/**
+ * Replaces a website with the empty placeholder files of a new or reset project
+ * Every file and folder except uploads/ is removed first, so nothing of a previous
+ * multi-file website survives.
+ *
+ * @param {string} websiteDir - Website directory
+ */
+export function writeEmptySite(websiteDir) {
+  fs.ensureDirSync(websiteDir);
+  for (const entry of fs.readdirSync(websiteDir)) {
+    if (entry !== "uploads") fs.removeSync(path.join(websiteDir, entry));
+  }
+
+  fs.ensureDirSync(path.join(websiteDir, "uploads"));
+  fs.writeFileSync(path.join(websiteDir, "index.html"), "<!-- empty -->");
+  fs.writeFileSync(path.join(websiteDir, "styles.css"), "/* empty */");
+  fs.writeFileSync(path.join(websiteDir, "script.js"), "// empty");
+}
+
+/**
+ * Formats project files for use inside a prompt
+ *
+ * @param {Array<{path: string, content: string}>} files - File entries
+ * @returns {string} - Files separated by "--- FILE: <path> ---" headers
+ */
+export function formatFilesForPrompt(files) {
+  if (files.length === 0) return "(no files yet)";
+  return files.map((file) => `--- FILE: ${file.path} ---\n${file.content}`).join("\n\n");
+}
+
+/**
+ * Writes a validated file map into the website directory
+ *
+ * @param {string} websiteDir - Website directory to write into
+ * @param {Array<{path: string, content: string}>} files - Sanitised file entries
+ * @param {string[]} [deletedFiles] - Sanitised paths of files to remove from the project
+ * @returns {{written: string[], deleted: string[]}} - Paths that were written and removed
+ * @throws {SiteFilesError} - If deletedFiles is not an array
+ */
+export function writeSiteFiles(websiteDir, files, deletedFiles = []) {
+  if (!Array.isArray(deletedFiles)) {
+    throw new SiteFilesError("deletedFiles must be an array of file paths");
+  }
+
+  const written = [];
+  const deleted = [];
+
+  for (const file of files) {
+    const target = path.join(websiteDir, file.path);
+    fs.ensureDirSync(path.dirname(target));
+    fs.writeFileSync(target, file.content);
+    written.push(file.path);
+  }
+
+  for (const filePath of deletedFiles) {
+    const target = path.join(websiteDir, filePath);
+    if (!written.includes(filePath) && fs.existsSync(target)) {
+      fs.removeSync(target);
+      deleted.push(filePath);
+    }
+  }
+
+  return { written, deleted };
+}
@@ -0,0 +1,252 @@
+/**
+ * File Storage
+ *
+ * Keeps the profile and chat history of every project as JSON files inside the
+ * project folder, the layout the server has always used:
+ *
+ *   <project>/user-data.json     - profile
+ *   <project>/chat-history.json  - chat turns
+ *   <folder>/<name>.json         - named documents (chat memory, usage, form ids, ...)
+ *
+ * Updates lock their files with proper-lockfile (which also works across processes),
+ * so concurrent requests never overwrite each other's changes. Files are replaced
+ * atomically (written to a temporary file, then renamed), so a crash mid-write
+ * never leaves a half-written file behind.
+ */
+
+// Import required dependencies
+import path from "path";                    // For handling file paths
+import fs from "fs-extra";                  // Enhanced file system operations
+import lockfile from "proper-lockfile";     // File locking to prevent race conditions
+
+// Lock options: wait up to a few seconds for a concurrent update to finish
+const LOCK_OPTIONS = { retries: { retries: 10, minTimeout: 100 }, realpath: false };
+
+// Synchronous locks can't use the retries option: attempts and pause between them (ms)
+const SYNC_LOCK_ATTEMPTS = 50;
+const SYNC_LOCK_PAUSE = 100;
+
+/**
+ * Paths of the data files of a project
+ *
+ * @param {string} projectDir - Project directory
+ * @returns {{profileFile: string, historyFile: string}} - user-data.json and chat-history.json
+ */
+export function projectFilesOf(projectDir) {
+  return {
+    profileFile: path.join(projectDir, "user-data.json"),
+    historyFile: path.join(projectDir, "chat-history.json"),
+  };
+}
+
+/**
+ * Reads a JSON file
+ *
+ * @param {string} file - File path
+ * @param {*} fallback - Value for a missing or empty file
+ * @returns {*} - Parsed contents
+ */
+function readJson(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  const text = fs.readFileSync(file, "utf-8");
+  return text.trim() ? JSON.parse(text) : fallback;
+}
+
+/**
+ * Replaces a JSON file atomically
+ *
+ * @param {string} file - File path
+ * @param {*} value - Value to write
+ */
+function writeJsonAtomic(file, value) {
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(value, null, 2));
+  fs.renameSync(temp, file);
+}
+
+/**
+ * Path of a named document of a folder
+ *
+ * @param {string} dir - Data, user or project directory
+ * @param {string} name - Document name, e.g. "chat-memory"
+ * @returns {string} - <dir>/<name>.json
+ */
+export function documentFileOf(dir, name) {
+  return path.join(dir, `${name}.json`);
+}
+
+/**
+ * Locks a file synchronously, waiting while another process holds the lock
+ *
+ * @param {string} file - File path
+ * @returns {Function} - Releases the lock
+ */
+function lockSync(file) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return lockfile.lockSync(file, { realpath: false });
+    } catch (error) {
+      if (error.code !== "ELOCKED" || attempt >= SYNC_LOCK_ATTEMPTS) throw error;
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, SYNC_LOCK_PAUSE);
+    }
+  }
+}
+
+/**
+ * Reads, changes and writes a JSON file while holding its lock
+ *
+ * @param {string} file - File path
+ * @param {Function} update - Called with { value } (null for a missing file); may change or replace
+ *                            value synchronously, null removes the file
+ * @returns {*} - Result of update
+ */
+function updateJsonFile(file, update) {
+  fs.ensureDirSync(path.dirname(file));
+
+  const release = lockSync(file);
+  try {
+    const state = { value: readJson(file, null) };
+    const before = JSON.stringify(state.value);
+
+    const result = update(state);
+
+    if (state.value === null || state.value === undefined) fs.removeSync(file);
+    else if (!fs.existsSync(file) || JSON.stringify(state.value) !== before) writeJsonAtomic(file, state.value);
+    return result;
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Creates the file storage
+ *
+ * @returns {Object} - Storage (see storage/index.js)
+ */
+export function createFileStorage() {
+  return {
+    name: "file",
+
+    /**
+     * Reads the profile of a project
+     *
+     * @param {string} projectDir - Project directory
+     * @returns {Object|null} - Profile, or null if the project has none
+     */
+    readProfile(projectDir) {
+      const { profileFile } = projectFilesOf(projectDir);
+      return fs.existsSync(profileFile) ? readJson(profileFile, {}) : null;
+    },
+
+    /**
+     * Reads the chat history of a project
+     *
+     * @param {string} projectDir - Project directory
+     * @returns {Array<Object>} - Chat turns, oldest first
+     */
+    readHistory(projectDir) {
+      return readJson(projectFilesOf(projectDir).historyFile, []);
+    },
+
+    /**
+     * Reads, changes and writes the data of a project while holding its locks
+     *
+     * @param {string} projectDir - Project directory
+     * @param {Function} update - Called with { profile, history }; may change or replace both
+     * @returns {Promise<*>} - Result of update
+     */
+    async update(projectDir, update) {
+      const { profileFile, historyFile } = projectFilesOf(projectDir);
+      fs.ensureDirSync(projectDir);
+
+      const releaseProfile = await lockfile.lock(profileFile, LOCK_OPTIONS);
+      let releaseHistory;
+      try {
+        releaseHistory = await lockfile.lock(historyFile, LOCK_OPTIONS);
+
+        const state = { profile: readJson(profileFile, {}), history: readJson(historyFile, []) };
+        const before = { profile: JSON.stringify(state.profile), history: JSON.stringify(state.history) };
+
+        const result = await update(state);
+
+        // Only touch the files that changed
+        if (!fs.existsSync(profileFile) || JSON.stringify(state.profile) !== before.profile) {
+          writeJsonAtomic(profileFile, state.profile);
+        }
+        if (!fs.existsSync(historyFile) || JSON.stringify(state.history) !== before.history) {
+          writeJsonAtomic(historyFile, state.history);
+        }
+        return result;
+      } finally {
+        if (releaseHistory) await releaseHistory();
+        await releaseProfile();
+      }
+    },
+
+    /**
+     * Reads a named document of a folder
+     *
+     * @param {string} dir - Data, user or project directory
+     * @param {string} name - Document name
+     * @returns {*} - Stored value, or null if there is none
+     */
+    readDocument(dir, name) {
+      return readJson(documentFileOf(dir, name), null);
+    },
+
+    /**
+     * Reads, changes and writes a named document while holding its lock
+     *
+     * @param {string} dir - Data, user or project directory
+     * @param {string} name - Document name
+     * @param {Function} update - Called with { value } (null if there is none); may change or replace
+     *                            value synchronously, null removes the document
+     * @returns {*} - Result of update
+     */
+    updateDocument(dir, name, update) {
+      return updateJsonFile(documentFileOf(dir, name), update);
+    },
+
+    /**
+     * Replaces a named document
+     *
+     * @param {string} dir - Data, user or project directory
+     * @param {string} name - Document name
+     * @param {*} value - Value to store, null removes the document
+     */
+    writeDocument(dir, name, value) {
+      updateJsonFile(documentFileOf(dir, name), (state) => {
+        state.value = value;
+      });
+    },
+
+    /**
+     * Writes the data of a new project
+     *
+     * @param {string} projectDir - Project directory
+     * @param {Object} data - { profile, history }
+     */
+    init(projectDir, { profile, history = [] }) {
+      const { profileFile, historyFile } = projectFilesOf(projectDir);
+      fs.ensureDirSync(projectDir);
+      if (profile) writeJsonAtomic(profileFile, profile);
+      writeJsonAtomic(historyFile, history);
+    },
+
+    /**
+     * Deletes the data of a project (the project folder itself is removed by projects.js)
+     *
+     * @param {string} projectDir - Project directory
+     */
+    remove(projectDir) {
+      const { profileFile, historyFile } = projectFilesOf(projectDir);
+      fs.removeSync(profileFile);
+      fs.removeSync(historyFile);
+    },
+
+    /**
+     * Releases resources (nothing to do for files)
+     */
+    close() {},
+  };
+}
@@ -0,0 +1,145 @@
+/**
+ * Storage Layer
+ *
+ * Every route reads and writes project profiles, chat histories and the other JSON state
+ * of users and projects through the storage returned by getStorage(), never through
+ * the files directly. The backend is selected
+ * by configuration:
+ *
+ *   STORAGE_BACKEND=file     JSON files in each project folder, locked on update (default)
+ *   STORAGE_BACKEND=sqlite   One embedded SQLite database at SQLITE_FILE (default <DB_DIR>/storage.sqlite)
+ *
+ * All backends implement the same interface; a project is identified by its directory:
+ *   readProfile(projectDir)          -> profile, or null if the project has none
+ *   readHistory(projectDir)          -> chat turns ([] if none)
+ *   update(projectDir, fn)           -> Promise of fn's result; fn({ profile, history }) may change
+ *                                       or replace both and runs while no other update of the
+ *                                       project can interleave. Never nest updates of one project.
+ *   readDocument(dir, name)          -> named document of a folder, or null if there is none
+ *   updateDocument(dir, name, fn)    -> fn's result; fn({ value }) may change or replace value (null
+ *                                       removes the document). Synchronous and locked: fn can't await,
+ *                                       and no other update of the document can interleave.
+ *   writeDocument(dir, name, value)  - replaces a named document (null removes it)
+ *   init(projectDir, { profile, history }) - writes the data of a new project
+ *   remove(projectDir)               - deletes the data and documents of a project
+ *   close()                          - releases the backend
+ *
+ * Documents belong to the data folder (DB_DIR), a user folder or a project folder; the
+ * ones in use are listed in DOCUMENTS. Website files, uploads and revisions always stay
+ * in the project folder.
+ * Existing file data is moved into SQLite with `npm run migrate-storage` (see migrate-storage.js).
+ */
+
+// Import required dependencies
+import path from "path";                                        // For handling file paths
+import { fileURLToPath } from "url";                            // Convert file URLs to paths (for ESM)
+import { createFileStorage } from "./file-storage.js";          // JSON files with file locks
+import { createSqliteStorage, StorageError } from "./sqlite-storage.js"; // Embedded SQLite database
+
+export { StorageError };
+
+// Create ESM-friendly __dirname equivalent
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Storage instance shared by all routes
+let storage = null;
+
+// Named documents, by the folder they belong to
+export const DOCUMENTS = {
+  data: ["forms"],
+  user: ["projects", "usage", "deployed"],
+  project: ["chat-memory", "wizard", "brand-proposal", "pending-document/document", "publish"],
+};
+
+/**
+ * Creates a storage from configuration values
+ *
+ * @param {Object} [env] - Configuration source, defaults to process.env
+ * @returns {Object} - Storage instance
+ * @throws {Error} - If the configured backend is unknown
+ */
+export function createStorage(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || "file").toLowerCase();
+
+  switch (backend) {
+    case "file":
+      return createFileStorage();
+
+    case "sqlite": {
+      const root = env.DB_DIR ? path.resolve(env.DB_DIR) : path.join(__dirname, "..", "db");
+      return createSqliteStorage({ file: path.resolve(env.SQLITE_FILE || path.join(root, "storage.sqlite")), root });
+    }
+
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected file or sqlite)`);
+  }
+}
+
+/**
+ * Returns the configured storage, creating it on first use
+ *
+ * @returns {Object} - Storage instance
+ */
+export function getStorage() {
+  if (!storage) storage = createStorage();
+  return storage;
+}
+
+/**
+ * Replaces the shared storage (used by the migration tool and in tests)
+ *
+ * @param {Object|null} instance - Storage instance, or null to fall back to configuration
+ */
+export function setStorage(instance) {
+  storage = instance;
+}
+
+/**
+ * Copies the JSON files of a project folder into a storage
+ * Used for data that exists only as files: projects migrated by migrate-storage.js and
+ * data from before projects existed (see projects.js). Nothing happens for the file storage.
+ *
+ * @param {string} projectDir - Project directory
+ * @param {Object} [target] - Storage to import into, defaults to the shared one
+ * @param {Object} [options]
+ * @param {boolean} [options.overwrite] - Replace data the storage already has for the project
+ * @returns {"imported"|"exists"|"empty"|"unchanged"} - What happened
+ */
+export function importProjectFiles(projectDir, target = getStorage(), { overwrite = false } = {}) {
+  if (target.name === "file") return "unchanged";
+
+  const files = createFileStorage();
+  const profile = files.readProfile(projectDir);
+  const history = files.readHistory(projectDir);
+  if (profile === null && history.length === 0) return "empty";
+  if (!overwrite && target.readProfile(projectDir) !== null) return "exists";
+
+  target.init(projectDir, { profile, history });
+  importDocumentFiles(projectDir, DOCUMENTS.project, target);
+  return "imported";
+}
+
+/**
+ * Copies named documents of a folder from their JSON files into a storage
+ * Nothing happens for the file storage.
+ *
+ * @param {string} dir - Data, user or project directory
+ * @param {string[]} names - Document names (see DOCUMENTS)
+ * @param {Object} [target] - Storage to import into, defaults to the shared one
+ * @param {Object} [options]
+ * @param {boolean} [options.overwrite] - Replace documents the storage already has (default true)
+ * @returns {number} - Number of documents copied
+ */
+export function importDocumentFiles(dir, names, target = getStorage(), { overwrite = true } = {}) {
+  if (target.name === "file") return 0;
+
+  const files = createFileStorage();
+  let copied = 0;
+  for (const name of names) {
+    const value = files.readDocument(dir, name);
+    if (value === null || (!overwrite && target.readDocument(dir, name) !== null)) continue;
+    target.writeDocument(dir, name, value);
+    copied += 1;
+  }
+  return copied;
+}
@@ -0,0 +1,298 @@
+/**
+ * SQLite Storage
+ *
+ * Keeps the profile and chat history of every project in one embedded SQLite database,
+ * so no per-project JSON files are read or written on every request:
+ *
+ *   projects(key, profile, history, version, updated_at)
+ *   documents(scope, name, value, updated_at)
+ *
+ * "key" is "<userId>/<projectId>", taken from the project directory
+ * (db/<userId>/projects/<projectId>, see projects.js); profile and history are JSON.
+ * Named documents (chat memory, usage, form ids, ...) belong to a folder; "scope" is its
+ * path relative to the data folder ("" for the data folder itself), "value" is JSON.
+ *
+ * Updates of one project run one after another within the process. Every write bumps
+ * "version", and a write based on an outdated version (another process changed the
+ * project meanwhile) is rejected with a StorageError instead of silently losing data.
+ * Document updates are synchronous and run in an immediate transaction, which keeps
+ * other connections out until they are done.
+ */
+
+// Import required dependencies
+import path from "path";                    // For handling file paths
+import fs from "fs-extra";                  // Enhanced file system operations
+import Database from "better-sqlite3";      // Embedded SQLite database
+
+// How long a statement waits for a lock held by another connection (ms)
+const BUSY_TIMEOUT = 5000;
+
+/**
+ * Error raised when a project was changed by someone else during an update
+ */
+export class StorageError extends Error {
+  constructor(message, code, status = 409) {
+    super(message);
+    this.name = "StorageError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Returns the database key of a project
+ *
+ * @param {string} projectDir - Project directory (db/<userId>/projects/<projectId>)
+ * @returns {string} - "<userId>/<projectId>"
+ */
+export function projectKeyOf(projectDir) {
+  const resolved = path.resolve(projectDir);
+  return `${path.basename(path.dirname(path.dirname(resolved)))}/${path.basename(resolved)}`;
+}
+
+/**
+ * Creates the SQLite storage
+ *
+ * @param {Object} options
+ * @param {string} options.file - Path of the database file
+ * @param {string} [options.root] - Data folder document scopes are relative to (default: the database folder)
+ * @returns {Object} - Storage (see storage/index.js)
+ */
+export function createSqliteStorage({ file, root = path.dirname(file) }) {
+  fs.ensureDirSync(path.dirname(file));
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma(`busy_timeout = ${BUSY_TIMEOUT}`);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS projects (
+      key        TEXT PRIMARY KEY,
+      profile    TEXT,
+      history    TEXT NOT NULL DEFAULT '[]',
+      version    INTEGER NOT NULL DEFAULT 0,
+      updated_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS documents (
+      scope      TEXT NOT NULL,
+      name       TEXT NOT NULL,
+      value      TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (scope, name)
+    )
+  `);
+
+  const selectRow = db.prepare("SELECT profile, history, version FROM projects WHERE key = ?");
+  const insertRow = db.prepare(
+    "INSERT INTO projects (key, profile, history, version, updated_at) VALUES (@key, @profile, @history, 1, @updatedAt)"
+  );
+  const replaceRow = db.prepare(
+    `INSERT INTO projects (key, profile, history, version, updated_at) VALUES (@key, @profile, @history, 1, @updatedAt)
+     ON CONFLICT(key) DO UPDATE SET profile = @profile, history = @history, version = version + 1, updated_at = @updatedAt`
+  );
+  const updateRow = db.prepare(
+    `UPDATE projects SET profile = @profile, history = @history, version = version + 1, updated_at = @updatedAt
+     WHERE key = @key AND version = @version`
+  );
+  const deleteRow = db.prepare("DELETE FROM projects WHERE key = ?");
+  const selectDocument = db.prepare("SELECT value FROM documents WHERE scope = ? AND name = ?");
+  const upsertDocument = db.prepare(
+    `INSERT INTO documents (scope, name, value, updated_at) VALUES (@scope, @name, @value, @updatedAt)
+     ON CONFLICT(scope, name) DO UPDATE SET value = @value, updated_at = @updatedAt`
+  );
+  const deleteDocument = db.prepare("DELETE FROM documents WHERE scope = ? AND name = ?");
+  const deleteDocuments = db.prepare("DELETE FROM documents WHERE scope = ?");
+
+  /**
+   * Returns the document scope of a folder
+   *
+   * @param {string} dir - Data, user or project directory
+   * @returns {string} - Path relative to the data folder, using forward slashes
+   */
+  function scopeOf(dir) {
+    return path.relative(path.resolve(root), path.resolve(dir)).split(path.sep).join("/");
+  }
+
+  /**
+   * Reads, changes and writes a document in one transaction
+   *
+   * @param {string} scope - Document scope
+   * @param {string} name - Document name
+   * @param {Function} update - Called with { value }; may change or replace value, null removes it
+   * @returns {*} - Result of update
+   */
+  const changeDocument = db.transaction((scope, name, update) => {
+    const row = selectDocument.get(scope, name);
+    const state = { value: row ? JSON.parse(row.value) : null };
+
+    const result = update(state);
+
+    if (state.value === null || state.value === undefined) deleteDocument.run(scope, name);
+    else upsertDocument.run({ scope, name, value: JSON.stringify(state.value), updatedAt: new Date().toISOString() });
+    return result;
+  });
+
+  // Tail of the update queue of every project: key -> Promise
+  const queues = new Map();
+
+  /**
+   * Writes the state of a project if nobody else changed it since it was read
+   *
+   * @param {string} key - Project key
+   * @param {number} version - Version the state was read at (0 = no row yet)
+   * @param {Object} state - { profile, history }
+   */
+  const save = db.transaction((key, version, state) => {
+    const values = {
+      key,
+      version,
+      profile: JSON.stringify(state.profile),
+      history: JSON.stringify(state.history),
+      updatedAt: new Date().toISOString(),
+    };
+
+    const saved = version === 0
+      ? !selectRow.get(key) && insertRow.run(values).changes === 1
+      : updateRow.run(values).changes === 1;
+    if (!saved) {
+      throw new StorageError("The project was changed by another request, please try again", "storage_conflict");
+    }
+  });
+
+  /**
+   * Runs an update of a project after the ones already queued for it
+   *
+   * @param {string} key - Project key
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} - Result of task
+   */
+  function enqueue(key, task) {
+    const previous = queues.get(key) || Promise.resolve();
+    const run = previous.then(task, task);
+    const tail = run.catch(() => {});
+    queues.set(key, tail);
+    tail.then(() => {
+      if (queues.get(key) === tail) queues.delete(key);
+    });
+    return run;
+  }
+
+  return {
+    name: "sqlite",
+    file,
+
+    /**
+     * Reads the profile of a project
+     *
+     * @param {string} projectDir - Project directory
+     * @returns {Object|null} - Profile, or null if the project has none
+     */
+    readProfile(projectDir) {
+      const row = selectRow.get(projectKeyOf(projectDir));
+      return row?.profile ? JSON.parse(row.profile) : null;
+    },
+
+    /**
+     * Reads the chat history of a project
+     *
+     * @param {string} projectDir - Project directory
+     * @returns {Array<Object>} - Chat turns, oldest first
+     */
+    readHistory(projectDir) {
+      const row = selectRow.get(projectKeyOf(projectDir));
+      return row ? JSON.parse(row.history) : [];
+    },
+
+    /**
+     * Reads, changes and writes the data of a project
+     *
+     * @param {string} projectDir - Project directory
+     * @param {Function} update - Called with { profile, history }; may change or replace both
+     * @returns {Promise<*>} - Result of update
+     * @throws {StorageError} - If another process changed the project meanwhile
+     */
+    update(projectDir, update) {
+      const key = projectKeyOf(projectDir);
+
+      return enqueue(key, async () => {
+        const row = selectRow.get(key);
+        const state = {
+          profile: row?.profile ? JSON.parse(row.profile) : {},
+          history: row ? JSON.parse(row.history) : [],
+        };
+
+        const result = await update(state);
+        save(key, row?.version ?? 0, state);
+        return result;
+      });
+    },
+
+    /**
+     * Reads a named document of a folder
+     *
+     * @param {string} dir - Data, user or project directory
+     * @param {string} name - Document name
+     * @returns {*} - Stored value, or null if there is none
+     */
+    readDocument(dir, name) {
+      const row = selectDocument.get(scopeOf(dir), name);
+      return row ? JSON.parse(row.value) : null;
+    },
+
+    /**
+     * Reads, changes and writes a named document
+     *
+     * @param {string} dir - Data, user or project directory
+     * @param {string} name - Document name
+     * @param {Function} update - Called with { value } (null if there is none); may change or replace
+     *                            value synchronously, null removes the document
+     * @returns {*} - Result of update
+     */
+    updateDocument(dir, name, update) {
+      return changeDocument.immediate(scopeOf(dir), name, update);
+    },
+
+    /**
+     * Replaces a named document
+     *
+     * @param {string} dir - Data, user or project directory
+     * @param {string} name - Document name
+     * @param {*} value - Value to store, null removes the document
+     */
+    writeDocument(dir, name, value) {
+      changeDocument.immediate(scopeOf(dir), name, (state) => {
+        state.value = value;
+      });
+    },
+
+    /**
+     * Writes the data of a new project, replacing existing data
+     *
+     * @param {string} projectDir - Project directory
+     * @param {Object} data - { profile, history }
+     */
+    init(projectDir, { profile, history = [] }) {
+      replaceRow.run({
+        key: projectKeyOf(projectDir),
+        profile: profile ? JSON.stringify(profile) : null,
+        history: JSON.stringify(history),
+        updatedAt: new Date().toISOString(),
+      });
+    },
+
+    /**
+     * Deletes the data and documents of a project
+     *
+     * @param {string} projectDir - Project directory
+     */
+    remove(projectDir) {
+      deleteRow.run(projectKeyOf(projectDir));
+      deleteDocuments.run(scopeOf(projectDir));
+    },
+
+    /**
+     * Closes the database
+     */
+    close() {
+      db.close();
+    },
+  };
+}
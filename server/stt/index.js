@@ -0,0 +1,76 @@
+/**
+ * Speech-to-Text Layer
+ *
+ * Voice notes are transcribed through the transcriber returned by getTranscriber(),
+ * never through an SDK directly. The backend is selected by configuration:
+ *
+ *   STT_PROVIDER=openai   OpenAI transcription API, needs OPENAI_API_KEY
+ *   STT_PROVIDER=local    OpenAI-compatible local engine (faster-whisper-server, whisper.cpp
+ *                         server, LocalAI, ...) at LOCAL_STT_BASE_URL
+ *   STT_PROVIDER=mock     Fixed transcript, no network or API key needed
+ *
+ * STT_PROVIDER defaults to LLM_PROVIDER, so a mock or local setup stays offline.
+ *
+ * All transcribers implement the same interface:
+ *   transcribe({ audio, fileName, mimeType, language, signal }) -> { text, language, duration }
+ */
+
+// Import required dependencies
+import { createOpenAITranscriber } from "./openai-transcriber.js"; // OpenAI and OpenAI-compatible engines
+import { createMockTranscriber } from "./mock-transcriber.js";     // Offline fixture-backed transcriber
+
+// Transcriber instance shared by all routes
+let transcriber = null;
+
+/**
+ * Creates a transcriber from configuration values
+ *
+ * @param {Object} [env] - Configuration source, defaults to process.env
+ * @returns {Object} - Transcriber instance
+ * @throws {Error} - If the configured provider is unknown
+ */
+export function createTranscriber(env = process.env) {
+  const providerName = (env.STT_PROVIDER || env.LLM_PROVIDER || "openai").toLowerCase();
+
+  switch (providerName) {
+    case "openai":
+      return createOpenAITranscriber({
+        name: "openai",
+        apiKey: env.OPENAI_API_KEY,
+        model: env.STT_MODEL || "whisper-1",
+      });
+
+    case "local":
+      return createOpenAITranscriber({
+        name: "local",
+        apiKey: env.LOCAL_STT_API_KEY || "local",
+        baseURL: env.LOCAL_STT_BASE_URL || "http://localhost:8000/v1",
+        model: env.LOCAL_STT_MODEL || "Systran/faster-whisper-small",
+      });
+
+    case "mock":
+      return createMockTranscriber({ text: env.MOCK_STT_TEXT || undefined });
+
+    default:
+      throw new Error(`Unknown STT_PROVIDER "${providerName}" (expected openai, local or mock)`);
+  }
+}
+
+/**
+ * Returns the configured transcriber, creating it on first use
+ *
+ * @returns {Object} - Transcriber instance
+ */
+export function getTranscriber() {
+  if (!transcriber) transcriber = createTranscriber();
+  return transcriber;
+}
+
+/**
+ * Replaces the shared transcriber (used to inject one in tests or scripts)
+ *
+ * @param {Object|null} instance - Transcriber instance, or null to fall back to configuration
+ */
+export function setTranscriber(instance) {
+  transcriber = instance;
+}
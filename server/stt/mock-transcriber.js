@@ -0,0 +1,35 @@
+/**
+ * Mock Transcriber
+ *
+ * Deterministic, offline speech-to-text for development and tests. Every audio
+ * file is "transcribed" to the same text, so the voice flow can be exercised
+ * without an API key or a local engine.
+ */
+
+// Transcript returned when MOCK_STT_TEXT is not set
+const DEFAULT_TEXT = "I want a website for my bakery with a menu page and a contact form.";
+
+/**
+ * Creates the mock transcriber
+ *
+ * @param {Object} [options]
+ * @param {string} [options.text] - Transcript returned for every request
+ * @returns {Object} - Transcriber with transcribe()
+ */
+export function createMockTranscriber({ text = DEFAULT_TEXT } = {}) {
+  return {
+    name: "mock",
+    model: "mock",
+
+    /**
+     * Returns the fixed transcript
+     *
+     * @param {Object} request - { audio }
+     * @returns {Promise<{text: string, language: string, duration: null}>} - Transcript
+     */
+    async transcribe({ audio }) {
+      if (!audio || audio.length === 0) throw new Error("Empty audio");
+      return { text, language: "en", duration: null };
+    },
+  };
+}
@@ -0,0 +1,49 @@
+/**
+ * OpenAI Transcriber
+ *
+ * Speech-to-text backed by the official OpenAI SDK. The same implementation also
+ * serves local engines that expose the OpenAI /audio/transcriptions endpoint
+ * (faster-whisper-server, whisper.cpp server, LocalAI, ...) by pointing the client
+ * at a different base URL.
+ */
+
+// Import required dependencies
+import OpenAI, { toFile } from "openai";   // OpenAI API client and upload helper
+
+/**
+ * Creates a transcriber that talks to OpenAI or an OpenAI-compatible engine
+ *
+ * @param {Object} options
+ * @param {string} options.name - Provider name reported to callers ("openai" or "local")
+ * @param {string} [options.apiKey] - API key (local engines usually accept any value)
+ * @param {string} [options.baseURL] - Base URL of an OpenAI-compatible engine
+ * @param {string} options.model - Transcription model
+ * @returns {Object} - Transcriber with transcribe()
+ */
+export function createOpenAITranscriber({ name, apiKey, baseURL, model }) {
+  const client = new OpenAI({ apiKey, baseURL });
+
+  return {
+    name,
+    model,
+
+    /**
+     * Transcribes an audio file
+     *
+     * @param {Object} request - { audio, fileName, mimeType, language, signal }
+     * @returns {Promise<{text: string, language: string|null, duration: number|null}>} - Transcript
+     */
+    async transcribe({ audio, fileName, mimeType, language, signal }) {
+      const file = await toFile(audio, fileName, { type: mimeType });
+      const response = await client.audio.transcriptions.create(
+        { file, model, language: language || undefined, response_format: "verbose_json" },
+        { signal }
+      );
+      return {
+        text: (response.text || "").trim(),
+        language: response.language || null,
+        duration: response.duration ?? null,
+      };
+    },
+  };
+}
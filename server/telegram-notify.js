@@ -0,0 +1,69 @@
+/**
+ * Telegram Notification Utility
+ *
+ * Lets the server message a user's Telegram chat by itself, for events that don't start
+ * with a bot request (such as a visitor sending a website's contact form). Messages go
+ * straight to the Telegram Bot API with the bot's token:
+ *
+ *   BOT_TOKEN   the token the bot runs with (TELEGRAM_BOT_TOKEN is accepted too)
+ *
+ * Without a token, notifications are skipped with a warning. A user's chat id is their
+ * user id, since the bot talks to every user in a private chat.
+ */
+
+// Telegram Bot API base URL (overridable for a local Bot API server)
+const TELEGRAM_API_URL = (process.env.TELEGRAM_API_URL || "https://api.telegram.org").replace(/\/$/, "");
+
+// Longest text Telegram accepts in one message
+export const MAX_MESSAGE_LENGTH = 4096;
+
+// How long a notification may take (ms)
+const SEND_TIMEOUT = 10000;
+
+/**
+ * Returns the bot token configured for the server
+ *
+ * @returns {string|undefined} - Bot token
+ */
+function botToken() {
+  return process.env.BOT_TOKEN || process.env.TELEGRAM_BOT_TOKEN;
+}
+
+/**
+ * Sends a plain text message to a Telegram chat
+ * Never throws: a failed notification is logged and reported as false.
+ *
+ * @param {string} chatId - Chat to message (the user id)
+ * @param {string} text - Message text, cut to Telegram's length limit
+ * @returns {Promise<boolean>} - Whether Telegram accepted the message
+ */
+export async function sendTelegramMessage(chatId, text) {
+  const token = botToken();
+  if (!token) {
+    console.warn("⚠️ BOT_TOKEN is not set, Telegram notification skipped.");
+    return false;
+  }
+
+  try {
+    const response = await fetch(`${TELEGRAM_API_URL}/bot${token}/sendMessage`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        chat_id: chatId,
+        text: text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH - 1)}…` : text,
+        disable_web_page_preview: true,
+      }),
+      signal: AbortSignal.timeout(SEND_TIMEOUT),
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      console.error(`❌ Telegram notification to ${chatId} failed:`, data.description || response.status);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error(`❌ Telegram notification to ${chatId} failed:`, error.message);
+    return false;
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * Starter Templates Utility
+ *
+ * This module provides a small library of starter websites, so the first generation
+ * customises a working site instead of starting from empty placeholders. Every
+ * template lives in its own folder:
+ *
+ *   templates/<templateId>/template.json   - { name, emoji, description, profile }
+ *   templates/<templateId>/webSite/...     - the starter website files
+ *
+ * The profile of a template is a partial user profile (see profile-schema.js) that
+ * is validated like a model patch before it is applied.
+ */
+
+// Import required dependencies
+import path from "path";                    // For handling file paths
+import fs from "fs-extra";                  // Enhanced file system operations
+import { fileURLToPath } from "url";        // Convert file URLs to paths (for ESM)
+import { listSiteFiles, readSiteFiles, writeSiteFiles } from "./site-files.js"; // Website file helpers
+import {
+  createDefaultProfile,
+  normalizeProfile,
+  validateProfilePatch,
+  mergeProfile,
+  recordProfileChanges,
+} from "./profile-schema.js";               // User profile schema and patch merging
+import { getStorage } from "./storage/index.js"; // Profile storage
+
+// Create ESM-friendly __dirname equivalent
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Folder holding all starter templates
+export const TEMPLATES_DIR = path.join(__dirname, "templates");
+
+/**
+ * Error raised for unknown templates
+ */
+export class TemplateError extends Error {
+  constructor(message, status = 404) {
+    super(message);
+    this.name = "TemplateError";
+    this.status = status;
+  }
+}
+
+/**
+ * Returns the folder of a template, if it exists
+ *
+ * @param {string} templateId - Template identifier (folder name)
+ * @returns {string} - Template folder
+ * @throws {TemplateError} - If there is no such template
+ */
+function templateDirOf(templateId) {
+  if (!/^[a-z0-9-]+$/.test(templateId || "")) {
+    throw new TemplateError(`Template "${templateId}" not found`);
+  }
+
+  const dir = path.join(TEMPLATES_DIR, templateId);
+  if (!fs.existsSync(path.join(dir, "template.json"))) {
+    throw new TemplateError(`Template "${templateId}" not found`);
+  }
+  return dir;
+}
+
+/**
+ * Returns the website folder of a template
+ *
+ * @param {string} templateId - Template identifier
+ * @returns {string} - Folder with the template's website files
+ */
+export function templateWebsiteDir(templateId) {
+  return path.join(templateDirOf(templateId), "webSite");
+}
+
+/**
+ * Reads the description of a template
+ *
+ * @param {string} templateId - Template identifier
+ * @returns {Object} - { id, name, emoji, description, profile, files }
+ */
+export function getTemplate(templateId) {
+  const dir = templateDirOf(templateId);
+  const meta = fs.readJsonSync(path.join(dir, "template.json"));
+
+  return { id: templateId, ...meta, files: listSiteFiles(path.join(dir, "webSite")) };
+}
+
+/**
+ * Lists all available templates, sorted by name
+ *
+ * @returns {Array<Object>} - Templates without their profiles
+ */
+export function listTemplates() {
+  if (!fs.existsSync(TEMPLATES_DIR)) return [];
+
+  return fs
+    .readdirSync(TEMPLATES_DIR)
+    .filter((name) => fs.existsSync(path.join(TEMPLATES_DIR, name, "template.json")))
+    .map((name) => {
+      const { profile, ...template } = getTemplate(name);
+      return template;
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Seeds a project with a template
+ * The website files are replaced by the template's files (uploads are kept) and the
+ * profile is reset to the template's profile, keeping uploaded images and the change log.
+ *
+ * @param {string} projectDir - Project directory (see projects.js)
+ * @param {string} templateId - Template identifier
+ * @returns {Promise<{template: Object, files: string[], deletedFiles: string[], changes: Array<Object>}>} - What was written
+ */
+export async function applyTemplate(projectDir, templateId) {
+  const template = getTemplate(templateId);
+  const websiteDir = path.join(projectDir, "webSite");
+
+  // Replace the website files
+  const files = readSiteFiles(path.join(templateDirOf(templateId), "webSite"));
+  fs.ensureDirSync(path.join(websiteDir, "uploads"));
+  const staleFiles = listSiteFiles(websiteDir).filter((filePath) => !files.some((file) => file.path === filePath));
+  const { written, deleted } = writeSiteFiles(websiteDir, files, staleFiles);
+
+  // Start the profile over from the template, keeping what belongs to the user
+  const { patch } = validateProfilePatch(template.profile);
+  const changes = await getStorage().update(projectDir, (state) => {
+    const current = normalizeProfile(state.profile);
+    const merged = mergeProfile({ ...createDefaultProfile(), images: current.images, changeLog: current.changeLog }, patch);
+    recordProfileChanges(merged.profile, merged.changes, "template", `Started from the "${template.name}" template`);
+    state.profile = merged.profile;
+    return merged.changes;
+  });
+
+  return { template: { id: template.id, name: template.name }, files: written, deletedFiles: deleted, changes };
+}
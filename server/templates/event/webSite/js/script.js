@@ -0,0 +1,20 @@
+// Countdown to the event date set on the hero section
+const hero = document.getElementById("hero");
+const eventDate = new Date(hero.dataset.eventDate);
+
+function updateCountdown() {
+  const remaining = Math.max(0, eventDate - new Date());
+  document.getElementById("days").textContent = Math.floor(remaining / 86400000);
+  document.getElementById("hours").textContent = Math.floor((remaining % 86400000) / 3600000);
+  document.getElementById("minutes").textContent = Math.floor((remaining % 3600000) / 60000);
+}
+
+updateCountdown();
+setInterval(updateCountdown, 30000);
+
+// Registration form (static site: just confirm)
+document.querySelector(".register-form").addEventListener("submit", (event) => {
+  event.preventDefault();
+  event.target.reset();
+  alert("You're registered! See you there.");
+});
@@ -0,0 +1,24 @@
+// Mobile navigation
+document.querySelector(".nav-toggle").addEventListener("click", () => {
+  document.querySelector(".nav-links").classList.toggle("open");
+});
+
+// Project filters
+document.querySelectorAll(".filter").forEach((button) => {
+  button.addEventListener("click", () => {
+    document.querySelectorAll(".filter").forEach((b) => b.classList.remove("active"));
+    button.classList.add("active");
+
+    const filter = button.dataset.filter;
+    document.querySelectorAll(".card").forEach((card) => {
+      card.style.display = filter === "all" || card.dataset.category === filter ? "" : "none";
+    });
+  });
+});
+
+// Contact form (static site: just confirm)
+document.querySelector(".contact-form").addEventListener("submit", (event) => {
+  event.preventDefault();
+  event.target.reset();
+  alert("Thanks! I'll get back to you soon.");
+});
@@ -0,0 +1,32 @@
+// Menu page: render the dishes from data/menu.json
+const menuList = document.getElementById("menu-list");
+if (menuList) {
+  fetch("data/menu.json")
+    .then((response) => response.json())
+    .then((categories) => {
+      menuList.innerHTML = categories
+        .map(
+          (category) => `
+            <div class="menu-category">
+              <h2>${category.category}</h2>
+              ${category.items
+                .map((item) => `<div class="menu-item"><span>${item.name}</span><span>$${item.price}</span></div>`)
+                .join("")}
+            </div>`
+        )
+        .join("");
+    })
+    .catch(() => {
+      menuList.textContent = "The menu could not be loaded. Please try again later.";
+    });
+}
+
+// Reservation form (static site: just confirm)
+const reservationForm = document.querySelector(".reservation-form");
+if (reservationForm) {
+  reservationForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    event.target.reset();
+    alert("Thank you! We'll confirm your reservation by phone.");
+  });
+}
@@ -0,0 +1,15 @@
+// Pricing: switch between monthly and yearly prices
+document.getElementById("yearly").addEventListener("change", (event) => {
+  const yearly = event.target.checked;
+  document.querySelectorAll(".price").forEach((price) => {
+    const amount = yearly ? price.dataset.yearly : price.dataset.monthly;
+    price.innerHTML = `$${amount}<span>/${yearly ? "year" : "month"}</span>`;
+  });
+});
+
+// Sign-up form (static site: just confirm)
+document.querySelector(".signup-form").addEventListener("submit", (event) => {
+  event.preventDefault();
+  event.target.reset();
+  alert("Welcome aboard! Check your inbox to get started.");
+});
@@ -0,0 +1,124 @@
+/**
+ * Signed request tests (see auth.js and telegram-bot/api-signing.js)
+ */
+
+// Import required dependencies
+import { test, before, after } from "node:test";  // Test runner
+import assert from "node:assert/strict";          // Assertions
+import { createHmac } from "crypto";              // Hand-made signatures
+import { startServer, TEST_SECRET } from "./helpers.js"; // Test server
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+/**
+ * Builds signature headers by hand, for requests the bot would never send
+ *
+ * @param {Object} request - { method, path, contentHash, timestamp, secret }
+ * @returns {Object} - Signature headers
+ */
+function handSigned({ method, path, contentHash, timestamp = Date.now(), secret = TEST_SECRET }) {
+  const signature = createHmac("sha256", secret)
+    .update(`${timestamp}\n${method}\n${path}\n${contentHash}`)
+    .digest("hex");
+  return { "X-Api-Timestamp": String(timestamp), "X-Api-Content-SHA256": contentHash, "X-Api-Signature": signature };
+}
+
+test("accepts a signed request", async () => {
+  const { status, body } = await server.request("GET", "/projects/1001");
+  assert.equal(status, 200);
+  assert.equal(body.projects.length, 1);
+});
+
+test("rejects an unsigned request", async () => {
+  const { status, body } = await server.request("GET", "/projects/1001", { sign: false });
+  assert.equal(status, 401);
+  assert.equal(body.code, "auth_missing");
+});
+
+test("rejects a request signed with another secret", async () => {
+  const path = "/projects/1001";
+  const headers = handSigned({ method: "GET", path, contentHash: "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855", secret: "wrong" });
+  const { status, body } = await server.request("GET", path, { sign: false, headers });
+  assert.equal(status, 401);
+  assert.equal(body.code, "auth_invalid");
+});
+
+test("rejects a body that doesn't match its signature", async () => {
+  const path = "/projects/1001";
+  const headers = handSigned({ method: "POST", path, contentHash: "0".repeat(64) });
+  const { status, body } = await server.request("POST", path, { sign: false, headers, json: { name: "Tampered" } });
+  assert.equal(status, 401);
+  assert.equal(body.code, "auth_invalid");
+});
+
+test("rejects an expired timestamp", async () => {
+  const path = "/projects/1001";
+  const headers = handSigned({ method: "GET", path, contentHash: "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855", timestamp: Date.now() - 3600 * 1000 });
+  const { status, body } = await server.request("GET", path, { sign: false, headers });
+  assert.equal(status, 401);
+  assert.equal(body.code, "auth_expired");
+});
+
+test("rejects a replayed request", async () => {
+  const path = "/projects/1001";
+  const headers = handSigned({ method: "GET", path, contentHash: "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855" });
+  assert.equal((await server.request("GET", path, { sign: false, headers })).status, 200);
+
+  const { status, body } = await server.request("GET", path, { sign: false, headers });
+  assert.equal(status, 401);
+  assert.equal(body.code, "auth_replayed");
+});
+
+test("rejects an unsafe user id", async () => {
+  const { status, body } = await server.request("GET", "/projects/..%2Fetc");
+  assert.equal(status, 400);
+  assert.equal(body.code, "invalid_user_id");
+});
+
+test("accepts UNSIGNED-PAYLOAD multipart bodies only on upload routes", async () => {
+  const form = '--b\r\nContent-Disposition: form-data; name="message"\r\n\r\nhi\r\n--b--\r\n';
+  const send = (path) =>
+    server.request("POST", path, {
+      sign: false,
+      headers: {
+        "Content-Type": "multipart/form-data; boundary=b",
+        ...handSigned({ method: "POST", path, contentHash: "UNSIGNED-PAYLOAD" }),
+      },
+      body: form,
+    });
+
+  const chat = await send("/chat");
+  assert.equal(chat.status, 415);
+  assert.equal(chat.body.code, "unsupported_media_type");
+
+  // Passes authentication; multer then finds no images
+  const upload = await send("/upload-image/1001");
+  assert.equal(upload.status, 400);
+  assert.equal(upload.body.error, "No files uploaded");
+});
+
+test("accepts signed POSTs without a body, whatever their Content-Type", async () => {
+  // fetch sends no Content-Type, axios defaults to application/x-www-form-urlencoded
+  for (const headers of [{}, { "Content-Type": "application/x-www-form-urlencoded" }]) {
+    const { status, body } = await server.request("POST", "/revisions/1001/undo", { headers });
+    assert.equal(status, 400, JSON.stringify(body));
+    assert.notEqual(body.code, "unsupported_media_type");
+  }
+});
+
+test("rejects a signed body that is not JSON", async () => {
+  const { status, body } = await server.request("POST", "/chat", {
+    body: "userId=1001&message=hi",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+  });
+  assert.equal(status, 415);
+  assert.equal(body.code, "unsupported_media_type");
+});
@@ -0,0 +1,77 @@
+/**
+ * Generate, reset and undo tests with the mock provider (see llm/mock-provider.js)
+ */
+
+// Import required dependencies
+import path from "path";                          // For handling file paths
+import fs from "fs-extra";                        // Enhanced file system operations
+import { test, before, after } from "node:test";  // Test runner
+import assert from "node:assert/strict";          // Assertions
+import { startServer } from "./helpers.js";       // Test server
+
+const USER = "2002";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+/**
+ * Lists the project files of the user's active website
+ *
+ * @returns {Promise<string[]>} - Relative file paths
+ */
+async function websiteFiles() {
+  const { status, body } = await server.request("GET", `/files/${USER}`);
+  assert.equal(status, 200);
+  return body.files.map((file) => file.path);
+}
+
+test("generates, resets and undoes the reset", async () => {
+  const generated = await server.request("POST", "/promptBackground", { json: { userId: USER } });
+  assert.equal(generated.status, 200);
+  assert.ok(generated.body.files.includes("index.html"));
+  assert.ok(generated.body.files.includes("sitemap.xml") || generated.body.files.includes("robots.txt"));
+
+  const afterGeneration = await websiteFiles();
+  for (const file of ["index.html", "about.html", "contact.html", "css/styles.css", "js/script.js"]) {
+    assert.ok(afterGeneration.includes(file), `${file} was generated`);
+  }
+
+  const reset = await server.request("GET", `/reset?userId=${USER}`);
+  assert.equal(reset.status, 200);
+  assert.deepEqual(await websiteFiles(), ["index.html", "script.js", "styles.css"]);
+  const { body: revisions } = await server.request("GET", `/revisions/${USER}`);
+  assert.equal(revisions.revisions.at(-1).action, "reset");
+
+  const undone = await server.request("POST", `/revisions/${USER}/undo`);
+  assert.equal(undone.status, 200);
+  assert.equal(undone.body.revision.restoredFrom, generated.body.revision);
+  assert.deepEqual(await websiteFiles(), afterGeneration);
+});
+
+test("reports nothing to undo on a fresh project", async () => {
+  const { status } = await server.request("POST", "/revisions/2003/undo");
+  assert.ok(status >= 400 && status < 500);
+});
+
+test("edits need a text instruction and are post-processed like generations", async () => {
+  const user = "2004";
+  const invalid = await server.request("POST", "/edit", { json: { userId: user, instruction: 42 } });
+  assert.equal(invalid.status, 400);
+
+  assert.equal((await server.request("POST", "/promptBackground", { json: { userId: user } })).status, 200);
+  const { body: projects } = await server.request("GET", `/projects/${user}`);
+  const websiteDir = path.join(server.dbDir, user, "projects", projects.activeProjectId, "webSite");
+  fs.removeSync(path.join(websiteDir, "sitemap.xml"));
+
+  const edited = await server.request("POST", "/edit", { json: { userId: user, instruction: "Change the hero heading" } });
+  assert.equal(edited.status, 200);
+  assert.ok(fs.readFileSync(path.join(websiteDir, "index.html"), "utf-8").includes("Baked fresh every morning"));
+  assert.ok(fs.existsSync(path.join(websiteDir, "sitemap.xml")), "sitemap.xml is written again");
+});
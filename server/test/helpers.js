@@ -0,0 +1,144 @@
+/**
+ * Integration Test Helpers
+ *
+ * Every test file starts its own server (server/index.js) as a child process, with the
+ * mock LLM provider, a static deploy target and a temporary data folder (DB_DIR), so the
+ * tests never touch server/db and need no network or API key.
+ */
+
+// Import required dependencies
+import path from "path";                    // For handling file paths
+import os from "os";                        // Temporary folder
+import net from "net";                      // Free port lookup
+import fs from "fs-extra";                  // Enhanced file system operations
+import { spawn } from "child_process";      // Runs the server
+import { fileURLToPath } from "url";        // Convert file URLs to paths (for ESM)
+import { signatureHeaders } from "../../telegram-bot/api-signing.js"; // The bot's request signing
+
+// Create ESM-friendly __dirname equivalent
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Secret shared by the test server and the signed requests
+export const TEST_SECRET = "test-secret";
+
+// How long the server may take to start (ms)
+const START_TIMEOUT = 20000;
+
+/**
+ * Finds a free local port
+ *
+ * @returns {Promise<number>} - Port number
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Starts a server with a fresh data folder
+ *
+ * @param {Object} [env] - Extra environment variables, e.g. { API_AUTH: "off" }
+ * @returns {Promise<Object>} - { baseUrl, dbDir, request, stop }
+ */
+export async function startServer(env = {}) {
+  const port = await freePort();
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "devbeaver-test-"));
+  const dbDir = path.join(dataDir, "db");
+
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "index.js")], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DB_DIR: dbDir,
+      API_SECRET: TEST_SECRET,
+      LLM_PROVIDER: "mock",
+      STORAGE_BACKEND: "file",
+      DEPLOY_TARGET: "static",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let output = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), START_TIMEOUT);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes("Server running")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", (chunk) => (output += chunk));
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  return {
+    baseUrl,
+    dbDir,
+
+    /**
+     * Sends a request signed the way the bot signs it
+     *
+     * @param {string} method - HTTP method
+     * @param {string} urlPath - Path with query string
+     * @param {Object} [options]
+     * @param {Object} [options.json] - Body, sent as JSON
+     * @param {string} [options.body] - Raw body, sent as it is (set its Content-Type in headers)
+     * @param {FormData} [options.form] - Multipart upload (form-data), signed like the bot signs uploads
+     * @param {Object} [options.headers] - Extra headers
+     * @param {boolean} [options.sign] - Add signature headers (default true)
+     * @returns {Promise<{status: number, body: *}>} - Status and parsed JSON body (or text)
+     */
+    async request(method, urlPath, { json, body: rawBody, form, headers = {}, sign = true } = {}) {
+      const url = `${baseUrl}${urlPath}`;
+      const body = form ? form.getBuffer() : json === undefined ? rawBody : JSON.stringify(json);
+      const response = await fetch(url, {
+        method,
+        body,
+        headers: {
+          ...(json === undefined ? {} : { "Content-Type": "application/json" }),
+          ...(form ? form.getHeaders() : {}),
+          ...(sign ? signatureHeaders(TEST_SECRET, { method, url, body: form || body }) : {}),
+          ...headers,
+        },
+      });
+      const text = await response.text();
+      let parsed = text;
+      try {
+        parsed = JSON.parse(text);
+      } catch {
+        // Not JSON (e.g. a previewed page)
+      }
+      return { status: response.status, body: parsed };
+    },
+
+    /**
+     * Stops the server and removes its data folder
+     *
+     * @returns {Promise<void>}
+     */
+    async stop() {
+      child.removeAllListeners("exit");
+      if (child.exitCode === null) {
+        await new Promise((resolve) => {
+          child.once("exit", resolve);
+          child.kill();
+        });
+      }
+      await fs.remove(dataDir);
+    },
+  };
+}
@@ -0,0 +1,88 @@
+/**
+ * Tests of requests made while a generation is running (see generation-jobs.js)
+ * The mock provider holds every generated reply back for a while, so the job keeps running.
+ */
+
+// Import required dependencies
+import path from "path";                              // For handling file paths
+import fs from "fs-extra";                            // Enhanced file system operations
+import FormData from "form-data";                     // Multipart uploads
+import { test, before, after } from "node:test";      // Test runner
+import assert from "node:assert/strict";              // Assertions
+import { startServer } from "./helpers.js";           // Test server
+
+const USER = "8008";
+
+let server;
+
+before(async () => {
+  server = await startServer({ MOCK_LLM_DELAY_MS: "1500" });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+/**
+ * Waits until the user's generation job has finished
+ *
+ * @param {string} userId - User identifier
+ * @returns {Promise<Object>} - Finished job
+ */
+async function finishedJob(userId) {
+  for (;;) {
+    const { body } = await server.request("GET", `/generation/${userId}`);
+    if (body.job.status !== "running") return body.job;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+}
+
+test("a generation finishes in the project it started in", async () => {
+  const { body: before } = await server.request("GET", `/projects/${USER}`);
+  const first = before.activeProjectId;
+
+  const started = await server.request("POST", `/generation/${USER}`);
+  assert.equal(started.status, 202);
+
+  const created = await server.request("POST", `/projects/${USER}`, { json: { name: "Other" } });
+  assert.equal(created.status, 201);
+
+  assert.equal((await finishedJob(USER)).status, "done");
+
+  const projectsDir = path.join(server.dbDir, USER, "projects");
+  const sitemap = fs.readFileSync(path.join(projectsDir, first, "webSite", "sitemap.xml"), "utf-8");
+  assert.ok(sitemap.includes(`/${USER}/${first}/`), "canonical URLs point at the first project");
+  assert.deepEqual(fs.readdirSync(path.join(projectsDir, created.body.project.id, "webSite")).sort(), [
+    "index.html",
+    "script.js",
+    "styles.css",
+    "uploads",
+  ]);
+});
+
+test("changes to a project are rejected while it is being generated", async () => {
+  const started = await server.request("POST", `/generation/${USER}`);
+  assert.equal(started.status, 202);
+
+  const form = new FormData();
+  form.append("image", Buffer.from("not an image"), { filename: "logo.png", contentType: "image/png" });
+
+  const attempts = [
+    ["GET", `/reset?userId=${USER}`, {}],
+    ["POST", `/revisions/${USER}/undo`, {}],
+    ["POST", "/edit", { json: { userId: USER, instruction: "Make the title blue" } }],
+    ["POST", `/upload-image/${USER}`, { form }],
+  ];
+  for (const [method, urlPath, options] of attempts) {
+    const { status, body } = await server.request(method, urlPath, options);
+    assert.equal(status, 409, `${method} ${urlPath} is rejected`);
+    assert.equal(body.job.status, "running");
+  }
+
+  // Other projects of the user stay usable
+  const created = await server.request("POST", `/projects/${USER}`, { json: { name: "Third" } });
+  assert.equal(created.status, 201);
+  assert.equal((await server.request("GET", `/reset?userId=${USER}`)).status, 200);
+
+  assert.equal((await finishedJob(USER)).status, "done");
+});
@@ -0,0 +1,58 @@
+/**
+ * Preview link tests (see preview.js)
+ */
+
+// Import required dependencies
+import { test, before, after } from "node:test";  // Test runner
+import assert from "node:assert/strict";          // Assertions
+import { startServer } from "./helpers.js";       // Test server
+
+const USER = "3003";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+/**
+ * Fetches a preview page (previews are public, so the request is not signed)
+ *
+ * @param {string} url - Preview URL
+ * @returns {Promise<{status: number, text: string}>} - Status and page
+ */
+async function openPreview(url) {
+  const response = await fetch(url);
+  return { status: response.status, text: await response.text() };
+}
+
+test("a preview link keeps showing its project after switching", async () => {
+  assert.equal((await server.request("POST", "/promptBackground", { json: { userId: USER } })).status, 200);
+
+  const first = await server.request("POST", `/preview-links/${USER}`);
+  assert.equal(first.status, 200);
+  const before = await openPreview(first.body.url);
+  assert.equal(before.status, 200);
+  assert.match(before.text, /<title>Sunrise Bakery/);
+
+  // Creating a project makes it the active one
+  const created = await server.request("POST", `/projects/${USER}`, { json: { name: "Second" } });
+  assert.equal(created.status, 201);
+
+  const after = await openPreview(first.body.url);
+  assert.match(after.text, /<title>Sunrise Bakery/);
+
+  const second = await server.request("POST", `/preview-links/${USER}`);
+  assert.equal(second.status, 200);
+  assert.notEqual(second.body.url, first.body.url);
+  assert.doesNotMatch((await openPreview(second.body.url)).text, /Sunrise Bakery/);
+});
+
+test("an unknown preview token is rejected", async () => {
+  const { status } = await openPreview(`${server.baseUrl}/preview/not-a-token/`);
+  assert.equal(status, 404);
+});
@@ -0,0 +1,75 @@
+/**
+ * Named storage document tests for both backends (see storage/index.js)
+ */
+
+// Import required dependencies
+import path from "path";                    // For handling file paths
+import os from "os";                        // Temporary folder
+import fs from "fs-extra";                  // Enhanced file system operations
+import { test, before, after } from "node:test";  // Test runner
+import assert from "node:assert/strict";          // Assertions
+import { createFileStorage, documentFileOf } from "../storage/file-storage.js"; // JSON files with file locks
+import { createSqliteStorage } from "../storage/sqlite-storage.js";            // Embedded SQLite database
+import { importDocumentFiles } from "../storage/index.js";                     // File import
+
+let dataDir;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "devbeaver-storage-"));
+});
+
+after(async () => {
+  await fs.remove(dataDir);
+});
+
+for (const backend of ["file", "sqlite"]) {
+  test(`${backend} storage keeps named documents`, () => {
+    const root = path.join(dataDir, backend);
+    const storage = backend === "file"
+      ? createFileStorage()
+      : createSqliteStorage({ file: path.join(root, "storage.sqlite"), root });
+    const projectDir = path.join(root, "4004", "projects", "1");
+
+    try {
+      assert.equal(storage.readDocument(projectDir, "wizard"), null);
+
+      storage.writeDocument(projectDir, "wizard", { step: 2 });
+      assert.deepEqual(storage.readDocument(projectDir, "wizard"), { step: 2 });
+
+      for (let count = 0; count < 3; count++) {
+        storage.updateDocument(root, "forms", (state) => {
+          state.value = { count: (state.value?.count || 0) + 1 };
+        });
+      }
+      assert.deepEqual(storage.readDocument(root, "forms"), { count: 3 });
+      assert.equal(storage.updateDocument(root, "forms", (state) => state.value.count), 3);
+
+      storage.writeDocument(projectDir, "wizard", null);
+      assert.equal(storage.readDocument(projectDir, "wizard"), null);
+
+      storage.writeDocument(projectDir, "pending-document/document", { name: "menu.pdf" });
+      storage.remove(projectDir);
+      if (backend === "sqlite") assert.equal(storage.readDocument(projectDir, "pending-document/document"), null);
+    } finally {
+      storage.close();
+    }
+  });
+}
+
+test("document files are imported into SQLite", () => {
+  const root = path.join(dataDir, "import");
+  const userDir = path.join(root, "5005");
+  fs.outputJsonSync(documentFileOf(userDir, "usage"), { days: { "2026-01-01": { messages: 4 } } });
+
+  const storage = createSqliteStorage({ file: path.join(root, "storage.sqlite"), root });
+  try {
+    assert.equal(importDocumentFiles(userDir, ["usage", "deployed"], storage), 1);
+    assert.deepEqual(storage.readDocument(userDir, "usage"), { days: { "2026-01-01": { messages: 4 } } });
+
+    storage.writeDocument(userDir, "usage", { days: {} });
+    assert.equal(importDocumentFiles(userDir, ["usage"], storage, { overwrite: false }), 0);
+    assert.deepEqual(storage.readDocument(userDir, "usage"), { days: {} });
+  } finally {
+    storage.close();
+  }
+});
@@ -0,0 +1,314 @@
+/**
+ * Usage, Quotas and Rate Limits Utility
+ *
+ * This module keeps every user's consumption per day and protects the model budget:
+ *   - usage (messages, generations, uploads and model tokens) is stored per user and UTC day
+ *     in the user's "usage" document (see storage/index.js), and older days are dropped after USAGE_HISTORY_DAYS
+ *   - daily quotas for each kind are configurable; 0 means unlimited
+ *   - every route gets a per-user, per-minute rate limit (in memory)
+ *
+ *   QUOTA_MESSAGES_PER_DAY     chat messages and /edit requests      (default 200)
+ *   QUOTA_GENERATIONS_PER_DAY  full website generations              (default 10)
+ *   QUOTA_UPLOADS_PER_DAY      image, document and voice uploads     (default 50)
+ *   QUOTA_TOKENS_PER_DAY       model tokens of all completions       (default 500000)
+ *   RATE_LIMIT_PER_MINUTE      requests per route and user           (default 60)
+ *   RATE_LIMIT_AI_PER_MINUTE   requests per minute to routes that call the model (default 10)
+ *
+ * Requests are counted when they pass the quota check; tokens are recorded from the
+ * "usage" of every completion (estimated when a provider doesn't report it).
+ */
+
+// Import required dependencies
+import { userDirOf } from "./projects.js";   // Data folder of a user
+import { getStorage } from "./storage/index.js"; // Usage storage
+
+// Daily quotas, 0 = unlimited
+export const QUOTAS = {
+  messages: Number(process.env.QUOTA_MESSAGES_PER_DAY ?? 200),
+  generations: Number(process.env.QUOTA_GENERATIONS_PER_DAY ?? 10),
+  uploads: Number(process.env.QUOTA_UPLOADS_PER_DAY ?? 50),
+  tokens: Number(process.env.QUOTA_TOKENS_PER_DAY ?? 500000),
+};
+
+// Labels used in messages
+const QUOTA_LABELS = {
+  messages: "messages",
+  generations: "website generations",
+  uploads: "uploads",
+  tokens: "AI tokens",
+};
+
+// Requests per minute and user for every route, and for routes that call the model
+export const RATE_LIMIT_PER_MINUTE = Number(process.env.RATE_LIMIT_PER_MINUTE || 60);
+export const RATE_LIMIT_AI_PER_MINUTE = Number(process.env.RATE_LIMIT_AI_PER_MINUTE || 10);
+
+// Number of days of usage kept per user
+const USAGE_HISTORY_DAYS = 30;
+
+// Length of a rate limit window (ms)
+const RATE_WINDOW = 60 * 1000;
+
+// Open rate limit windows: "<route>:<user>" -> { count, resetAt }
+const rateWindows = new Map();
+
+/**
+ * Error raised when a quota or rate limit is hit
+ */
+export class UsageError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = "UsageError";
+    this.code = code;
+    this.status = 429;
+    this.details = details;
+  }
+}
+
+/**
+ * Returns today's date key (UTC)
+ *
+ * @param {Date} [date] - Date to format
+ * @returns {string} - "YYYY-MM-DD"
+ */
+function dayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Returns when the current day ends (UTC midnight)
+ *
+ * @returns {Date} - Start of the next day
+ */
+function nextReset() {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset;
+}
+
+/**
+ * Formats the time until a date
+ *
+ * @param {Date} date - Future date
+ * @returns {string} - e.g. "5h 12m"
+ */
+function formatTimeUntil(date) {
+  const minutes = Math.max(1, Math.ceil((date - Date.now()) / 60000));
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+/**
+ * Creates the usage counters of one day
+ *
+ * @returns {Object} - Empty day record
+ */
+function emptyDay() {
+  return {
+    messages: 0,
+    generations: 0,
+    uploads: 0,
+    tokens: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    tokensByTask: {},
+  };
+}
+
+/**
+ * Reads, changes and writes the usage record of a user
+ * The update runs within a locked storage update, so concurrent requests can't overwrite each other.
+ *
+ * @param {string} userId - User identifier
+ * @param {Function} [update] - Called with today's counters; may change them in place
+ * @returns {{today: Object, days: Object}} - Today's counters and all stored days
+ */
+function updateUsage(userId, update) {
+  const today = dayKey();
+
+  if (!update) {
+    const days = getStorage().readDocument(userDirOf(userId), "usage")?.days || {};
+    days[today] = { ...emptyDay(), ...days[today] };
+    return { today: days[today], days };
+  }
+
+  return getStorage().updateDocument(userDirOf(userId), "usage", (state) => {
+    const days = state.value?.days || {};
+    days[today] = { ...emptyDay(), ...days[today] };
+    update(days[today]);
+
+    // Drop days beyond the history window
+    for (const day of Object.keys(days).sort().slice(0, -USAGE_HISTORY_DAYS)) delete days[day];
+
+    state.value = { days };
+    return { today: days[today], days };
+  });
+}
+
+/**
+ * Records the token usage of one completion
+ *
+ * @param {string} userId - User identifier
+ * @param {string} task - Task of the completion ("chat", "generate", ...)
+ * @param {{promptTokens: number, completionTokens: number, totalTokens: number}} usage - Token usage
+ */
+export function recordTokens(userId, task, usage) {
+  updateUsage(userId, (today) => {
+    const total = usage.totalTokens || usage.promptTokens + usage.completionTokens;
+    today.tokens += total;
+    today.promptTokens += usage.promptTokens || 0;
+    today.completionTokens += usage.completionTokens || 0;
+    today.tokensByTask[task] = (today.tokensByTask[task] || 0) + total;
+  });
+}
+
+/**
+ * Estimates token usage from text length (about four characters per token)
+ * Used for providers that don't report usage, e.g. some local servers.
+ *
+ * @param {Object} request - Provider request
+ * @param {Object} result - Provider result with "content"
+ * @returns {{promptTokens: number, completionTokens: number, totalTokens: number}} - Estimated usage
+ */
+function estimateUsage(request, result) {
+  const promptText = [
+    ...(request.messages || []).map((message) =>
+      typeof message.content === "string" ? message.content : JSON.stringify(message.content)
+    ),
+    request.system,
+    request.prompt,
+  ].join("");
+  const promptTokens = Math.ceil(promptText.length / 4);
+  const completionTokens = Math.ceil((result.content || "").length / 4);
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+}
+
+/**
+ * Wraps an LLM provider so the usage of every completion is recorded
+ * Requests name the user they are made for with "userId"; requests without one aren't recorded.
+ *
+ * @param {Object} provider - Provider from llm/index.js
+ * @returns {Object} - Provider with the same interface
+ */
+export function withUsageTracking(provider) {
+  const track = (method) => async (request) => {
+    const result = await provider[method](request);
+    if (request.userId) {
+      recordTokens(request.userId, request.task || method, result.usage || estimateUsage(request, result));
+    }
+    return result;
+  };
+
+  return { ...provider, chat: track("chat"), generate: track("generate"), vision: track("vision") };
+}
+
+/**
+ * Returns the usage of a user with limits and what is left
+ *
+ * @param {string} userId - User identifier
+ * @param {number} [historyDays] - Number of past days to include
+ * @returns {Object} - { date, usage, limits, remaining, resetsAt, history }
+ */
+export function getUsage(userId, historyDays = 7) {
+  const { today, days } = updateUsage(userId);
+  const remaining = {};
+  for (const [kind, limit] of Object.entries(QUOTAS)) {
+    remaining[kind] = limit > 0 ? Math.max(0, limit - today[kind]) : null;
+  }
+
+  return {
+    date: dayKey(),
+    usage: today,
+    limits: QUOTAS,
+    remaining,
+    resetsAt: nextReset().toISOString(),
+    history: Object.keys(days)
+      .sort()
+      .slice(-historyDays)
+      .map((day) => ({ date: day, ...days[day] })),
+  };
+}
+
+/**
+ * Finds the user a request is made for
+ *
+ * @param {Object} req - Express request
+ * @returns {string|undefined} - User identifier from the path, body or query
+ */
+function requestUserId(req) {
+  return req.params?.userId ?? req.body?.userId ?? req.query?.userId;
+}
+
+/**
+ * Creates the middleware that enforces daily quotas
+ * Request quotas (messages, generations, uploads) are used up by one when the request passes;
+ * "tokens" only checks that the user has tokens left.
+ *
+ * @param {...string} kinds - Quotas to check ("messages", "generations", "uploads", "tokens")
+ * @returns {Function} - Express middleware
+ */
+export function requireQuota(...kinds) {
+  return (req, res, next) => {
+    const userId = requestUserId(req);
+    if (!userId) return next();
+
+    try {
+      const { today } = updateUsage(userId);
+      for (const kind of kinds) {
+        const limit = QUOTAS[kind];
+        if (limit > 0 && today[kind] >= limit) {
+          const resetsAt = nextReset();
+          throw new UsageError(
+            `You've used all ${limit} ${QUOTA_LABELS[kind]} for today. Your allowance resets in ${formatTimeUntil(resetsAt)} (midnight UTC).`,
+            "quota_exceeded",
+            { quota: kind, limit, used: today[kind], resetsAt: resetsAt.toISOString(), retryAfter: Math.ceil((resetsAt - Date.now()) / 1000) }
+          );
+        }
+      }
+
+      updateUsage(userId, (counters) => {
+        for (const kind of kinds) if (kind !== "tokens") counters[kind] += 1;
+      });
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Creates a per-user rate limit middleware for a route
+ * Requests without a user are limited by IP address, or by keyOf() when given.
+ *
+ * @param {string} name - Route name, used to keep separate counters per route
+ * @param {number} [max] - Requests allowed per minute
+ * @param {Function} [keyOf] - Returns what to count requests by (default: the user)
+ * @returns {Function} - Express middleware
+ */
+export function rateLimit(name, max = RATE_LIMIT_PER_MINUTE, keyOf = requestUserId) {
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = `${name}:${keyOf(req) ?? `ip:${req.ip}`}`;
+
+    // Forget closed windows now and then
+    if (rateWindows.size > 10000) {
+      for (const [windowKey, window] of rateWindows) if (window.resetAt <= now) rateWindows.delete(windowKey);
+    }
+
+    let window = rateWindows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + RATE_WINDOW };
+      rateWindows.set(key, window);
+    }
+
+    window.count += 1;
+    if (window.count > max) {
+      const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+      return next(
+        new UsageError(`Slow down a little! Too many requests, please try again in ${retryAfter}s.`, "rate_limited", {
+          limit: max,
+          retryAfter,
+        })
+      );
+    }
+    next();
+  };
+}
@@ -0,0 +1,425 @@
+/**
+ * Profile Wizard Utility
+ *
+ * The wizard is a guided questionnaire that fills user-data.json step by step, without
+ * a model round trip. Every step asks for one profile field and is one of:
+ *   - "choice" - pick one of the options (or type an own answer when allowText is set)
+ *   - "multi"  - tick any number of options, then confirm (or type a comma separated list)
+ *   - "text"   - free text, checked against maxLength and an optional pattern
+ *
+ * Answers are validated here and returned as a profile patch; the caller merges it.
+ * Progress is kept per project, so it survives restarts of the bot and the server:
+ *
+ *   wizard - { step, selected, startedAt, updatedAt } (a document of the project, see storage/index.js)
+ *
+ * "selected" holds the ticked option indexes of the current "multi" step.
+ */
+
+// Import required dependencies
+import { getStorage } from "./storage/index.js"; // Wizard state storage
+
+/**
+ * Wizard steps, in the order they are asked
+ *   label      short name of the answer in summaries
+ *   field      dotted profile path the answer is written to
+ *   options    [{ label, value }]; label is shown on the button, value is stored
+ *   allowText  whether a typed answer is accepted instead of an option
+ *   maxLength  longest accepted typed answer
+ *   pattern    { regex, message } a typed answer has to match
+ */
+export const WIZARD_STEPS = [
+  {
+    id: "websiteType",
+    label: "Website type",
+    field: "websiteType",
+    question: "What kind of website do you need?",
+    type: "choice",
+    allowText: true,
+    maxLength: 80,
+    options: [
+      { label: "💼 Business", value: "Business website" },
+      { label: "🎨 Portfolio", value: "Portfolio" },
+      { label: "🍽️ Restaurant / café", value: "Restaurant" },
+      { label: "🛍️ Online shop", value: "Online shop" },
+      { label: "📝 Blog", value: "Blog" },
+      { label: "🎟️ Event", value: "Event" },
+      { label: "🙋 Personal page", value: "Personal page" },
+      { label: "🤝 Non-profit", value: "Non-profit organisation" },
+    ],
+  },
+  {
+    id: "name",
+    label: "Name",
+    field: "branding.name",
+    question: "What is the name of your business or website?",
+    type: "text",
+    maxLength: 80,
+  },
+  {
+    id: "tagline",
+    label: "Tagline",
+    field: "branding.tagline",
+    question: "Describe it in one short sentence (your tagline).",
+    type: "text",
+    maxLength: 120,
+  },
+  {
+    id: "targetAudience",
+    label: "Audience",
+    field: "targetAudience",
+    question: "Who is the website for? Describe your visitors.",
+    type: "text",
+    maxLength: 300,
+  },
+  {
+    id: "mainGoal",
+    label: "Main goal",
+    field: "mainGoal",
+    question: "What should visitors do on the website?",
+    type: "choice",
+    allowText: true,
+    maxLength: 200,
+    options: [
+      { label: "📩 Contact me", value: "Get enquiries through the contact form" },
+      { label: "🛒 Buy products", value: "Sell products online" },
+      { label: "📅 Book", value: "Take bookings and reservations" },
+      { label: "🖼️ See my work", value: "Show my work and get hired" },
+      { label: "📰 Read news", value: "Share news and information" },
+      { label: "👥 Join", value: "Grow a community and get sign-ups" },
+    ],
+  },
+  {
+    id: "theme",
+    label: "Style",
+    field: "theme",
+    question: "Which style fits best?",
+    type: "choice",
+    allowText: true,
+    maxLength: 120,
+    options: [
+      { label: "⚪ Modern & minimal", value: "Modern and minimal, lots of white space" },
+      { label: "⚡ Bold & vibrant", value: "Bold and vibrant, large type and strong contrasts" },
+      { label: "🕊️ Elegant & classic", value: "Elegant and classic, refined serif headings" },
+      { label: "🎈 Playful", value: "Playful and friendly, rounded shapes" },
+      { label: "🏢 Corporate", value: "Professional and corporate" },
+      { label: "🌙 Dark", value: "Dark mode with bright accents" },
+    ],
+  },
+  {
+    id: "colorScheme",
+    label: "Colours",
+    field: "colorScheme",
+    question: "Pick a colour palette, or type your own colours.",
+    type: "choice",
+    allowText: true,
+    maxLength: 200,
+    options: [
+      { label: "🌊 Ocean", value: "Ocean: navy #0B3C5D, blue #328CC1, gold #D9B310, light #F4F7FA" },
+      { label: "🌲 Forest", value: "Forest: dark green #2E4600, olive #486B00, sand #E6DFC8, cream #FAF8F1" },
+      { label: "🌅 Sunset", value: "Sunset: coral #F76C6C, peach #F8E9A1, deep blue #24305E, white #FFFFFF" },
+      { label: "🖤 Monochrome", value: "Monochrome: black #111111, grey #6B6B6B, light grey #EDEDED, white #FFFFFF" },
+      { label: "🍇 Berry", value: "Berry: plum #5D2E46, raspberry #B5446E, blush #F3D9DC, ivory #FFFBF5" },
+      { label: "☀️ Citrus", value: "Citrus: orange #FF8C42, yellow #FFD166, teal #06A77D, white #FFFFFF" },
+    ],
+  },
+  {
+    id: "fonts",
+    label: "Fonts",
+    field: "fonts",
+    question: "Which font pair do you like?",
+    type: "choice",
+    allowText: true,
+    maxLength: 120,
+    options: [
+      { label: "Montserrat + Open Sans", value: "Montserrat for headings, Open Sans for text" },
+      { label: "Playfair Display + Lato", value: "Playfair Display for headings, Lato for text" },
+      { label: "Poppins + Inter", value: "Poppins for headings, Inter for text" },
+      { label: "Merriweather + Source Sans 3", value: "Merriweather for headings, Source Sans 3 for text" },
+      { label: "Space Grotesk + IBM Plex Sans", value: "Space Grotesk for headings, IBM Plex Sans for text" },
+      { label: "Nunito (rounded)", value: "Nunito for headings and text" },
+    ],
+  },
+  {
+    id: "pages",
+    label: "Pages",
+    field: "pages",
+    question: "Which pages should the website have?",
+    type: "multi",
+    allowText: true,
+    maxLength: 300,
+    options: ["Home", "About", "Services", "Products", "Menu", "Portfolio", "Blog", "Team", "Pricing", "FAQ", "Gallery", "Contact"]
+      .map((page) => ({ label: page, value: page })),
+  },
+  {
+    id: "sections",
+    label: "Home page sections",
+    field: "sections",
+    question: "Which sections should the home page show?",
+    type: "multi",
+    allowText: true,
+    maxLength: 300,
+    options: ["Hero", "Features", "About", "Testimonials", "Pricing", "Gallery", "Team", "FAQ", "Contact form", "Map", "Newsletter"]
+      .map((section) => ({ label: section, value: section })),
+  },
+  {
+    id: "email",
+    label: "Email",
+    field: "contactInfo.email",
+    question: "Which email address should visitors use?",
+    type: "text",
+    maxLength: 120,
+    pattern: { regex: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: "That doesn't look like an email address" },
+  },
+  {
+    id: "phone",
+    label: "Phone",
+    field: "contactInfo.phone",
+    question: "Which phone number should be shown?",
+    type: "text",
+    maxLength: 30,
+    pattern: { regex: /^\+?[\d\s().\/-]{6,30}$/, message: "That doesn't look like a phone number" },
+  },
+  {
+    id: "address",
+    label: "Address",
+    field: "contactInfo.address",
+    question: "What is your address (if visitors should find you)?",
+    type: "text",
+    maxLength: 200,
+  },
+  {
+    id: "additionalNotes",
+    label: "Notes",
+    field: "additionalNotes",
+    question: "Anything else the website should have or say?",
+    type: "text",
+    maxLength: 1000,
+  },
+];
+
+/**
+ * Error raised for wizard answers that can't be accepted, with the HTTP status to report
+ */
+export class WizardError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "WizardError";
+    this.status = status;
+  }
+}
+
+/**
+ * Reads a value from a profile by its dotted path
+ *
+ * @param {Object} profile - User profile
+ * @param {string} field - Dotted path, e.g. "contactInfo.email"
+ * @returns {*} - Stored value, or undefined
+ */
+function getField(profile, field) {
+  return field.split(".").reduce((value, key) => (value && typeof value === "object" ? value[key] : undefined), profile);
+}
+
+/**
+ * Builds a profile patch that sets one dotted path
+ *
+ * @param {string} field - Dotted path, e.g. "contactInfo.email"
+ * @param {*} value - Value to set
+ * @returns {Object} - Patch, e.g. { contactInfo: { email: value } }
+ */
+function patchFor(field, value) {
+  return field.split(".").reduceRight((nested, key) => ({ [key]: nested }), value);
+}
+
+/**
+ * Ticks the options of a "multi" step that are already in the profile
+ *
+ * @param {Object} step - Wizard step
+ * @param {Object} profile - User profile
+ * @returns {number[]} - Indexes of the selected options
+ */
+function initialSelection(step, profile) {
+  if (step?.type !== "multi") return [];
+  const current = (getField(profile, step.field) || []).map((value) => String(value).toLowerCase());
+  return step.options.flatMap((option, index) => (current.includes(option.value.toLowerCase()) ? [index] : []));
+}
+
+/**
+ * Writes the wizard state of a project
+ *
+ * @param {string} projectDir - Project directory
+ * @param {Object} state - Wizard state
+ * @returns {Object} - The stored state
+ */
+function saveWizard(projectDir, state) {
+  const stored = { ...state, updatedAt: new Date().toISOString() };
+  getStorage().writeDocument(projectDir, "wizard", stored);
+  return stored;
+}
+
+/**
+ * Reads the wizard state of a project
+ *
+ * @param {string} projectDir - Project directory
+ * @returns {Object|null} - { step, selected, startedAt, updatedAt }, or null if no wizard is running
+ */
+export function readWizard(projectDir) {
+  const state = getStorage().readDocument(projectDir, "wizard");
+  return state && WIZARD_STEPS[state.step] ? state : null;
+}
+
+/**
+ * Starts the wizard of a project at the first step (a running wizard starts over)
+ *
+ * @param {string} projectDir - Project directory
+ * @param {Object} profile - User profile, used to pre-select options
+ * @returns {Object} - New wizard state
+ */
+export function startWizard(projectDir, profile) {
+  return saveWizard(projectDir, {
+    step: 0,
+    selected: initialSelection(WIZARD_STEPS[0], profile),
+    startedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Stops the wizard of a project
+ *
+ * @param {string} projectDir - Project directory
+ */
+export function clearWizard(projectDir) {
+  getStorage().writeDocument(projectDir, "wizard", null);
+}
+
+/**
+ * Moves the wizard forward or back
+ * Moving past the last step finishes the wizard and removes its state.
+ *
+ * @param {string} projectDir - Project directory
+ * @param {Object} state - Current wizard state
+ * @param {number} delta - +1 for the next step, -1 for the previous one
+ * @param {Object} profile - User profile, used to pre-select options
+ * @returns {Object|null} - New state, or null when the wizard is finished
+ */
+export function moveWizard(projectDir, state, delta, profile) {
+  const step = Math.max(0, state.step + delta);
+  if (step >= WIZARD_STEPS.length) {
+    clearWizard(projectDir);
+    return null;
+  }
+  return saveWizard(projectDir, { ...state, step, selected: initialSelection(WIZARD_STEPS[step], profile) });
+}
+
+/**
+ * Ticks or unticks an option of the current "multi" step
+ *
+ * @param {string} projectDir - Project directory
+ * @param {Object} state - Current wizard state
+ * @param {number} option - Option index
+ * @returns {Object} - New state
+ * @throws {WizardError} - If the step has no such option or isn't a "multi" step
+ */
+export function toggleWizardOption(projectDir, state, option) {
+  const step = WIZARD_STEPS[state.step];
+  if (step.type !== "multi") throw new WizardError("This question has only one answer");
+  if (!Number.isInteger(option) || !step.options[option]) throw new WizardError("Unknown option");
+
+  const selected = state.selected.includes(option)
+    ? state.selected.filter((index) => index !== option)
+    : [...state.selected, option].sort((a, b) => a - b);
+  return saveWizard(projectDir, { ...state, selected });
+}
+
+/**
+ * Checks a typed answer against the limits of a step
+ *
+ * @param {Object} step - Wizard step
+ * @param {*} value - Typed answer
+ * @returns {string} - Trimmed answer
+ * @throws {WizardError} - If the answer is empty, too long or doesn't match the step's pattern
+ */
+function checkText(step, value) {
+  const text = typeof value === "string" ? value.trim() : "";
+  if (!text) throw new WizardError("Please type an answer, or skip this question");
+  if (text.length > step.maxLength) throw new WizardError(`Please keep it under ${step.maxLength} characters`);
+  if (step.pattern && !step.pattern.regex.test(text)) throw new WizardError(step.pattern.message);
+  return text;
+}
+
+/**
+ * Turns an answer to the current step into a profile patch
+ *
+ * @param {Object} state - Current wizard state
+ * @param {Object} answer
+ * @param {number} [answer.option] - Index of the picked option ("choice" steps)
+ * @param {string} [answer.value] - Typed answer
+ * @returns {{patch: Object, value: *}} - Patch for validateProfilePatch/mergeProfile and the stored value
+ * @throws {WizardError} - If the answer isn't valid for the step
+ */
+export function answerWizardStep(state, { option, value } = {}) {
+  const step = WIZARD_STEPS[state.step];
+  let answer;
+
+  if (step.type === "multi" && value === undefined) {
+    // Confirm the ticked options
+    if (state.selected.length === 0) throw new WizardError("Tick at least one option, or skip this question");
+    answer = state.selected.map((index) => step.options[index].value);
+  } else if (option !== undefined) {
+    if (step.type !== "choice") throw new WizardError("This question needs a typed answer");
+    if (!Number.isInteger(option) || !step.options[option]) throw new WizardError("Unknown option");
+    answer = step.options[option].value;
+  } else {
+    if (step.type !== "text" && !step.allowText) throw new WizardError("Please pick one of the options");
+    const text = checkText(step, value);
+    answer = step.type === "multi" ? text.split(",").map((item) => item.trim()).filter(Boolean) : text;
+  }
+
+  return { patch: patchFor(step.field, answer), value: answer };
+}
+
+/**
+ * Formats a stored profile value for display
+ *
+ * @param {*} value - Stored value
+ * @returns {string} - Text, "" for empty values
+ */
+function formatValue(value) {
+  if (Array.isArray(value)) return value.join(", ");
+  return typeof value === "string" ? value : "";
+}
+
+/**
+ * Describes the current step for the client
+ *
+ * @param {Object} state - Current wizard state
+ * @param {Object} profile - User profile
+ * @returns {Object} - { index, total, id, question, type, allowText, options, current }
+ */
+export function describeWizardStep(state, profile) {
+  const step = WIZARD_STEPS[state.step];
+  return {
+    index: state.step,
+    total: WIZARD_STEPS.length,
+    id: step.id,
+    question: step.question,
+    type: step.type,
+    allowText: step.type === "text" || Boolean(step.allowText),
+    options: (step.options || []).map((option, index) => ({
+      label: option.label,
+      selected: step.type === "multi" ? state.selected.includes(index) : undefined,
+    })),
+    current: formatValue(getField(profile, step.field)),
+  };
+}
+
+/**
+ * Summarises the profile fields the wizard covers
+ *
+ * @param {Object} profile - User profile
+ * @returns {Array<{id: string, label: string, value: string}>} - Filled in fields
+ */
+export function summarizeWizard(profile) {
+  return WIZARD_STEPS
+    .map((step) => ({ id: step.id, label: step.label, value: formatValue(getField(profile, step.field)) }))
+    .filter((entry) => entry.value);
+}
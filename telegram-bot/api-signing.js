@@ -0,0 +1,88 @@
+/**
+ * Signed Backend Requests
+ *
+ * The backend only accepts requests signed with the shared API_SECRET (see server/auth.js).
+ * This module adds the signature headers to every request the bot sends, both through
+ * axios (via an interceptor) and through fetch (via a wrapper):
+ *
+ *   X-Api-Timestamp       - Unix time in milliseconds
+ *   X-Api-Content-SHA256  - hex SHA-256 of the body, or "UNSIGNED-PAYLOAD" for multipart uploads
+ *   X-Api-Signature       - hex HMAC-SHA256 of "<timestamp>\n<METHOD>\n<path?query>\n<content hash>"
+ */
+
+// Import required dependencies
+import { createHmac, createHash } from "crypto"; // HMAC signatures
+import FormData from "form-data";                 // Multipart bodies (not hashed)
+
+// Content hash sent for multipart uploads, which are streamed and not hashed
+const UNSIGNED_PAYLOAD = "UNSIGNED-PAYLOAD";
+
+/**
+ * Computes the signature headers of a request
+ *
+ * @param {string} secret - Shared API secret
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Full request URL, including the query string
+ * @param {string|FormData} [request.body] - Serialized body or multipart form
+ * @returns {Object} - Headers to send with the request
+ */
+export function signatureHeaders(secret, { method, url, body }) {
+  const { pathname, search } = new URL(url);
+  const timestamp = String(Date.now());
+  const contentHash = body instanceof FormData
+    ? UNSIGNED_PAYLOAD
+    : createHash("sha256").update(body || "").digest("hex");
+
+  const signature = createHmac("sha256", secret)
+    .update(`${timestamp}\n${method.toUpperCase()}\n${pathname}${search}\n${contentHash}`)
+    .digest("hex");
+
+  return {
+    "X-Api-Timestamp": timestamp,
+    "X-Api-Content-SHA256": contentHash,
+    "X-Api-Signature": signature,
+  };
+}
+
+/**
+ * Signs every backend request sent through an axios instance
+ * Other requests (e.g. file downloads from Telegram) are left alone. Object bodies are
+ * serialized here so the signed bytes are exactly the bytes sent.
+ *
+ * @param {Object} axiosInstance - axios or an instance created with axios.create()
+ * @param {string} secret - Shared API secret
+ * @param {string} baseUrl - Backend base URL (BASE_URL)
+ */
+export function signAxiosRequests(axiosInstance, secret, baseUrl) {
+  axiosInstance.interceptors.request.use((config) => {
+    const url = axiosInstance.getUri(config);
+    if (!url.startsWith(baseUrl)) return config;
+
+    if (config.data !== undefined && !(config.data instanceof FormData) && typeof config.data !== "string") {
+      config.data = JSON.stringify(config.data);
+      config.headers.set("Content-Type", "application/json");
+    }
+
+    config.headers.set(signatureHeaders(secret, { method: config.method || "get", url, body: config.data }));
+    return config;
+  });
+}
+
+/**
+ * Wraps fetch so every request is signed
+ *
+ * @param {Function} fetch - fetch implementation
+ * @param {string} secret - Shared API secret
+ * @returns {Function} - fetch(url, options) with signature headers added
+ */
+export function createSignedFetch(fetch, secret) {
+  return (url, options = {}) =>
+    fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        ...signatureHeaders(secret, { method: options.method || "GET", url: String(url), body: options.body }),
+      },
+    });
+}
@@ -8,12 +8,13 @@
 // Import required libraries
 import { Telegraf, Markup } from "telegraf";  // Telegram bot framework
 import dotenv from "dotenv";                  // Environment variable management
-import fetch from "node-fetch";               // HTTP requests (fetch API)
+import nodeFetch from "node-fetch";           // HTTP requests (fetch API)
 import fs from "fs-extra";                    // Enhanced file system operations
 import path from "path";                      // Path manipulation utilities
 import axios from "axios";                    // HTTP client for more complex requests
 import { fileURLToPath } from "url";          // Convert file URLs to paths (for ESM)
 import FormData from "form-data";             // Form data for multipart/form-data requests
+import { signAxiosRequests, createSignedFetch } from "./api-signing.js"; // Signed requests to the backend
 
 dotenv.config(); // Load environment variables from .env file
 
@@ -22,6 +23,11 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 // Initialize Telegram bot with token from environment variables
 const bot = new Telegraf(process.env.BOT_TOKEN);
 
+// Sign every request to the backend with the shared API_SECRET (see api-signing.js)
+if (!process.env.API_SECRET) console.warn("⚠️ API_SECRET is not set; the backend will reject the bot's requests.");
+signAxiosRequests(axios, process.env.API_SECRET || "", process.env.BASE_URL);
+const fetch = createSignedFetch(nodeFetch, process.env.API_SECRET || "");
+
 // Create temporary directory for storing files (like images) before processing
 const tempDir = path.join(__dirname, "temp");
 fs.ensureDirSync(tempDir); // Ensure the directory exists, create if it doesn't
@@ -33,10 +39,27 @@ fs.ensureDirSync(tempDir); // Ensure the directory exists, create if it doesn't
 bot.telegram.setMyCommands([
   { command: "/start", description: "Start interacting with the bot" },
   { command: "/help", description: "Show available commands" },
+  { command: "/wizard", description: "Answer a few questions to set up your website" },
+  { command: "/templates", description: "Start from a ready-made template" },
   { command: "/generate", description: "Generate the website" },
+  { command: "/cancel", description: "Stop a running generation" },
   { command: "/preview", description: "Preview the website" },
+  { command: "/publish", description: "Publish the draft (or an earlier version) to the public URL" },
+  { command: "/unpublish", description: "Take the public website offline" },
   { command: "/code", description: "View source code of the website" },
   { command: "/reset", description: "To erase previous data of Website" },
+  { command: "/new", description: "Start a new website project" },
+  { command: "/projects", description: "List and switch between your websites" },
+  { command: "/switch", description: "Switch to another website project" },
+  { command: "/rename", description: "Rename the current project" },
+  { command: "/delete", description: "Delete a website project" },
+  { command: "/edit", description: "Make a small change to the website" },
+  { command: "/history", description: "Show previous versions of the website" },
+  { command: "/undo", description: "Go back to the previous version" },
+  { command: "/images", description: "Tag, reorder or delete your images" },
+  { command: "/usage", description: "Show today's usage and remaining allowance" },
+  { command: "/submissions", description: "Read and export messages sent through your website" },
+  { command: "/seo", description: "Check how well your website can be found and edit its title" },
 ]);
 
 /**
@@ -151,13 +174,53 @@ Here’s a list of all the available commands you can use to interact with me:
 
 🔹 /menu – _Get all options in a neat button layout!_
 
-🔄 /reset – _Clear all previous data and start fresh._
+🔄 /reset – _Clear the data of the current website and start fresh._
+
+🆕 /new <name> – _Start another website; your other sites are kept._
+
+📂 /projects – _List your websites and switch between them._
+
+🔀 /switch <name or number> – _Continue working on another website._
+
+🏷 /rename <new name> – _Rename the current website._
+
+🗑 /delete [name or number] – _Delete a website (asks for confirmation)._
+
+🧭 /wizard – _Answer a few quick questions (with buttons) to set up your website step by step._
+
+🧩 /templates – _Pick a starter template and customise it from there._
 
 🚀 /generate – _Generate your website with current information._
 
+🛑 /cancel – _Stop a generation that is still running._
+
 👁️ /preview – _See a live preview of your generated site._
 
-💻 /code – _View the source code of your website._
+🌐 /publish – _Check your draft and make it the public version. /publish 12 publishes version #12 from /history, /publish previous goes back to the version that was live before._
+
+🌑 /unpublish – _Take the public website offline (your draft is kept)._
+
+💻 /code – _Download the source code as a ZIP, Vite project, GitHub Pages/Netlify bundle or single HTML file._
+
+✏️ /edit <what to change> – _Make a quick, targeted change (e.g. /edit make the header blue)._
+
+🕘 /history – _See previous versions and restore one._
+
+↩️ /undo – _Go back to the previous version of your website._
+
+🖼 /images – _See your uploaded images and set where each one goes (logo, hero, gallery...), reorder or delete them._
+
+📊 /usage – _See how many messages, generations, uploads and AI tokens you have left today._
+
+📬 /submissions – _Read the messages visitors sent through your website's contact form and export them as CSV._
+
+🔎 /seo – _See how well search engines and social apps can read your website, and edit its title and description._
+
+🎙 _Send a voice message to describe what you want; I'll write it down and answer as if you had typed it._
+
+🎨 _Send your logo (or tag an image as logo in /images) and I'll suggest brand colours and fonts that match it._
+
+📄 _Send a PDF, Word (DOCX), Markdown or text file (a brochure, menu, CV...) and I'll turn its text and images into website content._
 
 ---
 
@@ -185,7 +248,7 @@ bot.command("reset", async (ctx) => {
 
     if (response.ok) {
       await ctx.reply(
-        "♻️ Your data has been reset successfully. Let's start fresh!"
+        "♻️ Your current website has been reset successfully. Let's start fresh!"
       );
     } else {
       await ctx.reply(`⚠️ Failed to reset: ${data.error}`);
@@ -197,51 +260,454 @@ bot.command("reset", async (ctx) => {
 });
 
 /**
- * Handle /preview command
- * Updates Git repository and provides a preview URL
+ * Escapes text chosen by the user (e.g. a project name) for a Markdown reply
+ * Telegram's Markdown only allows escapes outside of entities, so escaped text must not
+ * be put inside *bold* or _italic_ markers.
+ * @param {string} text - Text to show literally
+ * @returns {string} - Text with _, *, ` and [ escaped
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/([_*`[])/g, "\\$1");
+}
+
+/**
+ * Returns the text after a command (e.g. "Bakery" for "/new Bakery")
+ * @param {object} ctx - Telegraf context
+ * @returns {string} - Command argument, or an empty string
+ */
+function commandArgument(ctx) {
+  return ctx.message.text.replace(/^\/\w+(@\w+)?/, "").trim();
+}
+
+/**
+ * Reports a failed project request to the user
+ * @param {object} ctx - Telegraf context
+ * @param {Error} error - Axios error
+ * @param {string} action - What failed (e.g. "create the project")
+ */
+async function replyProjectError(ctx, error, action) {
+  console.error("Project error:", error.response?.data || error.message);
+  await ctx.reply(`⚠️ Failed to ${action}: ${error.response?.data?.error || "unknown error"}`);
+}
+
+/**
+ * Handle /new command
+ * Creates a new, empty website project and switches to it
  * @param {string} userId - Unique identifier for the user
  */
-bot.command("preview", async (ctx) => {
-  const chatId = ctx.chat.id;
+bot.command("new", async (ctx) => {
+  const userId = ctx.from.id.toString();
+  const name = commandArgument(ctx);
+
+  if (!name) {
+    return await ctx.reply("ℹ️ Give your new website a name, e.g. /new Bakery");
+  }
+
+  try {
+    const { data } = await axios.post(`${process.env.BASE_URL}/projects/${userId}`, { name });
+    await ctx.reply(
+      `🆕 Project "${escapeMarkdown(data.project.name)}" created and selected!\n\nTell me about this website, then use /generate. Your other websites are kept, see /projects.`,
+      { parse_mode: "Markdown" }
+    );
+  } catch (error) {
+    await replyProjectError(ctx, error, "create the project");
+  }
+});
+
+/**
+ * Handle /projects command
+ * Lists the user's websites with a button to switch to each one
+ * @param {string} userId - Unique identifier for the user
+ */
+bot.command("projects", async (ctx) => {
   const userId = ctx.from.id.toString();
 
   try {
-    // Trigger backend to update Git repository with latest changes
-    await axios.get(`${process.env.BASE_URL}/update-git`);
+    const { data } = await axios.get(`${process.env.BASE_URL}/projects/${userId}`);
 
-    const previewUrl = `https://db-bot-web-preview.vercel.app/${userId}/webSite/`; // Generate preview URL with user ID
+    const lines = data.projects.map((project, i) => {
+      const active = project.id === data.activeProjectId ? " ✅" : "";
+      const date = new Date(project.updatedAt).toLocaleString();
+      return `${i + 1}. ${escapeMarkdown(project.name)}${active} (changed ${date})`;
+    });
 
-    // Send preview link as clickable Markdown
-    await ctx.reply(`🔗 [Click here to preview your website](${previewUrl})`, {
+    await ctx.reply(`📂 *Your Websites*\n\n${lines.join("\n")}\n\nTap a website to work on it, or use /new to start another:`, {
+      parse_mode: "Markdown",
+      ...Markup.inlineKeyboard(
+        data.projects
+          .filter((project) => project.id !== data.activeProjectId)
+          .map((project) => [Markup.button.callback(`🔀 ${project.name}`, `PROJECT_${project.id}`)])
+      ),
+    });
+  } catch (error) {
+    await replyProjectError(ctx, error, "load your projects");
+  }
+});
+
+/**
+ * Switches the active project and confirms it to the user
+ * @param {object} ctx - Telegraf context
+ * @param {string} userId - Unique identifier for the user
+ * @param {string} projectRef - Project id, name or list number
+ */
+async function switchToProject(ctx, userId, projectRef) {
+  try {
+    const { data } = await axios.post(
+      `${process.env.BASE_URL}/projects/${userId}/${encodeURIComponent(projectRef)}/activate`
+    );
+    await ctx.reply(`🔀 Now working on "${escapeMarkdown(data.project.name)}".\n\nUse /preview to see it.`, { parse_mode: "Markdown" });
+  } catch (error) {
+    await replyProjectError(ctx, error, "switch project");
+  }
+}
+
+/**
+ * Handle project buttons from /projects
+ */
+bot.action(/^PROJECT_(.+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  await switchToProject(ctx, ctx.from.id.toString(), ctx.match[1]);
+});
+
+/**
+ * Handle /switch command
+ * Switches to another project by name or by its number in /projects
+ * @param {string} userId - Unique identifier for the user
+ */
+bot.command("switch", async (ctx) => {
+  const projectRef = commandArgument(ctx);
+
+  if (!projectRef) {
+    return await ctx.reply("ℹ️ Tell me which website, e.g. /switch 2 or /switch Bakery. See /projects for the list.");
+  }
+
+  await switchToProject(ctx, ctx.from.id.toString(), projectRef);
+});
+
+/**
+ * Handle /rename command
+ * Renames the current project
+ * @param {string} userId - Unique identifier for the user
+ */
+bot.command("rename", async (ctx) => {
+  const userId = ctx.from.id.toString();
+  const name = commandArgument(ctx);
+
+  if (!name) {
+    return await ctx.reply("ℹ️ Tell me the new name, e.g. /rename Corner Bakery");
+  }
+
+  try {
+    const { data: list } = await axios.get(`${process.env.BASE_URL}/projects/${userId}`);
+    const { data } = await axios.patch(`${process.env.BASE_URL}/projects/${userId}/${list.activeProjectId}`, { name });
+    await ctx.reply(`🏷 Project renamed to "${escapeMarkdown(data.project.name)}".`, { parse_mode: "Markdown" });
+  } catch (error) {
+    await replyProjectError(ctx, error, "rename the project");
+  }
+});
+
+/**
+ * Handle /delete command
+ * Asks for confirmation before deleting a project (the current one by default)
+ * @param {string} userId - Unique identifier for the user
+ */
+bot.command("delete", async (ctx) => {
+  const userId = ctx.from.id.toString();
+  const projectRef = commandArgument(ctx);
+
+  try {
+    const { data } = await axios.get(`${process.env.BASE_URL}/projects/${userId}`);
+    const byNumber = /^\d+$/.test(projectRef) ? data.projects[Number(projectRef) - 1] : null;
+    const project = projectRef
+      ? byNumber || data.projects.find((p) => p.name.toLowerCase() === projectRef.toLowerCase())
+      : data.projects.find((p) => p.id === data.activeProjectId);
+
+    if (!project) {
+      return await ctx.reply(`ℹ️ No website called "${projectRef}". See /projects for the list.`);
+    }
+
+    await ctx.reply(`🗑 Delete "${escapeMarkdown(project.name)}" with all its files and history? This can't be undone.`, {
       parse_mode: "Markdown",
+      ...Markup.inlineKeyboard([
+        [
+          Markup.button.callback("🗑 Yes, delete it", `DELETE_${project.id}`),
+          Markup.button.callback("✖️ Keep it", "DELETE_CANCEL"),
+        ],
+      ]),
     });
   } catch (error) {
+    await replyProjectError(ctx, error, "load your projects");
+  }
+});
+
+/**
+ * Handle the confirmation buttons of /delete
+ */
+bot.action(/^DELETE_(.+)$/, async (ctx) => {
+  const userId = ctx.from.id.toString();
+  const projectId = ctx.match[1];
+
+  await ctx.answerCbQuery();
+  await ctx.editMessageReplyMarkup(undefined).catch(() => {}); // Buttons can only be used once
+
+  if (projectId === "CANCEL") {
+    return await ctx.reply("👍 Nothing was deleted.");
+  }
+
+  try {
+    const { data } = await axios.delete(`${process.env.BASE_URL}/projects/${userId}/${projectId}`);
+    const next = data.activeProjectId
+      ? "Use /projects to see which website you're working on now."
+      : "Say hi to start a new one!";
+    await ctx.reply(`🗑 "${escapeMarkdown(data.deleted.name)}" was deleted. ${next}`, { parse_mode: "Markdown" });
+  } catch (error) {
+    await replyProjectError(ctx, error, "delete the project");
+  }
+});
+
+/**
+ * Handle /templates command
+ * Shows the starter templates with a preview link and a button to use each one
+ * @param {string} userId - Unique identifier for the user
+ */
+bot.command("templates", async (ctx) => {
+  try {
+    const { data } = await axios.get(`${process.env.BASE_URL}/templates`);
+
+    if (data.templates.length === 0) {
+      return await ctx.reply("ℹ️ No templates are available right now.");
+    }
+
+    const lines = data.templates.map(
+      (template) => `${template.emoji} *${template.name}* – ${template.description} [Preview](${template.previewUrl})`
+    );
+
+    await ctx.reply(
+      `🧩 *Starter Templates*\n\n${lines.join("\n\n")}\n\nPick one to start from. It replaces the files of your current website (use /undo to go back), then tell me what to change and use /generate.`,
+      {
+        parse_mode: "Markdown",
+        disable_web_page_preview: true,
+        ...Markup.inlineKeyboard(
+          data.templates.map((template) => [
+            Markup.button.callback(`${template.emoji} Use ${template.name}`, `TEMPLATE_${template.id}`),
+          ])
+        ),
+      }
+    );
+  } catch (error) {
+    console.error("Templates error:", error.response?.data || error.message);
+    await ctx.reply("❌ Failed to load the templates.");
+  }
+});
+
+/**
+ * Handle template buttons from /templates
+ * Seeds the current project with the selected template
+ */
+bot.action(/^TEMPLATE_(.+)$/, async (ctx) => {
+  const userId = ctx.from.id.toString();
+  const templateId = ctx.match[1];
+
+  await ctx.answerCbQuery();
+
+  try {
+    const { data } = await axios.post(`${process.env.BASE_URL}/templates/${templateId}/apply`, { userId });
+    await ctx.reply(
+      `✅ Your website now starts from the *${data.template.name}* template!\n\nUse /preview to see it, tell me about your business to customise it, then /generate.`,
+      { parse_mode: "Markdown" }
+    );
+  } catch (error) {
+    console.error("Template error:", error.response?.data || error.message);
+    await ctx.reply(`⚠️ Failed to apply the template: ${error.response?.data?.error || "unknown error"}`);
+  }
+});
+
+/**
+ * Handle /preview command
+ * Asks the backend for a private, expiring preview link served by the server itself
+ * The preview reloads by itself after every /generate or /edit
+ * @param {string} userId - Unique identifier for the user
+ */
+bot.command("preview", async (ctx) => {
+  const userId = ctx.from.id.toString();
+
+  try {
+    const { data } = await axios.post(`${process.env.BASE_URL}/preview-links/${userId}`);
+    const expires = new Date(data.expiresAt).toLocaleString();
+
+    // Send preview link as clickable Markdown
+    await ctx.reply(
+      `🔗 [Click here to preview your website](${data.url})\n\n🔄 Keep it open: it refreshes after every change.\n🔒 This is your draft; visitors only see it after /publish.\n⏳ Link valid until ${expires}.`,
+      { parse_mode: "Markdown" }
+    );
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return await ctx.reply("ℹ️ There's nothing to preview yet. Use /generate first!");
+    }
     console.error("❌ Preview error:", error.response?.data || error);
     await ctx.reply("⚠️ Failed to generate preview. Please try again.");
   }
 });
 
+/**
+ * Follows a queued deployment until it finishes and reports the outcome
+ * Runs detached from the command handler, like watchGeneration()
+ * @param {object} telegram - Telegraf telegram client
+ * @param {number} chatId - Chat that holds the status message
+ * @param {number} messageId - Status message to edit
+ * @param {string} jobId - Deployment job identifier
+ * @param {string} doneText - What to report once the deployment succeeded
+ */
+async function watchDeployment(telegram, chatId, messageId, jobId, doneText) {
+  for (let attempt = 0; attempt < 90; attempt++) {
+    await new Promise((resolve) => setTimeout(resolve, 2000)); // Poll every 2 seconds
+
+    const { data } = await axios.get(`${process.env.BASE_URL}/deployments/${jobId}`);
+    const { status, message } = data.deployment;
+
+    if (status === "queued" || status === "running") continue;
+
+    if (status === "failed") {
+      console.error("❌ Deployment failed:", message);
+      await telegram.editMessageText(chatId, messageId, undefined, "⚠️ Updating your public website failed. Please try again later.");
+    } else {
+      await telegram.editMessageText(chatId, messageId, undefined, doneText, { disable_web_page_preview: true });
+    }
+    return;
+  }
+
+  await telegram.editMessageText(chatId, messageId, undefined, "⏳ Publishing is taking longer than usual. Check again in a few minutes.");
+}
+
+/**
+ * Reports a publish or unpublish request the backend refused
+ * @param {object} ctx - Telegraf context
+ * @param {Error} error - Axios error
+ * @param {string} action - What failed (e.g. "publish")
+ */
+async function replyPublishError(ctx, error, action) {
+  const data = error.response?.data;
+  console.error(`❌ ${action} error:`, data || error.message);
+
+  if (data?.problems?.length) {
+    const problems = data.problems.slice(0, 5).map((problem) => `• ${problem}`).join("\n");
+    const more = data.problems.length > 5 ? `\n…and ${data.problems.length - 5} more` : "";
+    return await ctx.reply(
+      `⚠️ ${data.error}:\n\n${problems}${more}\n\nFix it with /edit or /generate, then /publish again.`
+    );
+  }
+  await ctx.reply(`⚠️ Failed to ${action}: ${data?.error || "unknown error"}`);
+}
+
+/**
+ * Handle /publish command
+ * Publishes the draft after validation, so half-finished changes never go live on their own:
+ *   /publish            - the current draft
+ *   /publish <number>   - a version from /history
+ *   /publish previous   - the version that was live before the current one
+ * @param {string} userId - Unique identifier for the user
+ */
+bot.command("publish", async (ctx) => {
+  const userId = ctx.from.id.toString();
+  const argument = commandArgument(ctx).toLowerCase().replace(/^#/, "");
+
+  if (argument && argument !== "previous" && !/^\d+$/.test(argument)) {
+    return await ctx.reply("ℹ️ Use /publish, /publish <version number> (see /history) or /publish previous.");
+  }
+
+  try {
+    const { data } = await axios.post(`${process.env.BASE_URL}/publish/${userId}`, argument ? { revision: argument } : {});
+    const { published, deployment } = data;
+    const status = await ctx.reply(`🚀 Publishing version #${published.revision}...`);
+
+    const doneText = [
+      `🌐 Version #${published.revision} is live${deployment.url ? `: ${deployment.url}` : "."}`,
+      "",
+      "Your changes stay private until you /publish again. It can take a minute until the new version shows up.",
+      "Use /publish previous to go back or /unpublish to take the website offline.",
+    ].join("\n");
+
+    // Don't await: deployments are queued and may take a while
+    watchDeployment(ctx.telegram, ctx.chat.id, status.message_id, deployment.id, doneText).catch((err) =>
+      console.error("Deployment watch error:", err.message)
+    );
+  } catch (error) {
+    await replyPublishError(ctx, error, "publish");
+  }
+});
+
+/**
+ * Handle /unpublish command
+ * Takes the public website offline; the draft and all versions are kept
+ * @param {string} userId - Unique identifier for the user
+ */
+bot.command("unpublish", async (ctx) => {
+  const userId = ctx.from.id.toString();
+
+  try {
+    const { data } = await axios.post(`${process.env.BASE_URL}/unpublish/${userId}`);
+    const status = await ctx.reply("🌑 Taking your website offline...");
+    const doneText = `🌑 Your website is offline. Version #${data.unpublished.revision} and your draft are kept; /publish brings it back.`;
+
+    watchDeployment(ctx.telegram, ctx.chat.id, status.message_id, data.deployment.id, doneText).catch((err) =>
+      console.error("Deployment watch error:", err.message)
+    );
+  } catch (error) {
+    await replyPublishError(ctx, error, "unpublish");
+  }
+});
+
+// Export formats offered by /code (see server/exporters.js)
+const CODE_FORMATS = [
+  { id: "zip", label: "📦 ZIP (files as they are)" },
+  { id: "vite", label: "⚡ Vite project" },
+  { id: "static", label: "🌍 GitHub Pages / Netlify" },
+  { id: "single", label: "📄 Single HTML file" },
+];
+
 /**
  * Handle /code command
- * Retrieves website source code as a ZIP file from backend
+ * Offers the export formats of the website source code as inline buttons
  * @param {string} userId - Unique identifier for the user
  */
 bot.command("code", async (ctx) => {
+  await ctx.reply("💻 *Download your code*\n\nWhich format would you like?", {
+    parse_mode: "Markdown",
+    ...Markup.inlineKeyboard(CODE_FORMATS.map((format) => [Markup.button.callback(format.label, `CODE_${format.id}`)])),
+  });
+});
+
+/**
+ * Handle format buttons from /code
+ * Retrieves website source code as a ZIP file from backend in the selected format
+ * @param {string} userId - Unique identifier for the user
+ */
+bot.action(/^CODE_(\w+)$/, async (ctx) => {
   const userId = ctx.chat.id.toString();
+  const format = ctx.match[1];
+
+  await ctx.answerCbQuery();
 
   try {
     // Request ZIP file from backend as a stream
     const fileRes = await axios.get(`${process.env.BASE_URL}/code/${userId}`, {
+      params: { format },
       responseType: "stream",
     });
 
     // Save stream to temporary file
-    const filePath = path.join(tempDir, `webSite-${userId}.zip`);
+    const filePath = path.join(tempDir, `webSite-${format}-${userId}.zip`);
     const writer = fs.createWriteStream(filePath);
     fileRes.data.pipe(writer);
 
     await new Promise((resolve) => writer.on("finish", resolve)); // Wait for file to finish writing
-    await ctx.replyWithDocument({ source: filePath, filename: "website.zip" }); // Send ZIP file to user
+
+    // List the project files in the caption so the user knows what's inside
+    const { data } = await axios.get(`${process.env.BASE_URL}/files/${userId}`);
+    const label = CODE_FORMATS.find((f) => f.id === format)?.label || format;
+    const caption = `${label}\n📂 ${data.files.length} file(s):\n${data.files.map((file) => `• ${file.path}`).join("\n")}`;
+
+    await ctx.replyWithDocument({ source: filePath, filename: `website-${format}.zip` }, { caption: caption.slice(0, 1024) }); // Send ZIP file to user
     fs.removeSync(filePath); // Clean up temporary file
   } catch (e) {
     console.error(e);
@@ -250,55 +716,783 @@ bot.command("code", async (ctx) => {
 });
 
 /**
- * Handle /generate command
- * Triggers website generation on the backend
+ * Builds the text of the generation status message
+ * @param {object} job - Job status returned by the backend
+ * @returns {string} - Status text with a progress bar
+ */
+function formatProgress(job) {
+  const filled = Math.round(job.percent / 10);
+  const bar = "▓".repeat(filled) + "░".repeat(10 - filled);
+  return `⚙️ Generating your website...\n\n${job.phaseLabel}\n${bar} ${job.percent}%\n\nSend /cancel to stop.`;
+}
+
+/**
+ * Follows a running generation and keeps editing a single status message
+ * Runs detached from the command handler so other updates (like /cancel) are still processed
+ * @param {object} telegram - Telegraf telegram client
+ * @param {number} chatId - Chat that holds the status message
+ * @param {number} messageId - Status message to edit
  * @param {string} userId - Unique identifier for the user
  */
-bot.command("generate", async (ctx) => {
-  const userId = ctx.chat.id.toString(); // Use chat ID as userId
+async function watchGeneration(telegram, chatId, messageId, userId) {
+  let lastText = "";
 
-  await ctx.reply("Generating your website... Please wait.");
+  for (;;) {
+    await new Promise((resolve) => setTimeout(resolve, 2000)); // Poll every 2 seconds
 
-  try {
-    // Call backend API to generate website
-    const response = await fetch(`${process.env.BASE_URL}/promptBackground`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ userId }),
-    });
+    let job;
+    try {
+      const { data } = await axios.get(`${process.env.BASE_URL}/generation/${userId}`);
+      job = data.job;
+    } catch (err) {
+      console.error("Generation status error:", err.response?.data || err.message);
+      await telegram.sendMessage(chatId, "❌ Lost track of your generation. Check /history in a moment.");
+      return;
+    }
 
-    const data = await response.json();
+    if (job.status === "running") {
+      const text = formatProgress(job);
+      if (text !== lastText) {
+        lastText = text;
+        await telegram.editMessageText(chatId, messageId, undefined, text).catch(() => {});
+      }
+      continue;
+    }
 
-    if (response.ok) {
-      await ctx.reply(
-        "✅ Website generated successfully!\n\n👀 Now it's time to preview your site!\nJust type or click 🔍 /preview to see how it looks."
+    // The job has finished: replace the status message with the outcome
+    if (job.status === "done") {
+      const changed = job.result.files.map((file) => `• ${file}`).join("\n");
+      await telegram.editMessageText(
+        chatId,
+        messageId,
+        undefined,
+        `✅ Website generated successfully!\n\n📝 Updated files:\n${changed}\n\n👀 Now it's time to preview your site!\nJust type or click 🔍 /preview to see how it looks.`
       );
+    } else if (job.status === "cancelled") {
+      await telegram.editMessageText(chatId, messageId, undefined, "🛑 Generation cancelled. Your website was not changed.");
     } else {
-      await ctx.reply(`❌ Failed to generate: ${data.error}`);
+      await telegram.editMessageText(chatId, messageId, undefined, `❌ Failed to generate: ${job.error}`);
+    }
+    return;
+  }
+}
+
+/**
+ * Starts website generation on the backend and reports live progress in one message
+ * Used by /generate and by the button at the end of the wizard
+ * @param {Object} ctx - Telegraf context
+ */
+async function startGeneration(ctx) {
+  const userId = ctx.chat.id.toString(); // Use chat ID as userId
+
+  try {
+    // Start the generation in the background
+    const response = await fetch(`${process.env.BASE_URL}/generation/${userId}`, { method: "POST" });
+    const data = await response.json();
+
+    if (await replyIfLimited(ctx, response.status, data)) return;
+    if (!response.ok) {
+      return await ctx.reply(`⚠️ ${data.error}. Send /cancel to stop it first.`);
     }
+
+    const status = await ctx.reply(formatProgress(data.job));
+
+    // Don't await: the handler must return so /cancel can be handled meanwhile
+    watchGeneration(ctx.telegram, ctx.chat.id, status.message_id, userId).catch((err) =>
+      console.error("Generation watch error:", err.message)
+    );
   } catch (err) {
     console.error("Telegram Bot Error:", err.message);
     await ctx.reply("❌ An error occurred while generating your website.");
   }
-});
+}
 
 /**
- * Handle photo messages
- * Processes images sent by users, uploads them to backend for analysis
+ * Handle /generate command
  * @param {string} userId - Unique identifier for the user
- * @param {string} caption - Optional text caption sent with the image
  */
-bot.on("photo", async (ctx) => {
-  const userId = ctx.chat.id.toString();
-  const caption = ctx.message.caption || "";
+bot.command("generate", startGeneration);
 
-  // Get the highest resolution photo from the array of available sizes
-  const photo = ctx.message.photo[ctx.message.photo.length - 1];
-  const fileId = photo.file_id;
+/**
+ * Handle /cancel command
+ * Aborts the running website generation
+ * @param {string} userId - Unique identifier for the user
+ */
+bot.command("cancel", async (ctx) => {
+  const userId = ctx.chat.id.toString();
 
-  // Get download link for the photo
-  const fileLink = await ctx.telegram.getFileLink(fileId);
-  const fileName = `${Date.now()}.jpg`; // Create unique filename using timestamp
+  try {
+    await axios.post(`${process.env.BASE_URL}/generation/${userId}/cancel`);
+    await ctx.reply("🛑 Stopping your generation...");
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return await ctx.reply("ℹ️ There is no generation running right now.");
+    }
+    console.error("Cancel error:", error.response?.data || error.message);
+    await ctx.reply("❌ Failed to cancel the generation.");
+  }
+});
+
+/**
+ * Handle /edit command
+ * Sends a targeted change request to the backend, which patches only the affected code
+ * @param {string} userId - Unique identifier for the user
+ * @param {string} instruction - Text after the command describing the change
+ */
+bot.command("edit", async (ctx) => {
+  const userId = ctx.from.id.toString();
+  const instruction = ctx.message.text.replace(/^\/edit(@\w+)?/, "").trim();
+
+  if (!instruction) {
+    return await ctx.reply("✏️ Tell me what to change, e.g.\n/edit make the contact button green");
+  }
+
+  await ctx.reply("✏️ Applying your change...");
+
+  try {
+    const response = await fetch(`${process.env.BASE_URL}/edit`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ userId, instruction }),
+    });
+
+    const data = await response.json();
+
+    if (await replyIfLimited(ctx, response.status, data)) return;
+    if (response.ok) {
+      const changed = data.files.map((file) => `• ${file}`).join("\n");
+      await ctx.reply(
+        `✅ ${data.summary}\n\n📝 Changed files:\n${changed}\n\nUse /preview to see it or /undo to revert.`
+      );
+    } else {
+      await ctx.reply(`❌ Failed to edit: ${data.error}${data.details ? ` (${data.details})` : ""}`);
+    }
+  } catch (err) {
+    console.error("Edit error:", err.message);
+    await ctx.reply("❌ An error occurred while editing your website.");
+  }
+});
+
+/**
+ * Replies with a friendly message when the backend refused a request because of a limit
+ * @param {Object} ctx - Telegraf context
+ * @param {number} status - HTTP status of the backend response
+ * @param {Object} data - Body of the backend response
+ * @returns {Promise<boolean>} - True if the request hit a limit and the user was told
+ */
+async function replyIfLimited(ctx, status, data) {
+  if (status !== 429) return false;
+
+  const hint = data?.code === "quota_exceeded" ? "\n\n📊 Send /usage to see what you've used today." : "";
+  await ctx.reply(`🚦 ${data?.error || "Too many requests, please try again in a moment."}${hint}`);
+  return true;
+}
+
+/**
+ * Formats one usage line with its limit
+ * @param {string} label - Name of the counter
+ * @param {number} used - Amount used today
+ * @param {number} limit - Daily limit (0 = unlimited)
+ * @returns {string} - e.g. "💬 Messages: 12 / 200 (188 left)"
+ */
+function formatUsageLine(label, used, limit) {
+  if (!limit) return `${label}: ${used.toLocaleString("en-US")} (unlimited)`;
+  const left = Math.max(0, limit - used);
+  return `${label}: ${used.toLocaleString("en-US")} / ${limit.toLocaleString("en-US")} (${left.toLocaleString("en-US")} left)`;
+}
+
+/**
+ * Handle /usage command
+ * Shows today's consumption and the remaining daily allowance
+ * @param {string} userId - Unique identifier for the user
+ */
+bot.command("usage", async (ctx) => {
+  const userId = ctx.from.id.toString();
+
+  try {
+    const { data } = await axios.get(`${process.env.BASE_URL}/usage/${userId}`);
+    const { usage, limits } = data;
+    const hoursLeft = Math.max(0, Math.ceil((new Date(data.resetsAt) - Date.now()) / 3600000));
+
+    await ctx.reply(
+      [
+        `📊 Your usage today (${data.date}):`,
+        "",
+        formatUsageLine("💬 Messages", usage.messages, limits.messages),
+        formatUsageLine("🚀 Generations", usage.generations, limits.generations),
+        formatUsageLine("📎 Uploads", usage.uploads, limits.uploads),
+        formatUsageLine("🧠 AI tokens", usage.tokens, limits.tokens),
+        "",
+        `⏰ Your allowance resets at midnight UTC (in about ${hoursLeft}h).`,
+      ].join("\n")
+    );
+  } catch (error) {
+    console.error("Usage error:", error.response?.data || error.message);
+    await ctx.reply("❌ Failed to load your usage.");
+  }
+});
+
+/**
+ * Handle /history command
+ * Lists the most recent revisions of the website with a restore button for each
+ * @param {string} userId - Unique identifier for the user
+ */
+bot.command("history", async (ctx) => {
+  const userId = ctx.from.id.toString();
+
+  try {
+    const { data } = await axios.get(`${process.env.BASE_URL}/revisions/${userId}`);
+    const revisions = data.revisions.slice(-10).reverse(); // Newest first
+
+    if (revisions.length === 0) {
+      return await ctx.reply("🕘 No versions saved yet. Use /generate to create your first one!");
+    }
+
+    const actionLabels = {
+      initial: "📦 Initial",
+      generate: "🚀 Generated",
+      reset: "♻️ Reset",
+      upload: "🖼 Image upload",
+      "delete-image": "🗑 Image deleted",
+      edit: "✏️ Edit",
+      template: "🧩 Template",
+      restore: "↩️ Restored",
+      publish: "🌐 Published draft",
+      seo: "🔎 SEO",
+    };
+
+    const lines = revisions.map((rev) => {
+      const label = actionLabels[rev.action] || rev.action;
+      const from = rev.restoredFrom ? ` #${rev.restoredFrom}` : "";
+      const date = new Date(rev.createdAt).toLocaleString();
+      const live = rev.id === data.publishedRevision ? " 🟢 live" : "";
+      return `#${rev.id} – ${label}${from} (${date})${live}`;
+    });
+
+    await ctx.reply(`🕘 *Website History*\n\n${lines.join("\n")}\n\nTap a version to restore it, or send /publish <number> to put it online:`, {
+      parse_mode: "Markdown",
+      ...Markup.inlineKeyboard(
+        revisions.map((rev) => [Markup.button.callback(`↩️ Restore #${rev.id}`, `RESTORE_${rev.id}`)])
+      ),
+    });
+  } catch (error) {
+    console.error("History error:", error.response?.data || error.message);
+    await ctx.reply("❌ Failed to load your website history.");
+  }
+});
+
+/**
+ * Handle restore buttons from /history
+ * Restores the selected revision on the backend
+ */
+bot.action(/^RESTORE_(\d+)$/, async (ctx) => {
+  const userId = ctx.from.id.toString();
+  const revisionId = ctx.match[1];
+
+  await ctx.answerCbQuery();
+
+  try {
+    await axios.post(`${process.env.BASE_URL}/revisions/${userId}/${revisionId}/restore`);
+    await ctx.reply(`✅ Version #${revisionId} restored!\n\nUse /preview to see it or /undo to go back.`);
+  } catch (error) {
+    console.error("Restore error:", error.response?.data || error.message);
+    await ctx.reply(`⚠️ Failed to restore: ${error.response?.data?.error || "unknown error"}`);
+  }
+});
+
+/**
+ * Handle /undo command
+ * Restores the version of the website before the current one
+ * @param {string} userId - Unique identifier for the user
+ */
+bot.command("undo", async (ctx) => {
+  const userId = ctx.from.id.toString();
+
+  try {
+    const { data } = await axios.post(`${process.env.BASE_URL}/revisions/${userId}/undo`);
+    await ctx.reply(`↩️ Undone! Your website is back to version #${data.revision.restoredFrom}.\n\nUse /preview to see it.`);
+  } catch (error) {
+    console.error("Undo error:", error.response?.data || error.message);
+    await ctx.reply(`⚠️ Failed to undo: ${error.response?.data?.error || "unknown error"}`);
+  }
+});
+
+// Contact form submissions shown per page in /submissions
+const SUBMISSIONS_PAGE_SIZE = 5;
+
+/**
+ * Builds one page of /submissions with buttons to browse and export
+ * Sent as plain text, since the fields are whatever visitors typed
+ * @param {object} data - Page returned by the backend ({ total, offset, submissions, formUrl })
+ * @returns {{text: string, extra: object}} - Message text and reply extra with the keyboard
+ */
+function submissionsPage(data) {
+  const { total, offset, submissions } = data;
+
+  if (total === 0) {
+    return {
+      text:
+        "📭 No messages from your website yet.\n\n" +
+        "Contact forms created with /generate send here automatically. Their address is:\n" +
+        data.formUrl,
+      extra: {},
+    };
+  }
+
+  const entries = submissions.map((submission, i) => {
+    const fields = Object.entries(submission.fields).map(
+      ([name, value]) => `${name}: ${value.length > 300 ? `${value.slice(0, 300)}…` : value}`
+    );
+    return `#${total - offset - i} · ${new Date(submission.createdAt).toLocaleString()}\n${fields.join("\n")}`;
+  });
+
+  const navigation = [];
+  if (offset + submissions.length < total) {
+    navigation.push(Markup.button.callback("⬅️ Older", `SUBS_${offset + SUBMISSIONS_PAGE_SIZE}`));
+  }
+  if (offset > 0) {
+    navigation.push(Markup.button.callback("Newer ➡️", `SUBS_${Math.max(0, offset - SUBMISSIONS_PAGE_SIZE)}`));
+  }
+
+  return {
+    text: `📬 Messages from your website (${offset + 1}–${offset + submissions.length} of ${total})\n\n${entries.join("\n\n")}`.slice(0, 4096),
+    extra: Markup.inlineKeyboard([navigation, [Markup.button.callback("📄 Export CSV", "SUBS_CSV")]].filter((row) => row.length)),
+  };
+}
+
+/**
+ * Handle /submissions command
+ * Shows the newest contact form messages of the current website
+ * @param {string} userId - Unique identifier for the user
+ */
+bot.command("submissions", async (ctx) => {
+  const userId = ctx.from.id.toString();
+
+  try {
+    const { data } = await axios.get(`${process.env.BASE_URL}/submissions/${userId}`, {
+      params: { limit: SUBMISSIONS_PAGE_SIZE },
+    });
+    const { text, extra } = submissionsPage(data);
+    await ctx.reply(text, { ...extra, disable_web_page_preview: true });
+  } catch (error) {
+    console.error("Submissions error:", error.response?.data || error.message);
+    await ctx.reply("❌ Failed to load your website's messages.");
+  }
+});
+
+/**
+ * Handle the Older/Newer buttons from /submissions
+ * Shows another page in the same message
+ */
+bot.action(/^SUBS_(\d+)$/, async (ctx) => {
+  const userId = ctx.from.id.toString();
+
+  await ctx.answerCbQuery();
+
+  try {
+    const { data } = await axios.get(`${process.env.BASE_URL}/submissions/${userId}`, {
+      params: { offset: ctx.match[1], limit: SUBMISSIONS_PAGE_SIZE },
+    });
+    const { text, extra } = submissionsPage(data);
+    await ctx.editMessageText(text, { ...extra, disable_web_page_preview: true });
+  } catch (error) {
+    console.error("Submissions error:", error.response?.data || error.message);
+    await ctx.reply("❌ Failed to load your website's messages.");
+  }
+});
+
+/**
+ * Handle the export button from /submissions
+ * Sends all contact form messages as a CSV file
+ */
+bot.action("SUBS_CSV", async (ctx) => {
+  const userId = ctx.from.id.toString();
+
+  await ctx.answerCbQuery();
+
+  try {
+    const { data } = await axios.get(`${process.env.BASE_URL}/submissions/${userId}/export`, {
+      responseType: "arraybuffer",
+    });
+    await ctx.replyWithDocument(
+      { source: Buffer.from(data), filename: "submissions.csv" },
+      { caption: "📄 All messages from your website. Open it with Excel, Numbers or Google Sheets." }
+    );
+  } catch (error) {
+    console.error("Submissions export error:", error.response?.status || error.message);
+    await ctx.reply(error.response?.status === 404 ? "📭 No messages to export yet." : "❌ Failed to export the messages.");
+  }
+});
+
+// Users asked to type a new SEO title or description: userId -> "title" or "description"
+// Their next typed (or spoken) message is saved as that value instead of going to the chat
+const seoSessions = new Map();
+
+/**
+ * Formats the SEO report of a website
+ * @param {object} data - Report returned by the backend (GET or POST /seo/:userId)
+ * @returns {{text: string, extra: object}} - Message text and keyboard
+ */
+function seoReport(data) {
+  const checks = data.checks.map((check) => {
+    const icon = check.ok ? "✅" : check.points > 0 ? "⚠️" : "❌";
+    return `${icon} ${check.label}${check.tip ? ` – ${check.tip}` : ""}`;
+  });
+  const custom = (field) => (data.custom[field] ? "" : " (automatic)");
+
+  return {
+    text: [
+      `🔎 SEO score: ${data.score}/100`,
+      "",
+      `🏷 Title${custom("title")}: ${data.title || "–"}`,
+      `📝 Description${custom("description")}: ${data.description || "–"}`,
+      "",
+      ...checks,
+    ].join("\n"),
+    extra: Markup.inlineKeyboard([
+      [Markup.button.callback("✏️ Edit title", "SEO_EDIT_title"), Markup.button.callback("✏️ Edit description", "SEO_EDIT_description")],
+    ]),
+  };
+}
+
+/**
+ * Saves a new title or description and shows the updated report
+ * @param {Object} ctx - Telegraf context
+ * @param {string} userId - Unique identifier for the user
+ * @param {string} field - "title" or "description"
+ * @param {string} value - The new text
+ */
+async function saveSeoValue(ctx, userId, field, value) {
+  seoSessions.delete(userId);
+
+  try {
+    const { data } = await axios.post(`${process.env.BASE_URL}/seo/${userId}`, { [field]: value });
+    if (!data.checks) {
+      return await ctx.reply(`✅ ${field === "title" ? "Title" : "Description"} saved. It will be used when you /generate your website.`);
+    }
+
+    const { text, extra } = seoReport(data);
+    const saved = data.revision ? `✅ Saved as version #${data.revision}. Send /publish to put it online.` : "✅ Saved.";
+    await ctx.reply(`${saved}\n\n${text}`, { ...extra, disable_web_page_preview: true });
+  } catch (error) {
+    if (error.response?.status !== 400) console.error("SEO error:", error.response?.data || error.message);
+    await ctx.reply(`⚠️ ${error.response?.data?.error || "Failed to save the SEO settings."}`);
+  }
+}
+
+/**
+ * Handle /seo command
+ * Shows the SEO score of the website with what to improve
+ * "/seo title <text>" and "/seo description <text>" set the title or description directly
+ * @param {string} userId - Unique identifier for the user
+ */
+bot.command("seo", async (ctx) => {
+  const userId = ctx.from.id.toString();
+  const [, field, ...words] = ctx.message.text.split(/\s+/);
+
+  if (field) {
+    if (!["title", "description"].includes(field.toLowerCase()) || words.length === 0) {
+      return await ctx.reply("Usage: /seo, /seo title <new title> or /seo description <new description>");
+    }
+    return await saveSeoValue(ctx, userId, field.toLowerCase(), words.join(" "));
+  }
+
+  try {
+    const { data } = await axios.get(`${process.env.BASE_URL}/seo/${userId}`);
+    const { text, extra } = seoReport(data);
+    await ctx.reply(text, { ...extra, disable_web_page_preview: true });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return await ctx.reply("🔎 There is no website to check yet. Use /generate to create it first!");
+    }
+    console.error("SEO error:", error.response?.data || error.message);
+    await ctx.reply("❌ Failed to check your website.");
+  }
+});
+
+/**
+ * Handle the edit buttons from /seo
+ * Asks for the new title or description; the next message is saved as it
+ */
+bot.action(/^SEO_EDIT_(title|description)$/, async (ctx) => {
+  const userId = ctx.from.id.toString();
+  const field = ctx.match[1];
+
+  await ctx.answerCbQuery();
+  seoSessions.set(userId, field);
+  await ctx.reply(
+    field === "title"
+      ? "🏷 Send me the new title of your website (ideally 10–60 characters)."
+      : "📝 Send me the new description of your website (ideally 50–160 characters).",
+    Markup.inlineKeyboard([[Markup.button.callback("✖️ Cancel", "SEO_CANCEL")]])
+  );
+});
+
+/**
+ * Handle the cancel button while a new title or description is expected
+ */
+bot.action("SEO_CANCEL", async (ctx) => {
+  seoSessions.delete(ctx.from.id.toString());
+  await ctx.answerCbQuery();
+  await ctx.editMessageText("👌 Nothing changed.");
+});
+
+// Roles an image can have on the website (see server/image-library.js)
+const IMAGE_ROLE_BUTTONS = [
+  [["logo", "🏷 Logo"], ["hero", "🌄 Hero"], ["gallery", "🖼 Gallery"]],
+  [["team", "👤 Team"], ["product", "🛍 Product"], ["favicon", "⭐ Favicon"]],
+];
+
+/**
+ * Builds the inline keyboard to tag, reorder and delete one image
+ * @param {object} image - Image entry returned by the backend
+ * @param {boolean} [manage] - Also show move and delete buttons
+ * @returns {object} - Telegraf reply extra with the keyboard
+ */
+function imageRoleKeyboard(image, manage = false) {
+  const rows = IMAGE_ROLE_BUTTONS.map((row) =>
+    row.map(([role, label]) =>
+      Markup.button.callback(image.role === role ? `✅ ${label}` : label, `IMGROLE_${image.id}_${role}`)
+    )
+  );
+  rows.push([Markup.button.callback(image.role ? "✖️ No role" : "✅ No role", `IMGROLE_${image.id}_none`)]);
+
+  if (manage) {
+    rows.push([
+      Markup.button.callback("⬆️ Up", `IMGMOVE_${image.id}_up`),
+      Markup.button.callback("⬇️ Down", `IMGMOVE_${image.id}_down`),
+      Markup.button.callback("🗑 Delete", `IMGDEL_${image.id}`),
+    ]);
+  }
+  return Markup.inlineKeyboard(rows);
+}
+
+/**
+ * Builds the caption of an image in /images
+ * @param {object} image - Image entry returned by the backend
+ * @param {number} position - 1-based position in the list
+ * @param {object} roles - Role labels returned by the backend
+ * @returns {string} - Caption text
+ */
+function imageCaption(image, position, roles) {
+  const role = image.role ? roles[image.role] : "no role";
+  const description = image.description ? `\n📝 ${image.description}` : "";
+  return `#${position} · ${image.originalname} (${role})${description}`;
+}
+
+/**
+ * Handle /images command
+ * Shows every uploaded image with buttons to set its role, move it or delete it
+ * @param {string} userId - Unique identifier for the user
+ */
+bot.command("images", async (ctx) => {
+  const userId = ctx.from.id.toString();
+
+  try {
+    const { data } = await axios.get(`${process.env.BASE_URL}/images/${userId}`);
+
+    if (data.images.length === 0) {
+      return await ctx.reply("🖼 No images yet. Send me a photo to add one!");
+    }
+
+    await ctx.reply(`🖼 *Your Images* (${data.images.length})\n\nTap a role to place an image, use ⬆️/⬇️ to change the gallery order.`, {
+      parse_mode: "Markdown",
+    });
+
+    for (const [index, image] of data.images.slice(0, 20).entries()) {
+      const thumbnail = await axios.get(`${process.env.BASE_URL}/images/${userId}/${image.id}/thumbnail`, {
+        responseType: "stream",
+      });
+      await ctx.replyWithPhoto(
+        { source: thumbnail.data },
+        { caption: imageCaption(image, index + 1, data.roles), ...imageRoleKeyboard(image, true) }
+      );
+    }
+  } catch (error) {
+    console.error("Images error:", error.response?.data || error.message);
+    await ctx.reply("❌ Failed to load your images.");
+  }
+});
+
+/**
+ * Handle role buttons of an image
+ */
+bot.action(/^IMGROLE_([0-9a-f]+)_(\w+)$/, async (ctx) => {
+  const userId = ctx.from.id.toString();
+  const [, imageId, role] = ctx.match;
+
+  try {
+    const { data } = await axios.patch(`${process.env.BASE_URL}/images/${userId}/${imageId}`, {
+      role: role === "none" ? null : role,
+    });
+    await ctx.answerCbQuery(role === "none" ? "Role removed" : "Role saved");
+
+    // Refresh the buttons so the chosen role is ticked
+    const manage = ctx.callbackQuery.message.reply_markup.inline_keyboard.length > 3;
+    await ctx.editMessageReplyMarkup(imageRoleKeyboard(data.image, manage).reply_markup).catch(() => {});
+
+    // A new logo comes with a proposal for brand colours and fonts
+    if (data.brandProposal) await showBrandProposal(ctx, userId, data.brandProposal);
+  } catch (error) {
+    console.error("Image role error:", error.response?.data || error.message);
+    await ctx.answerCbQuery(`⚠️ ${error.response?.data?.error || "Failed to save the role"}`);
+  }
+});
+
+/**
+ * Handle move buttons from /images
+ */
+bot.action(/^IMGMOVE_([0-9a-f]+)_(up|down)$/, async (ctx) => {
+  const userId = ctx.from.id.toString();
+  const [, imageId, direction] = ctx.match;
+
+  try {
+    const { data } = await axios.post(`${process.env.BASE_URL}/images/${userId}/${imageId}/move`, {
+      offset: direction === "up" ? -1 : 1,
+    });
+    const position = data.images.findIndex((image) => image.id === imageId) + 1;
+    await ctx.answerCbQuery(`Moved to position ${position} of ${data.images.length}`);
+  } catch (error) {
+    console.error("Image move error:", error.response?.data || error.message);
+    await ctx.answerCbQuery(`⚠️ ${error.response?.data?.error || "Failed to move the image"}`);
+  }
+});
+
+/**
+ * Handle delete buttons from /images
+ * The first tap asks for confirmation, the second one deletes the image and its files
+ */
+bot.action(/^IMGDEL(OK)?_([0-9a-f]+)$/, async (ctx) => {
+  const userId = ctx.from.id.toString();
+  const [, confirmed, imageId] = ctx.match;
+
+  if (!confirmed) {
+    await ctx.answerCbQuery();
+    return await ctx.editMessageReplyMarkup(
+      Markup.inlineKeyboard([
+        [
+          Markup.button.callback("🗑 Yes, delete", `IMGDELOK_${imageId}`),
+          Markup.button.callback("✖️ Keep", `IMGKEEP_${imageId}`),
+        ],
+      ]).reply_markup
+    );
+  }
+
+  try {
+    await axios.delete(`${process.env.BASE_URL}/images/${userId}/${imageId}`);
+    await ctx.answerCbQuery("Image deleted. /undo brings it back.");
+    await ctx.deleteMessage().catch(() => ctx.editMessageReplyMarkup(undefined));
+  } catch (error) {
+    console.error("Image delete error:", error.response?.data || error.message);
+    await ctx.answerCbQuery(`⚠️ ${error.response?.data?.error || "Failed to delete the image"}`);
+  }
+});
+
+/**
+ * Handle the "Keep" button of the delete confirmation
+ */
+bot.action(/^IMGKEEP_([0-9a-f]+)$/, async (ctx) => {
+  const userId = ctx.from.id.toString();
+
+  try {
+    const { data } = await axios.get(`${process.env.BASE_URL}/images/${userId}`);
+    const image = data.images.find((entry) => entry.id === ctx.match[1]);
+    await ctx.answerCbQuery();
+    if (image) await ctx.editMessageReplyMarkup(imageRoleKeyboard(image, true).reply_markup);
+  } catch (error) {
+    console.error("Images error:", error.response?.data || error.message);
+    await ctx.answerCbQuery("⚠️ Failed to load the image");
+  }
+});
+
+/**
+ * Shows the colours and fonts proposed from a logo, with a button per font pairing
+ * @param {Object} ctx - Telegraf context
+ * @param {string} userId - Unique identifier for the user
+ * @param {Object} proposal - Brand proposal returned by the backend
+ */
+async function showBrandProposal(ctx, userId, proposal) {
+  const { palette } = proposal;
+  const caption = [
+    "🎨 I found these brand colours in your logo:",
+    "",
+    `Primary ${palette.primary} · Secondary ${palette.secondary} · Accent ${palette.accent}`,
+    `Background ${palette.background} · Surface ${palette.surface} · Text ${palette.text}`,
+    "✅ Text and button colours are checked for readable contrast.",
+    "",
+    "Pick a font pairing to use this palette on your website:",
+  ].join("\n");
+  const keyboard = Markup.inlineKeyboard([
+    ...proposal.fonts.map((fonts, i) => [
+      Markup.button.callback(`🔤 ${fonts.heading} + ${fonts.body} (${fonts.style})`, `BRAND_ACCEPT_${i}`),
+    ]),
+    [Markup.button.callback("✖️ No thanks", "BRAND_DISCARD")],
+  ]);
+
+  try {
+    const { data } = await axios.get(`${process.env.BASE_URL}/brand/${userId}/swatch`, { responseType: "arraybuffer" });
+    await ctx.replyWithPhoto({ source: Buffer.from(data) }, { caption, ...keyboard });
+  } catch (error) {
+    // The proposal works without the picture
+    console.error("Brand swatch error:", error.response?.status || error.message);
+    await ctx.reply(caption, keyboard);
+  }
+}
+
+/**
+ * Handle the font pairing buttons of a brand proposal
+ * Saves the palette and the chosen fonts in the profile
+ */
+bot.action(/^BRAND_ACCEPT_(\d+)$/, async (ctx) => {
+  const userId = ctx.from.id.toString();
+
+  try {
+    const { data } = await axios.post(`${process.env.BASE_URL}/brand/${userId}/accept`, { fonts: Number(ctx.match[1]) });
+    await ctx.answerCbQuery("Palette saved");
+
+    const text = `✅ Saved: your logo's colours with ${data.fonts.heading} for headings and ${data.fonts.body} for text.\n\nSend /generate to restyle your website with them.`;
+    const edit = ctx.callbackQuery.message.photo ? ctx.editMessageCaption(text) : ctx.editMessageText(text);
+    await edit.catch(() => ctx.reply(text));
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return await ctx.answerCbQuery("This proposal is no longer available. Upload or tag your logo again.", { show_alert: true });
+    }
+    console.error("Brand accept error:", error.response?.data || error.message);
+    await ctx.answerCbQuery(`⚠️ ${error.response?.data?.error || "Failed to save the palette"}`);
+  }
+});
+
+/**
+ * Handle the "No thanks" button of a brand proposal
+ */
+bot.action("BRAND_DISCARD", async (ctx) => {
+  const userId = ctx.from.id.toString();
+
+  await ctx.answerCbQuery();
+  await axios.post(`${process.env.BASE_URL}/brand/${userId}/discard`).catch(() => {});
+
+  const text = "👌 Your colours and fonts stay as they are.";
+  const edit = ctx.callbackQuery.message.photo ? ctx.editMessageCaption(text) : ctx.editMessageText(text);
+  await edit.catch(() => {});
+});
+
+/**
+ * Handle photo messages
+ * Processes images sent by users, uploads them to backend for analysis
+ * @param {string} userId - Unique identifier for the user
+ * @param {string} caption - Optional text caption sent with the image
+ */
+bot.on("photo", async (ctx) => {
+  const userId = ctx.chat.id.toString();
+  const caption = ctx.message.caption || "";
+
+  // Get the highest resolution photo from the array of available sizes
+  const photo = ctx.message.photo[ctx.message.photo.length - 1];
+  const fileId = photo.file_id;
+
+  // Get download link for the photo
+  const fileLink = await ctx.telegram.getFileLink(fileId);
+  const fileName = `${Date.now()}.jpg`; // Create unique filename using timestamp
   const filePath = path.join(tempDir, fileName);
 
   // Download the image to temporary storage
@@ -328,28 +1522,310 @@ bot.on("photo", async (ctx) => {
     // Format and display AI analysis results
     const { images } = uploadRes.data;
     const messages = images
-      .map((img) => `🖼 ${img.originalname}\n📌 ${img.aiAnalysis}`)
+      .map((img) => `🖼 ${img.originalname} (${img.width}×${img.height})\n📌 ${img.aiAnalysis}`)
       .join("\n\n");
 
     await ctx.reply(`✅ Image analyzed:\n\n${messages}`);
+
+    // Ask where each image belongs
+    for (const img of images) {
+      await ctx.reply(`📍 Where should ${img.originalname} go on your website?`, imageRoleKeyboard(img));
+    }
+
+    // A logo comes with a proposal for brand colours and fonts
+    if (uploadRes.data.brandProposal) await showBrandProposal(ctx, userId, uploadRes.data.brandProposal);
   } catch (err) {
-    console.error("Upload error:", err.message);
-    await ctx.reply("❌ Failed to upload or analyze image.");
+    console.error("Upload error:", err.response?.data || err.message);
+    if (!(await replyIfLimited(ctx, err.response?.status, err.response?.data))) {
+      const reason = err.response?.status === 413 || err.response?.status === 415 ? `\n\n${err.response.data.error}` : "";
+      await ctx.reply(`❌ Failed to upload or analyze image.${reason}`);
+    }
   }
 
   fs.removeSync(filePath); // Clean up temporary file
 });
 
 /**
- * Handle text messages
- * Processes regular text messages and sends them to backend chat API
- * @param {string} message - The text message from the user
+ * Handle document messages
+ * Sends PDF, DOCX, Markdown or text files to the backend, which turns their content into
+ * website content; the user confirms or discards the result with buttons
  * @param {string} userId - Unique identifier for the user
  */
-bot.on("text", async (ctx) => {
-  const message = ctx.message.text;
+bot.on("document", async (ctx) => {
+  const userId = ctx.from.id.toString();
+  const { file_id: fileId, file_name: fileName = "document", file_size: fileSize = 0 } = ctx.message.document;
+
+  // Telegram bots can only download files up to 20 MB
+  if (fileSize > 20 * 1024 * 1024) {
+    return await ctx.reply("❌ This file is too large for me to download (limit 20 MB).");
+  }
+
+  await ctx.reply(`📄 Reading ${fileName}...`);
+
+  try {
+    // Download the document and forward it to the backend
+    const fileLink = await ctx.telegram.getFileLink(fileId);
+    const download = await axios({ url: fileLink.href, responseType: "arraybuffer" });
+
+    const form = new FormData();
+    form.append("document", Buffer.from(download.data), { filename: fileName });
+
+    const { data } = await axios.post(`${process.env.BASE_URL}/upload-document/${userId}`, form, {
+      headers: form.getHeaders(),
+    });
+
+    const notes = [
+      data.images ? `🖼 ${data.images} image(s) will be added to your image library.` : "",
+      data.truncated ? "✂️ The document is long, so I only read its beginning." : "",
+    ].filter(Boolean);
+
+    await ctx.reply(
+      `📋 Here's what I found in ${fileName}:\n\n${data.summary}${notes.length ? `\n\n${notes.join("\n")}` : ""}\n\nShall I add this to your website?`,
+      Markup.inlineKeyboard([
+        Markup.button.callback("✅ Add to my website", "DOC_CONFIRM"),
+        Markup.button.callback("✖️ Discard", "DOC_DISCARD"),
+      ])
+    );
+  } catch (err) {
+    console.error("Document error:", err.response?.data || err.message);
+    if (await replyIfLimited(ctx, err.response?.status, err.response?.data)) return;
+    const reason = err.response?.data?.error ? `\n\n${err.response.data.error}` : "";
+    await ctx.reply(`❌ Failed to read the document.${reason}`);
+  }
+});
+
+/**
+ * Handle the document confirmation buttons
+ * Applies or drops the pending document import
+ * @param {string} userId - Unique identifier for the user
+ */
+bot.action(/^DOC_(CONFIRM|DISCARD)$/, async (ctx) => {
+  const userId = ctx.from.id.toString();
+  const confirm = ctx.match[1] === "CONFIRM";
+
+  await ctx.answerCbQuery();
+  await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+
+  try {
+    if (!confirm) {
+      const { data } = await axios.post(`${process.env.BASE_URL}/documents/${userId}/discard`);
+      return await ctx.reply(`🗑 Discarded ${data.discarded}. Nothing was changed.`);
+    }
+
+    const { data } = await axios.post(`${process.env.BASE_URL}/documents/${userId}/confirm`);
+    const fields = [...new Set(data.profileChanges.map((change) => change.field.split(".")[0]))];
+    await ctx.reply(
+      `✅ Added the content of ${data.document} to your website profile` +
+        (fields.length ? ` (${fields.join(", ")})` : "") +
+        `.${data.images.length ? `\n🖼 ${data.images.length} image(s) were added.` : ""}\n\nUse /generate to build the website with it.`
+    );
+
+    // Ask where each image belongs
+    for (const img of data.images) {
+      await ctx.reply(`📍 Where should ${img.originalname} go on your website?`, imageRoleKeyboard(img));
+    }
+  } catch (err) {
+    console.error("Document import error:", err.response?.data || err.message);
+    await ctx.reply(`⚠️ ${err.response?.data?.error || "Failed to import the document."}`);
+  }
+});
+
+// Users with a running wizard: userId -> message id of the question on screen
+// Typed (and spoken) messages of these users answer the wizard instead of going to the chat
+const wizardSessions = new Map();
+
+/**
+ * Sends a wizard action to the backend
+ * @param {string} userId - Unique identifier for the user
+ * @param {string} action - "start", "answer", "toggle", "skip" or "back"
+ * @param {Object} [body] - { option } or { value }
+ * @returns {Promise<Object>} - { done, step } or { done, summary }
+ */
+async function wizardRequest(userId, action, body = {}) {
+  const { data } = await axios.post(`${process.env.BASE_URL}/wizard/${userId}/${action}`, body);
+  return data;
+}
+
+/**
+ * Formats a wizard question
+ * @param {Object} step - Step description from the backend
+ * @returns {string} - Message text
+ */
+function wizardText(step) {
+  const hint = step.type === "multi"
+    ? "Tick everything that applies, then tap ✅ Done. You can also type a comma separated list."
+    : step.type === "text"
+      ? "✍️ Type your answer."
+      : "Tap an option or type your own answer.";
+
+  return `🧭 Question ${step.index + 1} of ${step.total}\n\n${step.question}\n\n` +
+    (step.current ? `Current answer: ${step.current}\n\n` : "") +
+    hint;
+}
+
+/**
+ * Builds the inline keyboard of a wizard question
+ * @param {Object} step - Step description from the backend
+ * @returns {Object} - Telegraf inline keyboard markup
+ */
+function wizardKeyboard(step) {
+  const buttons = step.options.map((option, index) =>
+    step.type === "multi"
+      ? Markup.button.callback(`${option.selected ? "✅" : "⬜"} ${option.label}`, `WIZ_TOGGLE_${index}`)
+      : Markup.button.callback(option.label, `WIZ_PICK_${index}`)
+  );
+
+  const perRow = step.type === "multi" ? 3 : 2;
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += perRow) rows.push(buttons.slice(i, i + perRow));
+
+  rows.push([
+    ...(step.index > 0 ? [Markup.button.callback("⬅️ Back", "WIZ_BACK")] : []),
+    Markup.button.callback("⏭ Skip", "WIZ_SKIP"),
+    ...(step.type === "multi" ? [Markup.button.callback("✅ Done", "WIZ_DONE")] : []),
+  ]);
+  rows.push([Markup.button.callback("✖️ Stop wizard", "WIZ_STOP")]);
+
+  return Markup.inlineKeyboard(rows);
+}
+
+/**
+ * Shows the next wizard question, or the summary when the wizard is finished
+ * Button presses update the question message in place; typed answers get a new message.
+ * @param {Object} ctx - Telegraf context
+ * @param {string} userId - Unique identifier for the user
+ * @param {Object} data - Backend response ({ done, step } or { done, summary })
+ * @param {boolean} [inPlace] - Edit the message of the pressed button instead of sending a new one
+ */
+async function showWizardStep(ctx, userId, data, inPlace = false) {
+  const previous = wizardSessions.get(userId);
+
+  if (data.done) {
+    wizardSessions.delete(userId);
+    const summary = data.summary.map((entry) => `• ${entry.label}: ${entry.value}`).join("\n");
+    const text = `🎉 That's everything I need!\n\n${summary || "You skipped all questions."}\n\n` +
+      "Use /generate to build your website, or keep chatting to add details.";
+    const keyboard = Markup.inlineKeyboard([[Markup.button.callback("🚀 Generate my website", "WIZ_GENERATE")]]);
+
+    if (inPlace) return await ctx.editMessageText(text, keyboard);
+    if (previous) await ctx.telegram.editMessageReplyMarkup(ctx.chat.id, previous, undefined, undefined).catch(() => {});
+    return await ctx.reply(text, keyboard);
+  }
+
+  if (inPlace) {
+    await ctx.editMessageText(wizardText(data.step), wizardKeyboard(data.step)).catch((err) => {
+      // Telegram refuses edits that change nothing
+      if (!err.description?.includes("message is not modified")) throw err;
+    });
+    wizardSessions.set(userId, ctx.callbackQuery.message.message_id);
+    return;
+  }
+
+  // Retire the keyboard of the question that was answered by typing
+  if (previous) await ctx.telegram.editMessageReplyMarkup(ctx.chat.id, previous, undefined, undefined).catch(() => {});
+  const message = await ctx.reply(wizardText(data.step), wizardKeyboard(data.step));
+  wizardSessions.set(userId, message.message_id);
+}
+
+/**
+ * Handle /wizard command
+ * Starts the guided questionnaire that fills the website profile step by step
+ * @param {string} userId - Unique identifier for the user
+ */
+bot.command("wizard", async (ctx) => {
   const userId = ctx.from.id.toString();
 
+  try {
+    const data = await wizardRequest(userId, "start");
+    await ctx.reply("🧭 Let's set up your website step by step. Answers are saved right away; you can go back, skip questions or stop at any time.");
+    await showWizardStep(ctx, userId, data);
+  } catch (err) {
+    console.error("Wizard error:", err.response?.data || err.message);
+    if (await replyIfLimited(ctx, err.response?.status, err.response?.data)) return;
+    await ctx.reply("❌ Failed to start the wizard.");
+  }
+});
+
+/**
+ * Handle wizard buttons: picking or ticking an option, confirming, skipping and going back
+ */
+bot.action(/^WIZ_(PICK|TOGGLE)_(\d+)$|^WIZ_(DONE|SKIP|BACK)$/, async (ctx) => {
+  const userId = ctx.from.id.toString();
+  const [, optionAction, option, navAction] = ctx.match;
+  const action = { PICK: "answer", TOGGLE: "toggle", DONE: "answer", SKIP: "skip", BACK: "back" }[optionAction || navAction];
+
+  try {
+    const data = await wizardRequest(userId, action, option === undefined ? {} : { option: Number(option) });
+    await ctx.answerCbQuery();
+    await showWizardStep(ctx, userId, data, true);
+  } catch (err) {
+    const status = err.response?.status;
+    if (status === 404) {
+      wizardSessions.delete(userId);
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+      return await ctx.answerCbQuery("This wizard has ended. Send /wizard to start again.", { show_alert: true });
+    }
+    if (status !== 400) console.error("Wizard error:", err.response?.data || err.message);
+    await ctx.answerCbQuery(err.response?.data?.error || "Something went wrong, please try again.", { show_alert: status === 400 });
+  }
+});
+
+/**
+ * Handle the wizard's stop button
+ * Answers given so far stay in the profile
+ */
+bot.action("WIZ_STOP", async (ctx) => {
+  const userId = ctx.from.id.toString();
+
+  await ctx.answerCbQuery();
+  wizardSessions.delete(userId);
+
+  try {
+    await axios.delete(`${process.env.BASE_URL}/wizard/${userId}`);
+    await ctx.editMessageText("✋ Wizard stopped. Your answers so far are saved.\n\nSend /wizard to start again, or just keep chatting.");
+  } catch (err) {
+    console.error("Wizard error:", err.response?.data || err.message);
+    await ctx.reply("❌ Failed to stop the wizard.");
+  }
+});
+
+/**
+ * Handle the button at the end of the wizard
+ */
+bot.action("WIZ_GENERATE", async (ctx) => {
+  await ctx.answerCbQuery();
+  await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+  await startGeneration(ctx);
+});
+
+/**
+ * Answers the current wizard question with a typed or spoken message
+ * Falls back to the chat when the backend has no running wizard (e.g. after /switch)
+ * @param {Object} ctx - Telegraf context
+ * @param {string} userId - Unique identifier for the user
+ * @param {string} text - The user's answer
+ */
+async function sendWizardAnswer(ctx, userId, text) {
+  try {
+    await showWizardStep(ctx, userId, await wizardRequest(userId, "answer", { value: text }));
+  } catch (err) {
+    if (err.response?.status === 404) {
+      wizardSessions.delete(userId);
+      return await sendChatMessage(ctx, userId, text);
+    }
+    if (err.response?.status !== 400) console.error("Wizard error:", err.response?.data || err.message);
+    await ctx.reply(`⚠️ ${err.response?.data?.error || "Couldn't save that answer."}`);
+  }
+}
+
+/**
+ * Sends a message to the backend chat API and replies with the answer
+ * Used for typed messages and for transcribed voice messages
+ * @param {Object} ctx - Telegraf context
+ * @param {string} userId - Unique identifier for the user
+ * @param {string} message - The user's message text
+ */
+async function sendChatMessage(ctx, userId, message) {
   try {
      // Send message to backend chat API
     const res = await fetch(`${process.env.BASE_URL}/chat`, {
@@ -359,11 +1835,73 @@ bot.on("text", async (ctx) => {
     });
 
     const data = await res.json();
+    if (await replyIfLimited(ctx, res.status, data)) return;
     await ctx.reply(data.reply || "No response from server.");
   } catch (err) {
     console.error("Bot error:", err.message);
     await ctx.reply("Error connecting to server.");
   }
+}
+
+// Longest voice message or audio file that is transcribed (seconds)
+const MAX_VOICE_SECONDS = Number(process.env.MAX_VOICE_SECONDS || 300);
+
+/**
+ * Handle voice messages and audio files
+ * Transcribes the recording on the backend, echoes the transcript and continues
+ * the conversation with it as if it had been typed
+ * @param {string} userId - Unique identifier for the user
+ */
+bot.on(["voice", "audio"], async (ctx) => {
+  const userId = ctx.from.id.toString();
+  const recording = ctx.message.voice || ctx.message.audio;
+
+  if (recording.duration > MAX_VOICE_SECONDS) {
+    return await ctx.reply(`🎙 That recording is too long. Please keep voice messages under ${Math.round(MAX_VOICE_SECONDS / 60)} minutes.`);
+  }
+
+  await ctx.sendChatAction("typing");
+
+  let transcript;
+  try {
+    // Download the recording and send it to the backend for transcription
+    const fileLink = await ctx.telegram.getFileLink(recording.file_id);
+    const download = await axios({ url: fileLink.href, responseType: "arraybuffer" });
+
+    const form = new FormData();
+    form.append("audio", Buffer.from(download.data), {
+      filename: recording.file_name || "voice.ogg",
+      contentType: recording.mime_type || "audio/ogg",
+    });
+
+    const { data } = await axios.post(`${process.env.BASE_URL}/transcribe/${userId}`, form, {
+      headers: form.getHeaders(),
+    });
+    transcript = data.text;
+  } catch (err) {
+    console.error("Voice error:", err.response?.data || err.message);
+    if (await replyIfLimited(ctx, err.response?.status, err.response?.data)) return;
+    return await ctx.reply(`❌ Sorry, I couldn't transcribe that.${err.response?.data?.error ? `\n\n${err.response.data.error}` : ""}`);
+  }
+
+  await ctx.reply(`🎙 I heard:\n"${transcript}"`);
+  if (seoSessions.has(userId)) return await saveSeoValue(ctx, userId, seoSessions.get(userId), transcript);
+  if (wizardSessions.has(userId)) return await sendWizardAnswer(ctx, userId, transcript);
+  await sendChatMessage(ctx, userId, transcript);
+});
+
+/**
+ * Handle text messages
+ * Processes regular text messages and sends them to backend chat API,
+ * or to the wizard or /seo while they are waiting for an answer
+ * @param {string} message - The text message from the user
+ * @param {string} userId - Unique identifier for the user
+ */
+bot.on("text", async (ctx) => {
+  const userId = ctx.from.id.toString();
+  if (seoSessions.has(userId)) return await saveSeoValue(ctx, userId, seoSessions.get(userId), ctx.message.text);
+  if (wizardSessions.has(userId)) return await sendWizardAnswer(ctx, userId, ctx.message.text);
+  await sendChatMessage(ctx, userId, ctx.message.text);
 });
 
 console.log("🤖 Bot started"); // Log when bot starts successfully